@@ -0,0 +1,79 @@
+/**
+ * Rate limit policies shared by the HTTP middleware and Socket.IO event handlers
+ *
+ * Each policy counts hits in a fixed window of `windowSeconds`. `limits` gives the
+ * maximum hits per window for each role; a role that is not listed (and with no
+ * `default`) is not limited. Requests are counted per user, or per client IP for
+ * unauthenticated requests and policies with `keyBy: 'ip'`.
+ *
+ * A limit can be overridden with RATE_LIMIT_<POLICY>_<ROLE>, e.g.
+ * RATE_LIMIT_MESSAGE_SEND_BUYER=60 (policy name upper-cased, non-alphanumerics as "_").
+ */
+
+const HOUR_SECONDS = 60 * 60;
+
+const RATE_LIMIT_POLICIES = {
+  // Chat messages, sent over REST or the socket
+  'message:send': {
+    windowSeconds: 60,
+    limits: { buyer: 30, manufacturer: 30 }
+  },
+  // Chat attachments, design images and order milestone photos
+  upload: {
+    windowSeconds: HOUR_SECONDS,
+    limits: { buyer: 60, manufacturer: 120 }
+  },
+  'requirement:create': {
+    windowSeconds: HOUR_SECONDS,
+    limits: { buyer: 20 }
+  },
+  // Quotes on requirements and AI designs, and counter-offer revisions
+  'quote:submit': {
+    windowSeconds: HOUR_SECONDS,
+    limits: { buyer: 60, manufacturer: 60 }
+  },
+  // OTP requests per client IP, on top of the per-number resend backoff
+  'otp:send': {
+    windowSeconds: HOUR_SECONDS,
+    keyBy: 'ip',
+    limits: { default: 30 }
+  }
+};
+
+/**
+ * Environment variable that overrides a policy's limit for a role
+ * @param {string} policyName - Policy name
+ * @param {string} role - Role name
+ * @returns {string} Variable name
+ */
+const overrideVariable = (policyName, role) =>
+  `RATE_LIMIT_${policyName}_${role}`.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+/**
+ * Get a policy by name
+ * @param {string} policyName - Policy name
+ * @returns {Object|null} Policy or null if unknown
+ */
+const getPolicy = (policyName) => RATE_LIMIT_POLICIES[policyName] || null;
+
+/**
+ * Maximum hits per window for a role under a policy
+ * @param {Object} policy - Policy
+ * @param {string} policyName - Policy name, used to look up overrides
+ * @param {string|null} role - Requester role (null when unauthenticated)
+ * @returns {number|null} Limit, or null if the role is not limited
+ */
+const getLimit = (policy, policyName, role) => {
+  for (const key of role ? [role, 'default'] : ['default']) {
+    const override = parseInt(process.env[overrideVariable(policyName, key)]);
+    if (!Number.isNaN(override)) return override;
+    if (policy.limits[key] !== undefined) return policy.limits[key];
+  }
+  return null;
+};
+
+module.exports = {
+  RATE_LIMIT_POLICIES,
+  getPolicy,
+  getLimit
+};
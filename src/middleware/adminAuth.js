@@ -0,0 +1,93 @@
+const authService = require('../services/authService');
+const adminService = require('../services/adminService');
+
+/**
+ * Admin authentication middleware
+ * Verifies an admin JWT and loads the admin account, rejecting deactivated admins
+ * and tokens issued before the admin's last password change
+ */
+const authenticateAdmin = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return res.status(401).json({
+      success: false,
+      message: 'Access denied. No token provided.'
+    });
+  }
+
+  let decoded;
+  try {
+    decoded = authService.verifyJWT(authHeader.substring(7));
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or expired token'
+    });
+  }
+
+  if (decoded.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Admin privileges required.'
+    });
+  }
+
+  try {
+    const admin = await authService.findActiveAdminForToken(decoded);
+
+    if (!admin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Admin session is no longer valid. Please log in again.'
+      });
+    }
+
+    req.admin = adminService.toPublicAdmin(admin);
+    req.user = {
+      userId: admin.id,
+      role: 'admin',
+      adminRole: admin.role,
+      username: admin.username,
+      verified: true
+    };
+
+    next();
+  } catch (error) {
+    console.error('Admin authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
+/**
+ * Admin role middleware (use after authenticateAdmin)
+ * super_admin always passes
+ * @param {...string} roles - Admin roles allowed to access the route
+ */
+const requireAdminRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.admin) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!adminService.hasRole(req.admin.role, roles)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  authenticateAdmin,
+  requireAdminRole
+};
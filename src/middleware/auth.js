@@ -2,9 +2,10 @@ const authService = require('../services/authService');
 
 /**
  * Authentication middleware
- * Verifies JWT token and adds user info to request
+ * Verifies the access token, rejects revoked sessions and adds user info to request
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
+  let decoded;
   try {
     const authHeader = req.headers.authorization;
     
@@ -16,52 +17,57 @@ const authenticateToken = (req, res, next) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = authService.verifyJWT(token);
-
-    // Add user info to request
-    req.user = {
-      userId: decoded.userId,
-      role: decoded.role,
-      phoneNumber: decoded.phoneNumber,
-      verified: true
-    };
-
-    next();
+    decoded = await authService.verifyAccessToken(token);
   } catch (error) {
-    console.error('Authentication error:', error);
+    console.error('Authentication error:', error.message);
     
     return res.status(401).json({
       success: false,
-      message: 'Invalid or expired token'
+      message: error.message === 'Session has been revoked'
+        ? 'Session has been revoked. Please log in again.'
+        : 'Invalid or expired token'
     });
   }
+
+  // Add user info to request
+  req.user = {
+    userId: decoded.userId,
+    role: decoded.role,
+    phoneNumber: decoded.phoneNumber,
+    sessionId: decoded.sid || null,
+    adminRole: decoded.adminRole || null,
+    verified: true
+  };
+
+  next();
 };
 
 /**
  * Optional authentication middleware
- * Verifies JWT token if provided, but doesn't require it
+ * Verifies the access token if provided, but doesn't require it
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const decoded = authService.verifyJWT(token);
+      const decoded = await authService.verifyAccessToken(token);
       
       req.user = {
         userId: decoded.userId,
         role: decoded.role,
         phoneNumber: decoded.phoneNumber,
+        sessionId: decoded.sid || null,
+        adminRole: decoded.adminRole || null,
         verified: true
       };
     }
-
-    next();
   } catch (error) {
     // Continue without authentication if token is invalid
-    next();
   }
+
+  next();
 };
 
 /**
@@ -95,16 +101,18 @@ module.exports = {
   optionalAuth,
   requireRole,
   /**
-   * Decode a JWT token string and return user identity for non-HTTP contexts (e.g., WebSockets)
+   * Verify an access token string and return user identity for non-HTTP contexts (e.g., WebSockets)
    * @param {string} token
-   * @returns {{ userId: string, role: string, phoneNumber: string }}
+   * @returns {Promise<{ userId: string, role: string, phoneNumber: string, sessionId: string|null, adminRole: string|null }>}
    */
-  decodeToken: (token) => {
-    const decoded = authService.verifyJWT(token);
+  decodeToken: async (token) => {
+    const decoded = await authService.verifyAccessToken(token);
     return {
       userId: decoded.userId,
       role: decoded.role,
-      phoneNumber: decoded.phoneNumber
+      phoneNumber: decoded.phoneNumber,
+      sessionId: decoded.sid || null,
+      adminRole: decoded.adminRole || null
     };
   }
 };
@@ -0,0 +1,75 @@
+const rateLimitService = require('../services/rateLimit');
+const { getPolicy } = require('../config/rateLimits');
+const { getClientIp } = require('../utils/clientInfo');
+const { formatWait } = require('../utils/formatWait');
+
+/**
+ * Rate limiting middleware
+ * Counts the request against a policy from config/rateLimits.js; place it after authenticateToken
+ * so the limit follows the user and their role rather than the client IP
+ * @param {string} policyName - Policy name
+ */
+const rateLimit = (policyName) => {
+  if (!getPolicy(policyName)) {
+    throw new Error(`Unknown rate limit policy "${policyName}"`);
+  }
+
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await rateLimitService.consume(policyName, {
+        userId: req.user ? req.user.userId : null,
+        role: req.user ? req.user.role : null,
+        ip: getClientIp(req)
+      });
+    } catch (error) {
+      // A store outage should not take the API down with it
+      console.error('Rate limit error:', error.message);
+      return next();
+    }
+
+    if (!result) return next();
+
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(result.retryAfter));
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: `Too many requests. Please try again in ${formatWait(result.retryAfter)}.`
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Count a Socket.IO event against a policy
+ * @param {Object} socket - Authenticated socket (socket.user set by socketAuth)
+ * @param {string} policyName - Policy name
+ * @returns {Promise<{ allowed: boolean, retryAfter: number }>} Whether the event may be handled
+ */
+const checkSocketRateLimit = async (socket, policyName) => {
+  try {
+    const { userId, role } = socket.user || {};
+    const result = await rateLimitService.consume(policyName, {
+      userId: userId || null,
+      role: role || null,
+      ip: socket.handshake ? socket.handshake.address : null
+    });
+
+    if (!result || result.allowed) return { allowed: true, retryAfter: 0 };
+    return { allowed: false, retryAfter: result.retryAfter };
+  } catch (error) {
+    console.error('Rate limit error:', error.message);
+    return { allowed: true, retryAfter: 0 };
+  }
+};
+
+module.exports = {
+  rateLimit,
+  checkSocketRateLimit
+};
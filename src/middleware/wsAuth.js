@@ -1,6 +1,6 @@
 const { decodeToken } = require('./auth');
 
-module.exports = function socketAuth(socket, next) {
+module.exports = async function socketAuth(socket, next) {
   try {
     const authHeader = socket.handshake.headers.authorization;
     const tokenFromHeader = authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
@@ -11,7 +11,7 @@ module.exports = function socketAuth(socket, next) {
       return next(new Error('Authentication required'));
     }
 
-    const user = decodeToken(token);
+    const user = await decodeToken(token);
     socket.user = user;
     return next();
   } catch (err) {
@@ -0,0 +1,1135 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const databaseService = require('../services/databaseService');
+const pricingService = require('../services/pricingService');
+const quotaService = require('../services/quotaService');
+const adminService = require('../services/adminService');
+const auditService = require('../services/auditService');
+const reviewService = require('../services/reviewService');
+const { authenticateAdmin, requireAdminRole } = require('../middleware/adminAuth');
+
+const { ADMIN_ROLES } = adminService;
+const { REVIEW_STATUSES } = reviewService;
+
+const router = express.Router();
+
+const GST_SLAB_FIELDS = ['hsn_code', 'description', 'product_categories', 'min_unit_price', 'max_unit_price', 'rate', 'is_default', 'is_active'];
+const FEE_TIER_FIELDS = ['name', 'manufacturer_plan', 'min_order_value', 'max_order_value', 'fee_rate', 'is_active'];
+const QUOTA_PLAN_FIELDS = ['name', 'daily_design_limit', 'monthly_design_limit', 'is_active'];
+const QUOTA_OVERRIDE_FIELDS = ['daily_design_limit', 'monthly_design_limit', 'expires_at'];
+
+const pickFields = (source, fields) => fields.reduce((acc, field) => {
+  if (source[field] !== undefined) acc[field] = source[field];
+  return acc;
+}, {});
+
+const normalizeCategories = (categories) => (categories || [])
+  .map((category) => category.toString().trim().toLowerCase())
+  .filter(Boolean);
+
+// Reject requests that failed express-validator checks
+const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+// Validators for GST slab fields that are optional on both create and update
+const gstSlabValidators = [
+  body('product_categories').optional().isArray().withMessage('Product categories must be an array'),
+  body('min_unit_price').optional().isFloat({ min: 0 }).withMessage('Minimum unit price must be 0 or more'),
+  body('max_unit_price').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Maximum unit price must be greater than 0'),
+  body('is_default').optional().isBoolean(),
+  body('is_active').optional().isBoolean()
+];
+
+// Validators for fee tier fields that are optional on both create and update
+const feeTierValidators = [
+  body('manufacturer_plan').optional({ nullable: true }).isString().trim(),
+  body('min_order_value').optional().isFloat({ min: 0 }).withMessage('Minimum order value must be 0 or more'),
+  body('max_order_value').optional({ nullable: true }).isFloat({ gt: 0 }).withMessage('Maximum order value must be greater than 0'),
+  body('is_active').optional().isBoolean()
+];
+
+// Design generation limits; null means unlimited (plans) or "use the plan limit" (overrides)
+const designLimitValidators = [
+  body('daily_design_limit').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Daily design limit must be 0 or more'),
+  body('monthly_design_limit').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Monthly design limit must be 0 or more')
+];
+
+// Check that an optional upper bound is above the lower bound
+const validateRange = (min, max) => max === null || max === undefined || parseFloat(max) > parseFloat(min || 0);
+
+router.use(authenticateAdmin);
+
+// Only super admins may change rates, plans or admin accounts
+const requireSuperAdmin = requireAdminRole();
+
+// GET /api/admin/me - Get the signed-in admin
+router.get('/me', (req, res) => {
+  return res.status(200).json({
+    success: true,
+    data: req.admin
+  });
+});
+
+// POST /api/admin/me/password - Change the signed-in admin's password
+router.post('/me/password',
+  [
+    body('current_password').notEmpty().withMessage('Current password is required'),
+    body('new_password').notEmpty().withMessage('New password is required')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { current_password, new_password } = req.body;
+
+      const passwordError = adminService.validatePassword(new_password);
+      if (passwordError) {
+        return res.status(400).json({
+          success: false,
+          message: passwordError
+        });
+      }
+
+      const admin = await databaseService.findAdminUser(req.admin.id);
+      const changed = await adminService.changePassword(admin, current_password, new_password);
+      if (!changed) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect'
+        });
+      }
+
+      await auditService.record(req, {
+        action: 'admin_user.password.change',
+        entityType: 'admin_user',
+        entityId: req.admin.id
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Password changed successfully. Please log in again.'
+      });
+    } catch (error) {
+      console.error('Change admin password error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to change password',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/admin/users - List admin accounts (Super admin only)
+router.get('/users', requireSuperAdmin, async (req, res) => {
+  try {
+    const { role, is_active } = req.query;
+
+    const admins = await databaseService.getAdminUsers({
+      role: role || undefined,
+      is_active: is_active !== undefined ? is_active === 'true' : undefined
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: admins.map((admin) => adminService.toPublicAdmin(admin)),
+      count: admins.length
+    });
+  } catch (error) {
+    console.error('Get admin users error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch admin users',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/users - Create an admin account (Super admin only)
+router.post('/users',
+  requireSuperAdmin,
+  [
+    body('username').isString().trim().matches(/^[a-zA-Z0-9._-]{3,100}$/)
+      .withMessage('Username must be 3-100 letters, numbers, dots, dashes or underscores'),
+    body('password').notEmpty().withMessage('Password is required'),
+    body('role').isIn(ADMIN_ROLES).withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`),
+    body('email').optional().isEmail().withMessage('Email must be valid'),
+    body('full_name').optional().isString().trim()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const passwordError = adminService.validatePassword(req.body.password);
+      if (passwordError) {
+        return res.status(400).json({
+          success: false,
+          message: passwordError
+        });
+      }
+
+      const existingAdmin = await databaseService.findAdminUserByUsername(req.body.username.trim().toLowerCase());
+      if (existingAdmin) {
+        return res.status(409).json({
+          success: false,
+          message: 'An admin with this username already exists'
+        });
+      }
+
+      const admin = await adminService.createAdmin(req.body, req.admin.id);
+
+      await auditService.record(req, {
+        action: 'admin_user.create',
+        entityType: 'admin_user',
+        entityId: admin.id,
+        after: admin,
+        reason: req.body.reason
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Admin user created successfully',
+        data: admin
+      });
+    } catch (error) {
+      console.error('Create admin user error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create admin user',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PATCH /api/admin/users/:id - Update an admin's role, status or password (Super admin only)
+router.patch('/users/:id',
+  requireSuperAdmin,
+  [
+    body('role').optional().isIn(ADMIN_ROLES).withMessage(`Role must be one of: ${ADMIN_ROLES.join(', ')}`),
+    body('is_active').optional().isBoolean(),
+    body('email').optional({ nullable: true }).isEmail().withMessage('Email must be valid'),
+    body('full_name').optional({ nullable: true }).isString().trim(),
+    body('password').optional().isString()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const admin = await databaseService.findAdminUser(id);
+      if (!admin) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admin user not found'
+        });
+      }
+
+      if (id === req.admin.id && (req.body.is_active === false || (req.body.role && req.body.role !== 'super_admin'))) {
+        return res.status(400).json({
+          success: false,
+          message: 'You cannot deactivate or demote your own account'
+        });
+      }
+
+      const updateData = pickFields(req.body, ['full_name', 'email', 'role', 'is_active']);
+
+      if (req.body.password !== undefined) {
+        const passwordError = adminService.validatePassword(req.body.password);
+        if (passwordError) {
+          return res.status(400).json({
+            success: false,
+            message: passwordError
+          });
+        }
+        updateData.password_hash = await adminService.hashPassword(req.body.password);
+        updateData.password_changed_at = new Date().toISOString();
+      }
+
+      if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No fields to update'
+        });
+      }
+
+      const updatedAdmin = await databaseService.updateAdminUser(id, updateData);
+
+      await auditService.record(req, {
+        action: req.body.password !== undefined ? 'admin_user.password.reset' : 'admin_user.update',
+        entityType: 'admin_user',
+        entityId: id,
+        before: admin,
+        after: updatedAdmin,
+        reason: req.body.reason
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Admin user updated successfully',
+        data: adminService.toPublicAdmin(updatedAdmin)
+      });
+    } catch (error) {
+      console.error('Update admin user error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update admin user',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/admin/pricing - Get GST slabs and platform fee tiers (including inactive)
+router.get('/pricing', async (req, res) => {
+  try {
+    const [gstSlabs, feeTiers] = await Promise.all([
+      databaseService.getGstSlabs(),
+      databaseService.getPlatformFeeTiers()
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        gst_slabs: gstSlabs,
+        platform_fee_tiers: feeTiers
+      }
+    });
+  } catch (error) {
+    console.error('Get pricing configuration error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch pricing configuration',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/pricing/gst-slabs - Create a GST slab
+router.post('/pricing/gst-slabs',
+  requireSuperAdmin,
+  [
+    body('hsn_code').matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+    body('rate').isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+    ...gstSlabValidators
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const slabData = { ...pickFields(req.body, GST_SLAB_FIELDS), updated_by: req.admin.id };
+      slabData.product_categories = normalizeCategories(slabData.product_categories);
+
+      if (!validateRange(slabData.min_unit_price, slabData.max_unit_price)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum unit price must be greater than minimum unit price'
+        });
+      }
+
+      const slab = await databaseService.createGstSlab(slabData);
+      pricingService.invalidateCache();
+
+      await auditService.record(req, {
+        action: 'pricing.gst_slab.create',
+        entityType: 'gst_slab',
+        entityId: slab.id,
+        after: slab,
+        reason: req.body.reason
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'GST slab created successfully',
+        data: slab
+      });
+    } catch (error) {
+      console.error('Create GST slab error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create GST slab',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PATCH /api/admin/pricing/gst-slabs/:id - Update a GST slab (set is_active false to retire it)
+router.patch('/pricing/gst-slabs/:id',
+  requireSuperAdmin,
+  [
+    body('hsn_code').optional().matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+    body('rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Rate must be a percentage between 0 and 100'),
+    ...gstSlabValidators
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const existingSlab = await databaseService.getGstSlab(req.params.id);
+      if (!existingSlab) {
+        return res.status(404).json({
+          success: false,
+          message: 'GST slab not found'
+        });
+      }
+
+      const updateData = pickFields(req.body, GST_SLAB_FIELDS);
+      if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No fields to update'
+        });
+      }
+
+      if (updateData.product_categories) {
+        updateData.product_categories = normalizeCategories(updateData.product_categories);
+      }
+
+      const merged = { ...existingSlab, ...updateData };
+      if (!validateRange(merged.min_unit_price, merged.max_unit_price)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum unit price must be greater than minimum unit price'
+        });
+      }
+
+      const slab = await databaseService.updateGstSlab(req.params.id, { ...updateData, updated_by: req.admin.id });
+      pricingService.invalidateCache();
+
+      await auditService.record(req, {
+        action: 'pricing.gst_slab.update',
+        entityType: 'gst_slab',
+        entityId: slab.id,
+        before: existingSlab,
+        after: slab,
+        reason: req.body.reason
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'GST slab updated successfully',
+        data: slab
+      });
+    } catch (error) {
+      console.error('Update GST slab error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update GST slab',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/admin/pricing/fee-tiers - Create a platform fee tier
+router.post('/pricing/fee-tiers',
+  requireSuperAdmin,
+  [
+    body('name').isString().trim().notEmpty().withMessage('Name is required'),
+    body('fee_rate').isFloat({ min: 0, max: 100 }).withMessage('Fee rate must be a percentage between 0 and 100'),
+    ...feeTierValidators
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const tierData = { ...pickFields(req.body, FEE_TIER_FIELDS), updated_by: req.admin.id };
+
+      if (!validateRange(tierData.min_order_value, tierData.max_order_value)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum order value must be greater than minimum order value'
+        });
+      }
+
+      const tier = await databaseService.createPlatformFeeTier(tierData);
+      pricingService.invalidateCache();
+
+      await auditService.record(req, {
+        action: 'pricing.fee_tier.create',
+        entityType: 'platform_fee_tier',
+        entityId: tier.id,
+        after: tier,
+        reason: req.body.reason
+      });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Platform fee tier created successfully',
+        data: tier
+      });
+    } catch (error) {
+      console.error('Create platform fee tier error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create platform fee tier',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PATCH /api/admin/pricing/fee-tiers/:id - Update a platform fee tier (set is_active false to retire it)
+router.patch('/pricing/fee-tiers/:id',
+  requireSuperAdmin,
+  [
+    body('name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('fee_rate').optional().isFloat({ min: 0, max: 100 }).withMessage('Fee rate must be a percentage between 0 and 100'),
+    ...feeTierValidators
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const existingTier = await databaseService.getPlatformFeeTier(req.params.id);
+      if (!existingTier) {
+        return res.status(404).json({
+          success: false,
+          message: 'Platform fee tier not found'
+        });
+      }
+
+      const updateData = pickFields(req.body, FEE_TIER_FIELDS);
+      if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No fields to update'
+        });
+      }
+
+      const merged = { ...existingTier, ...updateData };
+      if (!validateRange(merged.min_order_value, merged.max_order_value)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum order value must be greater than minimum order value'
+        });
+      }
+
+      const tier = await databaseService.updatePlatformFeeTier(req.params.id, { ...updateData, updated_by: req.admin.id });
+      pricingService.invalidateCache();
+
+      await auditService.record(req, {
+        action: 'pricing.fee_tier.update',
+        entityType: 'platform_fee_tier',
+        entityId: tier.id,
+        before: existingTier,
+        after: tier,
+        reason: req.body.reason
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Platform fee tier updated successfully',
+        data: tier
+      });
+    } catch (error) {
+      console.error('Update platform fee tier error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update platform fee tier',
+        error: error.message
+      });
+    }
+  }
+);
+
+// POST /api/admin/pricing/preview - Calculate a breakdown with the current rates
+router.post('/pricing/preview',
+  [
+    body('price_per_unit').isFloat({ gt: 0 }).withMessage('Price per unit must be greater than 0'),
+    body('quantity').isInt({ gt: 0 }).withMessage('Quantity must be greater than 0'),
+    body('product_category').optional().isString(),
+    body('manufacturer_plan').optional().isString()
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const breakdown = await pricingService.calculateQuote({
+        pricePerUnit: parseFloat(req.body.price_per_unit),
+        quantity: parseInt(req.body.quantity),
+        productCategory: req.body.product_category,
+        manufacturerPlan: req.body.manufacturer_plan
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: breakdown
+      });
+    } catch (error) {
+      console.error('Preview pricing error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to calculate price breakdown',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PATCH /api/admin/manufacturers/:manufacturerId/pricing-plan - Set a manufacturer's fee plan
+router.patch('/manufacturers/:manufacturerId/pricing-plan',
+  requireSuperAdmin,
+  [
+    body('pricing_plan').isString().trim().notEmpty().withMessage('Pricing plan is required')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const { manufacturerId } = req.params;
+
+      const manufacturer = await databaseService.findManufacturerProfile(manufacturerId);
+      if (!manufacturer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Manufacturer not found'
+        });
+      }
+
+      const updatedManufacturer = await databaseService.updateManufacturerProfile(manufacturerId, {
+        pricing_plan: req.body.pricing_plan,
+        updated_at: new Date().toISOString()
+      });
+
+      await auditService.record(req, {
+        action: 'manufacturer.pricing_plan.update',
+        entityType: 'manufacturer',
+        entityId: manufacturerId,
+        before: { pricing_plan: manufacturer.pricing_plan || null },
+        after: { pricing_plan: updatedManufacturer.pricing_plan },
+        reason: req.body.reason
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Pricing plan updated successfully',
+        data: { manufacturer: updatedManufacturer }
+      });
+    } catch (error) {
+      console.error('Update manufacturer pricing plan error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update pricing plan',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/admin/quota-plans - Get AI design generation plans (including inactive)
+router.get('/quota-plans', async (req, res) => {
+  try {
+    const plans = await databaseService.getQuotaPlans();
+
+    return res.status(200).json({
+      success: true,
+      data: { plans }
+    });
+  } catch (error) {
+    console.error('Get quota plans error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch quota plans',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/admin/quota-plans/:code - Update a plan's design generation limits
+router.patch('/quota-plans/:code',
+  requireSuperAdmin,
+  [
+    body('name').optional().isString().trim().notEmpty().withMessage('Name cannot be empty'),
+    body('is_active').optional().isBoolean(),
+    ...designLimitValidators
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const existingPlan = await databaseService.getQuotaPlan(req.params.code);
+      if (!existingPlan) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quota plan not found'
+        });
+      }
+
+      const updateData = pickFields(req.body, QUOTA_PLAN_FIELDS);
+      if (Object.keys(updateData).length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'No fields to update'
+        });
+      }
+
+      if (existingPlan.code === quotaService.DEFAULT_QUOTA_PLAN && updateData.is_active === false) {
+        return res.status(400).json({
+          success: false,
+          message: 'The default plan cannot be deactivated'
+        });
+      }
+
+      const plan = await databaseService.updateQuotaPlan(existingPlan.code, { ...updateData, updated_by: req.admin.id });
+      quotaService.invalidateCache();
+
+      await auditService.record(req, {
+        action: 'quota.plan.update',
+        entityType: 'quota_plan',
+        entityId: plan.code,
+        before: existingPlan,
+        after: plan,
+        reason: req.body.reason
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Quota plan updated successfully',
+        data: plan
+      });
+    } catch (error) {
+      console.error('Update quota plan error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update quota plan',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/admin/buyers/:buyerId/quota - Get a buyer's design generation status, override and usage ledger
+router.get('/buyers/:buyerId/quota',
+  [
+    param('buyerId').isUUID().withMessage('Buyer ID must be a UUID'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const buyer = await databaseService.findBuyerProfile(req.params.buyerId);
+      if (!buyer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Buyer not found'
+        });
+      }
+
+      const [status, override, ledger] = await Promise.all([
+        quotaService.getDesignGenerationStatus(buyer),
+        databaseService.getBuyerQuotaOverride(buyer.id),
+        databaseService.getDesignLedgerEntries(buyer.id, {
+          limit: parseInt(req.query.limit) || 50,
+          offset: parseInt(req.query.offset) || 0
+        })
+      ]);
+
+      return res.status(200).json({
+        success: true,
+        data: {
+          status,
+          override,
+          ledger: ledger.entries,
+          total: ledger.total
+        }
+      });
+    } catch (error) {
+      console.error('Get buyer quota error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch buyer quota',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PATCH /api/admin/buyers/:buyerId/quota-plan - Move a buyer to another design generation plan
+router.patch('/buyers/:buyerId/quota-plan',
+  requireSuperAdmin,
+  [
+    param('buyerId').isUUID().withMessage('Buyer ID must be a UUID'),
+    body('quota_plan').isString().trim().notEmpty().withMessage('Quota plan is required')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const buyer = await databaseService.findBuyerProfile(req.params.buyerId);
+      if (!buyer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Buyer not found'
+        });
+      }
+
+      const plan = await databaseService.getQuotaPlan(req.body.quota_plan);
+      if (!plan || !plan.is_active) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quota plan not found or inactive'
+        });
+      }
+
+      const updatedBuyer = await databaseService.updateBuyerProfile(buyer.id, { quota_plan: plan.code });
+
+      await auditService.record(req, {
+        action: 'buyer.quota_plan.update',
+        entityType: 'buyer',
+        entityId: buyer.id,
+        before: { quota_plan: buyer.quota_plan || null },
+        after: { quota_plan: updatedBuyer.quota_plan },
+        reason: req.body.reason
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Quota plan updated successfully',
+        data: {
+          buyer: updatedBuyer,
+          status: await quotaService.getDesignGenerationStatus(updatedBuyer)
+        }
+      });
+    } catch (error) {
+      console.error('Update buyer quota plan error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update quota plan',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PUT /api/admin/buyers/:buyerId/quota-override - Set limits for one buyer that replace their plan's limits
+router.put('/buyers/:buyerId/quota-override',
+  requireSuperAdmin,
+  [
+    param('buyerId').isUUID().withMessage('Buyer ID must be a UUID'),
+    body('expires_at').optional({ nullable: true }).isISO8601().withMessage('Expiry must be an ISO 8601 date'),
+    ...designLimitValidators
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const buyer = await databaseService.findBuyerProfile(req.params.buyerId);
+      if (!buyer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Buyer not found'
+        });
+      }
+
+      const overrideData = {
+        daily_design_limit: null,
+        monthly_design_limit: null,
+        expires_at: null,
+        ...pickFields(req.body, QUOTA_OVERRIDE_FIELDS)
+      };
+
+      if (overrideData.daily_design_limit === null && overrideData.monthly_design_limit === null) {
+        return res.status(400).json({
+          success: false,
+          message: 'Set a daily or monthly design limit'
+        });
+      }
+
+      if (overrideData.expires_at && new Date(overrideData.expires_at) <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Expiry must be in the future'
+        });
+      }
+
+      const existingOverride = await databaseService.getBuyerQuotaOverride(buyer.id);
+      const override = await databaseService.upsertBuyerQuotaOverride(buyer.id, {
+        ...overrideData,
+        reason: req.body.reason || null,
+        set_by: req.admin.id
+      });
+
+      await auditService.record(req, {
+        action: 'buyer.quota_override.set',
+        entityType: 'buyer',
+        entityId: buyer.id,
+        before: existingOverride,
+        after: override,
+        reason: req.body.reason
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Quota override saved successfully',
+        data: {
+          override,
+          status: await quotaService.getDesignGenerationStatus(buyer)
+        }
+      });
+    } catch (error) {
+      console.error('Set buyer quota override error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to save quota override',
+        error: error.message
+      });
+    }
+  }
+);
+
+// DELETE /api/admin/buyers/:buyerId/quota-override - Return a buyer to their plan's limits
+router.delete('/buyers/:buyerId/quota-override',
+  requireSuperAdmin,
+  [
+    param('buyerId').isUUID().withMessage('Buyer ID must be a UUID')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const existingOverride = await databaseService.getBuyerQuotaOverride(req.params.buyerId);
+      if (!existingOverride) {
+        return res.status(404).json({
+          success: false,
+          message: 'Quota override not found'
+        });
+      }
+
+      await databaseService.deleteBuyerQuotaOverride(req.params.buyerId);
+
+      await auditService.record(req, {
+        action: 'buyer.quota_override.delete',
+        entityType: 'buyer',
+        entityId: req.params.buyerId,
+        before: existingOverride,
+        reason: req.body && req.body.reason
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: 'Quota override removed successfully'
+      });
+    } catch (error) {
+      console.error('Delete buyer quota override error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to remove quota override',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/admin/reviews - Review moderation queue, newest first (Support)
+router.get('/reviews',
+  requireAdminRole('support'),
+  [
+    query('status').optional().isIn(REVIEW_STATUSES).withMessage(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`),
+    query('reviewer_role').optional().isIn(['buyer', 'manufacturer']).withMessage('Reviewer role must be buyer or manufacturer'),
+    query('manufacturer_id').optional().isUUID().withMessage('Manufacturer ID must be a UUID'),
+    query('buyer_id').optional().isUUID().withMessage('Buyer ID must be a UUID'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+      const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+      const { reviews, total } = await databaseService.getReviews({
+        status: req.query.status || undefined,
+        reviewerRole: req.query.reviewer_role || undefined,
+        manufacturerId: req.query.manufacturer_id || undefined,
+        buyerId: req.query.buyer_id || undefined,
+        limit,
+        offset
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: reviews.map((review) => reviewService.present(review, req.user)),
+        count: reviews.length,
+        total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error('Get reviews error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reviews',
+        error: error.message
+      });
+    }
+  }
+);
+
+// PATCH /api/admin/reviews/:id/status - Hide or republish a review; hiding needs a reason (Support)
+router.patch('/reviews/:id/status',
+  requireAdminRole('support'),
+  [
+    param('id').isUUID().withMessage('Review ID must be a UUID'),
+    body('status').isIn(REVIEW_STATUSES).withMessage(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`),
+    body('reason').if(body('status').equals('hidden')).isString().trim().notEmpty().withMessage('A reason is required to hide a review')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const review = await databaseService.getReview(req.params.id);
+      if (!review) {
+        return res.status(404).json({
+          success: false,
+          message: 'Review not found'
+        });
+      }
+
+      const { status, reason } = req.body;
+      const updatedReview = await databaseService.updateReview(review.id, {
+        status,
+        moderation_reason: reason || null,
+        moderated_by: req.admin.id,
+        moderated_at: new Date().toISOString()
+      });
+
+      await auditService.record(req, {
+        action: 'review.status.update',
+        entityType: 'review',
+        entityId: review.id,
+        before: { status: review.status, moderation_reason: review.moderation_reason },
+        after: { status: updatedReview.status, moderation_reason: updatedReview.moderation_reason },
+        reason
+      });
+
+      return res.status(200).json({
+        success: true,
+        message: `Review ${status === 'hidden' ? 'hidden' : 'published'} successfully`,
+        data: reviewService.present(updatedReview, req.user)
+      });
+    } catch (error) {
+      console.error('Update review status error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to update review status',
+        error: error.message
+      });
+    }
+  }
+);
+
+// Parse audit log filters shared by the list and export endpoints
+const getAuditLogFilters = (query) => ({
+  actor_id: query.actor_id || undefined,
+  action: query.action || undefined,
+  entity_type: query.entity_type || undefined,
+  entity_id: query.entity_id || undefined,
+  from: query.from || undefined,
+  to: query.to || undefined
+});
+
+const auditLogQueryValidators = [
+  query('actor_id').optional().isUUID().withMessage('Actor ID must be a UUID'),
+  query('from').optional().isISO8601().withMessage('From must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('To must be an ISO 8601 date')
+];
+
+const AUDIT_LOG_EXPORT_LIMIT = 10000;
+// Fetched page by page, since the database caps the rows returned per request
+const AUDIT_LOG_EXPORT_PAGE_SIZE = 500;
+
+// GET /api/admin/audit-log - Query the admin audit log (Super admin only)
+router.get('/audit-log',
+  requireSuperAdmin,
+  [
+    ...auditLogQueryValidators,
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const limit = req.query.limit ? parseInt(req.query.limit) : 100;
+      const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+      const { entries, total } = await databaseService.getAuditLogEntries({
+        ...getAuditLogFilters(req.query),
+        limit,
+        offset
+      });
+
+      return res.status(200).json({
+        success: true,
+        data: entries,
+        count: entries.length,
+        total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error('Get audit log error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch audit log',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/admin/audit-log/export - Download the filtered audit log as CSV (Super admin only)
+router.get('/audit-log/export',
+  requireSuperAdmin,
+  auditLogQueryValidators,
+  handleValidation,
+  async (req, res) => {
+    try {
+      const filters = getAuditLogFilters(req.query);
+      // Entries recorded while paging would shift the pages, so stop at the time the export started
+      const exportFilters = {
+        ...filters,
+        to: filters.to && new Date(filters.to) < new Date() ? filters.to : new Date().toISOString()
+      };
+
+      const entries = [];
+      let total = 0;
+      do {
+        const page = await databaseService.getAuditLogEntries({
+          ...exportFilters,
+          limit: AUDIT_LOG_EXPORT_PAGE_SIZE,
+          offset: entries.length
+        });
+        total = page.total;
+
+        if (total > AUDIT_LOG_EXPORT_LIMIT) {
+          return res.status(400).json({
+            success: false,
+            message: `${total} entries match these filters; narrow them to at most ${AUDIT_LOG_EXPORT_LIMIT} to export`
+          });
+        }
+
+        entries.push(...page.entries);
+        if (page.entries.length === 0) break;
+      } while (entries.length < total);
+
+      await auditService.record(req, {
+        action: 'audit_log.export',
+        entityType: 'audit_log',
+        after: { filters, rows: entries.length }
+      });
+
+      const filename = `audit-log-${new Date().toISOString().split('T')[0]}.csv`;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.status(200).send(auditService.toCsv(entries));
+    } catch (error) {
+      console.error('Export audit log error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to export audit log',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -2,7 +2,12 @@ const express = require('express');
 const router = express.Router();
 const databaseService = require('../services/databaseService');
 const whatsappService = require('../services/whatsappService');
+const orderService = require('../services/orderService');
+const negotiationService = require('../services/negotiationService');
+const profileSerializer = require('../services/profileSerializer');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { normalizeSizeBreakdown, reconcileQuantity, getBreakdownTotal } = require('../utils/sizeBreakdown');
 
 let io = null;
 
@@ -10,8 +15,14 @@ router.setIo = (socketIo) => {
   io = socketIo;
 };
 
+// Check whether a user is the buyer who owns the AI design or the manufacturer who quoted
+const isResponseParty = (user, response, aiDesign) => (
+  (user.role === 'buyer' && aiDesign.buyer_id === user.userId) ||
+  (user.role === 'manufacturer' && response.manufacturer_id === user.userId)
+);
+
 // POST /api/ai-design-responses - Create response to AI design (Manufacturer only)
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, rateLimit('quote:submit'), async (req, res) => {
   try {
     if (req.user.role !== 'manufacturer') {
       return res.status(403).json({
@@ -20,7 +31,7 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    const { ai_design_id, price_per_unit, quantity } = req.body;
+    const { ai_design_id, price_per_unit, size_breakdown } = req.body;
 
     if (!ai_design_id) {
       return res.status(400).json({
@@ -36,62 +47,94 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    if (!quantity || quantity <= 0) {
+    const aiDesign = await databaseService.getAIDesign(ai_design_id);
+    if (!aiDesign) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI design not found'
+      });
+    }
+
+    // Quotes cover the design's sizes unless the manufacturer quotes their own sizes or a different quantity
+    let quantity = req.body.quantity !== undefined && req.body.quantity !== null ? parseInt(req.body.quantity) : null;
+    let sizeRows = [];
+    if (size_breakdown !== undefined && size_breakdown !== null) {
+      const sizeResult = normalizeSizeBreakdown(size_breakdown, { allowPrices: true });
+      if (!sizeResult.valid) {
+        return res.status(400).json({
+          success: false,
+          message: sizeResult.error
+        });
+      }
+      sizeRows = sizeResult.rows;
+    } else {
+      const designRows = aiDesign.size_breakdown || [];
+      if (quantity === null || quantity === getBreakdownTotal(designRows)) {
+        sizeRows = designRows;
+      }
+    }
+
+    const reconciled = reconcileQuantity(quantity, sizeRows);
+    if (reconciled.error) {
       return res.status(400).json({
         success: false,
-        message: 'Quantity must be greater than 0'
+        message: reconciled.error
       });
     }
+    quantity = reconciled.quantity;
 
-    const aiDesign = await databaseService.getAIDesign(ai_design_id);
-    if (!aiDesign) {
-      return res.status(404).json({
+    if (!quantity || quantity <= 0) {
+      return res.status(400).json({
         success: false,
-        message: 'AI design not found'
+        message: 'Quantity must be greater than 0'
       });
     }
 
+    let withdrawnResponse = null;
     try {
       const existingResponses = await databaseService.getAIDesignResponses(ai_design_id);
-      const hasExistingResponse = existingResponses.some(
+      const existingResponse = existingResponses.find(
         (resp) => resp.manufacturer_id === req.user.userId
       );
 
-      if (hasExistingResponse) {
+      if (existingResponse && existingResponse.status !== 'withdrawn') {
         return res.status(409).json({
           success: false,
           message: 'You have already responded to this AI design. You can only respond once per design.'
         });
       }
+
+      withdrawnResponse = existingResponse || null;
     } catch (checkError) {
       // Continue - unique constraint will catch duplicates
     }
 
-    const pricePerUnit = parseFloat(price_per_unit);
-    const qty = parseInt(quantity);
-    const basePrice = pricePerUnit * qty;
-    const gst = basePrice * 0.05;
-    const platformFee = basePrice * 0.10;
-    const quotedPrice = basePrice + gst + platformFee;
-
-    const responseData = {
-      ai_design_id,
-      manufacturer_id: req.user.userId,
-      price_per_unit: pricePerUnit,
-      quantity: qty,
-      gst: parseFloat(gst.toFixed(2)),
-      platform_fee: parseFloat(platformFee.toFixed(2)),
-      quoted_price: parseFloat(quotedPrice.toFixed(2)),
-      status: 'submitted'
-    };
+    const quote = await negotiationService.priceTerms('ai_design', {
+      price_per_unit: parseFloat(price_per_unit),
+      quantity,
+      size_breakdown: sizeRows
+    }, { productCategory: aiDesign.apparel_type, manufacturerId: req.user.userId });
+
+    let response;
+    if (withdrawnResponse) {
+      // A withdrawn quote is re-opened rather than duplicated, keeping its revision history
+      response = await negotiationService.resubmitAIDesignQuote(withdrawnResponse, quote);
+    } else {
+      response = await databaseService.createAIDesignResponse({
+        ai_design_id,
+        manufacturer_id: req.user.userId,
+        ...quote,
+        status: 'submitted'
+      });
+      await negotiationService.ensureRevisionHistory('ai_design', response, negotiationService.getAIDesignBindingTerms(response));
+    }
 
-    const response = await databaseService.createAIDesignResponse(responseData);
     const manufacturer = await databaseService.findManufacturerProfile(response.manufacturer_id);
     
     const enrichedResponse = {
       ...response,
       ai_design: { ...aiDesign, buyer_id: aiDesign.buyer_id },
-      manufacturer: manufacturer || null
+      manufacturer: profileSerializer.manufacturer(manufacturer, 'public')
     };
 
     if (io) {
@@ -234,14 +277,51 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
       });
     }
 
-    const updatedResponse = await databaseService.updateAIDesignResponse(id, { status });
+    const statusError = negotiationService.validateStatusChange(existingResponse, status);
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError
+      });
+    }
+
+    // A design is made by one manufacturer; once a quote is accepted the others can only be rejected
+    if (status === 'accepted') {
+      const designResponses = await databaseService.getAIDesignResponses(aiDesign.id);
+      if (designResponses.some((response) => response.status === 'accepted')) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another quote on this design has already been accepted'
+        });
+      }
+    }
+
+    // Change the status first and only if no concurrent request changed it or accepted another quote,
+    // so the loser of a race never touches the revisions
+    const statusUpdated = await databaseService.updateAIDesignResponseStatus(id, existingResponse.status, { status });
+    if (!statusUpdated) {
+      return res.status(409).json({
+        success: false,
+        message: status === 'accepted'
+          ? 'This quote has changed or another quote on this design has already been accepted'
+          : 'This quote has changed; reload it and try again'
+      });
+    }
+
+    const updatedResponse = await negotiationService.closeNegotiation('ai_design', statusUpdated, status);
     const manufacturer = await databaseService.findManufacturerProfile(existingResponse.manufacturer_id);
     const buyer = await databaseService.findBuyerProfile(aiDesign.buyer_id);
 
+    let order = null;
+    if (status === 'accepted') {
+      order = await orderService.createOrderFromAIDesignResponse(updatedResponse, aiDesign);
+    }
+
+    // Sent to the manufacturer, who gets the buyer's contact details once their quote is accepted
     const enrichedResponse = {
       ...updatedResponse,
-      ai_design: { ...aiDesign, buyer: buyer || null },
-      manufacturer: manufacturer || null
+      ai_design: { ...aiDesign, buyer: profileSerializer.buyer(buyer, status === 'accepted' ? 'counterparty' : 'public') },
+      manufacturer: profileSerializer.manufacturer(manufacturer, 'self')
     };
 
     if (io) {
@@ -249,6 +329,10 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
         response: enrichedResponse,
         status: status
       });
+
+      if (order) {
+        io.to(`user:${order.buyer_id}`).to(`user:${order.manufacturer_id}`).emit('order:new', { order: profileSerializer.order(order) });
+      }
     }
 
     (async () => {
@@ -264,7 +348,8 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
     return res.status(200).json({
       success: true,
       message: `Response ${status} successfully`,
-      data: updatedResponse
+      data: updatedResponse,
+      order: profileSerializer.order(order, req.user)
     });
   } catch (error) {
     console.error('Update AI design response status error:', error);
@@ -276,4 +361,298 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/ai-design-responses/:id/revisions - Get quote revision history (Buyer or Manufacturer party)
+router.get('/:id/revisions', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const response = await databaseService.getAIDesignResponse(id);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI design response not found'
+      });
+    }
+
+    const aiDesign = await databaseService.getAIDesign(response.ai_design_id);
+    if (!aiDesign || !isResponseParty(req.user, response, aiDesign)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this negotiation'
+      });
+    }
+
+    const revisions = await databaseService.getAIDesignResponseRevisions(id);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        binding: negotiationService.getAIDesignBindingTerms(response),
+        agreed_revision_no: response.agreed_revision_no || null,
+        revisions
+      },
+      count: revisions.length
+    });
+  } catch (error) {
+    console.error('Get AI design response revisions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch negotiation history',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/ai-design-responses/:id/revisions - Propose a counter-offer or revised quote (Buyer or Manufacturer)
+router.post('/:id/revisions', authenticateToken, rateLimit('quote:submit'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const response = await databaseService.getAIDesignResponse(id);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI design response not found'
+      });
+    }
+
+    const aiDesign = await databaseService.getAIDesign(response.ai_design_id);
+    if (!aiDesign || !isResponseParty(req.user, response, aiDesign)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to negotiate on this response'
+      });
+    }
+
+    if (!negotiationService.isNegotiable(response)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot negotiate on a response that is ${response.status}`
+      });
+    }
+
+    const bindingTerms = negotiationService.getAIDesignBindingTerms(response);
+    const { error: termsError, terms } = negotiationService.buildAIDesignProposedTerms(req.body, bindingTerms);
+    if (termsError) {
+      return res.status(400).json({
+        success: false,
+        message: termsError
+      });
+    }
+
+    const pricedTerms = await negotiationService.priceTerms('ai_design', terms, {
+      productCategory: aiDesign.apparel_type,
+      manufacturerId: response.manufacturer_id
+    });
+
+    const revision = await negotiationService.proposeRevision('ai_design', response, bindingTerms, req.user, pricedTerms, req.body.notes);
+
+    const recipientId = req.user.role === 'buyer' ? response.manufacturer_id : aiDesign.buyer_id;
+
+    if (io) {
+      io.to(`user:${recipientId}`).emit('ai-design:response:revision:new', {
+        responseId: id,
+        aiDesignId: aiDesign.id,
+        revision
+      });
+    }
+
+    (async () => {
+      try {
+        const recipient = req.user.role === 'buyer'
+          ? await databaseService.findManufacturerProfile(recipientId)
+          : await databaseService.findBuyerProfile(recipientId);
+        if (recipient && recipient.phone_number) {
+          await whatsappService.notifyAIDesignCounterOffer(recipient.phone_number, revision, aiDesign);
+        }
+      } catch (waError) {
+        console.error('WhatsApp notification error:', waError.message);
+      }
+    })();
+
+    return res.status(201).json({
+      success: true,
+      message: req.user.role === 'buyer' ? 'Counter-offer submitted successfully' : 'Revised quote submitted successfully',
+      data: revision
+    });
+  } catch (error) {
+    console.error('Create AI design response revision error:', error);
+
+    if (error.message && error.message.includes('uq_ai_design_response_revision')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another revision was submitted at the same time. Please refresh and try again.'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to submit revision',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/ai-design-responses/:id/revisions/:revisionId/status - Accept or reject a counter-offer or revised quote
+router.patch('/:id/revisions/:revisionId/status', authenticateToken, async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    const { status } = req.body;
+
+    if (!status || !['accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be either "accepted" or "rejected"'
+      });
+    }
+
+    const response = await databaseService.getAIDesignResponse(id);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI design response not found'
+      });
+    }
+
+    const aiDesign = await databaseService.getAIDesign(response.ai_design_id);
+    if (!aiDesign || !isResponseParty(req.user, response, aiDesign)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to negotiate on this response'
+      });
+    }
+
+    const revision = await databaseService.getAIDesignResponseRevisionById(revisionId);
+    if (!revision || revision.response_id !== id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    if (!negotiationService.isNegotiable(response) || !negotiationService.canRespondToRevision(revision, req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This revision is not awaiting your response'
+      });
+    }
+
+    let updatedRevision;
+    let updatedResponse = response;
+
+    if (status === 'accepted') {
+      ({ revision: updatedRevision, response: updatedResponse } = await negotiationService.acceptRevision('ai_design', response, revision));
+    } else {
+      updatedRevision = await negotiationService.rejectRevision('ai_design', revision);
+    }
+
+    const recipientId = req.user.role === 'buyer' ? response.manufacturer_id : aiDesign.buyer_id;
+
+    if (io) {
+      io.to(`user:${recipientId}`).emit('ai-design:response:revision:updated', {
+        responseId: id,
+        aiDesignId: aiDesign.id,
+        revision: updatedRevision,
+        response: updatedResponse,
+        status
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Revision ${status} successfully`,
+      data: {
+        revision: updatedRevision,
+        response: updatedResponse
+      }
+    });
+  } catch (error) {
+    console.error('Update AI design response revision status error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update revision status',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/ai-design-responses/:id/withdraw - Withdraw a quote before it is accepted (Manufacturer only)
+router.patch('/:id/withdraw', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (req.user.role !== 'manufacturer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only manufacturers can withdraw their quotes'
+      });
+    }
+
+    const response = await databaseService.getAIDesignResponse(id);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI design response not found'
+      });
+    }
+
+    if (response.manufacturer_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to withdraw this quote'
+      });
+    }
+
+    if (!negotiationService.isNegotiable(response)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot withdraw a quote that is ${response.status}`
+      });
+    }
+
+    await negotiationService.closeNegotiation('ai_design', response, 'withdrawn');
+
+    const updatedResponse = await databaseService.updateAIDesignResponse(id, {
+      status: 'withdrawn',
+      withdrawn_at: new Date().toISOString()
+    });
+
+    const aiDesign = await databaseService.getAIDesign(response.ai_design_id);
+
+    if (io && aiDesign) {
+      io.to(`user:${aiDesign.buyer_id}`).emit('ai-design:response:withdrawn', {
+        responseId: id,
+        aiDesignId: aiDesign.id,
+        response: updatedResponse
+      });
+    }
+
+    (async () => {
+      try {
+        if (!aiDesign) return;
+        const buyer = await databaseService.findBuyerProfile(aiDesign.buyer_id);
+        const manufacturer = await databaseService.findManufacturerProfile(req.user.userId);
+        if (buyer && buyer.phone_number) {
+          await whatsappService.notifyAIDesignQuoteWithdrawn(buyer.phone_number, aiDesign, manufacturer);
+        }
+      } catch (waError) {
+        console.error('WhatsApp notification error:', waError.message);
+      }
+    })();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Quote withdrawn successfully',
+      data: updatedResponse
+    });
+  } catch (error) {
+    console.error('Withdraw AI design response error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw quote',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
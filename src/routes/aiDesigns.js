@@ -2,8 +2,15 @@ const express = require('express');
 const router = express.Router();
 const databaseService = require('../services/databaseService');
 const whatsappService = require('../services/whatsappService');
+const auditService = require('../services/auditService');
+const adminService = require('../services/adminService');
+const designGenerationService = require('../services/designGeneration');
+const aiDesignVersionService = require('../services/aiDesignVersionService');
+const searchService = require('../services/searchService');
+const profileSerializer = require('../services/profileSerializer');
 const { authenticateToken } = require('../middleware/auth');
 const { uploadBase64Image } = require('../config/cloudinary');
+const { normalizeSizeBreakdown, reconcileQuantity } = require('../utils/sizeBreakdown');
 
 let io = null;
 
@@ -11,10 +18,77 @@ router.setIo = (socketIo) => {
   io = socketIo;
 };
 
-const isBase64Image = (str) => {
-  if (!str || typeof str !== 'string') return false;
-  return str.startsWith('data:image/') || 
-         (str.length > 100 && /^[A-Za-z0-9+/=]+$/.test(str.replace(/\s/g, '')));
+const { isBase64Image, VARIATION_TYPES } = aiDesignVersionService;
+
+const VARIATION_TYPE_LABELS = {
+  recolor: 'Preferred colors',
+  placement: 'Print placement',
+  apparel_type: 'Apparel type'
+};
+
+/**
+ * Load a design for the buyer who owns it, sending the error response otherwise
+ * @returns {Promise<Object|null>} Design, or null when a response has been sent
+ */
+const getOwnedDesign = async (req, res, action) => {
+  if (req.user.role !== 'buyer') {
+    res.status(403).json({
+      success: false,
+      message: `Only buyers can ${action}`
+    });
+    return null;
+  }
+
+  const design = await databaseService.getAIDesign(req.params.id);
+  if (!design) {
+    res.status(404).json({
+      success: false,
+      message: 'AI design not found'
+    });
+    return null;
+  }
+
+  if (design.buyer_id !== req.user.userId) {
+    res.status(403).json({
+      success: false,
+      message: `You do not have permission to ${action}`
+    });
+    return null;
+  }
+
+  return design;
+};
+
+/**
+ * Validate an optional size breakdown and the quantity sent with it
+ * @returns {{ error?: string, sizeBreakdown?: Array|null, quantity?: number|null }} sizeBreakdown is null when none was sent
+ */
+const parseSizes = (body) => {
+  const quantity = body.quantity !== undefined && body.quantity !== null && body.quantity !== '' ? Number(body.quantity) : null;
+  if (body.size_breakdown === undefined || body.size_breakdown === null) {
+    return { sizeBreakdown: null, quantity };
+  }
+
+  const sizeResult = normalizeSizeBreakdown(body.size_breakdown);
+  if (!sizeResult.valid) {
+    return { error: sizeResult.error };
+  }
+
+  const reconciled = reconcileQuantity(quantity, sizeResult.rows);
+  if (reconciled.error) {
+    return { error: reconciled.error };
+  }
+  return { sizeBreakdown: sizeResult.rows, quantity: reconciled.quantity };
+};
+
+// Send the quota response when a generation could not be debited
+const sendQuotaExhausted = (res, result) => {
+  res.set('Retry-After', String(result.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: result.message,
+    data: { quota: result.quota }
+  });
 };
 
 // POST /api/ai-designs - Create new AI design (Buyer only)
@@ -31,10 +105,11 @@ router.post('/', authenticateToken, async (req, res) => {
       image_url,
       apparel_type,
       design_description,
-      quantity,
       preferred_colors,
       print_placement,
-      status
+      status,
+      generation_id,
+      prompt
     } = req.body;
 
     if (!image_url || image_url.trim().length === 0) {
@@ -51,6 +126,16 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    // Quantity can be left out when sizes are given
+    const sizes = parseSizes(req.body);
+    if (sizes.error) {
+      return res.status(400).json({
+        success: false,
+        message: sizes.error
+      });
+    }
+
+    const { quantity } = sizes;
     if (!quantity || quantity <= 0) {
       return res.status(400).json({
         success: false,
@@ -88,12 +173,24 @@ router.post('/', authenticateToken, async (req, res) => {
       apparel_type: apparel_type.trim(),
       design_description: design_description ? design_description.trim() : null,
       quantity: parseInt(quantity),
+      size_breakdown: sizes.sizeBreakdown || [],
       preferred_colors: preferred_colors ? preferred_colors.trim() : null,
       print_placement: print_placement ? print_placement.trim() : null,
       status: status || 'draft'
     };
 
-    const aiDesign = await databaseService.createAIDesign(aiDesignData);
+    let aiDesign = await databaseService.createAIDesign(aiDesignData);
+
+    // Images from POST /generate keep their prompt and generation in the version history
+    let generation = null;
+    if (generation_id) {
+      const entry = await databaseService.getDesignLedgerEntry(generation_id).catch(() => null);
+      generation = entry && entry.buyer_id === req.user.userId && entry.entry_type === 'generation' ? entry : null;
+    }
+
+    ({ design: aiDesign } = await aiDesignVersionService.recordInitialVersion(aiDesign, generation
+      ? { source: 'generated', prompt: typeof prompt === 'string' ? prompt : null, generation_id: generation.id }
+      : {}));
 
     return res.status(201).json({
       success: true,
@@ -110,6 +207,102 @@ router.post('/', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/ai-designs/generate - Generate a design image from a brief (Buyer only)
+// Uses one design generation from the buyer's quota; publish the result with POST /api/ai-designs
+router.post('/generate', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'buyer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only buyers can generate AI designs'
+      });
+    }
+
+    const { apparel_type, preferred_colors, print_placement, design_description } = req.body;
+
+    if (!apparel_type || typeof apparel_type !== 'string' || apparel_type.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Apparel type is required'
+      });
+    }
+
+    const optionalFields = { preferred_colors, print_placement, design_description };
+    const invalidField = Object.keys(optionalFields)
+      .find((field) => optionalFields[field] !== undefined && optionalFields[field] !== null && typeof optionalFields[field] !== 'string');
+    if (invalidField) {
+      return res.status(400).json({
+        success: false,
+        message: `${invalidField} must be a string`
+      });
+    }
+
+    if (design_description && design_description.length > 1000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Design description must be 1000 characters or less'
+      });
+    }
+
+    const buyer = await databaseService.findBuyerProfile(req.user.userId);
+    if (!buyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Buyer profile not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await designGenerationService.generate(buyer, {
+        apparel_type,
+        preferred_colors,
+        print_placement,
+        design_description
+      });
+    } catch (generationError) {
+      console.error('AI design generation failed:', generationError);
+      return res.status(502).json({
+        success: false,
+        message: 'Design generation failed. Your generation was not counted, please try again.',
+        error: generationError.message
+      });
+    }
+
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: result.message,
+        data: { quota: result.quota }
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'AI design generated successfully',
+      data: {
+        image_url: result.image.url,
+        public_id: result.image.public_id,
+        width: result.image.width,
+        height: result.image.height,
+        prompt: result.prompt,
+        provider: result.provider,
+        model: result.model,
+        generation_id: result.generationId,
+        quota: result.quota
+      }
+    });
+  } catch (error) {
+    console.error('Generate AI design error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate AI design',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/ai-designs - Get AI designs
 router.get('/', authenticateToken, async (req, res) => {
   try {
@@ -129,8 +322,9 @@ router.get('/', authenticateToken, async (req, res) => {
       delete buyerOptions.status;
       aiDesigns = await databaseService.getBuyerAIDesigns(req.user.userId, buyerOptions);
     } else if (req.user.role === 'manufacturer') {
-      aiDesigns = await databaseService.getAllAIDesigns(options);
-    } else if (req.user.role === 'admin') {
+      aiDesigns = (await databaseService.getAllAIDesigns(options))
+        .map((aiDesign) => ({ ...aiDesign, buyer: profileSerializer.buyer(aiDesign.buyer, 'public') }));
+    } else if (req.user.role === 'admin' && adminService.hasRole(req.user.adminRole, ['support', 'verifier'])) {
       options.includeBuyer = true;
       aiDesigns = await databaseService.getAllAIDesigns(options);
     } else {
@@ -165,6 +359,43 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/ai-designs/search - Full-text search with facet counts (Manufacturer only)
+// ?q=&apparel_type=a,b&quantity_range=|min_quantity=&max_quantity=&created_within=|created_from=&created_to=&not_quoted=true
+// Note: This route MUST come before /:id to avoid route conflicts
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'manufacturer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only manufacturers can search AI designs'
+      });
+    }
+
+    const { errors, values } = searchService.parseFilters(req.query, 'apparel_type');
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search',
+        errors
+      });
+    }
+
+    const search = await searchService.searchAIDesigns(req.user.userId, values);
+
+    return res.status(200).json({
+      success: true,
+      data: search
+    });
+  } catch (error) {
+    console.error('Search AI designs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to search AI designs',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/ai-designs/conversation/:conversationId/accepted - Get accepted AI designs for conversation
 // Note: This route MUST come before /:id to avoid route conflicts
 router.get('/conversation/:conversationId/accepted', authenticateToken, async (req, res) => {
@@ -233,7 +464,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const buyer = await databaseService.findBuyerProfile(aiDesign.buyer_id);
     const enrichedAIDesign = {
       ...aiDesign,
-      buyer: buyer || null
+      buyer: await profileSerializer.buyerFor(req.user, buyer)
     };
 
     return res.status(200).json({
@@ -250,7 +481,283 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// PATCH /api/ai-designs/:id/push - Push AI design to manufacturers (Buyer only)
+// GET /api/ai-designs/:id/versions - Get a design's version history (Owner or Admin)
+router.get('/:id/versions', authenticateToken, async (req, res) => {
+  try {
+    const aiDesign = await databaseService.getAIDesign(req.params.id);
+
+    if (!aiDesign) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI design not found'
+      });
+    }
+
+    const isOwner = req.user.role === 'buyer' && aiDesign.buyer_id === req.user.userId;
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this AI design\'s versions'
+      });
+    }
+
+    const { design, versions } = await aiDesignVersionService.getVersions(aiDesign);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        current_version_id: design.current_version_id,
+        versions
+      },
+      count: versions.length
+    });
+  } catch (error) {
+    console.error('Get AI design versions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch AI design versions',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/ai-designs/:id/versions - Add a version with a new image or brief (Buyer only)
+// Without image_url the image is generated from the updated brief, using one design generation
+router.post('/:id/versions', authenticateToken, async (req, res) => {
+  try {
+    const aiDesign = await getOwnedDesign(req, res, 'add versions to this AI design');
+    if (!aiDesign) return;
+
+    const { image_url, notes } = req.body;
+    const changes = aiDesignVersionService.pickBrief(req.body);
+
+    if (changes.apparel_type === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Apparel type cannot be empty'
+      });
+    }
+
+    if (image_url !== undefined && (typeof image_url !== 'string' || image_url.trim().length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image URL cannot be empty'
+      });
+    }
+
+    if (!image_url && Object.keys(changes).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide an image or change the brief to create a version'
+      });
+    }
+
+    const buyer = await databaseService.findBuyerProfile(req.user.userId);
+    if (!buyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Buyer profile not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await aiDesignVersionService.addVersion(aiDesign, buyer, {
+        changes,
+        image: image_url || null,
+        notes
+      });
+    } catch (versionError) {
+      console.error('AI design version image failed:', versionError);
+      return res.status(502).json({
+        success: false,
+        message: image_url
+          ? 'Failed to upload the version image'
+          : 'Design generation failed. Your generation was not counted, please try again.',
+        error: versionError.message
+      });
+    }
+
+    if (!result.allowed) {
+      return sendQuotaExhausted(res, result);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: `Version ${result.version.version_no} added`,
+      data: {
+        design: result.design,
+        version: result.version,
+        quota: result.quota
+      }
+    });
+  } catch (error) {
+    console.error('Create AI design version error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add AI design version',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/ai-designs/:id/variations - Create a variation linked to this design (Buyer only)
+// variation_type recolor, placement or apparel_type requires preferred_colors, print_placement or apparel_type.
+// Without image_url the image is generated, using one design generation.
+router.post('/:id/variations', authenticateToken, async (req, res) => {
+  try {
+    const parentDesign = await getOwnedDesign(req, res, 'create variations of this AI design');
+    if (!parentDesign) return;
+
+    const { variation_type, image_url, notes } = req.body;
+
+    const changedField = VARIATION_TYPES[variation_type];
+    if (!changedField) {
+      return res.status(400).json({
+        success: false,
+        message: `Variation type must be one of: ${Object.keys(VARIATION_TYPES).join(', ')}`
+      });
+    }
+
+    const changes = aiDesignVersionService.pickBrief(req.body);
+    if (!changes[changedField]) {
+      return res.status(400).json({
+        success: false,
+        message: `${VARIATION_TYPE_LABELS[variation_type]} is required for a ${variation_type} variation`
+      });
+    }
+
+    if (changes[changedField] === parentDesign[changedField]) {
+      return res.status(400).json({
+        success: false,
+        message: `${VARIATION_TYPE_LABELS[variation_type]} must differ from the original design`
+      });
+    }
+
+    if (changes.apparel_type === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Apparel type cannot be empty'
+      });
+    }
+
+    const sizes = parseSizes(req.body);
+    if (sizes.error) {
+      return res.status(400).json({
+        success: false,
+        message: sizes.error
+      });
+    }
+
+    const { quantity } = sizes;
+    if (quantity !== null && (!Number.isInteger(quantity) || quantity <= 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be greater than 0'
+      });
+    }
+
+    if (image_url !== undefined && (typeof image_url !== 'string' || image_url.trim().length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Image URL cannot be empty'
+      });
+    }
+
+    const buyer = await databaseService.findBuyerProfile(req.user.userId);
+    if (!buyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Buyer profile not found'
+      });
+    }
+
+    let result;
+    try {
+      result = await aiDesignVersionService.createVariation(parentDesign, buyer, {
+        variationType: variation_type,
+        changes,
+        image: image_url || null,
+        quantity,
+        sizeBreakdown: sizes.sizeBreakdown,
+        notes
+      });
+    } catch (variationError) {
+      console.error('AI design variation image failed:', variationError);
+      return res.status(502).json({
+        success: false,
+        message: image_url
+          ? 'Failed to upload the variation image'
+          : 'Design generation failed. Your generation was not counted, please try again.',
+        error: variationError.message
+      });
+    }
+
+    if (!result.allowed) {
+      return sendQuotaExhausted(res, result);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'AI design variation created',
+      data: {
+        design: result.design,
+        version: result.version,
+        quota: result.quota
+      }
+    });
+  } catch (error) {
+    console.error('Create AI design variation error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create AI design variation',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/ai-designs/:id/lineage - Get the designs this one was derived from and its variations (Owner or Admin)
+router.get('/:id/lineage', authenticateToken, async (req, res) => {
+  try {
+    const aiDesign = await databaseService.getAIDesign(req.params.id);
+
+    if (!aiDesign) {
+      return res.status(404).json({
+        success: false,
+        message: 'AI design not found'
+      });
+    }
+
+    const isOwner = req.user.role === 'buyer' && aiDesign.buyer_id === req.user.userId;
+    if (!isOwner && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this AI design\'s lineage'
+      });
+    }
+
+    const { ancestors, variations } = await aiDesignVersionService.getLineage(aiDesign);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        design: aiDesign,
+        ancestors,
+        variations
+      }
+    });
+  } catch (error) {
+    console.error('Get AI design lineage error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch AI design lineage',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/ai-designs/:id/push - Publish a version of an AI design to manufacturers (Buyer only)
+// Body version_id picks the version; defaults to the newest
 router.patch('/:id/push', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
@@ -278,16 +785,54 @@ router.patch('/:id/push', authenticateToken, async (req, res) => {
       });
     }
 
-    const updatedDesign = await databaseService.updateAIDesign(id, { status: 'published' });
+    const { version_id } = req.body || {};
+    if (version_id !== undefined && version_id !== null && (typeof version_id !== 'string' || version_id.trim().length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version ID must be a non-empty string'
+      });
+    }
+
+    const wasPublished = existingAIDesign.status === 'published';
+    const published = await aiDesignVersionService.publishVersion(existingAIDesign, version_id ? version_id.trim() : null);
+
+    if (!published) {
+      return res.status(404).json({
+        success: false,
+        message: 'Version not found for this AI design'
+      });
+    }
+
+    if (published.locked) {
+      return res.status(409).json({
+        success: false,
+        message: 'Manufacturers have already quoted on this design, so its version cannot be changed. Create a variation to publish a different version.'
+      });
+    }
+
+    const { design: updatedDesign, version } = published;
 
     const buyer = await databaseService.findBuyerProfile(updatedDesign.buyer_id);
     const enrichedAIDesign = {
       ...updatedDesign,
-      buyer: buyer || null
+      buyer: profileSerializer.buyer(buyer, 'public')
     };
 
+    // Re-publishing swaps the version manufacturers see; they were already notified of the design
+    if (wasPublished) {
+      if (io) {
+        io.to('role:manufacturer').emit('ai-design:updated', { aiDesign: enrichedAIDesign, version });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: `Version ${version.version_no} is now published`,
+        data: { ...updatedDesign, version }
+      });
+    }
+
     if (io) {
-      io.to('role:manufacturer').emit('ai-design:new', { aiDesign: enrichedAIDesign });
+      io.to('role:manufacturer').emit('ai-design:new', { aiDesign: enrichedAIDesign, version });
     }
 
     (async () => {
@@ -306,7 +851,7 @@ router.patch('/:id/push', authenticateToken, async (req, res) => {
     return res.status(200).json({
       success: true,
       message: 'AI design pushed to manufacturers successfully',
-      data: updatedDesign
+      data: { ...updatedDesign, version }
     });
   } catch (error) {
     console.error('Push AI design error:', error);
@@ -332,7 +877,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const isAdmin = req.user.role === 'admin';
+    const isAdmin = req.user.role === 'admin' && adminService.hasRole(req.user.adminRole, ['support']);
     const isOwner = req.user.role === 'buyer' && existingAIDesign.buyer_id === req.user.userId;
 
     if (!isAdmin && !isOwner) {
@@ -344,6 +889,16 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
     await databaseService.deleteAIDesign(id);
 
+    if (isAdmin) {
+      await auditService.record(req, {
+        action: 'ai_design.delete',
+        entityType: 'ai_design',
+        entityId: id,
+        before: existingAIDesign,
+        reason: req.body && req.body.reason
+      });
+    }
+
     return res.status(200).json({
       success: true,
       message: 'AI design deleted successfully'
@@ -1,14 +1,73 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const authService = require('../services/authService');
+const adminService = require('../services/adminService');
+const auditService = require('../services/auditService');
+const kycService = require('../services/kycService');
+const quotaService = require('../services/quotaService');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { getClientInfo, getClientIp } = require('../utils/clientInfo');
+const { isValidTimeZone } = require('../utils/timezone');
 
 const router = express.Router();
 
-const ADMIN_CREDENTIALS = {
-  username: process.env.ADMIN_USERNAME || 'admin72397',
-  password: process.env.ADMIN_PASSWORD || '72397admin'
+let io = null;
+
+router.setIo = (socketIo) => {
+  io = socketIo;
+};
+
+/**
+ * Notify and disconnect the live sockets of revoked sessions
+ * @param {Array<string>} sessionIds - Revoked session family IDs
+ */
+const disconnectSessionSockets = (sessionIds) => {
+  if (!io) return;
+  sessionIds.forEach((sessionId) => {
+    io.to(`session:${sessionId}`).emit('session:revoked', { sessionId });
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  });
 };
 
+// Device sessions belong to buyers and manufacturers; admin tokens are not session-bound
+const rejectAdminSessions = (req, res, next) => {
+  if (req.user.role === 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin accounts do not have device sessions'
+    });
+  }
+  next();
+};
+
+// Profile fields a manufacturer may edit themselves; verification fields are admin-only
+const MANUFACTURER_EDITABLE_FIELDS = [
+  'unit_name',
+  'business_type',
+  'gst_number',
+  'pan_number',
+  'coi_number',
+  'msme_number',
+  'product_types',
+  'daily_capacity',
+  'location',
+  'latitude',
+  'longitude',
+  'manufacturing_unit_image_url',
+  'msme_file_url',
+  'other_certificates_url'
+];
+
+// Profile fields a buyer may edit themselves; the phone number is the login identity and plans are admin-only
+const BUYER_EDITABLE_FIELDS = [
+  'full_name',
+  'email',
+  'business_address',
+  'about_business',
+  'timezone'
+];
+
 const validatePhoneNumber = [
   body('phoneNumber')
     .isMobilePhone('any')
@@ -21,8 +80,8 @@ const validatePhoneNumber = [
     }),
   body('role')
     .optional()
-    .isIn(['buyer', 'manufacturer', 'admin'])
-    .withMessage('Role must be either buyer, manufacturer, or admin')
+    .isIn(['buyer', 'manufacturer'])
+    .withMessage('Role must be either buyer or manufacturer')
 ];
 
 const validateOTP = [
@@ -36,12 +95,12 @@ const validateOTP = [
     .withMessage('OTP must contain only numbers'),
   body('role')
     .optional()
-    .isIn(['buyer', 'manufacturer', 'admin'])
-    .withMessage('Role must be either buyer, manufacturer, or admin')
+    .isIn(['buyer', 'manufacturer'])
+    .withMessage('Role must be either buyer or manufacturer')
 ];
 
 // POST /api/auth/send-otp
-router.post('/send-otp', validatePhoneNumber, async (req, res) => {
+router.post('/send-otp', rateLimit('otp:send'), validatePhoneNumber, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -53,7 +112,7 @@ router.post('/send-otp', validatePhoneNumber, async (req, res) => {
     }
 
     const { phoneNumber, role = 'buyer' } = req.body;
-    const result = await authService.sendOTP(phoneNumber, role);
+    const result = await authService.sendOTP(phoneNumber, role, getClientIp(req));
 
     res.status(200).json({
       success: true,
@@ -61,12 +120,16 @@ router.post('/send-otp', validatePhoneNumber, async (req, res) => {
       data: {
         phoneNumber,
         expiresIn: result.expiresIn,
+        channel: result.channel,
         messageSid: result.messageSid
       }
     });
   } catch (error) {
     console.error('Send OTP error:', error);
-    res.status(400).json({
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.retryAfter ? 429 : 400).json({
       success: false,
       message: error.message || 'Failed to send OTP',
       error: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -87,7 +150,7 @@ router.post('/verify-otp', validateOTP, async (req, res) => {
     }
 
     const { phoneNumber, otp, role = 'buyer' } = req.body;
-    const result = await authService.verifyOTP(phoneNumber, otp, role);
+    const result = await authService.verifyOTP(phoneNumber, otp, role, getClientInfo(req));
 
     res.status(200).json({
       success: true,
@@ -95,12 +158,16 @@ router.post('/verify-otp', validateOTP, async (req, res) => {
       data: {
         user: result.user,
         token: result.token,
-        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+        refreshToken: result.refreshToken,
+        expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
       }
     });
   } catch (error) {
     console.error('Verify OTP error:', error);
-    res.status(400).json({
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    res.status(error.retryAfter ? 429 : 400).json({
       success: false,
       message: error.message || 'OTP verification failed',
       error: process.env.NODE_ENV === 'development' ? error.stack : undefined
@@ -109,34 +176,39 @@ router.post('/verify-otp', validateOTP, async (req, res) => {
 });
 
 // POST /api/auth/refresh-token
-router.post('/refresh-token', async (req, res) => {
+// Rotates the refresh token: the one presented is retired and a new pair is returned
+router.post('/refresh-token', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
   try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
         success: false,
-        message: 'No token provided'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const token = authHeader.substring(7);
-    const decoded = authService.verifyJWT(token);
-    const newToken = authService.generateJWT(decoded.userId, decoded.phoneNumber, decoded.role);
+    const result = await authService.refreshSession(req.body.refreshToken, getClientInfo(req));
 
     res.status(200).json({
       success: true,
       message: 'Token refreshed successfully',
       data: {
-        token: newToken,
-        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+        user: result.user,
+        token: result.accessToken,
+        refreshToken: result.refreshToken,
+        expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
       }
     });
   } catch (error) {
-    console.error('Refresh token error:', error);
+    console.error('Refresh token error:', error.message);
     res.status(401).json({
       success: false,
-      message: 'Invalid or expired token'
+      message: error.message === 'Refresh token reuse detected'
+        ? 'Refresh token has already been used. The session has been revoked, please log in again.'
+        : 'Invalid or expired refresh token'
     });
   }
 });
@@ -154,7 +226,7 @@ router.get('/verify-token', async (req, res) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = authService.verifyJWT(token);
+    const decoded = await authService.verifyAccessToken(token);
 
     res.status(200).json({
       success: true,
@@ -188,7 +260,10 @@ router.post('/logout', async (req, res) => {
     }
 
     const token = authHeader.substring(7);
-    await authService.logout(token);
+    const result = await authService.logout(token);
+    if (result.sessionId) {
+      disconnectSessionSockets([result.sessionId]);
+    }
 
     res.status(200).json({
       success: true,
@@ -203,6 +278,98 @@ router.post('/logout', async (req, res) => {
   }
 });
 
+// GET /api/auth/sessions
+router.get('/sessions', authenticateToken, rejectAdminSessions, async (req, res) => {
+  try {
+    const sessions = await authService.listSessions(req.user.userId, req.user.role, req.user.sessionId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: {
+        sessions,
+        count: sessions.length
+      }
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve sessions',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/auth/sessions/:sessionId
+router.delete('/sessions/:sessionId', authenticateToken, rejectAdminSessions, [
+  param('sessionId').isUUID().withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const revoked = await authService.revokeSession(req.user.userId, req.user.role, req.params.sessionId);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    disconnectSessionSockets([req.params.sessionId]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully',
+      data: { sessionId: req.params.sessionId }
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/auth/sessions - log out everywhere (?keep_current=true keeps this device signed in)
+router.delete('/sessions', authenticateToken, rejectAdminSessions, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keep_current === 'true';
+    const sessionIds = await authService.revokeAllSessions(
+      req.user.userId,
+      req.user.role,
+      keepCurrent ? req.user.sessionId : null
+    );
+
+    disconnectSessionSockets(sessionIds);
+
+    res.status(200).json({
+      success: true,
+      message: keepCurrent ? 'Logged out of all other sessions' : 'Logged out of all sessions',
+      data: {
+        revokedSessionIds: sessionIds,
+        count: sessionIds.length
+      }
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      error: error.message
+    });
+  }
+});
+
 // POST /api/auth/manufacturer-onboarding
 router.post('/manufacturer-onboarding', [
   body('unit_name').notEmpty().isLength({ min: 1, max: 255 }).withMessage('Unit name is required'),
@@ -210,9 +377,12 @@ router.post('/manufacturer-onboarding', [
   body('gst_number').notEmpty().isLength({ min: 1, max: 20 }).withMessage('GST number is required'),
   body('pan_number').optional().isLength({ min: 1, max: 20 }),
   body('coi_number').optional().isLength({ min: 1, max: 50 }),
+  body('msme_number').optional().isLength({ min: 1, max: 50 }),
   body('product_types').optional().isArray(),
   body('capacity').optional().isInt({ min: 0 }),
   body('location').optional().isLength({ min: 1, max: 1000 }),
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).toFloat(),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).toFloat(),
   body('manufacturing_unit_image_url').optional().isURL(),
   body('msme_file').optional(),
   body('other_certificates').optional()
@@ -236,7 +406,16 @@ router.post('/manufacturer-onboarding', [
     }
 
     const token = authHeader.substring(7);
-    const decoded = authService.verifyJWT(token);
+    const decoded = await authService.verifyAccessToken(token);
+
+    const kyc = kycService.validateDocumentFields(req.body);
+    if (kyc.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid KYC details',
+        errors: kyc.errors
+      });
+    }
 
     let profile = await authService.getProfileByPhone(decoded.phoneNumber, decoded.role);
     if (!profile) {
@@ -246,12 +425,15 @@ router.post('/manufacturer-onboarding', [
     const onboardingData = {
       unit_name: req.body.unit_name,
       business_type: req.body.business_type,
-      gst_number: req.body.gst_number,
-      pan_number: req.body.pan_number,
-      coi_number: req.body.coi_number,
+      gst_number: kyc.values.gst_number,
+      pan_number: kyc.values.pan_number,
+      coi_number: kyc.values.coi_number,
+      msme_number: kyc.values.msme_number,
       product_types: req.body.product_types || [],
       daily_capacity: req.body.capacity || 0,
       location: req.body.location,
+      latitude: req.body.latitude !== undefined ? req.body.latitude : null,
+      longitude: req.body.longitude !== undefined ? req.body.longitude : null,
       manufacturing_unit_image_url: req.body.manufacturing_unit_image_url || null,
       msme_file_url: req.body.msme_file ? (typeof req.body.msme_file === 'string' ? req.body.msme_file : null) : null,
       other_certificates_url: req.body.other_certificates ? (typeof req.body.other_certificates === 'string' ? req.body.other_certificates : null) : null,
@@ -260,11 +442,12 @@ router.post('/manufacturer-onboarding', [
     };
 
     const updatedProfile = await authService.submitManufacturerOnboarding(profile.id, onboardingData);
+    const { profile: syncedProfile, documents } = await kycService.syncProfileDocuments(updatedProfile);
 
     res.status(200).json({
       success: true,
       message: 'Onboarding completed successfully',
-      data: { profile: updatedProfile }
+      data: { profile: syncedProfile, documents }
     });
   } catch (error) {
     console.error('Onboarding submission error:', error);
@@ -287,7 +470,7 @@ router.get('/manufacturer-profile', async (req, res) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = authService.verifyJWT(token);
+    const decoded = await authService.verifyAccessToken(token);
 
     const profile = await authService.getProfileByPhone(decoded.phoneNumber, decoded.role);
     if (!profile) {
@@ -333,10 +516,15 @@ router.put('/manufacturer-profile', [
   body('gst_number').optional().isLength({ min: 1, max: 20 }),
   body('pan_number').optional().isLength({ min: 1, max: 20 }),
   body('coi_number').optional().isLength({ min: 1, max: 50 }),
+  body('msme_number').optional().isLength({ min: 1, max: 50 }),
   body('product_types').optional().isArray(),
   body('daily_capacity').optional().isInt({ min: 0 }),
   body('location').optional().isLength({ min: 1, max: 1000 }),
-  body('manufacturing_unit_image_url').optional().isURL()
+  body('latitude').optional({ nullable: true }).isFloat({ min: -90, max: 90 }).toFloat(),
+  body('longitude').optional({ nullable: true }).isFloat({ min: -180, max: 180 }).toFloat(),
+  body('manufacturing_unit_image_url').optional().isURL(),
+  body('msme_file_url').optional({ nullable: true }).isURL(),
+  body('other_certificates_url').optional({ nullable: true }).isURL()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -357,7 +545,7 @@ router.put('/manufacturer-profile', [
     }
 
     const token = authHeader.substring(7);
-    const decoded = authService.verifyJWT(token);
+    const decoded = await authService.verifyAccessToken(token);
 
     const profile = await authService.getProfileByPhone(decoded.phoneNumber, decoded.role);
     if (!profile) {
@@ -367,12 +555,29 @@ router.put('/manufacturer-profile', [
       });
     }
 
-    const updatedProfile = await authService.updateManufacturerProfile(profile.id, req.body);
+    const kyc = kycService.validateDocumentFields(req.body, profile);
+    if (kyc.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid KYC details',
+        errors: kyc.errors
+      });
+    }
+
+    const updateData = MANUFACTURER_EDITABLE_FIELDS.reduce((data, field) => {
+      if (req.body[field] !== undefined) {
+        data[field] = kyc.values[field] !== undefined ? kyc.values[field] : req.body[field];
+      }
+      return data;
+    }, {});
+
+    const updatedProfile = await authService.updateManufacturerProfile(profile.id, updateData);
+    const { profile: syncedProfile, documents } = await kycService.syncProfileDocuments(updatedProfile);
 
     res.status(200).json({
       success: true,
       message: 'Profile updated successfully',
-      data: { profile: updatedProfile }
+      data: { profile: syncedProfile, documents }
     });
   } catch (error) {
     console.error('Update manufacturer profile error:', error);
@@ -400,24 +605,38 @@ router.post('/admin-login', [
 
     const { username, password } = req.body;
 
-    if (username !== ADMIN_CREDENTIALS.username || password !== ADMIN_CREDENTIALS.password) {
+    const result = await adminService.login(username, password);
+    if (!result) {
+      await auditService.record(req, {
+        action: 'admin.login.failed',
+        entityType: 'admin_user',
+        entityId: username
+      });
+
       return res.status(401).json({
         success: false,
         message: 'Invalid username or password'
       });
     }
 
-    const adminProfileId = 'admin_' + ADMIN_CREDENTIALS.username;
-    const token = authService.generateJWT(adminProfileId, ADMIN_CREDENTIALS.username, 'admin');
+    req.admin = result.admin;
+    await auditService.record(req, {
+      action: 'admin.login',
+      entityType: 'admin_user',
+      entityId: result.admin.id
+    });
 
     res.status(200).json({
       success: true,
       message: 'Login successful',
       data: {
-        token,
+        token: result.token,
         user: {
-          username: ADMIN_CREDENTIALS.username,
-          role: 'admin'
+          id: result.admin.id,
+          username: result.admin.username,
+          full_name: result.admin.full_name,
+          role: 'admin',
+          adminRole: result.admin.role
         },
         expiresIn: process.env.JWT_EXPIRES_IN || '24h'
       }
@@ -451,7 +670,7 @@ router.get('/buyer-profile', async (req, res) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = authService.verifyJWT(token);
+    const decoded = await authService.verifyAccessToken(token);
 
     const profile = await authService.getProfileByPhone(decoded.phoneNumber, decoded.role);
     if (!profile) {
@@ -463,15 +682,7 @@ router.get('/buyer-profile', async (req, res) => {
 
     const fullProfile = await authService.getBuyerProfile(profile.id);
 
-    const databaseService = require('../services/databaseService');
-    const designCount = await databaseService.getTodayDesignGenerationCount(profile.id);
-    const DAILY_LIMIT = 5;
-    const designGenerationStatus = {
-      count: designCount,
-      remaining: Math.max(0, DAILY_LIMIT - designCount),
-      limit: DAILY_LIMIT,
-      canGenerate: designCount < DAILY_LIMIT
-    };
+    const designGenerationStatus = await quotaService.getDesignGenerationStatus(profile);
 
     res.status(200).json({
       success: true,
@@ -508,7 +719,7 @@ router.get('/buyer-profile/design-generation-status', async (req, res) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = authService.verifyJWT(token);
+    const decoded = await authService.verifyAccessToken(token);
 
     if (decoded.role !== 'buyer') {
       return res.status(403).json({
@@ -525,18 +736,11 @@ router.get('/buyer-profile/design-generation-status', async (req, res) => {
       });
     }
 
-    const databaseService = require('../services/databaseService');
-    const DAILY_LIMIT = 5;
-    const count = await databaseService.getTodayDesignGenerationCount(profile.id);
+    const status = await quotaService.getDesignGenerationStatus(profile);
 
     return res.status(200).json({
       success: true,
-      data: {
-        count,
-        remaining: Math.max(0, DAILY_LIMIT - count),
-        limit: DAILY_LIMIT,
-        canGenerate: count < DAILY_LIMIT
-      }
+      data: status
     });
   } catch (error) {
     console.error('Get design generation status error:', error);
@@ -560,7 +764,7 @@ router.post('/buyer-profile/increment-design-generation', async (req, res) => {
     }
 
     const token = authHeader.substring(7);
-    const decoded = authService.verifyJWT(token);
+    const decoded = await authService.verifyAccessToken(token);
 
     if (decoded.role !== 'buyer') {
       return res.status(403).json({
@@ -577,34 +781,20 @@ router.post('/buyer-profile/increment-design-generation', async (req, res) => {
       });
     }
 
-    const databaseService = require('../services/databaseService');
-    const DAILY_LIMIT = 5;
-    
-    const currentCount = await databaseService.getTodayDesignGenerationCount(profile.id);
-    if (currentCount >= DAILY_LIMIT) {
+    const result = await quotaService.consumeDesignGeneration(profile);
+    if (!result.allowed) {
+      res.set('Retry-After', String(result.retryAfter));
       return res.status(429).json({
         success: false,
-        message: `Daily limit of ${DAILY_LIMIT} designs reached. Please try again tomorrow.`,
-        data: {
-          count: currentCount,
-          remaining: 0,
-          limit: DAILY_LIMIT,
-          canGenerate: false
-        }
+        message: result.message,
+        data: result.status
       });
     }
 
-    const newCount = await databaseService.incrementDesignGenerationCount(profile.id);
-
     return res.status(200).json({
       success: true,
       message: 'Design generation count incremented',
-      data: {
-        count: newCount,
-        remaining: Math.max(0, DAILY_LIMIT - newCount),
-        limit: DAILY_LIMIT,
-        canGenerate: newCount < DAILY_LIMIT
-      }
+      data: result.status
     });
   } catch (error) {
     console.error('Increment design generation count error:', error);
@@ -622,7 +812,8 @@ router.put('/buyer-profile', [
   body('email').notEmpty().isEmail().withMessage('Please provide a valid email address'),
   body('phone_number').optional().isMobilePhone('any'),
   body('business_address').notEmpty().isLength({ min: 1, max: 1000 }).withMessage('Business address is required'),
-  body('about_business').notEmpty().isLength({ min: 1, max: 1000 }).withMessage('About business is required')
+  body('about_business').notEmpty().isLength({ min: 1, max: 1000 }).withMessage('About business is required'),
+  body('timezone').optional().custom(isValidTimeZone).withMessage('Timezone must be an IANA time zone (e.g. Asia/Kolkata)')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -643,7 +834,7 @@ router.put('/buyer-profile', [
     }
 
     const token = authHeader.substring(7);
-    const decoded = authService.verifyJWT(token);
+    const decoded = await authService.verifyAccessToken(token);
 
     const profile = await authService.getProfileByPhone(decoded.phoneNumber, decoded.role);
     if (!profile) {
@@ -653,7 +844,14 @@ router.put('/buyer-profile', [
       });
     }
 
-    const updatedProfile = await authService.updateBuyerProfile(profile.id, req.body);
+    const updateData = BUYER_EDITABLE_FIELDS.reduce((data, field) => {
+      if (req.body[field] !== undefined) {
+        data[field] = req.body[field];
+      }
+      return data;
+    }, {});
+
+    const updatedProfile = await authService.updateBuyerProfile(profile.id, updateData);
 
     res.status(200).json({
       success: true,
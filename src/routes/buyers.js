@@ -1,10 +1,12 @@
 const express = require('express');
 const databaseService = require('../services/databaseService');
+const profileSerializer = require('../services/profileSerializer');
+const { authenticateAdmin, requireAdminRole } = require('../middleware/adminAuth');
 
 const router = express.Router();
 
-// GET /api/buyers
-router.get('/', async (req, res) => {
+// GET /api/buyers (Admin only) - buyer profiles include contact details
+router.get('/', authenticateAdmin, requireAdminRole('support'), async (req, res) => {
   try {
     const options = {
       sortBy: req.query.sortBy || 'created_at',
@@ -19,7 +21,7 @@ router.get('/', async (req, res) => {
       success: true,
       message: 'Buyers retrieved successfully',
       data: {
-        buyers,
+        buyers: buyers.map((buyer) => profileSerializer.buyer(buyer, 'admin')),
         count: buyers.length
       }
     });
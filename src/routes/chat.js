@@ -1,6 +1,7 @@
 const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const databaseService = require('../services/databaseService');
 const { buildMessageSummary } = require('../utils/messageSummary');
 
@@ -218,7 +219,7 @@ router.post('/conversations/:id/messages', [
   body('attachments').optional().isArray(),
   body('requirementId').optional().isUUID(),
   body('aiDesignId').optional().isUUID()
-], authenticateToken, async (req, res) => {
+], authenticateToken, rateLimit('message:send'), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -1,69 +1,101 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const databaseService = require('../services/databaseService');
+const adminService = require('../services/adminService');
+const auditService = require('../services/auditService');
+const kycService = require('../services/kycService');
+const manufacturerDirectoryService = require('../services/manufacturerDirectoryService');
+const profileSerializer = require('../services/profileSerializer');
+const reviewService = require('../services/reviewService');
+const scorecardService = require('../services/scorecardService');
+const whatsappService = require('../services/whatsappService');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+const { authenticateAdmin, requireAdminRole } = require('../middleware/adminAuth');
 
 const router = express.Router();
 
-const authenticateAdmin = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
-    }
+const { DOCUMENT_TYPES, DOCUMENT_STATUSES } = kycService;
+const { DIRECTORY_SORTS } = manufacturerDirectoryService;
+const { MAX_TREND_DAYS } = scorecardService;
 
-    const token = authHeader.substring(7);
-    
-    const ADMIN_TOKENS = [
-      'demo_admin_token',
-      process.env.ADMIN_TOKEN
-    ].filter(Boolean);
-    
-    if (ADMIN_TOKENS.includes(token)) {
-      req.user = {
-        userId: 'admin_demo',
-        role: 'admin',
-        phoneNumber: 'admin',
-        verified: true
-      };
-      return next();
-    }
-    
+// GET /api/manufacturers - Manufacturer directory (signed-in users)
+// Public profiles ranked by responsiveness and completed orders; filter by product_types (comma-separated),
+// business_type, min_capacity, verified, and latitude/longitude with radius_km; sort=distance orders by distance
+router.get('/',
+  authenticateToken,
+  [
+    query('product_types').optional().isString().isLength({ min: 1, max: 1000 }),
+    query('business_type').optional().isString().trim().isLength({ min: 1, max: 100 }),
+    query('min_capacity').optional().isInt({ min: 0 }).toInt(),
+    query('verified').optional().isBoolean().toBoolean(),
+    query('latitude').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+    query('longitude').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+    query('radius_km').optional().isFloat({ min: 1, max: 5000 }).toFloat(),
+    query('sort').optional().isIn(DIRECTORY_SORTS),
+    query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  async (req, res) => {
     try {
-      const authService = require('../services/authService');
-      const decoded = authService.verifyJWT(token);
-      
-      if (decoded.role === 'admin') {
-        req.user = {
-          userId: decoded.userId,
-          role: decoded.role,
-          phoneNumber: decoded.phoneNumber,
-          verified: true
-        };
-        return next();
-      }
-    } catch {
-      // JWT verification failed
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { latitude, longitude, radius_km, sort } = req.query;
+      const hasLocation = latitude !== undefined && longitude !== undefined;
+      if ((latitude !== undefined || longitude !== undefined) && !hasLocation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide both latitude and longitude'
+        });
+      }
+      if ((radius_km !== undefined || sort === 'distance') && !hasLocation) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide latitude and longitude to search by distance'
+        });
+      }
+
+      const productTypes = req.query.product_types
+        ? req.query.product_types.split(',').map((type) => type.trim()).filter(Boolean)
+        : [];
+
+      const directory = await manufacturerDirectoryService.discover({
+        productTypes: productTypes.length > 0 ? productTypes : null,
+        businessType: req.query.business_type || null,
+        minCapacity: req.query.min_capacity !== undefined ? req.query.min_capacity : null,
+        latitude: hasLocation ? latitude : null,
+        longitude: hasLocation ? longitude : null,
+        radiusKm: radius_km !== undefined ? radius_km : null,
+        verified: req.query.verified !== undefined ? req.query.verified : null,
+        sort: sort || 'rank',
+        limit: req.query.limit || 20,
+        offset: req.query.offset || 0
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Manufacturers retrieved successfully',
+        data: directory
+      });
+    } catch (error) {
+      console.error('Get manufacturers error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve manufacturers',
+        error: error.message
+      });
     }
-    
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Invalid admin token.'
-    });
-  } catch (error) {
-    console.error('Admin authentication error:', error);
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication failed'
-    });
   }
-};
+);
 
-// GET /api/manufacturers
-router.get('/', async (req, res) => {
+// GET /api/manufacturers/admin - Full manufacturer profiles, KYC fields included (Admin only)
+router.get('/admin', authenticateAdmin, requireAdminRole('verifier', 'support'), async (req, res) => {
   try {
     const options = {
       verified: req.query.verified !== undefined ? req.query.verified === 'true' : undefined,
@@ -84,7 +116,7 @@ router.get('/', async (req, res) => {
       success: true,
       message: 'Manufacturers retrieved successfully',
       data: {
-        manufacturers,
+        manufacturers: manufacturers.map((manufacturer) => profileSerializer.manufacturer(manufacturer, 'admin')),
         count: manufacturers.length
       }
     });
@@ -97,12 +129,448 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/manufacturers/me/documents (Manufacturer only)
+router.get('/me/documents', authenticateToken, requireRole('manufacturer'), async (req, res) => {
+  try {
+    const summary = await kycService.getKycSummary(req.user.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'KYC documents retrieved successfully',
+      data: summary
+    });
+  } catch (error) {
+    console.error('Get KYC documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve KYC documents',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/manufacturers/me/documents/:documentType (Manufacturer only)
+// Submits or re-uploads a single KYC document; it goes back into the review queue
+router.put('/me/documents/:documentType',
+  authenticateToken,
+  requireRole('manufacturer'),
+  [
+    param('documentType').isIn(Object.keys(DOCUMENT_TYPES)).withMessage('Invalid document type'),
+    body('document_number').optional().trim().isLength({ min: 1, max: 50 }),
+    body('file_url').optional().isURL().withMessage('file_url must be a valid URL'),
+    body().custom((value) => {
+      if (!value || (!value.document_number && !value.file_url)) {
+        throw new Error('Provide a document_number or file_url');
+      }
+      return true;
+    })
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { documentType } = req.params;
+      const { numberField } = DOCUMENT_TYPES[documentType];
+
+      if (req.body.document_number && !numberField) {
+        return res.status(400).json({
+          success: false,
+          message: `${kycService.getDocumentLabel(documentType)} does not take a document number`
+        });
+      }
+
+      const profile = await databaseService.findManufacturerProfile(req.user.userId);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Manufacturer profile not found'
+        });
+      }
+
+      let documentNumber = null;
+      if (req.body.document_number) {
+        const kyc = kycService.validateDocumentFields({ [numberField]: req.body.document_number }, profile);
+        if (kyc.errors.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'Invalid KYC details',
+            errors: kyc.errors
+          });
+        }
+        documentNumber = kyc.values[numberField];
+      }
+
+      const result = await kycService.resubmitDocument(profile, documentType, {
+        document_number: documentNumber,
+        file_url: req.body.file_url
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Document submitted for review',
+        data: result
+      });
+    } catch (error) {
+      console.error('Submit KYC document error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to submit document'
+      });
+    }
+  }
+);
+
+// GET /api/manufacturers/kyc/review-queue (Admin only)
+router.get('/kyc/review-queue',
+  authenticateAdmin,
+  requireAdminRole('verifier'),
+  [
+    query('status').optional().isIn(DOCUMENT_STATUSES),
+    query('document_type').optional().isIn(Object.keys(DOCUMENT_TYPES)),
+    query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+    query('offset').optional().isInt({ min: 0 }).toInt()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const documents = await databaseService.getManufacturerDocumentsForReview({
+        statuses: req.query.status ? [req.query.status] : undefined,
+        document_type: req.query.document_type,
+        limit: req.query.limit,
+        offset: req.query.offset
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Documents retrieved successfully',
+        data: {
+          documents,
+          count: documents.length
+        }
+      });
+    } catch (error) {
+      console.error('Get KYC review queue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve documents',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/manufacturers/:manufacturerId/documents (Admin only)
+router.get('/:manufacturerId/documents', authenticateAdmin, requireAdminRole('verifier'), async (req, res) => {
+  try {
+    const manufacturer = await databaseService.findManufacturerProfile(req.params.manufacturerId);
+    if (!manufacturer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Manufacturer not found'
+      });
+    }
+
+    const summary = await kycService.getKycSummary(manufacturer.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'KYC documents retrieved successfully',
+      data: {
+        manufacturer,
+        ...summary
+      }
+    });
+  } catch (error) {
+    console.error('Get manufacturer KYC documents error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve KYC documents',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/manufacturers/:manufacturerId/documents/:documentType/status (Admin only)
+// Reviews a single document; approving the last required document accepts the manufacturer
+router.patch('/:manufacturerId/documents/:documentType/status',
+  authenticateAdmin,
+  requireAdminRole('verifier'),
+  [
+    param('documentType').isIn(Object.keys(DOCUMENT_TYPES)).withMessage('Invalid document type'),
+    body('status')
+      .isIn(['under_review', 'approved', 'rejected', 'reupload_requested'])
+      .withMessage('Status must be under_review, approved, rejected or reupload_requested'),
+    body('reason')
+      .if(body('status').isIn(['rejected', 'reupload_requested']))
+      .trim().notEmpty()
+      .withMessage('A reason is required when rejecting a document or requesting a re-upload')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { manufacturerId, documentType } = req.params;
+      const { status, reason } = req.body;
+
+      const manufacturer = await databaseService.findManufacturerProfile(manufacturerId);
+      if (!manufacturer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Manufacturer not found'
+        });
+      }
+
+      const document = await databaseService.getManufacturerDocument(manufacturerId, documentType);
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document has not been submitted'
+        });
+      }
+
+      const result = await kycService.reviewDocument(manufacturer, document, { status, reason }, req.admin);
+
+      await auditService.record(req, {
+        action: 'manufacturer.document.review',
+        entityType: 'manufacturer_document',
+        entityId: document.id,
+        before: { document_type: documentType, status: document.status, rejection_reason: document.rejection_reason },
+        after: { document_type: documentType, status: result.document.status, rejection_reason: result.document.rejection_reason },
+        reason
+      });
+
+      if (result.verificationChanged) {
+        await auditService.record(req, {
+          action: 'manufacturer.verification_status.update',
+          entityType: 'manufacturer',
+          entityId: manufacturerId,
+          before: { verification_status: manufacturer.verification_status, is_verified: manufacturer.is_verified },
+          after: { verification_status: result.manufacturer.verification_status, is_verified: result.manufacturer.is_verified },
+          reason: result.manufacturer.verification_status === 'Accepted'
+            ? 'All required KYC documents approved'
+            : `Required KYC document ${documentType} ${status}`
+        });
+      }
+
+      if ((status === 'rejected' || status === 'reupload_requested') && manufacturer.phone_number) {
+        (async () => {
+          try {
+            await whatsappService.notifyKycDocumentUpdate(
+              manufacturer.phone_number,
+              kycService.getDocumentLabel(documentType),
+              status,
+              result.document.rejection_reason
+            );
+          } catch (waError) {
+            console.error('WhatsApp notification error:', waError.message);
+          }
+        })();
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Document status updated successfully',
+        data: {
+          document: result.document,
+          manufacturer: result.manufacturer
+        }
+      });
+    } catch (error) {
+      console.error('Update document status error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message || 'Failed to update document status'
+      });
+    }
+  }
+);
+
+// GET /api/manufacturers/:manufacturerId - Public profile of a listed manufacturer (signed-in users)
+router.get('/:manufacturerId',
+  authenticateToken,
+  [param('manufacturerId').isUUID()],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(404).json({
+          success: false,
+          message: 'Manufacturer not found'
+        });
+      }
+
+      const profile = await manufacturerDirectoryService.getPublicProfile(req.params.manufacturerId);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: 'Manufacturer not found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Manufacturer retrieved successfully',
+        data: { manufacturer: profile }
+      });
+    } catch (error) {
+      console.error('Get manufacturer error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve manufacturer',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/manufacturers/:manufacturerId/scorecard - Performance scorecard of a listed manufacturer (signed-in users)
+// Admins see any manufacturer, with daily history and trends over ?days= (default 90)
+router.get('/:manufacturerId/scorecard',
+  authenticateToken,
+  [
+    param('manufacturerId').isUUID(),
+    query('days').optional().isInt({ min: 1, max: MAX_TREND_DAYS }).withMessage(`Days must be between 1 and ${MAX_TREND_DAYS}`)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const isAdmin = req.user.role === 'admin' && adminService.hasRole(req.user.adminRole, ['verifier', 'support']);
+      const manufacturer = await databaseService.findManufacturerProfile(req.params.manufacturerId);
+      const canView = manufacturer && (isAdmin || req.user.userId === manufacturer.id || manufacturerDirectoryService.isListed(manufacturer));
+      if (!canView) {
+        return res.status(404).json({
+          success: false,
+          message: 'Manufacturer not found'
+        });
+      }
+
+      const scorecard = await scorecardService.getScorecard(manufacturer.id);
+      const data = { scorecard };
+      if (isAdmin) {
+        Object.assign(data, await scorecardService.getTrend(manufacturer.id, req.query.days ? parseInt(req.query.days) : undefined));
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Scorecard retrieved successfully',
+        data
+      });
+    } catch (error) {
+      console.error('Get manufacturer scorecard error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve scorecard',
+        error: error.message
+      });
+    }
+  }
+);
+
+// GET /api/manufacturers/:manufacturerId/reviews - Published buyer reviews and rating summary of a listed manufacturer (signed-in users)
+router.get('/:manufacturerId/reviews',
+  authenticateToken,
+  [
+    param('manufacturerId').isUUID(),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+    query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be 0 or more')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const manufacturer = await databaseService.findManufacturerProfile(req.params.manufacturerId);
+      if (!manufacturerDirectoryService.isListed(manufacturer)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Manufacturer not found'
+        });
+      }
+
+      const limit = req.query.limit ? parseInt(req.query.limit) : 20;
+      const offset = req.query.offset ? parseInt(req.query.offset) : 0;
+
+      const [{ reviews, total }, stats] = await Promise.all([
+        databaseService.getReviews({
+          manufacturerId: manufacturer.id,
+          reviewerRole: 'buyer',
+          status: 'published',
+          limit,
+          offset
+        }),
+        databaseService.getManufacturerDirectoryStats(manufacturer.id)
+      ]);
+
+      res.status(200).json({
+        success: true,
+        message: 'Reviews retrieved successfully',
+        data: {
+          summary: reviewService.summarize(stats),
+          reviews: reviews.map((review) => reviewService.present(review, req.user)),
+          total,
+          limit,
+          offset,
+          has_more: offset + reviews.length < total
+        }
+      });
+    } catch (error) {
+      console.error('Get manufacturer reviews error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to retrieve reviews',
+        error: error.message
+      });
+    }
+  }
+);
+
 // PATCH /api/manufacturers/:manufacturerId/verification-status (Admin only)
 router.patch('/:manufacturerId/verification-status', 
   authenticateAdmin,
+  requireAdminRole('verifier'),
   [
     body('verification_status')
-      .isIn(['pending', 'Accepted', 'Rejected', 'Blocked'])
+      .isIn(['pending', 'Accepted', 'Rejected', 'Blocked']),
+    body('reason')
+      .if(body('verification_status').isIn(['Rejected', 'Blocked']))
+      .trim().notEmpty()
+      .withMessage('A reason is required when rejecting or blocking a manufacturer')
   ],
   async (req, res) => {
     try {
@@ -116,7 +584,7 @@ router.patch('/:manufacturerId/verification-status',
       }
 
       const { manufacturerId } = req.params;
-      const { verification_status } = req.body;
+      const { verification_status, reason } = req.body;
 
       const manufacturer = await databaseService.findManufacturerProfile(manufacturerId);
       if (!manufacturer) {
@@ -126,14 +594,36 @@ router.patch('/:manufacturerId/verification-status',
         });
       }
 
+      if (verification_status === 'Accepted') {
+        const { outstanding } = await kycService.getKycSummary(manufacturerId);
+        if (outstanding.length > 0) {
+          return res.status(400).json({
+            success: false,
+            message: 'All required KYC documents must be approved before accepting a manufacturer',
+            data: { outstanding }
+          });
+        }
+      }
+
       const updateData = {
         verification_status,
         is_verified: verification_status === 'Accepted' ? true : false,
+        verification_updated_by: req.admin.id,
+        verification_updated_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
 
       const updatedManufacturer = await databaseService.updateManufacturerProfile(manufacturerId, updateData);
 
+      await auditService.record(req, {
+        action: 'manufacturer.verification_status.update',
+        entityType: 'manufacturer',
+        entityId: manufacturerId,
+        before: { verification_status: manufacturer.verification_status, is_verified: manufacturer.is_verified },
+        after: { verification_status: updatedManufacturer.verification_status, is_verified: updatedManufacturer.is_verified },
+        reason
+      });
+
       res.status(200).json({
         success: true,
         message: 'Verification status updated successfully',
@@ -0,0 +1,582 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const databaseService = require('../services/databaseService');
+const orderService = require('../services/orderService');
+const whatsappService = require('../services/whatsappService');
+const auditService = require('../services/auditService');
+const adminService = require('../services/adminService');
+const profileSerializer = require('../services/profileSerializer');
+const reviewService = require('../services/reviewService');
+const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { uploadToCloudinary } = require('../config/cloudinary');
+
+const MILESTONE_TYPES = ['fabric_sourced', 'cutting', 'stitching', 'finishing', 'packed'];
+
+// Milestones can only be posted while the goods are still with the manufacturer
+const MILESTONE_ORDER_STATUSES = ['confirmed', 'in_production', 'quality_check'];
+
+const milestoneUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: (req, file, cb) => {
+    const allowedImageTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
+    if (allowedImageTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`File type ${file.mimetype} is not supported`), false);
+    }
+  },
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+let io = null;
+
+router.setIo = (socketIo) => {
+  io = socketIo;
+};
+
+// GET /api/orders - List orders for the current user (all orders for admins)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { status, limit, offset, sortBy, sortOrder } = req.query;
+
+    const options = {
+      status: status || undefined,
+      limit: limit ? parseInt(limit) : 50,
+      offset: offset ? parseInt(offset) : 0,
+      sortBy,
+      sortOrder
+    };
+
+    let orders;
+
+    if (req.user.role === 'buyer') {
+      orders = await databaseService.getBuyerOrders(req.user.userId, options);
+    } else if (req.user.role === 'manufacturer') {
+      orders = await databaseService.getManufacturerOrders(req.user.userId, options);
+    } else if (req.user.role === 'admin' && adminService.hasRole(req.user.adminRole, ['support', 'verifier'])) {
+      orders = await databaseService.getOrders(options);
+    } else {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid user role'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: orders.map((order) => profileSerializer.order(order, req.user)),
+      count: orders.length
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch orders',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/orders/:id - Get single order (parties to the order or admin)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const order = await databaseService.getOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!orderService.canAccessOrder(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this order'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...profileSerializer.order(order, req.user),
+        allowed_transitions: orderService.getAllowedTransitions(order, req.user)
+      }
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/orders/:id/status - Move order to the next lifecycle status
+router.patch('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    const order = await databaseService.getOrder(id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!orderService.canAccessOrder(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this order'
+      });
+    }
+
+    if (req.user.role === 'admin' && !adminService.hasRole(req.user.adminRole, ['support'])) {
+      return res.status(403).json({
+        success: false,
+        message: 'Insufficient permissions'
+      });
+    }
+
+    const transitionError = orderService.validateTransition(order, status, req.user);
+    if (transitionError) {
+      return res.status(400).json({
+        success: false,
+        message: transitionError
+      });
+    }
+
+    const updatedOrder = await databaseService.updateOrderStatus(id, order.status, status);
+    if (!updatedOrder) {
+      return res.status(409).json({
+        success: false,
+        message: 'This order was updated by someone else; reload it and try again'
+      });
+    }
+
+    if (req.user.role === 'admin') {
+      await auditService.record(req, {
+        action: 'order.status.update',
+        entityType: 'order',
+        entityId: id,
+        before: { status: order.status },
+        after: { status: updatedOrder.status },
+        reason: req.body.reason
+      });
+    }
+
+    if (io) {
+      io.to(`user:${updatedOrder.buyer_id}`).to(`user:${updatedOrder.manufacturer_id}`).emit('order:status:updated', {
+        order: profileSerializer.order(updatedOrder),
+        previousStatus: order.status,
+        status
+      });
+    }
+
+    (async () => {
+      try {
+        // Notify whichever party did not make the change
+        const recipientRole = req.user.role === 'buyer' ? 'manufacturer' : 'buyer';
+        const recipient = updatedOrder[recipientRole];
+        if (recipient && recipient.phone_number) {
+          await whatsappService.notifyOrderStatusUpdate(recipient.phone_number, updatedOrder, recipientRole);
+        }
+      } catch (waError) {
+        console.error('WhatsApp notification error:', waError.message);
+      }
+    })();
+
+    return res.status(200).json({
+      success: true,
+      message: `Order moved to ${status} successfully`,
+      data: profileSerializer.order(updatedOrder, req.user)
+    });
+  } catch (error) {
+    console.error('Update order status error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update order status',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/orders/:id/dispute - Raise a dispute on an order, once (Buyer or Manufacturer)
+router.post('/:id/dispute', authenticateToken, async (req, res) => {
+  try {
+    const order = await databaseService.getOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!orderService.canAccessOrder(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to dispute this order'
+      });
+    }
+
+    const disputeError = orderService.validateDispute(order, req.user, req.body.reason);
+    if (disputeError) {
+      return res.status(400).json({
+        success: false,
+        message: disputeError
+      });
+    }
+
+    const updatedOrder = await databaseService.markOrderDisputed(order.id, req.user.role, req.body.reason.trim());
+    if (!updatedOrder) {
+      return res.status(400).json({
+        success: false,
+        message: 'This order has already been disputed'
+      });
+    }
+
+    if (io) {
+      io.to(`user:${updatedOrder.buyer_id}`).to(`user:${updatedOrder.manufacturer_id}`).emit('order:disputed', {
+        order: profileSerializer.order(updatedOrder),
+        disputedBy: req.user.role
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Dispute raised successfully',
+      data: profileSerializer.order(updatedOrder, req.user)
+    });
+  } catch (error) {
+    console.error('Dispute order error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to raise dispute',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/orders/:id/milestones - List production milestones (parties to the order or admin)
+router.get('/:id/milestones', authenticateToken, async (req, res) => {
+  try {
+    const order = await databaseService.getOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!orderService.canAccessOrder(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this order'
+      });
+    }
+
+    const milestones = await databaseService.getOrderMilestones(order.id);
+
+    return res.status(200).json({
+      success: true,
+      data: milestones,
+      count: milestones.length
+    });
+  } catch (error) {
+    console.error('Get order milestones error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order milestones',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/orders/:id/milestones - Post a production milestone with photos (Manufacturer only)
+router.post('/:id/milestones', authenticateToken, rateLimit('upload'), milestoneUpload.array('images', 5), async (req, res) => {
+  try {
+    if (req.user.role !== 'manufacturer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only manufacturers can post order milestones'
+      });
+    }
+
+    const { milestone_type, milestone_date, notes } = req.body;
+
+    if (!milestone_type || !MILESTONE_TYPES.includes(milestone_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Milestone type must be one of: ${MILESTONE_TYPES.join(', ')}`
+      });
+    }
+
+    const milestoneDate = milestone_date ? new Date(milestone_date) : new Date();
+    if (Number.isNaN(milestoneDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Milestone date must be a valid date'
+      });
+    }
+
+    const order = await databaseService.getOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (order.manufacturer_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this order'
+      });
+    }
+
+    if (!MILESTONE_ORDER_STATUSES.includes(order.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Milestones cannot be posted for an order that is ${order.status}`
+      });
+    }
+
+    const uploadedImages = await Promise.all((req.files || []).map(async (file) => {
+      const result = await uploadToCloudinary(file.buffer, {
+        folder: `groupo-orders/${order.id}`,
+        resource_type: 'image',
+        transformation: [
+          { quality: 'auto', fetch_format: 'auto' }
+        ],
+        context: {
+          orderId: order.id,
+          manufacturerId: req.user.userId,
+          milestoneType: milestone_type,
+          originalName: file.originalname
+        },
+        tags: ['order-milestone', milestone_type, order.id]
+      });
+
+      return {
+        url: result.secure_url,
+        publicId: result.public_id,
+        mimeType: file.mimetype,
+        size: result.bytes,
+        width: result.width,
+        height: result.height
+      };
+    }));
+
+    const milestone = await databaseService.createOrderMilestone({
+      order_id: order.id,
+      manufacturer_id: req.user.userId,
+      milestone_type,
+      milestone_date: milestoneDate.toISOString().split('T')[0],
+      notes: notes ? notes.trim() : null
+    });
+
+    const attachments = await databaseService.insertOrderMilestoneAttachments(milestone.id, uploadedImages);
+    const milestoneWithAttachments = { ...milestone, attachments };
+
+    if (io) {
+      io.to(`user:${order.buyer_id}`).emit('order:milestone:new', {
+        orderId: order.id,
+        milestone: milestoneWithAttachments
+      });
+    }
+
+    (async () => {
+      try {
+        if (order.buyer && order.buyer.phone_number) {
+          await whatsappService.notifyOrderMilestone(order.buyer.phone_number, order, milestoneWithAttachments);
+        }
+      } catch (waError) {
+        console.error('WhatsApp notification error:', waError.message);
+      }
+    })();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Milestone posted successfully',
+      data: milestoneWithAttachments
+    });
+  } catch (error) {
+    console.error('Create order milestone error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to post milestone',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/orders/:id/reviews - Reviews left on an order (parties to the order or admin)
+router.get('/:id/reviews', authenticateToken, async (req, res) => {
+  try {
+    const order = await databaseService.getOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!orderService.canAccessOrder(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this order'
+      });
+    }
+
+    const reviews = await databaseService.getOrderReviews(order.id);
+
+    return res.status(200).json({
+      success: true,
+      data: reviews.map((review) => reviewService.present(review, req.user)),
+      count: reviews.length,
+      can_review: reviewService.validateReviewer(order, req.user, reviews) === null
+    });
+  } catch (error) {
+    console.error('Get order reviews error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch order reviews',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/orders/:id/reviews - Rate and review the other party once the order is delivered (Buyer or Manufacturer)
+router.post('/:id/reviews', authenticateToken, async (req, res) => {
+  try {
+    const order = await databaseService.getOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    if (!orderService.canAccessOrder(order, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to review this order'
+      });
+    }
+
+    const existingReviews = await databaseService.getOrderReviews(order.id);
+    const reviewerError = reviewService.validateReviewer(order, req.user, existingReviews);
+    if (reviewerError) {
+      return res.status(400).json({
+        success: false,
+        message: reviewerError
+      });
+    }
+
+    const { errors, values } = reviewService.validateReview(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid review',
+        errors
+      });
+    }
+
+    const review = await databaseService.createReview({
+      ...values,
+      order_id: order.id,
+      buyer_id: order.buyer_id,
+      manufacturer_id: order.manufacturer_id,
+      reviewer_role: req.user.role
+    });
+
+    if (io) {
+      const revieweeId = req.user.role === 'buyer' ? order.manufacturer_id : order.buyer_id;
+      io.to(`user:${revieweeId}`).emit('order:review:new', {
+        orderId: order.id,
+        review: reviewService.present(review)
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Review posted successfully',
+      data: reviewService.present(review, req.user)
+    });
+  } catch (error) {
+    console.error('Create order review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to post review',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/orders/:id/reviews/:reviewId/reply - Publicly reply to a buyer's review, once (Reviewed manufacturer only)
+router.post('/:id/reviews/:reviewId/reply', authenticateToken, async (req, res) => {
+  try {
+    const review = await databaseService.getReview(req.params.reviewId);
+
+    if (!review || review.order_id !== req.params.id) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    const replierError = reviewService.validateReplier(review, req.user);
+    if (replierError) {
+      return res.status(review.manufacturer_id === req.user.userId ? 400 : 403).json({
+        success: false,
+        message: replierError
+      });
+    }
+
+    const reply = reviewService.validateReply(req.body.reply);
+    if (reply.error) {
+      return res.status(400).json({
+        success: false,
+        message: reply.error
+      });
+    }
+
+    const updatedReview = await databaseService.setReviewReply(review.id, reply.value);
+    if (!updatedReview) {
+      return res.status(400).json({
+        success: false,
+        message: 'This review already has a reply'
+      });
+    }
+
+    if (io) {
+      io.to(`user:${review.buyer_id}`).emit('order:review:reply', {
+        orderId: review.order_id,
+        review: reviewService.present(updatedReview)
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Reply posted successfully',
+      data: reviewService.present(updatedReview, req.user)
+    });
+  } catch (error) {
+    console.error('Reply to review error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to post reply',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
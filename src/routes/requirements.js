@@ -2,7 +2,16 @@ const express = require('express');
 const router = express.Router();
 const databaseService = require('../services/databaseService');
 const whatsappService = require('../services/whatsappService');
+const orderService = require('../services/orderService');
+const negotiationService = require('../services/negotiationService');
+const requirementLifecycleService = require('../services/requirementLifecycleService');
+const requirementDistributionService = require('../services/requirementDistributionService');
+const searchService = require('../services/searchService');
+const profileSerializer = require('../services/profileSerializer');
+const { normalizeSizeBreakdown, reconcileQuantity, hasSizePrices, getPricedTotal } = require('../utils/sizeBreakdown');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { authenticateAdmin, requireAdminRole } = require('../middleware/adminAuth');
 
 let io = null;
 
@@ -10,66 +19,60 @@ router.setIo = (socketIo) => {
   io = socketIo;
 };
 
-const authenticateAdmin = (req, res, next) => {
-  try {
-    const authHeader = req.headers.authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({
-        success: false,
-        message: 'Access denied. No token provided.'
-      });
-    }
+const isResponseParty = (user, response, requirement) => (
+  (user.role === 'buyer' && requirement.buyer_id === user.userId) ||
+  (user.role === 'manufacturer' && response.manufacturer_id === user.userId)
+);
+
+/**
+ * Push a new requirement to the manufacturers it was sent to, over sockets and WhatsApp
+ * @param {Object} requirement - Requirement (with buyer for the socket payload)
+ * @param {Array<{ manufacturer: Object }>} recipients - Result of requirementDistributionService.distribute
+ */
+const notifyRecipients = (requirement, recipients) => {
+  if (io) {
+    recipients.forEach(({ manufacturer }) => {
+      io.to(`user:${manufacturer.id}`).emit('requirement:new', { requirement });
+    });
+  }
 
-    const token = authHeader.substring(7);
-    
-    const ADMIN_TOKENS = [
-      'demo_admin_token',
-      process.env.ADMIN_TOKEN
-    ].filter(Boolean);
-    
-    if (ADMIN_TOKENS.includes(token)) {
-      req.user = {
-        userId: 'admin_demo',
-        role: 'admin',
-        phoneNumber: 'admin',
-        verified: true
-      };
-      return next();
-    }
-    
+  (async () => {
     try {
-      const authService = require('../services/authService');
-      const decoded = authService.verifyJWT(token);
-      
-      if (decoded.role === 'admin') {
-        req.user = {
-          userId: decoded.userId,
-          role: decoded.role,
-          phoneNumber: decoded.phoneNumber,
-          verified: true
-        };
-        return next();
+      for (const { manufacturer } of recipients) {
+        if (manufacturer.phone_number) {
+          await whatsappService.notifyNewRequirement(manufacturer.phone_number, requirement);
+        }
       }
-    } catch {
-      // JWT verification failed
+    } catch (waError) {
+      console.error('WhatsApp notification error:', waError.message);
     }
-    
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. Invalid admin token.'
-    });
-  } catch (error) {
-    console.error('Admin authentication error:', error);
-    return res.status(401).json({
-      success: false,
-      message: 'Authentication failed'
-    });
-  }
+  })();
+};
+
+/**
+ * Tell the manufacturers involved in a requirement that its status changed
+ * @param {Object} requirement - Requirement with its new status
+ */
+const notifyStatusUpdate = (requirement) => {
+  if (!io) return;
+
+  (async () => {
+    try {
+      const manufacturerIds = await requirementDistributionService.getInvolvedManufacturerIds(requirement);
+      manufacturerIds.forEach((manufacturerId) => {
+        io.to(`user:${manufacturerId}`).emit('requirement:status:updated', {
+          requirementId: requirement.id,
+          status: requirement.status
+        });
+      });
+    } catch (error) {
+      console.error('Requirement status notification error:', error.message);
+    }
+  })();
 };
 
 // POST /api/requirements - Create requirement (Buyer only)
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, rateLimit('requirement:create'), async (req, res) => {
   try {
     if (req.user.role !== 'buyer') {
       return res.status(403).json({
@@ -78,7 +81,7 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
-    const { requirement_text, quantity, product_type, product_link, image_url, notes } = req.body;
+    const { requirement_text, quantity, size_breakdown, product_type, product_link, image_url, notes, quote_deadline } = req.body;
 
     if (!requirement_text || requirement_text.trim().length === 0) {
       return res.status(400).json({
@@ -87,42 +90,83 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    let quoteDeadline = null;
+    if (quote_deadline !== undefined) {
+      const deadlineResult = requirementLifecycleService.validateQuoteDeadline(quote_deadline);
+      if (deadlineResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: deadlineResult.error
+        });
+      }
+      quoteDeadline = deadlineResult.value;
+    }
+
+    let sizeRows = [];
+    if (size_breakdown !== undefined && size_breakdown !== null) {
+      const sizeResult = normalizeSizeBreakdown(size_breakdown);
+      if (!sizeResult.valid) {
+        return res.status(400).json({
+          success: false,
+          message: sizeResult.error
+        });
+      }
+      sizeRows = sizeResult.rows;
+    }
+
+    // Quantity can be left out when sizes are given; otherwise it must match their total
+    const reconciled = reconcileQuantity(quantity ? parseInt(quantity) : null, sizeRows);
+    if (reconciled.error) {
+      return res.status(400).json({
+        success: false,
+        message: reconciled.error
+      });
+    }
+
+    const distribution = requirementDistributionService.validateDistribution(req.body);
+    if (distribution.error) {
+      return res.status(400).json({
+        success: false,
+        message: distribution.error
+      });
+    }
+
+    const { invitedIds, ...distributionFields } = distribution.values;
+    const invitees = await requirementDistributionService.resolveInvitees(invitedIds);
+    if (invitees.error) {
+      return res.status(400).json({
+        success: false,
+        message: invitees.error
+      });
+    }
+
     const requirementData = {
       buyer_id: req.user.userId,
       requirement_text: requirement_text.trim(),
-      quantity: quantity ? parseInt(quantity) : null,
+      quantity: reconciled.quantity,
+      size_breakdown: sizeRows,
       product_type: product_type ? product_type.trim() : null,
       product_link: product_link ? product_link.trim() : null,
       image_url: image_url ? image_url.trim() : null,
-      notes: notes ? notes.trim() : null
+      notes: notes ? notes.trim() : null,
+      status: 'open',
+      quote_deadline: quoteDeadline,
+      ...distributionFields
     };
 
     const requirement = await databaseService.createRequirement(requirementData);
 
     const buyer = await databaseService.findBuyerProfile(requirement.buyer_id);
-    const enrichedRequirement = { ...requirement, buyer: buyer || null };
+    const enrichedRequirement = { ...requirement, buyer: profileSerializer.buyer(buyer, 'public') };
 
-    if (io) {
-      io.to('role:manufacturer').emit('requirement:new', { requirement: enrichedRequirement });
-    }
-
-    (async () => {
-      try {
-        const manufacturers = await databaseService.getAllManufacturers();
-        for (const manufacturer of manufacturers) {
-          if (manufacturer.phone_number) {
-            await whatsappService.notifyNewRequirement(manufacturer.phone_number, requirement);
-          }
-        }
-      } catch (waError) {
-        console.error('WhatsApp notification error:', waError.message);
-      }
-    })();
+    // Only matched and invited manufacturers are notified; open requirements are still listed for everyone
+    const recipients = await requirementDistributionService.distribute(requirement, invitees.manufacturers);
+    notifyRecipients(enrichedRequirement, recipients);
 
     return res.status(201).json({
       success: true,
       message: 'Requirement created successfully',
-      data: requirement
+      data: { ...requirement, recipient_count: recipients.length }
     });
   } catch (error) {
     console.error('Create requirement error:', error);
@@ -135,9 +179,17 @@ router.post('/', authenticateToken, async (req, res) => {
 });
 
 // GET /api/requirements
+// Buyers see their own requirements (optionally ?status=); manufacturers see requirements still taking quotes
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const { limit, offset, sortBy, sortOrder } = req.query;
+    const { limit, offset, sortBy, sortOrder, status } = req.query;
+
+    if (status !== undefined && !requirementLifecycleService.REQUIREMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${requirementLifecycleService.REQUIREMENT_STATUSES.join(', ')}`
+      });
+    }
 
     const options = {
       limit: limit ? parseInt(limit) : 50,
@@ -149,9 +201,12 @@ router.get('/', authenticateToken, async (req, res) => {
     let requirements;
 
     if (req.user.role === 'buyer') {
-      requirements = await databaseService.getBuyerRequirements(req.user.userId, options);
+      requirements = await databaseService.getBuyerRequirements(req.user.userId, { ...options, status });
     } else if (req.user.role === 'manufacturer') {
-      requirements = await databaseService.getAllRequirements(options);
+      // Deadlines that passed since the last expiry sweep are filtered out here
+      requirements = (await databaseService.getAllRequirements({ ...options, status: 'open', visibleToManufacturer: req.user.userId }))
+        .filter((requirement) => requirementLifecycleService.isAcceptingQuotes(requirement))
+        .map((requirement) => ({ ...requirement, buyer: profileSerializer.buyer(requirement.buyer, 'public') }));
     } else {
       return res.status(403).json({
         success: false,
@@ -174,6 +229,43 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/requirements/search - Full-text search with facet counts (Manufacturer only)
+// ?q=&product_type=a,b&quantity_range=|min_quantity=&max_quantity=&created_within=|created_from=&created_to=&not_quoted=true
+// Note: Must come before /:id
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'manufacturer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only manufacturers can search requirements'
+      });
+    }
+
+    const { errors, values } = searchService.parseFilters(req.query, 'product_type');
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid search',
+        errors
+      });
+    }
+
+    const search = await searchService.searchRequirements(req.user.userId, values);
+
+    return res.status(200).json({
+      success: true,
+      data: search
+    });
+  } catch (error) {
+    console.error('Search requirements error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to search requirements',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/requirements/buyer/statistics (Buyer only)
 // Note: Must come before /:id
 router.get('/buyer/statistics', authenticateToken, async (req, res) => {
@@ -258,7 +350,8 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    if (req.user.role === 'buyer' && requirement.buyer_id !== req.user.userId) {
+    if ((req.user.role === 'buyer' && requirement.buyer_id !== req.user.userId) ||
+      (req.user.role === 'manufacturer' && !(await requirementDistributionService.canManufacturerAccess(requirement, req.user.userId)))) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to view this requirement'
@@ -266,7 +359,7 @@ router.get('/:id', authenticateToken, async (req, res) => {
     }
 
     const buyer = await databaseService.findBuyerProfile(requirement.buyer_id);
-    const enrichedRequirement = { ...requirement, buyer: buyer || null };
+    const enrichedRequirement = { ...requirement, buyer: await profileSerializer.buyerFor(req.user, buyer) };
 
     return res.status(200).json({
       success: true,
@@ -302,11 +395,52 @@ router.put('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    const { requirement_text, quantity, product_type, product_link, image_url, notes } = req.body;
+    const { requirement_text, quantity, size_breakdown, product_type, product_link, image_url, notes, quote_deadline } = req.body;
 
     const updateData = {};
+    if (quote_deadline !== undefined) {
+      if (existingRequirement.status === 'awarded') {
+        return res.status(400).json({
+          success: false,
+          message: 'The quote deadline of an awarded requirement cannot be changed'
+        });
+      }
+
+      const deadlineResult = requirementLifecycleService.validateQuoteDeadline(quote_deadline);
+      if (deadlineResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: deadlineResult.error
+        });
+      }
+      updateData.quote_deadline = deadlineResult.value;
+    }
     if (requirement_text !== undefined) updateData.requirement_text = requirement_text.trim();
     if (quantity !== undefined) updateData.quantity = parseInt(quantity);
+    if (size_breakdown !== undefined) {
+      const sizeResult = normalizeSizeBreakdown(size_breakdown === null ? [] : size_breakdown);
+      if (!sizeResult.valid) {
+        return res.status(400).json({
+          success: false,
+          message: sizeResult.error
+        });
+      }
+      updateData.size_breakdown = sizeResult.rows;
+    }
+    if (quantity !== undefined || size_breakdown !== undefined) {
+      // New sizes set the quantity when none is given; a new quantity must match the sizes in force
+      const reconciled = reconcileQuantity(
+        quantity !== undefined ? updateData.quantity : (size_breakdown !== undefined ? null : existingRequirement.quantity),
+        updateData.size_breakdown || existingRequirement.size_breakdown || []
+      );
+      if (reconciled.error) {
+        return res.status(400).json({
+          success: false,
+          message: reconciled.error
+        });
+      }
+      updateData.quantity = reconciled.quantity;
+    }
     if (product_type !== undefined) updateData.product_type = product_type.trim();
     if (product_link !== undefined) updateData.product_link = product_link.trim();
     if (image_url !== undefined) updateData.image_url = image_url.trim();
@@ -329,6 +463,166 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// PATCH /api/requirements/:id/status - Close a requirement or reopen it for quotes (Buyer only)
+// Reopening an expired requirement takes a new quote_deadline (or null for none)
+router.patch('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const existingRequirement = await databaseService.getRequirement(id);
+
+    if (!existingRequirement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requirement not found'
+      });
+    }
+
+    if (req.user.role !== 'buyer' || existingRequirement.buyer_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to update this requirement'
+      });
+    }
+
+    const { status, quote_deadline } = req.body;
+
+    let quoteDeadline;
+    if (quote_deadline !== undefined) {
+      const deadlineResult = requirementLifecycleService.validateQuoteDeadline(quote_deadline);
+      if (deadlineResult.error) {
+        return res.status(400).json({
+          success: false,
+          message: deadlineResult.error
+        });
+      }
+      quoteDeadline = deadlineResult.value;
+    }
+
+    const { error: statusError, requirement } = await requirementLifecycleService.setBuyerStatus(existingRequirement, status, quoteDeadline);
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError
+      });
+    }
+
+    notifyStatusUpdate(requirement);
+
+    return res.status(200).json({
+      success: true,
+      message: status === 'open' ? 'Requirement reopened successfully' : 'Requirement closed successfully',
+      data: requirement
+    });
+  } catch (error) {
+    console.error('Update requirement status error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update requirement status',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/requirements/:id/recipients - Manufacturers the requirement was sent to (Buyer only)
+router.get('/:id/recipients', authenticateToken, async (req, res) => {
+  try {
+    const requirement = await databaseService.getRequirement(req.params.id);
+
+    if (!requirement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requirement not found'
+      });
+    }
+
+    if (req.user.role !== 'buyer' || requirement.buyer_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view the recipients of this requirement'
+      });
+    }
+
+    const recipients = await databaseService.getRequirementRecipients(requirement.id);
+
+    return res.status(200).json({
+      success: true,
+      data: recipients,
+      count: recipients.length
+    });
+  } catch (error) {
+    console.error('Get requirement recipients error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch requirement recipients',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/requirements/:id/invitations - Invite more manufacturers to quote (Buyer only)
+router.post('/:id/invitations', authenticateToken, async (req, res) => {
+  try {
+    const requirement = await databaseService.getRequirement(req.params.id);
+
+    if (!requirement) {
+      return res.status(404).json({
+        success: false,
+        message: 'Requirement not found'
+      });
+    }
+
+    if (req.user.role !== 'buyer' || requirement.buyer_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to invite manufacturers to this requirement'
+      });
+    }
+
+    if (!requirementLifecycleService.isAcceptingQuotes(requirement)) {
+      return res.status(400).json({
+        success: false,
+        message: requirementLifecycleService.getClosedMessage(requirement)
+      });
+    }
+
+    const { error: idsError, ids } = requirementDistributionService.validateInvitedIds(req.body.manufacturer_ids);
+    if (idsError || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: idsError || 'Provide the manufacturer_ids to invite'
+      });
+    }
+
+    const invitees = await requirementDistributionService.resolveInvitees(ids);
+    if (invitees.error) {
+      return res.status(400).json({
+        success: false,
+        message: invitees.error
+      });
+    }
+
+    const recipients = await requirementDistributionService.distribute(requirement, invitees.manufacturers, { match: false });
+
+    const buyer = await databaseService.findBuyerProfile(requirement.buyer_id);
+    notifyRecipients({ ...requirement, buyer: profileSerializer.buyer(buyer, 'public') }, recipients);
+
+    return res.status(201).json({
+      success: true,
+      message: recipients.length > 0
+        ? `${recipients.length} manufacturer(s) invited`
+        : 'These manufacturers have already received this requirement',
+      data: recipients.map(({ recipient }) => recipient)
+    });
+  } catch (error) {
+    console.error('Invite manufacturers error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to invite manufacturers',
+      error: error.message
+    });
+  }
+});
+
 // DELETE /api/requirements/:id (Buyer only)
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -366,7 +660,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 });
 
 // POST /api/requirements/:id/responses - Create response (Manufacturer only)
-router.post('/:id/responses', authenticateToken, async (req, res) => {
+router.post('/:id/responses', authenticateToken, rateLimit('quote:submit'), async (req, res) => {
   try {
     if (req.user.role !== 'manufacturer') {
       return res.status(403).json({
@@ -376,9 +670,9 @@ router.post('/:id/responses', authenticateToken, async (req, res) => {
     }
 
     const { id: requirementId } = req.params;
-    const { quoted_price, price_per_unit, delivery_time, notes } = req.body;
+    const { quoted_price, price_per_unit, size_breakdown, delivery_time, notes } = req.body;
 
-    if (!quoted_price || !price_per_unit || !delivery_time) {
+    if (!price_per_unit || !delivery_time) {
       return res.status(400).json({
         success: false,
         message: 'Quoted price, price per unit, and delivery time are required'
@@ -393,6 +687,20 @@ router.post('/:id/responses', authenticateToken, async (req, res) => {
       });
     }
 
+    if (!(await requirementDistributionService.canManufacturerAccess(requirement, req.user.userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'This requirement is open to invited manufacturers only'
+      });
+    }
+
+    if (!requirementLifecycleService.isAcceptingQuotes(requirement)) {
+      return res.status(400).json({
+        success: false,
+        message: requirementLifecycleService.getClosedMessage(requirement)
+      });
+    }
+
     const existingResponse = await databaseService.getManufacturerResponse(requirementId, req.user.userId);
     if (existingResponse) {
       return res.status(400).json({
@@ -401,23 +709,69 @@ router.post('/:id/responses', authenticateToken, async (req, res) => {
       });
     }
 
+    // Quotes cover the requirement's sizes unless the manufacturer quotes their own
+    let sizeRows = requirement.size_breakdown || [];
+    if (size_breakdown !== undefined && size_breakdown !== null) {
+      const sizeResult = normalizeSizeBreakdown(size_breakdown, { allowPrices: true });
+      if (!sizeResult.valid) {
+        return res.status(400).json({
+          success: false,
+          message: sizeResult.error
+        });
+      }
+      sizeRows = sizeResult.rows;
+    }
+
+    const quantity = sizeRows.length > 0 ? reconcileQuantity(null, sizeRows).quantity : (requirement.quantity || null);
+    // Quoted price may be left out when sizes are priced separately, as it is their sum
+    let quotedPrice = parseFloat(quoted_price);
+    if (!hasSizePrices(sizeRows) && !quoted_price) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quoted price is required unless sizes are priced separately'
+      });
+    }
+    if (hasSizePrices(sizeRows)) {
+      const sizeTotal = getPricedTotal(sizeRows, parseFloat(price_per_unit));
+      if (quoted_price && Math.abs(quotedPrice - sizeTotal) >= 0.01) {
+        return res.status(400).json({
+          success: false,
+          message: `Quoted price must equal the sum of the size-wise prices (${sizeTotal})`
+        });
+      }
+      quotedPrice = sizeTotal;
+    }
+
+    const pricedQuote = await negotiationService.priceTerms('requirement', {
+      price_per_unit: parseFloat(price_per_unit),
+      quantity,
+      size_breakdown: sizeRows,
+      quoted_price: quotedPrice
+    }, { productCategory: requirement.product_type, manufacturerId: req.user.userId });
+
     const responseData = {
       requirement_id: requirementId,
       manufacturer_id: req.user.userId,
-      quoted_price: parseFloat(quoted_price),
+      quoted_price: quotedPrice,
       price_per_unit: parseFloat(price_per_unit),
+      quantity,
+      size_breakdown: sizeRows,
+      gst: pricedQuote.gst,
+      platform_fee: pricedQuote.platform_fee,
+      price_breakdown: pricedQuote.price_breakdown,
       delivery_time: delivery_time.trim(),
       notes: notes ? notes.trim() : null,
       status: 'submitted'
     };
 
     const response = await databaseService.createRequirementResponse(responseData);
+    await negotiationService.ensureRevisionHistory('requirement', response, negotiationService.getBindingTerms(response, requirement));
     const manufacturer = await databaseService.findManufacturerProfile(response.manufacturer_id);
     
     const enrichedResponse = {
       ...response,
       requirement: { ...requirement, buyer_id: requirement.buyer_id },
-      manufacturer: manufacturer || null
+      manufacturer: profileSerializer.manufacturer(manufacturer, 'public')
     };
 
     if (io) {
@@ -501,14 +855,17 @@ router.get('/:id/responses', authenticateToken, async (req, res) => {
       });
     }
 
-    if (req.user.role === 'buyer' && requirement.buyer_id !== req.user.userId) {
+    if ((req.user.role === 'buyer' && requirement.buyer_id !== req.user.userId) ||
+      (req.user.role === 'manufacturer' && !(await requirementDistributionService.canManufacturerAccess(requirement, req.user.userId)))) {
       return res.status(403).json({
         success: false,
         message: 'You do not have permission to view these responses'
       });
     }
 
-    const responses = await databaseService.getRequirementResponses(requirementId);
+    // Manufacturers only see their own quote, never their competitors'
+    const responses = (await databaseService.getRequirementResponses(requirementId))
+      .filter((response) => req.user.role !== 'manufacturer' || response.manufacturer_id === req.user.userId);
 
     return res.status(200).json({
       success: true,
@@ -563,10 +920,15 @@ router.get('/responses/:responseId', authenticateToken, async (req, res) => {
     const manufacturer = await databaseService.findManufacturerProfile(response.manufacturer_id);
     const buyer = await databaseService.findBuyerProfile(requirement.buyer_id);
 
+    // Contact details are shared once this quote is accepted
+    const accepted = response.status === 'accepted';
     const enrichedResponse = {
       ...response,
-      requirement: { ...requirement, buyer: buyer || null },
-      manufacturer: manufacturer || null
+      requirement: {
+        ...requirement,
+        buyer: buyer && profileSerializer.buyer(buyer, profileSerializer.viewFor(req.user, buyer.id, accepted))
+      },
+      manufacturer: manufacturer && profileSerializer.manufacturer(manufacturer, profileSerializer.viewFor(req.user, manufacturer.id, accepted))
     };
 
     return res.status(200).json({
@@ -619,19 +981,81 @@ router.patch('/responses/:responseId/status', authenticateToken, async (req, res
       });
     }
 
-    let updateData = { status };
+    const statusError = negotiationService.validateStatusChange(response, status);
+    if (statusError) {
+      return res.status(400).json({
+        success: false,
+        message: statusError
+      });
+    }
+
+    // Quotes can only be accepted while the requirement is open; an expired requirement must be reopened first
+    if (status === 'accepted' && !requirementLifecycleService.isAcceptingQuotes(requirement)) {
+      return res.status(400).json({
+        success: false,
+        message: requirementLifecycleService.getClosedMessage(requirement)
+      });
+    }
+
+    // Claim the award before accepting, so a concurrent accept of another quote cannot also win
+    let awardedRequirement = null;
     if (status === 'accepted') {
-      updateData.accepted_at = new Date().toISOString();
+      awardedRequirement = await requirementLifecycleService.claimAward(requirement, response);
+      if (!awardedRequirement) {
+        return res.status(409).json({
+          success: false,
+          message: 'This requirement has already been awarded or is no longer open'
+        });
+      }
+    }
+
+    let updatedResponse = null;
+    let order = null;
+    try {
+      if (status === 'accepted' || status === 'rejected') {
+        await negotiationService.closeNegotiation('requirement', response, status);
+      }
+
+      let updateData = { status };
+      if (status === 'accepted') {
+        updateData.accepted_at = new Date().toISOString();
+      }
+
+      updatedResponse = await databaseService.updateRequirementResponse(responseId, updateData);
+
+      if (status === 'accepted') {
+        order = await orderService.createOrderFromRequirementResponse(updatedResponse, requirement);
+      }
+    } catch (acceptError) {
+      // Without an accepted quote and its order the award must not stand, or the requirement could never be awarded again
+      if (awardedRequirement) {
+        if (updatedResponse) {
+          await databaseService.updateRequirementResponse(responseId, { status: response.status, accepted_at: null });
+        }
+        await requirementLifecycleService.releaseAward(requirement, response);
+      }
+      throw acceptError;
     }
 
-    const updatedResponse = await databaseService.updateRequirementResponse(responseId, updateData);
     const manufacturer = await databaseService.findManufacturerProfile(response.manufacturer_id);
     const buyer = await databaseService.findBuyerProfile(requirement.buyer_id);
 
+    let award = null;
+    if (status === 'accepted') {
+      award = {
+        requirement: awardedRequirement,
+        outbidResponses: await requirementLifecycleService.rejectOutbidResponses(requirement, updatedResponse)
+      };
+    }
+
+    // Sent to the manufacturer, who gets the buyer's contact details once their quote is accepted
     const enrichedResponse = {
       ...updatedResponse,
-      requirement: { ...requirement, buyer: buyer || null },
-      manufacturer: manufacturer || null
+      requirement: {
+        ...(award ? award.requirement : requirement),
+        buyer: profileSerializer.buyer(buyer, status === 'accepted' ? 'counterparty' : 'public')
+      },
+      manufacturer: profileSerializer.manufacturer(manufacturer, 'self')
     };
 
     if (io) {
@@ -639,6 +1063,24 @@ router.patch('/responses/:responseId/status', authenticateToken, async (req, res
         response: enrichedResponse,
         status: status
       });
+
+      if (order) {
+        io.to(`user:${order.buyer_id}`).to(`user:${order.manufacturer_id}`).emit('order:new', { order: profileSerializer.order(order) });
+      }
+
+      if (award) {
+        award.outbidResponses.forEach((outbid) => {
+          io.to(`user:${outbid.manufacturer_id}`).emit('requirement:awarded', {
+            requirementId: requirement.id,
+            responseId: outbid.id,
+            status: outbid.status
+          });
+        });
+      }
+    }
+
+    if (award) {
+      notifyStatusUpdate(award.requirement);
     }
 
     (async () => {
@@ -651,10 +1093,26 @@ router.patch('/responses/:responseId/status', authenticateToken, async (req, res
       }
     })();
 
+    if (award && award.outbidResponses.length > 0) {
+      (async () => {
+        try {
+          for (const outbid of award.outbidResponses) {
+            const bidder = await databaseService.findManufacturerProfile(outbid.manufacturer_id);
+            if (bidder && bidder.phone_number) {
+              await whatsappService.notifyRequirementAwardedElsewhere(bidder.phone_number, requirement);
+            }
+          }
+        } catch (waError) {
+          console.error('WhatsApp notification error:', waError.message);
+        }
+      })();
+    }
+
     return res.status(200).json({
       success: true,
       message: `Response ${status} successfully`,
-      data: updatedResponse
+      data: updatedResponse,
+      order: profileSerializer.order(order, req.user)
     });
   } catch (error) {
     console.error('Update response status error:', error);
@@ -666,8 +1124,223 @@ router.patch('/responses/:responseId/status', authenticateToken, async (req, res
   }
 });
 
+// GET /api/requirements/responses/:responseId/revisions - Counter-offer history
+router.get('/responses/:responseId/revisions', authenticateToken, async (req, res) => {
+  try {
+    const { responseId } = req.params;
+
+    const response = await databaseService.getRequirementResponseById(responseId);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Response not found'
+      });
+    }
+
+    const requirement = await databaseService.getRequirement(response.requirement_id);
+    if (!requirement || !isResponseParty(req.user, response, requirement)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to view this negotiation'
+      });
+    }
+
+    const revisions = await databaseService.getResponseRevisions(responseId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        binding: negotiationService.getBindingTerms(response, requirement),
+        agreed_revision_no: response.agreed_revision_no || null,
+        revisions
+      },
+      count: revisions.length
+    });
+  } catch (error) {
+    console.error('Get response revisions error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch negotiation history',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/requirements/responses/:responseId/revisions - Propose a counter-offer (Buyer or Manufacturer)
+router.post('/responses/:responseId/revisions', authenticateToken, rateLimit('quote:submit'), async (req, res) => {
+  try {
+    const { responseId } = req.params;
+
+    const response = await databaseService.getRequirementResponseById(responseId);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Response not found'
+      });
+    }
+
+    const requirement = await databaseService.getRequirement(response.requirement_id);
+    if (!requirement || !isResponseParty(req.user, response, requirement)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to negotiate on this response'
+      });
+    }
+
+    if (!negotiationService.isNegotiable(response)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot negotiate on a response that is ${response.status}`
+      });
+    }
+
+    const bindingTerms = negotiationService.getBindingTerms(response, requirement);
+    const { error: termsError, terms } = negotiationService.buildProposedTerms(req.body, bindingTerms);
+    if (termsError) {
+      return res.status(400).json({
+        success: false,
+        message: termsError
+      });
+    }
+
+    const pricedTerms = await negotiationService.priceTerms('requirement', terms, {
+      productCategory: requirement.product_type,
+      manufacturerId: response.manufacturer_id
+    });
+
+    const revision = await negotiationService.proposeRevision('requirement', response, bindingTerms, req.user, pricedTerms, req.body.notes);
+
+    const recipientId = req.user.role === 'buyer' ? response.manufacturer_id : requirement.buyer_id;
+
+    if (io) {
+      io.to(`user:${recipientId}`).emit('requirement:response:revision:new', {
+        responseId,
+        requirementId: requirement.id,
+        revision
+      });
+    }
+
+    (async () => {
+      try {
+        const recipient = req.user.role === 'buyer'
+          ? await databaseService.findManufacturerProfile(recipientId)
+          : await databaseService.findBuyerProfile(recipientId);
+        if (recipient && recipient.phone_number) {
+          await whatsappService.notifyCounterOffer(recipient.phone_number, revision, requirement);
+        }
+      } catch (waError) {
+        console.error('WhatsApp notification error:', waError.message);
+      }
+    })();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Counter-offer submitted successfully',
+      data: revision
+    });
+  } catch (error) {
+    console.error('Create response revision error:', error);
+
+    if (error.message && error.message.includes('uq_requirement_response_revision')) {
+      return res.status(409).json({
+        success: false,
+        message: 'Another counter-offer was submitted at the same time. Please refresh and try again.'
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to submit counter-offer',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/requirements/responses/:responseId/revisions/:revisionId/status - Accept or reject a counter-offer
+router.patch('/responses/:responseId/revisions/:revisionId/status', authenticateToken, async (req, res) => {
+  try {
+    const { responseId, revisionId } = req.params;
+    const { status } = req.body;
+
+    if (!status || !['accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be either "accepted" or "rejected"'
+      });
+    }
+
+    const response = await databaseService.getRequirementResponseById(responseId);
+    if (!response) {
+      return res.status(404).json({
+        success: false,
+        message: 'Response not found'
+      });
+    }
+
+    const requirement = await databaseService.getRequirement(response.requirement_id);
+    if (!requirement || !isResponseParty(req.user, response, requirement)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to negotiate on this response'
+      });
+    }
+
+    const revision = await databaseService.getResponseRevisionById(revisionId);
+    if (!revision || revision.response_id !== responseId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Counter-offer not found'
+      });
+    }
+
+    if (!negotiationService.isNegotiable(response) || !negotiationService.canRespondToRevision(revision, req.user)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This counter-offer is not awaiting your response'
+      });
+    }
+
+    let updatedRevision;
+    let updatedResponse = response;
+
+    if (status === 'accepted') {
+      ({ revision: updatedRevision, response: updatedResponse } = await negotiationService.acceptRevision('requirement', response, revision));
+    } else {
+      updatedRevision = await negotiationService.rejectRevision('requirement', revision);
+    }
+
+    const recipientId = req.user.role === 'buyer' ? response.manufacturer_id : requirement.buyer_id;
+
+    if (io) {
+      io.to(`user:${recipientId}`).emit('requirement:response:revision:updated', {
+        responseId,
+        requirementId: requirement.id,
+        revision: updatedRevision,
+        response: updatedResponse,
+        status
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Counter-offer ${status} successfully`,
+      data: {
+        revision: updatedRevision,
+        response: updatedResponse
+      }
+    });
+  } catch (error) {
+    console.error('Update response revision status error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update counter-offer',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/requirements/admin/orders (Admin only)
-router.get('/admin/orders', authenticateAdmin, async (req, res) => {
+router.get('/admin/orders', authenticateAdmin, requireAdminRole('support', 'verifier'), async (req, res) => {
   try {
     const { status, limit, offset, sortBy, sortOrder } = req.query;
 
@@ -0,0 +1,334 @@
+const express = require('express');
+const router = express.Router();
+const databaseService = require('../services/databaseService');
+const techPackService = require('../services/techPack');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * Load a tech pack and its source for a user who may view it, sending the error response otherwise
+ * @returns {Promise<{ techPack: Object, source: Object }|null>} Null when a response has been sent
+ */
+const getViewableTechPack = async (req, res) => {
+  const techPack = await databaseService.getTechPack(req.params.id);
+  const source = techPack ? await techPackService.getSource(techPack) : null;
+
+  if (!techPack || !source) {
+    res.status(404).json({
+      success: false,
+      message: 'Tech pack not found'
+    });
+    return null;
+  }
+
+  if (!(await techPackService.canView(req.user, techPack, source))) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to view this tech pack'
+    });
+    return null;
+  }
+
+  return { techPack, source };
+};
+
+/**
+ * Load a tech pack for the buyer who owns it, sending the error response otherwise
+ * @returns {Promise<{ techPack: Object, source: Object }|null>} Null when a response has been sent
+ */
+const getOwnedTechPack = async (req, res, action) => {
+  const techPack = await databaseService.getTechPack(req.params.id);
+  const source = techPack ? await techPackService.getSource(techPack) : null;
+
+  if (!techPack || !source) {
+    res.status(404).json({
+      success: false,
+      message: 'Tech pack not found'
+    });
+    return null;
+  }
+
+  if (req.user.role !== 'buyer' || techPack.buyer_id !== req.user.userId) {
+    res.status(403).json({
+      success: false,
+      message: `You do not have permission to ${action} this tech pack`
+    });
+    return null;
+  }
+
+  return { techPack, source };
+};
+
+// POST /api/tech-packs - Create the tech pack of an AI design or requirement (Buyer only)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.role !== 'buyer') {
+      return res.status(403).json({
+        success: false,
+        message: 'Only buyers can create tech packs'
+      });
+    }
+
+    const { ai_design_id, requirement_id } = req.body;
+
+    if (Boolean(ai_design_id) === Boolean(requirement_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide either ai_design_id or requirement_id'
+      });
+    }
+
+    const source = await techPackService.getSource({ ai_design_id, requirement_id });
+    const sourceLabel = ai_design_id ? 'AI design' : 'Requirement';
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: `${sourceLabel} not found`
+      });
+    }
+
+    if (source.record.buyer_id !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: `You do not have permission to add a tech pack to this ${sourceLabel.toLowerCase()}`
+      });
+    }
+
+    const existing = await databaseService.getTechPackBySource({ aiDesignId: ai_design_id, requirementId: requirement_id });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: `This ${sourceLabel.toLowerCase()} already has a tech pack`,
+        data: { id: existing.id }
+      });
+    }
+
+    const { errors, values } = techPackService.validateFields(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tech pack',
+        errors
+      });
+    }
+
+    // Sizes default to those ordered on the design or requirement
+    if (values.size_breakdown === undefined) {
+      values.size_breakdown = source.record.size_breakdown || [];
+    }
+
+    // Designs already say where the print goes
+    if (values.print_placement === undefined && source.type === 'ai_design') {
+      values.print_placement = source.record.print_placement || null;
+    }
+
+    const techPack = await databaseService.createTechPack({
+      ...values,
+      buyer_id: req.user.userId,
+      ai_design_id: ai_design_id || null,
+      requirement_id: requirement_id || null
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Tech pack created successfully',
+      data: techPackService.present(techPack)
+    });
+  } catch (error) {
+    console.error('Create tech pack error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create tech pack',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/tech-packs - List the buyer's tech packs (Buyer only)
+// With ?ai_design_id= or ?requirement_id=, returns the tech pack of that design or requirement (anyone who may view it)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { ai_design_id, requirement_id, limit, offset } = req.query;
+
+    if (ai_design_id || requirement_id) {
+      const techPack = await databaseService.getTechPackBySource({ aiDesignId: ai_design_id, requirementId: requirement_id });
+      const source = techPack ? await techPackService.getSource(techPack) : null;
+
+      if (!techPack || !source || !(await techPackService.canView(req.user, techPack, source))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tech pack not found'
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: techPackService.present(techPack)
+      });
+    }
+
+    if (req.user.role !== 'buyer') {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide ai_design_id or requirement_id'
+      });
+    }
+
+    const techPacks = await databaseService.getBuyerTechPacks(req.user.userId, {
+      limit: limit ? Math.min(parseInt(limit) || 50, 100) : 50,
+      offset: offset ? parseInt(offset) || 0 : 0
+    });
+
+    return res.status(200).json({
+      success: true,
+      data: techPacks.map((techPack) => techPackService.present(techPack)),
+      count: techPacks.length
+    });
+  } catch (error) {
+    console.error('Get tech packs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tech packs',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/tech-packs/:id - Get a tech pack
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await getViewableTechPack(req, res);
+    if (!loaded) return;
+
+    return res.status(200).json({
+      success: true,
+      data: techPackService.present(loaded.techPack)
+    });
+  } catch (error) {
+    console.error('Get tech pack error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tech pack',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/tech-packs/:id - Update a tech pack (Buyer only); the stored PDF is discarded
+router.patch('/:id', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await getOwnedTechPack(req, res, 'update');
+    if (!loaded) return;
+
+    const { errors, values } = techPackService.validateFields(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid tech pack',
+        errors
+      });
+    }
+
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No tech pack fields to update'
+      });
+    }
+
+    const techPack = await databaseService.updateTechPack(loaded.techPack.id, {
+      ...values,
+      pdf_url: null,
+      pdf_public_id: null,
+      pdf_generated_at: null
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Tech pack updated successfully',
+      data: techPackService.present(techPack)
+    });
+  } catch (error) {
+    console.error('Update tech pack error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update tech pack',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/tech-packs/:id/pdf - Get the tech pack PDF URL, rendering the PDF if it is missing or out of date
+router.get('/:id/pdf', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await getViewableTechPack(req, res);
+    if (!loaded) return;
+
+    const techPack = await techPackService.ensurePdf(loaded.techPack, loaded.source);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        pdf_url: techPack.pdf_url,
+        generated_at: techPack.pdf_generated_at
+      }
+    });
+  } catch (error) {
+    console.error('Get tech pack PDF error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate tech pack PDF',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/tech-packs/:id/pdf - Re-render the tech pack PDF (Buyer only), e.g. after the design image changes
+router.post('/:id/pdf', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await getOwnedTechPack(req, res, 'render');
+    if (!loaded) return;
+
+    const techPack = await techPackService.publishPdf(loaded.techPack, loaded.source);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Tech pack PDF generated',
+      data: {
+        pdf_url: techPack.pdf_url,
+        generated_at: techPack.pdf_generated_at
+      }
+    });
+  } catch (error) {
+    console.error('Render tech pack PDF error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate tech pack PDF',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/tech-packs/:id - Delete a tech pack (Buyer only)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await getOwnedTechPack(req, res, 'delete');
+    if (!loaded) return;
+
+    await databaseService.deleteTechPack(loaded.techPack.id);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Tech pack deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tech pack error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to delete tech pack',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
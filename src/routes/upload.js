@@ -1,6 +1,7 @@
 const express = require('express');
 const multer = require('multer');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const { uploadToCloudinary } = require('../config/cloudinary');
 
 const router = express.Router();
@@ -43,7 +44,7 @@ const upload = multer({
 });
 
 // POST /upload/chat-file
-router.post('/chat-file', authenticateToken, upload.single('file'), async (req, res) => {
+router.post('/chat-file', authenticateToken, rateLimit('upload'), upload.single('file'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -139,7 +140,7 @@ router.post('/chat-file', authenticateToken, upload.single('file'), async (req,
 });
 
 // POST /upload/multiple
-router.post('/multiple', authenticateToken, upload.array('files', 5), async (req, res) => {
+router.post('/multiple', authenticateToken, rateLimit('upload'), upload.array('files', 5), async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -228,7 +229,7 @@ router.post('/multiple', authenticateToken, upload.array('files', 5), async (req
 });
 
 // POST /upload/ai-design-image (Buyer only)
-router.post('/ai-design-image', authenticateToken, async (req, res) => {
+router.post('/ai-design-image', authenticateToken, rateLimit('upload'), async (req, res) => {
   try {
     if (req.user.role !== 'buyer') {
       return res.status(403).json({
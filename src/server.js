@@ -7,8 +7,13 @@ require('dotenv').config();
 const http = require('http');
 const { Server } = require('socket.io');
 const socketAuth = require('./middleware/wsAuth');
+const { checkSocketRateLimit } = require('./middleware/rateLimit');
 const databaseService = require('./services/databaseService');
+const requirementLifecycleService = require('./services/requirementLifecycleService');
+const requirementDistributionService = require('./services/requirementDistributionService');
+const scorecardService = require('./services/scorecardService');
 const { buildMessageSummary } = require('./utils/messageSummary');
+const { parseTrustProxy } = require('./utils/clientInfo');
 const supabase = require('./config/supabase');
 
 // Import routes
@@ -20,10 +25,17 @@ const uploadRoutes = require('./routes/upload');
 const requirementsRoutes = require('./routes/requirements');
 const aiDesignsRoutes = require('./routes/aiDesigns');
 const aiDesignResponsesRoutes = require('./routes/aiDesignResponses');
+const ordersRoutes = require('./routes/orders');
+const techPacksRoutes = require('./routes/techPacks');
+const adminRoutes = require('./routes/admin');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Client IPs (rate limits, OTP lockouts, audit log, sessions) come from req.ip, which only
+// honours X-Forwarded-For from the proxies configured here
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+
 // Security middleware
 app.use(helmet());
 
@@ -63,6 +75,9 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/requirements', requirementsRoutes);
 app.use('/api/ai-designs', aiDesignsRoutes);
 app.use('/api/ai-design-responses', aiDesignResponsesRoutes);
+app.use('/api/orders', ordersRoutes);
+app.use('/api/tech-packs', techPacksRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -79,6 +94,9 @@ app.get('/', (req, res) => {
       requirements: '/api/requirements',
       aiDesigns: '/api/ai-designs',
       aiDesignResponses: '/api/ai-design-responses',
+      orders: '/api/orders',
+      techPacks: '/api/tech-packs',
+      admin: '/api/admin',
       upload: '/api/upload',
       health: '/health'
     }
@@ -101,17 +119,36 @@ const onlineCounts = new Map(); // userId -> connection count
 io.use(socketAuth);
 
 // Pass io instance to routes for real-time updates
+authRoutes.setIo(io);
 requirementsRoutes.setIo(io);
 aiDesignsRoutes.setIo(io);
 aiDesignResponsesRoutes.setIo(io);
+ordersRoutes.setIo(io);
+
+// Expire requirements whose quote deadline has passed and tell the buyer and the manufacturers involved
+requirementLifecycleService.startExpirySweep(async (requirements) => {
+  for (const requirement of requirements) {
+    const manufacturerIds = await requirementDistributionService.getInvolvedManufacturerIds(requirement);
+    const rooms = [requirement.buyer_id, ...manufacturerIds].map((userId) => `user:${userId}`);
+    io.to(rooms).emit('requirement:status:updated', {
+      requirementId: requirement.id,
+      status: 'expired'
+    });
+  }
+});
+
+// Recompute manufacturer scorecards; each day keeps its latest snapshot for admin trends
+scorecardService.startRefreshSchedule();
 
 io.on('connection', async (socket) => {
   try {
-    const { userId, role } = socket.user;
+    const { userId, role, sessionId } = socket.user;
 
     // Join user-specific and role rooms
     socket.join(`user:${userId}`);
     if (role) socket.join(`role:${role}`);
+    // Session room lets a revoked login be disconnected without touching the user's other devices
+    if (sessionId) socket.join(`session:${sessionId}`);
 
     // Presence increment
     onlineCounts.set(userId, (onlineCounts.get(userId) || 0) + 1);
@@ -128,6 +165,13 @@ io.on('connection', async (socket) => {
         
         if (!hasBody && !hasAttachments) return;
         
+        // Shares the 'message:send' policy (and counter) with POST /api/chat/conversations/:id/messages
+        const limit = await checkSocketRateLimit(socket, 'message:send');
+        if (!limit.allowed) {
+          socket.emit('rate_limited', { event: 'message:send', clientTempId: clientTempId || null, retryAfter: limit.retryAfter });
+          return;
+        }
+
         const convo = await databaseService.getConversation(conversationId);
         if (!convo) return;
         const isParticipant = (role === 'buyer' && convo.buyer_id === userId) || (role === 'manufacturer' && convo.manufacturer_id === userId);
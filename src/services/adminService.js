@@ -0,0 +1,157 @@
+const bcrypt = require('bcryptjs');
+const databaseService = require('./databaseService');
+const authService = require('./authService');
+
+// Admin roles; super_admin can do everything the other roles can
+const ADMIN_ROLES = ['super_admin', 'verifier', 'support'];
+
+const BCRYPT_ROUNDS = 12;
+const MIN_PASSWORD_LENGTH = 10;
+
+// Compared against when a username does not exist, so failed logins take the same time
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('grupo-admin-placeholder', BCRYPT_ROUNDS);
+
+class AdminService {
+  /**
+   * Check whether an admin role satisfies one of the required roles
+   * @param {string} adminRole - Admin's role
+   * @param {Array<string>} allowedRoles - Roles allowed to perform the action
+   * @returns {boolean} True if allowed
+   */
+  hasRole(adminRole, allowedRoles) {
+    return adminRole === 'super_admin' || allowedRoles.includes(adminRole);
+  }
+
+  /**
+   * Validate a new admin password
+   * @param {string} password - Plaintext password
+   * @returns {string|null} Error message, or null if the password is acceptable
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Hash a plaintext password
+   * @param {string} password - Plaintext password
+   * @returns {Promise<string>} bcrypt hash
+   */
+  async hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Strip secrets from an admin row before returning it to clients
+   * @param {Object} admin - Admin user row
+   * @returns {Object} Admin user without password hash
+   */
+  toPublicAdmin(admin) {
+    if (!admin) return null;
+    const { password_hash: _passwordHash, ...publicAdmin } = admin;
+    return publicAdmin;
+  }
+
+  /**
+   * Create the first super admin from ADMIN_USERNAME / ADMIN_PASSWORD when no admin accounts exist
+   * @returns {Promise<Object|null>} Created admin or null if nothing was bootstrapped
+   */
+  async ensureBootstrapAdmin() {
+    const username = process.env.ADMIN_USERNAME;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!username || !password) {
+      return null;
+    }
+
+    const adminCount = await databaseService.countAdminUsers();
+    if (adminCount > 0) {
+      return null;
+    }
+
+    const passwordError = this.validatePassword(password);
+    if (passwordError) {
+      console.error(`Admin bootstrap skipped: ${passwordError}`);
+      return null;
+    }
+
+    const admin = await databaseService.createAdminUser({
+      username: username.trim().toLowerCase(),
+      password_hash: await this.hashPassword(password),
+      full_name: 'Super Admin',
+      role: 'super_admin'
+    });
+    console.log(`Bootstrapped super admin account: ${admin.username}`);
+    return admin;
+  }
+
+  /**
+   * Verify admin credentials and issue a token
+   * @param {string} username - Admin username
+   * @param {string} password - Plaintext password
+   * @returns {Promise<{ token: string, admin: Object }|null>} Token and admin, or null if the credentials are invalid
+   */
+  async login(username, password) {
+    await this.ensureBootstrapAdmin();
+
+    const admin = await databaseService.findAdminUserByUsername(username.trim().toLowerCase());
+    const passwordMatches = await bcrypt.compare(password, admin ? admin.password_hash : DUMMY_PASSWORD_HASH);
+
+    if (!admin || !passwordMatches || !admin.is_active) {
+      return null;
+    }
+
+    const updatedAdmin = await databaseService.updateAdminUser(admin.id, {
+      last_login: new Date().toISOString()
+    });
+
+    return {
+      token: authService.generateJWT(admin.id, admin.username, 'admin'),
+      admin: this.toPublicAdmin(updatedAdmin)
+    };
+  }
+
+  /**
+   * Create a new admin account
+   * @param {Object} adminData - Admin data (username, password, full_name, email, role)
+   * @param {string} createdBy - ID of the super admin creating the account
+   * @returns {Promise<Object>} Created admin (without password hash)
+   */
+  async createAdmin({ username, password, full_name, email, role }, createdBy) {
+    const admin = await databaseService.createAdminUser({
+      username: username.trim().toLowerCase(),
+      password_hash: await this.hashPassword(password),
+      full_name: full_name || null,
+      email: email || null,
+      role,
+      created_by: createdBy,
+      password_changed_at: new Date().toISOString()
+    });
+
+    return this.toPublicAdmin(admin);
+  }
+
+  /**
+   * Change an admin's password after checking the current one
+   * @param {Object} admin - Admin user row
+   * @param {string} currentPassword - Current plaintext password
+   * @param {string} newPassword - New plaintext password
+   * @returns {Promise<boolean>} False if the current password is wrong
+   */
+  async changePassword(admin, currentPassword, newPassword) {
+    const matches = await bcrypt.compare(currentPassword, admin.password_hash);
+    if (!matches) {
+      return false;
+    }
+
+    await databaseService.updateAdminUser(admin.id, {
+      password_hash: await this.hashPassword(newPassword),
+      password_changed_at: new Date().toISOString()
+    });
+    return true;
+  }
+}
+
+module.exports = new AdminService();
+module.exports.ADMIN_ROLES = ADMIN_ROLES;
@@ -0,0 +1,301 @@
+const databaseService = require('./databaseService');
+const designGenerationService = require('./designGeneration');
+const { uploadBase64Image } = require('../config/cloudinary');
+
+// Brief fields copied into every version and inherited by variations
+const BRIEF_FIELDS = ['apparel_type', 'design_description', 'preferred_colors', 'print_placement'];
+
+// The brief field each kind of variation changes
+const VARIATION_TYPES = {
+  recolor: 'preferred_colors',
+  placement: 'print_placement',
+  apparel_type: 'apparel_type'
+};
+
+// Guard against cycles or runaway chains when walking up a lineage
+const MAX_LINEAGE_DEPTH = 50;
+
+const isBase64Image = (str) => {
+  if (!str || typeof str !== 'string') return false;
+  return str.startsWith('data:image/') ||
+         (str.length > 100 && /^[A-Za-z0-9+/=]+$/.test(str.replace(/\s/g, '')));
+};
+
+const cleanValue = (value) => {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  return trimmed.length > 0 ? trimmed : null;
+};
+
+class AIDesignVersionService {
+  /**
+   * Pick the brief fields present in an object
+   * @param {Object} source - Design, version or request body
+   * @returns {Object} Brief fields that are set (undefined fields are left out)
+   */
+  pickBrief(source) {
+    return BRIEF_FIELDS.reduce((brief, field) => {
+      if (source && source[field] !== undefined) {
+        brief[field] = cleanValue(source[field]);
+      }
+      return brief;
+    }, {});
+  }
+
+  /**
+   * Fields a design row copies from the version it shows
+   * @param {Object} version - AI design version
+   * @returns {Object} Row fields
+   */
+  toDesignSnapshot(version) {
+    return {
+      ...this.pickBrief(version),
+      image_url: version.image_url,
+      current_version_id: version.id
+    };
+  }
+
+  /**
+   * Store a buyer-supplied image, uploading base64 data to Cloudinary
+   * @param {string} buyerId - Buyer profile ID
+   * @param {string} image - Image URL or base64 data
+   * @param {string} apparelType - Apparel type, used for tagging
+   * @param {string} uploadedVia - Where the upload came from (Cloudinary context)
+   * @returns {Promise<string>} Image URL
+   */
+  async storeImage(buyerId, image, apparelType, uploadedVia) {
+    if (!isBase64Image(image)) {
+      return image.trim();
+    }
+
+    const uploadResult = await uploadBase64Image(image, {
+      folder: `groupo-ai-designs/${buyerId}`,
+      context: {
+        buyer_id: buyerId,
+        apparel_type: apparelType,
+        uploaded_via: uploadedVia
+      },
+      tags: ['ai-design', 'generated', apparelType.toLowerCase().replace(/\s+/g, '-')]
+    });
+    return uploadResult.url;
+  }
+
+  /**
+   * Get the image for a new version: the supplied image, or a freshly generated one
+   * @param {Object} buyer - Buyer profile
+   * @param {Object} brief - Complete design brief
+   * @param {string|null} image - Image URL or base64 data; generated from the brief when empty
+   * @returns {Promise<Object>} { allowed: false, message, retryAfter, quota } when the generation quota is used up,
+   *   otherwise { allowed: true, image_url, source, prompt, generation_id, quota }
+   */
+  async resolveImage(buyer, brief, image) {
+    if (image && image.trim().length > 0) {
+      return {
+        allowed: true,
+        image_url: await this.storeImage(buyer.id, image, brief.apparel_type, 'ai-design-version'),
+        source: 'upload',
+        prompt: null,
+        generation_id: null,
+        quota: null
+      };
+    }
+
+    const generated = await designGenerationService.generate(buyer, brief);
+    if (!generated.allowed) {
+      return generated;
+    }
+
+    return {
+      allowed: true,
+      image_url: generated.image.url,
+      source: 'generated',
+      prompt: generated.prompt,
+      generation_id: generated.generationId,
+      quota: generated.quota
+    };
+  }
+
+  /**
+   * Record the first version of a design from its row
+   * Designs created before versioning get their version 1 the first time their history is used.
+   * @param {Object} design - AI design
+   * @param {Object} [details] - source, prompt and generation_id of the image
+   * @returns {Promise<{ design: Object, version: Object }>} Design pointing at the version, and the version
+   */
+  async recordInitialVersion(design, details = {}) {
+    const version = await databaseService.createAIDesignVersion({
+      ai_design_id: design.id,
+      ...this.pickBrief(design),
+      image_url: design.image_url,
+      source: details.source || 'upload',
+      prompt: details.prompt || null,
+      generation_id: details.generation_id || null
+    });
+
+    const updatedDesign = await databaseService.updateAIDesign(design.id, { current_version_id: version.id });
+    return { design: updatedDesign, version };
+  }
+
+  /**
+   * Get a design's versions, creating version 1 for designs that predate versioning
+   * @param {Object} design - AI design
+   * @returns {Promise<{ design: Object, versions: Array }>}
+   */
+  async getVersions(design) {
+    const versions = await databaseService.getAIDesignVersions(design.id);
+    if (versions.length > 0) {
+      return { design, versions };
+    }
+
+    const initial = await this.recordInitialVersion(design);
+    return { design: initial.design, versions: [initial.version] };
+  }
+
+  /**
+   * Add a version to a design
+   * Unpublished designs show their newest version; published designs keep showing the pushed
+   * version until another one is pushed.
+   * @param {Object} design - AI design
+   * @param {Object} buyer - Buyer profile (owner)
+   * @param {Object} input - Version input
+   * @param {Object} input.changes - Brief fields to change from the version the design shows
+   * @param {string} [input.image] - Image URL or base64 data; generated from the brief when empty
+   * @param {string} [input.notes] - Buyer's notes on the version
+   * @returns {Promise<Object>} { allowed: false, ... } when generation quota is used up,
+   *   otherwise { allowed: true, design, version, quota }
+   */
+  async addVersion(design, buyer, { changes = {}, image = null, notes = null }) {
+    const { design: currentDesign } = await this.getVersions(design);
+    const brief = { ...this.pickBrief(currentDesign), ...this.pickBrief(changes) };
+
+    const resolved = await this.resolveImage(buyer, brief, image);
+    if (!resolved.allowed) {
+      return resolved;
+    }
+
+    const version = await databaseService.createAIDesignVersion({
+      ai_design_id: design.id,
+      ...brief,
+      image_url: resolved.image_url,
+      source: resolved.source,
+      prompt: resolved.prompt,
+      generation_id: resolved.generation_id,
+      notes: cleanValue(notes)
+    });
+
+    const updatedDesign = currentDesign.status === 'published'
+      ? currentDesign
+      : await databaseService.updateAIDesign(design.id, this.toDesignSnapshot(version));
+
+    return { allowed: true, design: updatedDesign, version, quota: resolved.quota };
+  }
+
+  /**
+   * Create a variation of a design as a new draft design linked to it
+   * @param {Object} parent - Design to derive from
+   * @param {Object} buyer - Buyer profile (owner)
+   * @param {Object} input - Variation input
+   * @param {string} input.variationType - recolor, placement or apparel_type
+   * @param {Object} input.changes - Brief fields to change; must include the field of the variation type
+   * @param {string} [input.image] - Image URL or base64 data; generated from the brief when empty
+   * @param {number} [input.quantity] - Quantity (defaults to the parent's)
+   * @param {Array} [input.sizeBreakdown] - Size breakdown matching the quantity; the parent's is kept
+   *   when neither is given and dropped when only the quantity changes
+   * @param {string} [input.notes] - Buyer's notes on the variation
+   * @returns {Promise<Object>} { allowed: false, ... } when generation quota is used up,
+   *   otherwise { allowed: true, design, version, quota }
+   */
+  async createVariation(parent, buyer, { variationType, changes = {}, image = null, quantity = null, sizeBreakdown = null, notes = null }) {
+    const brief = { ...this.pickBrief(parent), ...this.pickBrief(changes) };
+
+    const resolved = await this.resolveImage(buyer, brief, image);
+    if (!resolved.allowed) {
+      return resolved;
+    }
+
+    const variation = await databaseService.createAIDesign({
+      buyer_id: parent.buyer_id,
+      ...brief,
+      image_url: resolved.image_url,
+      quantity: quantity || parent.quantity,
+      size_breakdown: sizeBreakdown || (quantity && quantity !== parent.quantity ? [] : parent.size_breakdown || []),
+      status: 'draft',
+      parent_design_id: parent.id,
+      root_design_id: parent.root_design_id || parent.id,
+      variation_type: variationType
+    });
+
+    const version = await databaseService.createAIDesignVersion({
+      ai_design_id: variation.id,
+      ...brief,
+      image_url: resolved.image_url,
+      source: resolved.source,
+      prompt: resolved.prompt,
+      generation_id: resolved.generation_id,
+      notes: cleanValue(notes)
+    });
+
+    const design = await databaseService.updateAIDesign(variation.id, { current_version_id: version.id });
+    return { allowed: true, design, version, quota: resolved.quota };
+  }
+
+  /**
+   * Make a version the one a design shows and publish the design
+   * Quotes and orders are priced on the version the design showed, so once a design has quotes it
+   * can be re-published but not switched to another version.
+   * @param {Object} design - AI design
+   * @param {string|null} versionId - Version to publish; defaults to the newest version
+   * @returns {Promise<{ design?: Object, version: Object, locked?: boolean }|null>} Published design and version,
+   *   { locked: true, version } if the design has quotes on another version, or null if the version does not belong to the design
+   */
+  async publishVersion(design, versionId = null) {
+    const { design: currentDesign, versions } = await this.getVersions(design);
+    const version = versionId
+      ? versions.find((candidate) => candidate.id === versionId)
+      : versions[versions.length - 1];
+
+    if (!version) {
+      return null;
+    }
+
+    if (version.id !== currentDesign.current_version_id) {
+      const responses = await databaseService.getAIDesignResponses(design.id);
+      if (responses.length > 0) {
+        return { locked: true, version };
+      }
+    }
+
+    const updatedDesign = await databaseService.updateAIDesign(design.id, {
+      ...this.toDesignSnapshot(version),
+      status: 'published'
+    });
+
+    return { design: updatedDesign, version };
+  }
+
+  /**
+   * Get where a design came from and the variations made from it
+   * @param {Object} design - AI design
+   * @returns {Promise<{ ancestors: Array, variations: Array }>} Ancestors from the root down to the parent, and direct variations
+   */
+  async getLineage(design) {
+    const ancestors = [];
+    const seen = new Set([design.id]);
+    let parentId = design.parent_design_id;
+
+    while (parentId && !seen.has(parentId) && ancestors.length < MAX_LINEAGE_DEPTH) {
+      const parent = await databaseService.getAIDesign(parentId);
+      if (!parent) break;
+      ancestors.unshift(parent);
+      seen.add(parent.id);
+      parentId = parent.parent_design_id;
+    }
+
+    const variations = await databaseService.getAIDesignVariations(design.id);
+    return { ancestors, variations };
+  }
+}
+
+module.exports = new AIDesignVersionService();
+module.exports.VARIATION_TYPES = VARIATION_TYPES;
+module.exports.isBase64Image = isBase64Image;
@@ -0,0 +1,114 @@
+const databaseService = require('./databaseService');
+const { getClientIp } = require('../utils/clientInfo');
+
+// Columns that never appear in audit snapshots or diffs
+const REDACTED_FIELDS = ['password_hash'];
+const IGNORED_DIFF_FIELDS = ['updated_at'];
+
+const CSV_COLUMNS = [
+  'created_at',
+  'actor_id',
+  'actor_username',
+  'actor_role',
+  'action',
+  'entity_type',
+  'entity_id',
+  'reason',
+  'diff',
+  'before_state',
+  'after_state',
+  'ip_address',
+  'user_agent'
+];
+
+const redact = (state) => {
+  if (!state || typeof state !== 'object') return state || null;
+  const copy = { ...state };
+  REDACTED_FIELDS.forEach((field) => delete copy[field]);
+  return copy;
+};
+
+// Quote a CSV cell and neutralise spreadsheet formulas
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+class AuditService {
+  /**
+   * Compute the fields that changed between two snapshots
+   * @param {Object|null} before - State before the action
+   * @param {Object|null} after - State after the action
+   * @returns {Object} Map of field -> { from, to }
+   */
+  computeDiff(before, after) {
+    const previous = redact(before) || {};
+    const next = redact(after) || {};
+    const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+
+    return [...fields].reduce((diff, field) => {
+      if (IGNORED_DIFF_FIELDS.includes(field)) return diff;
+      const from = previous[field] === undefined ? null : previous[field];
+      const to = next[field] === undefined ? null : next[field];
+      if (JSON.stringify(from) !== JSON.stringify(to)) {
+        diff[field] = { from, to };
+      }
+      return diff;
+    }, {});
+  }
+
+  /**
+   * Append an admin action to the audit log
+   * Failures are logged rather than thrown so the admin action itself is not rolled back
+   * @param {Object} req - Express request of the acting admin
+   * @param {Object} entry - Audit entry
+   * @param {string} entry.action - Action name (e.g. 'manufacturer.verification_status.update')
+   * @param {string} entry.entityType - Type of the affected entity
+   * @param {string} entry.entityId - ID of the affected entity
+   * @param {Object} [entry.before] - Entity state before the action
+   * @param {Object} [entry.after] - Entity state after the action
+   * @param {string} [entry.reason] - Reason given by the admin
+   * @returns {Promise<Object|null>} Created entry or null on failure
+   */
+  async record(req, { action, entityType, entityId, before = null, after = null, reason = null }) {
+    try {
+      // Routes shared with other roles authenticate admins without loading the account
+      const admin = req.admin ||
+        (req.user && req.user.role === 'admin' ? await databaseService.findAdminUser(req.user.userId) : null);
+
+      return await databaseService.createAuditLogEntry({
+        actor_id: admin ? admin.id : (req.user && req.user.userId) || null,
+        actor_username: admin ? admin.username : (req.user && req.user.phoneNumber) || null,
+        actor_role: admin ? admin.role : null,
+        action,
+        entity_type: entityType,
+        entity_id: entityId ? String(entityId) : null,
+        before_state: redact(before),
+        after_state: redact(after),
+        diff: this.computeDiff(before, after),
+        reason: reason ? String(reason).trim() : null,
+        ip_address: getClientIp(req),
+        user_agent: (req.headers && req.headers['user-agent']) || null
+      });
+    } catch (error) {
+      console.error(`Audit log write failed for ${action}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Render audit log entries as CSV
+   * @param {Array} entries - Audit log entries
+   * @returns {string} CSV text with a header row
+   */
+  toCsv(entries) {
+    const rows = entries.map((entry) => CSV_COLUMNS.map((column) => toCsvCell(entry[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+}
+
+module.exports = new AuditService();
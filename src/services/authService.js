@@ -1,13 +1,15 @@
-const twilio = require('twilio');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const databaseService = require('./databaseService');
+const otpDeliveryService = require('./otpDelivery');
+const otpLockoutService = require('./otpLockoutService');
 
-// Initialize Twilio client
-const twilioClient = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+// Access tokens are short-lived; sessions are kept alive by rotating refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// How often a session's last_seen_at is refreshed by authenticated requests
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
 
 class AuthService {
   /**
@@ -16,14 +18,40 @@ class AuthService {
    * @returns {string} Generated OTP
    */
   generateOTP(length = parseInt(process.env.OTP_LENGTH) || 6) {
-    const digits = '0123456789';
     let otp = '';
     for (let i = 0; i < length; i++) {
-      otp += digits[Math.floor(Math.random() * digits.length)];
+      otp += crypto.randomInt(0, 10).toString();
     }
     return otp;
   }
 
+  /**
+   * Hash an OTP for storage
+   * The phone number is bound into the HMAC so a hash cannot be replayed for another number
+   * @param {string} phoneNumber - Phone number the OTP was sent to
+   * @param {string} otp - OTP code
+   * @param {string} salt - Per-OTP random salt (hex)
+   * @returns {string} HMAC-SHA256 hex digest
+   */
+  hashOTP(phoneNumber, otp, salt) {
+    return crypto
+      .createHmac('sha256', process.env.OTP_HMAC_SECRET || process.env.JWT_SECRET)
+      .update(`${salt}:${phoneNumber}:${otp}`)
+      .digest('hex');
+  }
+
+  /**
+   * Compare a submitted OTP with a stored OTP session in constant time
+   * @param {Object} storedOTP - OTP session row
+   * @param {string} otp - Submitted OTP
+   * @returns {boolean} True if the OTP matches
+   */
+  otpMatches(storedOTP, otp) {
+    const expected = Buffer.from(storedOTP.otp_hash, 'hex');
+    const actual = Buffer.from(this.hashOTP(storedOTP.phone_number, String(otp), storedOTP.otp_salt), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
   /**
    * Get daily OTP send count for a phone number
    * @param {string} phoneNumber - Phone number
@@ -39,22 +67,26 @@ class AuthService {
   }
 
   /**
-   * Send OTP via Twilio SMS
+   * Send OTP over the configured delivery channels (WhatsApp, SMS, console)
    * @param {string} phoneNumber - Phone number to send OTP to
    * @param {string} role - User role ('buyer' or 'manufacturer')
+   * @param {string} [ipAddress] - Client IP address, checked for lockout
    * @returns {Promise<Object>} Result object
    */
-  async sendOTP(phoneNumber, role = 'buyer') {
+  async sendOTP(phoneNumber, role = 'buyer', ipAddress = null) {
     try {
       // Validate phone number format
       if (!this.isValidPhoneNumber(phoneNumber)) {
         throw new Error('Invalid phone number format');
       }
 
-      // Check daily resend limit (max 3 per day)
+      await otpLockoutService.assertNotLocked(phoneNumber, ipAddress);
+
+      // Each resend within 24 hours doubles the wait before the next one
       const dailyCount = await this.getDailyOTPCount(phoneNumber);
-      if (dailyCount >= 3) {
-        throw new Error('You have reached the maximum of 3 OTP requests per day. Please try again tomorrow.');
+      if (dailyCount > 0) {
+        const lastOTP = await databaseService.findOTPSession(phoneNumber);
+        otpLockoutService.assertCanResend(dailyCount, lastOTP && lastOTP.created_at);
       }
 
       // Proactively expire any previous active OTPs for this phone
@@ -67,12 +99,15 @@ class AuthService {
 
       // Generate new OTP
       const otp = this.generateOTP();
-      const expiryTime = new Date(Date.now() + (parseInt(process.env.OTP_EXPIRY_MINUTES) || 2) * 60 * 1000);
+      const expiryMinutes = parseInt(process.env.OTP_EXPIRY_MINUTES) || 2;
+      const expiryTime = new Date(Date.now() + expiryMinutes * 60 * 1000);
 
-      // Store OTP in database
+      // Store only a salted HMAC of the OTP
+      const salt = crypto.randomBytes(16).toString('hex');
       const otpData = {
         phone_number: phoneNumber,
-        otp_code: otp,
+        otp_hash: this.hashOTP(phoneNumber, otp, salt),
+        otp_salt: salt,
         expires_at: expiryTime.toISOString(),
         is_verified: false,
         attempts: 0
@@ -80,40 +115,21 @@ class AuthService {
 
       await databaseService.storeOTPSession(otpData);
 
-      // Send SMS via Twilio
-      const message = await twilioClient.messages.create({
-        body: `Your Grupo verification code is: ${otp}. This code expires in ${process.env.OTP_EXPIRY_MINUTES || 2} minutes.`,
-        from: process.env.TWILIO_PHONE_NUMBER,
-        to: phoneNumber
-      });
-
-      console.log(`OTP sent to ${phoneNumber}. Message SID: ${message.sid}`);
+      const delivery = await otpDeliveryService.deliver(phoneNumber, otp, expiryMinutes);
 
       return {
         success: true,
         message: 'OTP sent successfully',
-        messageSid: message.sid,
-        expiresIn: process.env.OTP_EXPIRY_MINUTES || 2
+        channel: delivery.channel,
+        messageSid: delivery.messageId,
+        expiresIn: expiryMinutes
       };
 
     } catch (error) {
       console.error('Error sending OTP:', error);
-      
-      // Handle Twilio-specific errors
-      if (error.code) {
-        switch (error.code) {
-          case 21211:
-            throw new Error('Invalid phone number');
-          case 21610:
-            throw new Error('Phone number is not verified (trial account)');
-          case 21408:
-            throw new Error('Permission to send SMS denied');
-          default:
-            throw new Error(`SMS sending failed: ${error.message}`);
-        }
-      }
-      
-      throw new Error(`Failed to send OTP: ${error.message}`);
+      const sendError = new Error(`Failed to send OTP: ${error.message}`);
+      sendError.retryAfter = error.retryAfter;
+      throw sendError;
     }
   }
 
@@ -122,10 +138,13 @@ class AuthService {
    * @param {string} phoneNumber - Phone number
    * @param {string} otp - OTP to verify
    * @param {string} role - User role ('buyer' or 'manufacturer')
+   * @param {Object} [client] - Client details stored with the session (device_name, ip_address, user_agent)
    * @returns {Promise<Object>} Result object
    */
-  async verifyOTP(phoneNumber, otp, role = 'buyer') {
+  async verifyOTP(phoneNumber, otp, role = 'buyer', client = {}) {
     try {
+      await otpLockoutService.assertNotLocked(phoneNumber, client.ip_address);
+
       // Get OTP session from database
       const storedOTP = await databaseService.findOTPSession(phoneNumber);
 
@@ -143,17 +162,19 @@ class AuthService {
         throw new Error('OTP has already been used');
       }
 
-      // Check attempt limit (max 3 attempts)
-      if (storedOTP.attempts >= 3) {
-        throw new Error('Too many failed attempts. Please request a new OTP.');
-      }
-
       // Verify OTP
-      if (storedOTP.otp_code !== otp) {
+      if (!this.otpMatches(storedOTP, otp)) {
         // Increment attempts on the specific OTP session row
         await databaseService.updateOTPSession(storedOTP.id, {
           attempts: storedOTP.attempts + 1
         });
+
+        // Failures count across OTP sessions; once locked out, the current OTP is burned too
+        const failure = await otpLockoutService.recordFailure(phoneNumber, client.ip_address);
+        if (failure.locked) {
+          await databaseService.expireActiveOtps(phoneNumber);
+          throw otpLockoutService.lockedError(failure.retryAfter);
+        }
         throw new Error('Invalid OTP');
       }
 
@@ -161,6 +182,7 @@ class AuthService {
       await databaseService.updateOTPSession(storedOTP.id, {
         is_verified: true
       });
+      await otpLockoutService.recordSuccess(phoneNumber);
 
       // Check if profile exists, create if not
       let profile = null;
@@ -202,37 +224,19 @@ class AuthService {
           });
           console.log(`Existing manufacturer profile verified: ${phoneNumber}`);
         }
-      } else if (role === 'admin') {
-        // For admin, we don't create a profile but still need a user ID for JWT
-        // Use a dummy profile structure or check for admin profiles
-        // For now, we'll use a mock profile structure with phone number as ID
-        profile = {
-          id: `admin_${phoneNumber.replace(/\+/g, '')}`,
-          phone_number: phoneNumber,
-          role: 'admin'
-        };
-        console.log(`Admin authentication: ${phoneNumber}`);
+      } else {
+        // Admins sign in with username and password via /api/auth/admin-login
+        throw new Error('Invalid role');
       }
 
-      // Generate JWT token with profile id and role
-      const token = this.generateJWT(profile.id, phoneNumber, role);
-
-      // Store user session in database (skip for admin as they don't have a profile)
-      if (role !== 'admin') {
-        const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-        const sessionData = {
-          profile_id: profile.id,
-          profile_type: role,
-          token_hash: tokenHash,
-          expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() // 24 hours
-        };
-        await databaseService.storeUserSession(sessionData);
-      }
+      // Start a new session family and issue the first access/refresh token pair
+      const session = await this.createSession(profile.id, phoneNumber, role, client);
 
       return {
         success: true,
         message: 'OTP verified successfully',
-        token,
+        token: session.accessToken,
+        refreshToken: session.refreshToken,
         user: {
           id: profile.id,
           phoneNumber: profile.phone_number,
@@ -243,17 +247,22 @@ class AuthService {
 
     } catch (error) {
       console.error('Error verifying OTP:', error);
-      throw new Error(`OTP verification failed: ${error.message}`);
+      const verifyError = new Error(`OTP verification failed: ${error.message}`);
+      verifyError.retryAfter = error.retryAfter;
+      throw verifyError;
     }
   }
 
   /**
    * Generate JWT token
-   * @param {string} phoneNumber - Phone number
-   * @param {string} role - User role ('buyer' or 'manufacturer')
+   * Tokens bound to a session are short-lived access tokens; admin tokens have no session
+   * @param {string} userId - Profile or admin ID
+   * @param {string} phoneNumber - Phone number (username for admins)
+   * @param {string} role - User role ('buyer', 'manufacturer' or 'admin')
+   * @param {string} [sessionId] - Session family ID the token belongs to
    * @returns {string} JWT token
    */
-  generateJWT(userId, phoneNumber, role) {
+  generateJWT(userId, phoneNumber, role, sessionId = null) {
     const payload = {
       userId,
       phoneNumber,
@@ -262,9 +271,255 @@ class AuthService {
       type: 'auth'
     };
 
+    if (sessionId) {
+      payload.sid = sessionId;
+    }
+
     return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+      expiresIn: sessionId ? ACCESS_TOKEN_EXPIRES_IN : process.env.JWT_EXPIRES_IN || '24h'
+    });
+  }
+
+  /**
+   * Hash a token for storage
+   * @param {string} token - Token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Generate a refresh token and the session row fields that store it
+   * @param {Object} [client] - Client details (device_name, ip_address, user_agent)
+   * @returns {{ refreshToken: string, session: Object }} Plaintext token (only its hash is stored) and row fields
+   */
+  generateRefreshToken(client = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+
+    return {
+      refreshToken,
+      session: {
+        token_hash: this.hashToken(refreshToken),
+        device_name: client.device_name || null,
+        ip_address: client.ip_address || null,
+        user_agent: client.user_agent || null,
+        expires_at: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      }
+    };
+  }
+
+  /**
+   * Store a new refresh token for a session family
+   * @param {string} familyId - Session family ID
+   * @param {string} profileId - Profile ID
+   * @param {string} role - User role ('buyer' or 'manufacturer')
+   * @param {Object} [client] - Client details (device_name, ip_address, user_agent)
+   * @returns {Promise<string>} Plaintext refresh token (only its hash is stored)
+   */
+  async issueRefreshToken(familyId, profileId, role, client = {}) {
+    const { refreshToken, session } = this.generateRefreshToken(client);
+
+    await databaseService.storeUserSession({
+      family_id: familyId,
+      profile_id: profileId,
+      profile_type: role,
+      ...session,
+      last_seen_at: new Date().toISOString()
+    });
+
+    return refreshToken;
+  }
+
+  /**
+   * Start a new session and issue its first access and refresh tokens
+   * @param {string} profileId - Profile ID
+   * @param {string} phoneNumber - Phone number
+   * @param {string} role - User role ('buyer' or 'manufacturer')
+   * @param {Object} [client] - Client details (device_name, ip_address, user_agent)
+   * @returns {Promise<{ sessionId: string, accessToken: string, refreshToken: string }>}
+   */
+  async createSession(profileId, phoneNumber, role, client = {}) {
+    const sessionId = crypto.randomUUID();
+    const refreshToken = await this.issueRefreshToken(sessionId, profileId, role, client);
+
+    return {
+      sessionId,
+      accessToken: this.generateJWT(profileId, phoneNumber, role, sessionId),
+      refreshToken
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair
+   * Presenting a refresh token that was already rotated revokes the whole session family,
+   * since either the legitimate client or an attacker is replaying a stolen token
+   * @param {string} refreshToken - Refresh token
+   * @param {Object} [client] - Client details of the refreshing request (ip_address, user_agent)
+   * @returns {Promise<{ sessionId: string, accessToken: string, refreshToken: string, user: Object }>}
+   */
+  async refreshSession(refreshToken, client = {}) {
+    const session = await databaseService.findUserSessionByTokenHash(this.hashToken(refreshToken));
+    if (!session || session.revoked_at) {
+      throw new Error('Invalid refresh token');
+    }
+
+    if (session.rotated_at) {
+      await databaseService.revokeUserSessionFamily(session.family_id, 'refresh_token_reuse');
+      console.warn(`Refresh token reuse detected, session ${session.family_id} revoked`);
+      throw new Error('Refresh token reuse detected');
+    }
+
+    if (!session.is_active || new Date(session.expires_at) <= new Date()) {
+      throw new Error('Refresh token expired');
+    }
+
+    const profile = session.profile_type === 'buyer'
+      ? await databaseService.findBuyerProfile(session.profile_id)
+      : await databaseService.findManufacturerProfile(session.profile_id);
+    if (!profile) {
+      await databaseService.revokeUserSessionFamily(session.family_id, 'profile_missing');
+      throw new Error('Invalid refresh token');
+    }
+
+    // The device keeps the name it signed in with; address and agent follow the latest refresh
+    const { refreshToken: nextRefreshToken, session: nextSession } = this.generateRefreshToken({
+      device_name: session.device_name || client.device_name,
+      ip_address: client.ip_address || session.ip_address,
+      user_agent: client.user_agent || session.user_agent
     });
+
+    // The successor is stored in the same transaction that retires this token, so access tokens of the
+    // family never see a moment without an active session
+    const rotated = await databaseService.rotateUserSession(session.id, nextSession);
+    if (!rotated) {
+      // Another request rotated this token first
+      await databaseService.revokeUserSessionFamily(session.family_id, 'refresh_token_reuse');
+      throw new Error('Refresh token reuse detected');
+    }
+
+    return {
+      sessionId: session.family_id,
+      accessToken: this.generateJWT(profile.id, profile.phone_number, session.profile_type, session.family_id),
+      refreshToken: nextRefreshToken,
+      user: {
+        id: profile.id,
+        phoneNumber: profile.phone_number,
+        role: session.profile_type
+      }
+    };
+  }
+
+  /**
+   * Load the admin account behind an admin token
+   * Deactivated admins and tokens issued before the admin's last password change are refused.
+   * @param {Object} decoded - Verified admin token payload
+   * @returns {Promise<Object|null>} Admin account, or null if the token is no longer valid
+   */
+  async findActiveAdminForToken(decoded) {
+    const admin = await databaseService.findAdminUser(decoded.userId);
+    const passwordChangedAt = admin && admin.password_changed_at
+      ? Math.floor(new Date(admin.password_changed_at).getTime() / 1000)
+      : 0;
+
+    if (!admin || !admin.is_active || decoded.iat < passwordChangedAt) {
+      return null;
+    }
+    return admin;
+  }
+
+  /**
+   * Verify an access token and check that its session has not been revoked
+   * Admin tokens carry no session; they are checked against the admin account instead and get
+   * the admin's role as adminRole.
+   * @param {string} token - Access token
+   * @returns {Promise<Object>} Decoded token payload
+   */
+  async verifyAccessToken(token) {
+    const decoded = this.verifyJWT(token);
+
+    if (decoded.role === 'admin') {
+      const admin = await this.findActiveAdminForToken(decoded);
+      if (!admin) {
+        throw new Error('Session has been revoked');
+      }
+      return { ...decoded, adminRole: admin.role };
+    }
+
+    if (!decoded.sid) {
+      throw new Error('Invalid or expired token');
+    }
+
+    const session = await databaseService.findActiveSessionInFamily(decoded.sid);
+    if (!session || session.profile_id !== decoded.userId) {
+      throw new Error('Session has been revoked');
+    }
+
+    if (!session.last_seen_at || Date.now() - new Date(session.last_seen_at).getTime() > LAST_SEEN_UPDATE_INTERVAL_MS) {
+      databaseService.updateUserSession(session.id, { last_seen_at: new Date().toISOString() })
+        .catch((error) => console.warn('Failed to update session last_seen_at:', error.message));
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Strip token material from a session row before returning it to clients
+   * @param {Object} session - Session row
+   * @param {string} [currentSessionId] - Session family of the requesting token
+   * @returns {Object} Public session
+   */
+  toPublicSession(session, currentSessionId = null) {
+    return {
+      id: session.family_id,
+      device_name: session.device_name,
+      ip_address: session.ip_address,
+      user_agent: session.user_agent,
+      last_seen_at: session.last_seen_at,
+      expires_at: session.expires_at,
+      current: session.family_id === currentSessionId
+    };
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {string} profileId - Profile ID
+   * @param {string} role - User role ('buyer' or 'manufacturer')
+   * @param {string} [currentSessionId] - Session family of the requesting token
+   * @returns {Promise<Array>} Public sessions
+   */
+  async listSessions(profileId, role, currentSessionId = null) {
+    const sessions = await databaseService.getActiveUserSessions(profileId, role);
+    return sessions.map((session) => this.toPublicSession(session, currentSessionId));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} profileId - Profile ID
+   * @param {string} role - User role ('buyer' or 'manufacturer')
+   * @param {string} sessionId - Session family ID
+   * @returns {Promise<boolean>} False if the session does not exist or belongs to someone else
+   */
+  async revokeSession(profileId, role, sessionId) {
+    const session = await databaseService.findActiveSessionInFamily(sessionId);
+    if (!session || session.profile_id !== profileId || session.profile_type !== role) {
+      return false;
+    }
+
+    await databaseService.revokeUserSessionFamily(sessionId, 'user_revoked');
+    return true;
+  }
+
+  /**
+   * Revoke all of a user's sessions ("log out everywhere")
+   * @param {string} profileId - Profile ID
+   * @param {string} role - User role ('buyer' or 'manufacturer')
+   * @param {string} [exceptSessionId] - Session family to keep signed in
+   * @returns {Promise<Array<string>>} Revoked session family IDs
+   */
+  async revokeAllSessions(profileId, role, exceptSessionId = null) {
+    const revoked = await databaseService.revokeAllUserSessions(profileId, role, 'logout_all', exceptSessionId);
+    return [...new Set(revoked.map((session) => session.family_id))];
   }
 
   /**
@@ -292,18 +547,29 @@ class AuthService {
   }
 
   /**
-   * Logout user by deactivating session
-   * @param {string} token - JWT token
+   * Logout user by revoking the session the access token belongs to
+   * Expired access tokens are accepted so a client can always end its session
+   * @param {string} token - Access token
    * @returns {Promise<Object>} Result object
    */
   async logout(token) {
     try {
-      const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
-      await databaseService.deactivateUserSession(tokenHash);
+      let decoded;
+      try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true });
+      } catch (error) {
+        throw new Error('Invalid token');
+      }
+
+      if (decoded.sid) {
+        await databaseService.revokeUserSessionFamily(decoded.sid, 'logout');
+      }
       
       return {
         success: true,
-        message: 'Logged out successfully'
+        message: 'Logged out successfully',
+        userId: decoded.userId,
+        sessionId: decoded.sid || null
       };
     } catch (error) {
       console.error('Error during logout:', error);
@@ -444,7 +710,7 @@ class AuthService {
   }
 }
 
-// Clean up expired data every 5 minutes
+// Clean up expired data every 5 minutes; the timer does not keep the process alive on its own
 setInterval(async () => {
   try {
     const authService = new AuthService();
@@ -452,6 +718,6 @@ setInterval(async () => {
   } catch (error) {
     console.error('Scheduled cleanup failed:', error);
   }
-}, 5 * 60 * 1000);
+}, 5 * 60 * 1000).unref();
 
 module.exports = new AuthService();
@@ -1,5 +1,5 @@
 /**
- * AI Design Repository - AI Designs and AI Design Responses management
+ * AI Design Repository - AI Designs, versions and AI Design Responses management
  */
 const { supabase } = require('./BaseRepository');
 
@@ -126,6 +126,39 @@ class AIDesignRepository {
     }
   }
 
+  /**
+   * Full-text and faceted search over published AI designs
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @param {Object} filters - Validated search filters (see searchService.parseFilters)
+   * @returns {Promise<{ total: number, results: Array, facets: Object }>} Matching page and facet counts
+   */
+  async searchAIDesigns(manufacturerId, filters) {
+    try {
+      const { data, error } = await supabase
+        .rpc('search_ai_designs', {
+          p_manufacturer_id: manufacturerId,
+          p_query: filters.query,
+          p_apparel_types: filters.types,
+          p_min_quantity: filters.minQuantity,
+          p_max_quantity: filters.maxQuantity,
+          p_created_from: filters.createdFrom,
+          p_created_to: filters.createdTo,
+          p_not_quoted: filters.notQuoted,
+          p_limit: filters.limit,
+          p_offset: filters.offset
+        });
+
+      if (error) {
+        throw new Error(`Failed to search AI designs: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('AIDesignRepository.searchAIDesigns error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get a single AI design by ID
    * @param {string} id - AI design ID
@@ -201,90 +234,103 @@ class AIDesignRepository {
   }
 
   /**
-   * Get today's design generation count for a buyer (from buyer_profiles table)
-   * @param {string} buyerId - Buyer ID
-   * @returns {Promise<number>} Count of designs generated today
+   * Get the variations derived directly from an AI design
+   * @param {string} parentDesignId - Parent AI design ID
+   * @returns {Promise<Array>} Variations, oldest first
    */
-  async getTodayDesignGenerationCount(buyerId) {
+  async getAIDesignVariations(parentDesignId) {
     try {
       const { data, error } = await supabase
-        .from('buyer_profiles')
-        .select('daily_design_generation_count, last_design_generation_date')
-        .eq('id', buyerId)
-        .single();
+        .from('ai_designs')
+        .select('*')
+        .eq('parent_design_id', parentDesignId)
+        .order('created_at', { ascending: true });
 
       if (error) {
-        throw new Error(`Failed to fetch buyer profile: ${error.message}`);
+        throw new Error(`Failed to fetch AI design variations: ${error.message}`);
       }
 
-      if (!data) {
-        return 0;
-      }
+      return data || [];
+    } catch (error) {
+      console.error('AIDesignRepository.getAIDesignVariations error:', error);
+      throw error;
+    }
+  }
+
+  // =============================================
+  // AI DESIGN VERSIONS METHODS
+  // =============================================
 
-      // Check if we need to reset (date changed)
-      const today = new Date().toISOString().split('T')[0];
-      const lastDate = data.last_design_generation_date 
-        ? new Date(data.last_design_generation_date).toISOString().split('T')[0]
-        : null;
+  /**
+   * Add a version to an AI design (version_no is assigned by the database)
+   * @param {Object} versionData - Version data
+   * @returns {Promise<Object>} Created version
+   */
+  async createAIDesignVersion(versionData) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_design_versions')
+        .insert([versionData])
+        .select()
+        .single();
 
-      // If no date or date is different, count is 0
-      if (!lastDate || lastDate !== today) {
-        return 0;
+      if (error) {
+        throw new Error(`Failed to create AI design version: ${error.message}`);
       }
 
-      return data.daily_design_generation_count || 0;
+      return data;
     } catch (error) {
-      console.error('AIDesignRepository.getTodayDesignGenerationCount error:', error);
+      console.error('AIDesignRepository.createAIDesignVersion error:', error);
       throw error;
     }
   }
 
   /**
-   * Increment design generation count for today (in buyer_profiles table)
-   * @param {string} buyerId - Buyer ID
-   * @returns {Promise<number>} New count after increment
+   * Get the versions of an AI design
+   * @param {string} aiDesignId - AI design ID
+   * @returns {Promise<Array>} Versions ordered by version_no
    */
-  async incrementDesignGenerationCount(buyerId) {
+  async getAIDesignVersions(aiDesignId) {
     try {
-      const today = new Date().toISOString().split('T')[0];
-      
-      // First get current values
-      const { data: current, error: fetchError } = await supabase
-        .from('buyer_profiles')
-        .select('daily_design_generation_count, last_design_generation_date')
-        .eq('id', buyerId)
-        .single();
+      const { data, error } = await supabase
+        .from('ai_design_versions')
+        .select('*')
+        .eq('ai_design_id', aiDesignId)
+        .order('version_no', { ascending: true });
 
-      if (fetchError) {
-        throw new Error(`Failed to fetch buyer profile: ${fetchError.message}`);
+      if (error) {
+        throw new Error(`Failed to fetch AI design versions: ${error.message}`);
       }
 
-      const lastDate = current.last_design_generation_date 
-        ? new Date(current.last_design_generation_date).toISOString().split('T')[0]
-        : null;
-
-      // Reset count if date changed
-      const currentCount = (lastDate === today) ? (current.daily_design_generation_count || 0) : 0;
-      const newCount = currentCount + 1;
+      return data || [];
+    } catch (error) {
+      console.error('AIDesignRepository.getAIDesignVersions error:', error);
+      throw error;
+    }
+  }
 
-      // Update buyer profile
-      const { data: updated, error: updateError } = await supabase
-        .from('buyer_profiles')
-        .update({
-          daily_design_generation_count: newCount,
-          last_design_generation_date: today
-        })
-        .eq('id', buyerId)
-        .select('daily_design_generation_count')
+  /**
+   * Get a single version of an AI design
+   * @param {string} aiDesignId - AI design ID
+   * @param {string} versionId - Version ID
+   * @returns {Promise<Object|null>} Version or null if not found
+   */
+  async getAIDesignVersion(aiDesignId, versionId) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_design_versions')
+        .select('*')
+        .eq('ai_design_id', aiDesignId)
+        .eq('id', versionId)
         .single();
 
-      if (updateError) {
-        throw new Error(`Failed to increment design generation count: ${updateError.message}`);
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch AI design version: ${error.message}`);
       }
 
-      return updated.daily_design_generation_count;
+      return data || null;
     } catch (error) {
-      console.error('AIDesignRepository.incrementDesignGenerationCount error:', error);
+      console.error('AIDesignRepository.getAIDesignVersion error:', error);
       throw error;
     }
   }
@@ -370,6 +416,36 @@ class AIDesignRepository {
     }
   }
 
+  /**
+   * Change an AI design response's status, unless another request changed it first
+   * @param {string} responseId - AI design response ID
+   * @param {string} expectedStatus - Status the response must still have
+   * @param {Object} updateData - Fields to update, including the new status
+   * @returns {Promise<Object|null>} Updated response, or null if its status had changed or another quote on the design is already accepted
+   */
+  async updateAIDesignResponseStatus(responseId, expectedStatus, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_design_responses')
+        .update(updateData)
+        .eq('id', responseId)
+        .eq('status', expectedStatus)
+        .select();
+
+      if (error && error.code === '23505') { // idx_ai_design_responses_one_accepted
+        return null;
+      }
+      if (error) {
+        throw new Error(`Failed to update AI design response status: ${error.message}`);
+      }
+
+      return (data && data[0]) || null;
+    } catch (error) {
+      console.error('AIDesignRepository.updateAIDesignResponseStatus error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get responses for a specific AI design
    * @param {string} aiDesignId - AI Design ID
@@ -516,6 +592,136 @@ class AIDesignRepository {
     }
   }
 
+  // =============================================
+  // AI DESIGN RESPONSE REVISIONS METHODS
+  // =============================================
+
+  /**
+   * Create a revision (revised quote or counter-offer) on an AI design response
+   * @param {Object} revisionData - Revision data
+   * @returns {Promise<Object>} Created revision
+   */
+  async createAIDesignResponseRevision(revisionData) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_design_response_revisions')
+        .insert([revisionData])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create AI design response revision: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('AIDesignRepository.createAIDesignResponseRevision error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the full revision history of an AI design response
+   * @param {string} responseId - AI design response ID
+   * @returns {Promise<Array>} Array of revisions ordered by revision number
+   */
+  async getAIDesignResponseRevisions(responseId) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_design_response_revisions')
+        .select('*')
+        .eq('response_id', responseId)
+        .order('revision_no', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch AI design response revisions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('AIDesignRepository.getAIDesignResponseRevisions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single AI design response revision by ID
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise<Object|null>} Revision or null if not found
+   */
+  async getAIDesignResponseRevisionById(revisionId) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_design_response_revisions')
+        .select('*')
+        .eq('id', revisionId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Not found
+        }
+        throw new Error(`Failed to fetch AI design response revision: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('AIDesignRepository.getAIDesignResponseRevisionById error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an AI design response revision
+   * @param {string} revisionId - Revision ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated revision
+   */
+  async updateAIDesignResponseRevision(revisionId, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_design_response_revisions')
+        .update(updateData)
+        .eq('id', revisionId)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update AI design response revision: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('AIDesignRepository.updateAIDesignResponseRevision error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every pending revision on an AI design response as superseded
+   * @param {string} responseId - AI design response ID
+   * @returns {Promise<number>} Number of revisions updated
+   */
+  async supersedePendingAIDesignRevisions(responseId) {
+    try {
+      const { data, error } = await supabase
+        .from('ai_design_response_revisions')
+        .update({ status: 'superseded', responded_at: new Date().toISOString() })
+        .eq('response_id', responseId)
+        .eq('status', 'proposed')
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to supersede pending AI design revisions: ${error.message}`);
+      }
+
+      return Array.isArray(data) ? data.length : 0;
+    } catch (error) {
+      console.error('AIDesignRepository.supersedePendingAIDesignRevisions error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get accepted AI designs for a conversation (buyer_id and manufacturer_id match)
    * Returns AI designs where responses have status 'accepted' for this buyer and manufacturer
@@ -0,0 +1,157 @@
+/**
+ * Admin Repository - Admin user accounts
+ */
+const { supabase } = require('./BaseRepository');
+
+class AdminRepository {
+  /**
+   * Create a new admin user
+   * @param {Object} adminData - Admin data (username, password_hash, full_name, email, role, created_by)
+   * @returns {Promise<Object>} Created admin user
+   */
+  async createAdminUser(adminData) {
+    try {
+      const { data, error } = await supabase
+        .from('admin_users')
+        .insert([adminData])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create admin user: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('AdminRepository.createAdminUser error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find admin user by username
+   * @param {string} username - Admin username
+   * @returns {Promise<Object|null>} Admin user or null
+   */
+  async findAdminUserByUsername(username) {
+    try {
+      const { data, error } = await supabase
+        .from('admin_users')
+        .select('*')
+        .eq('username', username)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to find admin user: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('AdminRepository.findAdminUserByUsername error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find admin user by ID
+   * @param {string} adminId - Admin user ID
+   * @returns {Promise<Object|null>} Admin user or null
+   */
+  async findAdminUser(adminId) {
+    try {
+      const { data, error } = await supabase
+        .from('admin_users')
+        .select('*')
+        .eq('id', adminId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to find admin user: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('AdminRepository.findAdminUser error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an admin user
+   * @param {string} adminId - Admin user ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated admin user
+   */
+  async updateAdminUser(adminId, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('admin_users')
+        .update(updateData)
+        .eq('id', adminId)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update admin user: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('AdminRepository.updateAdminUser error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all admin users
+   * @param {Object} options - Query options (role, is_active)
+   * @returns {Promise<Array>} Array of admin users ordered by creation date
+   */
+  async getAdminUsers(options = {}) {
+    try {
+      let query = supabase.from('admin_users').select('*');
+
+      if (options.role) {
+        query = query.eq('role', options.role);
+      }
+
+      if (options.is_active !== undefined) {
+        query = query.eq('is_active', options.is_active);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch admin users: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('AdminRepository.getAdminUsers error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count admin users
+   * @returns {Promise<number>} Number of admin users
+   */
+  async countAdminUsers() {
+    try {
+      const { count, error } = await supabase
+        .from('admin_users')
+        .select('id', { count: 'exact', head: true });
+
+      if (error) {
+        throw new Error(`Failed to count admin users: ${error.message}`);
+      }
+
+      return count || 0;
+    } catch (error) {
+      console.error('AdminRepository.countAdminUsers error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AdminRepository();
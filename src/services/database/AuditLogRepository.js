@@ -0,0 +1,86 @@
+/**
+ * Audit Log Repository - Append-only admin audit log
+ */
+const { supabase } = require('./BaseRepository');
+
+class AuditLogRepository {
+  /**
+   * Append an entry to the admin audit log
+   * @param {Object} entryData - Entry data (actor, action, entity, before/after state, diff, reason)
+   * @returns {Promise<Object>} Created entry
+   */
+  async createAuditLogEntry(entryData) {
+    try {
+      const { data, error } = await supabase
+        .from('admin_audit_log')
+        .insert([entryData])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create audit log entry: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('AuditLogRepository.createAuditLogEntry error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get audit log entries, most recent first
+   * @param {Object} filters - Filters (actor_id, action, entity_type, entity_id, from, to, limit, offset)
+   * @returns {Promise<{ entries: Array, total: number }>} Matching entries and total count
+   */
+  async getAuditLogEntries(filters = {}) {
+    try {
+      let query = supabase
+        .from('admin_audit_log')
+        .select('*', { count: 'exact' });
+
+      if (filters.actor_id) {
+        query = query.eq('actor_id', filters.actor_id);
+      }
+
+      if (filters.action) {
+        query = query.eq('action', filters.action);
+      }
+
+      if (filters.entity_type) {
+        query = query.eq('entity_type', filters.entity_type);
+      }
+
+      if (filters.entity_id) {
+        query = query.eq('entity_id', filters.entity_id);
+      }
+
+      if (filters.from) {
+        query = query.gte('created_at', filters.from);
+      }
+
+      if (filters.to) {
+        query = query.lte('created_at', filters.to);
+      }
+
+      query = query.order('created_at', { ascending: false });
+
+      const limit = filters.limit || 100;
+      const offset = filters.offset || 0;
+      query = query.range(offset, offset + limit - 1);
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        throw new Error(`Failed to fetch audit log: ${error.message}`);
+      }
+
+      return { entries: data || [], total: count || 0 };
+    } catch (error) {
+      console.error('AuditLogRepository.getAuditLogEntries error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuditLogRepository();
@@ -106,6 +106,87 @@ class AuthRepository {
     }
   }
 
+  /**
+   * Get the lockout records for a set of keys
+   * @param {Array<{ scope: string, identifier: string }>} keys - Lockout keys (scope 'phone' or 'ip')
+   * @returns {Promise<Array>} Lockout records that exist
+   */
+  async getAuthLockouts(keys) {
+    try {
+      const results = await Promise.all(keys.map(({ scope, identifier }) =>
+        supabase
+          .from('auth_lockouts')
+          .select('*')
+          .eq('scope', scope)
+          .eq('identifier', identifier)
+          .single()
+      ));
+
+      return results.map(({ data, error }) => {
+        if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+          throw new Error(`Failed to fetch auth lockout: ${error.message}`);
+        }
+        return data;
+      }).filter(Boolean);
+    } catch (error) {
+      console.error('AuthRepository.getAuthLockouts error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a failed verification against a lockout key
+   * @param {string} scope - 'phone' or 'ip'
+   * @param {string} identifier - Phone number or IP address
+   * @param {Object} policy - Lockout policy (threshold, baseSeconds, maxSeconds, decaySeconds)
+   * @returns {Promise<Object>} Updated lockout record
+   */
+  async registerAuthFailure(scope, identifier, policy) {
+    try {
+      const { data, error } = await supabase
+        .rpc('register_auth_failure', {
+          p_scope: scope,
+          p_identifier: identifier,
+          p_threshold: policy.threshold,
+          p_base_seconds: policy.baseSeconds,
+          p_max_seconds: policy.maxSeconds,
+          p_decay_seconds: policy.decaySeconds
+        });
+
+      if (error) {
+        throw new Error(`Failed to register auth failure: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('AuthRepository.registerAuthFailure error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Clear the failures and lockout of a key
+   * @param {string} scope - 'phone' or 'ip'
+   * @param {string} identifier - Phone number or IP address
+   * @returns {Promise<void>}
+   */
+  async clearAuthLockout(scope, identifier) {
+    try {
+      const { error } = await supabase
+        .from('auth_lockouts')
+        .delete()
+        .eq('scope', scope)
+        .eq('identifier', identifier);
+
+      if (error) {
+        throw new Error(`Failed to clear auth lockout: ${error.message}`);
+      }
+    } catch (error) {
+      console.error('AuthRepository.clearAuthLockout error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Store user session
    * @param {Object} sessionData - Session data with profile_id and profile_type
@@ -212,6 +293,208 @@ class AuthRepository {
     }
   }
 
+  /**
+   * Find a session row by refresh token hash, whatever its state
+   * @param {string} tokenHash - Refresh token hash
+   * @returns {Promise<Object|null>} Session row or null
+   */
+  async findUserSessionByTokenHash(tokenHash) {
+    try {
+      const { data, error } = await supabase
+        .from('user_sessions')
+        .select('*')
+        .eq('token_hash', tokenHash)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to find user session: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('AuthRepository.findUserSessionByTokenHash error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the current (unrotated, unrevoked, unexpired) row of a session family
+   * @param {string} familyId - Session family ID
+   * @returns {Promise<Object|null>} Active session row or null
+   */
+  async findActiveSessionInFamily(familyId) {
+    try {
+      const { data, error } = await supabase
+        .from('user_sessions')
+        .select('*')
+        .eq('family_id', familyId)
+        .eq('is_active', true)
+        .gt('expires_at', new Date().toISOString())
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to find active session: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('AuthRepository.findActiveSessionInFamily error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Retire a refresh token after use and store its successor in the same family, in one transaction
+   * Only succeeds if the token has not been rotated yet, so concurrent refreshes cannot both win
+   * @param {string} sessionId - Session row ID of the presented token
+   * @param {Object} nextSession - Successor token (token_hash, expires_at, device_name, ip_address, user_agent)
+   * @returns {Promise<Object|null>} Successor row, or null if the token was already rotated
+   */
+  async rotateUserSession(sessionId, nextSession) {
+    try {
+      const { data, error } = await supabase
+        .rpc('rotate_user_session', {
+          p_session_id: sessionId,
+          p_token_hash: nextSession.token_hash,
+          p_expires_at: nextSession.expires_at,
+          p_device_name: nextSession.device_name || null,
+          p_ip_address: nextSession.ip_address || null,
+          p_user_agent: nextSession.user_agent || null
+        });
+
+      if (error) {
+        throw new Error(`Failed to rotate user session: ${error.message}`);
+      }
+
+      return data && data.length > 0 ? data[0] : null;
+    } catch (error) {
+      console.error('AuthRepository.rotateUserSession error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every refresh token of a session family
+   * @param {string} familyId - Session family ID
+   * @param {string} reason - Revocation reason (e.g. 'logout', 'refresh_token_reuse')
+   * @returns {Promise<Array>} Revoked rows
+   */
+  async revokeUserSessionFamily(familyId, reason) {
+    try {
+      const { data, error } = await supabase
+        .from('user_sessions')
+        .update({
+          is_active: false,
+          revoked_at: new Date().toISOString(),
+          revoked_reason: reason
+        })
+        .eq('family_id', familyId)
+        .is('revoked_at', null)
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to revoke user session: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('AuthRepository.revokeUserSessionFamily error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the active sessions of a user, most recently seen first
+   * @param {string} profileId - Profile ID
+   * @param {string} profileType - Profile type ('buyer' or 'manufacturer')
+   * @returns {Promise<Array>} Active session rows (one per session family)
+   */
+  async getActiveUserSessions(profileId, profileType) {
+    try {
+      const { data, error } = await supabase
+        .from('user_sessions')
+        .select('*')
+        .eq('profile_id', profileId)
+        .eq('profile_type', profileType)
+        .eq('is_active', true)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_seen_at', { ascending: false });
+
+      if (error) {
+        throw new Error(`Failed to fetch user sessions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('AuthRepository.getActiveUserSessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a session row
+   * @param {string} sessionId - Session row ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated session row
+   */
+  async updateUserSession(sessionId, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('user_sessions')
+        .update(updateData)
+        .eq('id', sessionId)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update user session: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('AuthRepository.updateUserSession error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session of a user
+   * @param {string} profileId - Profile ID
+   * @param {string} profileType - Profile type ('buyer' or 'manufacturer')
+   * @param {string} reason - Revocation reason
+   * @param {string} [exceptFamilyId] - Session family to keep (e.g. the current one)
+   * @returns {Promise<Array>} Revoked rows
+   */
+  async revokeAllUserSessions(profileId, profileType, reason, exceptFamilyId = null) {
+    try {
+      let query = supabase
+        .from('user_sessions')
+        .update({
+          is_active: false,
+          revoked_at: new Date().toISOString(),
+          revoked_reason: reason
+        })
+        .eq('profile_id', profileId)
+        .eq('profile_type', profileType)
+        .is('revoked_at', null);
+
+      if (exceptFamilyId) {
+        query = query.neq('family_id', exceptFamilyId);
+      }
+
+      const { data, error } = await query.select();
+
+      if (error) {
+        throw new Error(`Failed to revoke user sessions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('AuthRepository.revokeAllUserSessions error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get daily OTP send count for a phone number
    * @param {string} phoneNumber - Phone number
@@ -0,0 +1,152 @@
+/**
+ * Manufacturer Document Repository - KYC documents and their review status
+ */
+const { supabase } = require('./BaseRepository');
+
+class ManufacturerDocumentRepository {
+  /**
+   * Get all KYC documents of a manufacturer
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @returns {Promise<Array>} Documents
+   */
+  async getManufacturerDocuments(manufacturerId) {
+    try {
+      const { data, error } = await supabase
+        .from('manufacturer_documents')
+        .select('*')
+        .eq('manufacturer_id', manufacturerId)
+        .order('document_type', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch manufacturer documents: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('ManufacturerDocumentRepository.getManufacturerDocuments error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one KYC document of a manufacturer by type
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @param {string} documentType - Document type (gst, pan, coi, msme, other_certificates)
+   * @returns {Promise<Object|null>} Document or null
+   */
+  async getManufacturerDocument(manufacturerId, documentType) {
+    try {
+      const { data, error } = await supabase
+        .from('manufacturer_documents')
+        .select('*')
+        .eq('manufacturer_id', manufacturerId)
+        .eq('document_type', documentType)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch manufacturer document: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('ManufacturerDocumentRepository.getManufacturerDocument error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace a manufacturer's document of a given type
+   * @param {Object} documentData - Document data (manufacturer_id, document_type, document_number, file_url, status)
+   * @returns {Promise<Object>} Saved document
+   */
+  async upsertManufacturerDocument(documentData) {
+    try {
+      const { data, error } = await supabase
+        .from('manufacturer_documents')
+        .upsert([{
+          ...documentData,
+          updated_at: new Date().toISOString()
+        }], { onConflict: 'manufacturer_id,document_type' })
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to save manufacturer document: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('ManufacturerDocumentRepository.upsertManufacturerDocument error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a manufacturer document
+   * @param {string} documentId - Document ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated document
+   */
+  async updateManufacturerDocument(documentId, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('manufacturer_documents')
+        .update({
+          ...updateData,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', documentId)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update manufacturer document: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('ManufacturerDocumentRepository.updateManufacturerDocument error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get documents awaiting review across manufacturers, oldest submission first
+   * @param {Object} options - Query options (statuses, document_type, limit, offset)
+   * @returns {Promise<Array>} Documents with manufacturer details
+   */
+  async getManufacturerDocumentsForReview(options = {}) {
+    try {
+      let query = supabase
+        .from('manufacturer_documents')
+        .select(`
+          *,
+          manufacturer:manufacturer_profiles(id, manufacturer_id, unit_name, phone_number, verification_status)
+        `)
+        .in('status', options.statuses || ['submitted', 'under_review']);
+
+      if (options.document_type) {
+        query = query.eq('document_type', options.document_type);
+      }
+
+      query = query.order('submitted_at', { ascending: true });
+
+      const limit = options.limit || 50;
+      const offset = options.offset || 0;
+      query = query.range(offset, offset + limit - 1);
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to fetch documents for review: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('ManufacturerDocumentRepository.getManufacturerDocumentsForReview error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ManufacturerDocumentRepository();
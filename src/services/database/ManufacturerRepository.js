@@ -139,6 +139,33 @@ class ManufacturerRepository {
     }
   }
 
+  /**
+   * Get manufacturer profiles by ID
+   * @param {Array<string>} manufacturerIds - Manufacturer profile IDs
+   * @returns {Promise<Array>} Manufacturer profiles found (missing IDs are left out)
+   */
+  async getManufacturersByIds(manufacturerIds) {
+    try {
+      if (manufacturerIds.length === 0) {
+        return [];
+      }
+
+      const { data, error } = await supabase
+        .from('manufacturer_profiles')
+        .select('*')
+        .in('id', manufacturerIds);
+
+      if (error) {
+        throw new Error(`Failed to fetch manufacturers: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('ManufacturerRepository.getManufacturersByIds error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all manufacturers
    * @param {Object} options - Query options (filters, sorting, pagination)
@@ -195,6 +222,59 @@ class ManufacturerRepository {
       throw error;
     }
   }
+
+  /**
+   * Search the manufacturer directory
+   * @param {Object} filters - Validated filters (productTypes, businessType, minCapacity, latitude, longitude, radiusKm, verified, sort, limit, offset)
+   * @returns {Promise<{ total: number, results: Array }>} Matching page of full profiles with distance_km, track record and ranking_score
+   */
+  async discoverManufacturers(filters) {
+    try {
+      const { data, error } = await supabase
+        .rpc('discover_manufacturers', {
+          p_product_types: filters.productTypes,
+          p_business_type: filters.businessType,
+          p_min_capacity: filters.minCapacity,
+          p_latitude: filters.latitude,
+          p_longitude: filters.longitude,
+          p_radius_km: filters.radiusKm,
+          p_verified: filters.verified,
+          p_sort: filters.sort,
+          p_limit: filters.limit,
+          p_offset: filters.offset
+        });
+
+      if (error) {
+        throw new Error(`Failed to search manufacturers: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('ManufacturerRepository.discoverManufacturers error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the directory track record of a manufacturer
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @returns {Promise<Object|null>} Completed orders, requirements received and quoted, response rate and average response hours
+   */
+  async getManufacturerDirectoryStats(manufacturerId) {
+    try {
+      const { data, error } = await supabase
+        .rpc('manufacturer_directory_stats', { p_manufacturer_ids: [manufacturerId] });
+
+      if (error) {
+        throw new Error(`Failed to fetch manufacturer stats: ${error.message}`);
+      }
+
+      return (data && data[0]) || null;
+    } catch (error) {
+      console.error('ManufacturerRepository.getManufacturerDirectoryStats error:', error);
+      throw error;
+    }
+  }
 }
 
 module.exports = new ManufacturerRepository();
@@ -3,10 +3,61 @@
  */
 const { supabase } = require('./BaseRepository');
 
+const ORDER_SELECT = `
+  *,
+  requirement:requirements(id, requirement_no, requirement_text, product_type, image_url),
+  ai_design:ai_designs(id, design_no, apparel_type, image_url),
+  buyer:buyer_profiles(id, buyer_identifier, full_name, phone_number, business_address),
+  manufacturer:manufacturer_profiles(id, manufacturer_id, unit_name, phone_number, location, business_type)
+`;
+
+// Timestamp column stamped when an order enters each status
+const STATUS_TIMESTAMP_COLUMNS = {
+  confirmed: 'confirmed_at',
+  in_production: 'in_production_at',
+  quality_check: 'quality_check_at',
+  shipped: 'shipped_at',
+  delivered: 'delivered_at',
+  closed: 'closed_at'
+};
+
 class OrderRepository {
+  /**
+   * Apply status filter, sorting and pagination shared by the order list queries
+   * @param {Object} query - Supabase query builder
+   * @param {Object} options - Query options (status filter, sorting, pagination)
+   * @returns {Object} Query builder with options applied
+   */
+  applyListOptions(query, options = {}) {
+    // Apply status filter if provided
+    if (options.status) {
+      query = query.eq('status', options.status);
+    }
+
+    // Apply sorting
+    if (options.sortBy) {
+      const ascending = options.sortOrder === 'asc';
+      query = query.order(options.sortBy, { ascending });
+    } else {
+      // Default sorting by created_at descending (most recent first)
+      query = query.order('created_at', { ascending: false });
+    }
+
+    // Apply pagination
+    if (options.limit) {
+      query = query.limit(options.limit);
+    }
+
+    if (options.offset) {
+      query = query.range(options.offset, options.offset + (options.limit || 100) - 1);
+    }
+
+    return query;
+  }
+
   /**
    * Create a new order
-   * @param {Object} orderData - Order data (buyer_id, manufacturer_id, design_id, quantity, price_per_unit, total_price)
+   * @param {Object} orderData - Order data (buyer_id, manufacturer_id, source_type, response references, pricing)
    * @returns {Promise<Object>} Created order
    */
   async createOrder(orderData) {
@@ -14,12 +65,7 @@ class OrderRepository {
       const { data, error } = await supabase
         .from('orders')
         .insert([orderData])
-        .select(`
-          *,
-          design:designs(id, product_name, product_category, image_url),
-          buyer:buyer_profiles(id, full_name, phone_number),
-          manufacturer:manufacturer_profiles(id, manufacturer_id, unit_name, phone_number)
-        `)
+        .select(ORDER_SELECT)
         .single();
 
       if (error) {
@@ -34,45 +80,72 @@ class OrderRepository {
   }
 
   /**
-   * Get orders for a manufacturer
-   * @param {string} manufacturerId - Manufacturer ID
-   * @param {Object} options - Query options (status filter, sorting, pagination)
-   * @returns {Promise<Array>} Array of orders with design and buyer info
+   * Find the order created from an accepted quote
+   * @param {string} sourceType - 'requirement' or 'ai_design'
+   * @param {string} responseId - Requirement response ID or AI design response ID
+   * @returns {Promise<Object|null>} Order or null
    */
-  async getManufacturerOrders(manufacturerId, options = {}) {
+  async findOrderByResponse(sourceType, responseId) {
     try {
-      let query = supabase
+      const column = sourceType === 'ai_design' ? 'ai_design_response_id' : 'requirement_response_id';
+      const { data, error } = await supabase
         .from('orders')
-        .select(`
-          *,
-          design:designs(id, product_name, product_category, image_url),
-          buyer:buyer_profiles(id, full_name, phone_number, business_address)
-        `)
-        .eq('manufacturer_id', manufacturerId);
+        .select(ORDER_SELECT)
+        .eq(column, responseId)
+        .single();
 
-      // Apply status filter if provided
-      if (options.status) {
-        query = query.eq('status', options.status);
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to find order: ${error.message}`);
       }
 
-      // Apply sorting
-      if (options.sortBy) {
-        const ascending = options.sortOrder === 'asc';
-        query = query.order(options.sortBy, { ascending });
-      } else {
-        // Default sorting by created_at descending (most recent first)
-        query = query.order('created_at', { ascending: false });
-      }
+      return data || null;
+    } catch (error) {
+      console.error('OrderRepository.findOrderByResponse error:', error);
+      throw error;
+    }
+  }
 
-      // Apply pagination
-      if (options.limit) {
-        query = query.limit(options.limit);
-      }
+  /**
+   * Check whether a buyer and a manufacturer have any order together
+   * @param {string} buyerId - Buyer profile ID
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @returns {Promise<boolean>} True if at least one order exists
+   */
+  async hasOrderBetween(buyerId, manufacturerId) {
+    try {
+      const { count, error } = await supabase
+        .from('orders')
+        .select('id', { count: 'exact', head: true })
+        .eq('buyer_id', buyerId)
+        .eq('manufacturer_id', manufacturerId);
 
-      if (options.offset) {
-        query = query.range(options.offset, options.offset + (options.limit || 100) - 1);
+      if (error) {
+        throw new Error(`Failed to check orders: ${error.message}`);
       }
 
+      return (count || 0) > 0;
+    } catch (error) {
+      console.error('OrderRepository.hasOrderBetween error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get orders for a manufacturer
+   * @param {string} manufacturerId - Manufacturer ID
+   * @param {Object} options - Query options (status filter, sorting, pagination)
+   * @returns {Promise<Array>} Array of orders with source and buyer info
+   */
+  async getManufacturerOrders(manufacturerId, options = {}) {
+    try {
+      const query = this.applyListOptions(
+        supabase
+          .from('orders')
+          .select(ORDER_SELECT)
+          .eq('manufacturer_id', manufacturerId),
+        options
+      );
+
       const { data, error } = await query;
 
       if (error) {
@@ -89,22 +162,20 @@ class OrderRepository {
   /**
    * Get a single order by ID
    * @param {string} orderId - Order ID
-   * @returns {Promise<Object>} Order data
+   * @returns {Promise<Object|null>} Order data or null if not found
    */
   async getOrder(orderId) {
     try {
       const { data, error } = await supabase
         .from('orders')
-        .select(`
-          *,
-          design:designs(id, product_name, product_category, image_url),
-          buyer:buyer_profiles(id, full_name, phone_number, business_address),
-          manufacturer:manufacturer_profiles(id, manufacturer_id, unit_name, phone_number, location)
-        `)
+        .select(ORDER_SELECT)
         .eq('id', orderId)
         .single();
 
       if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Not found
+        }
         throw new Error(`Failed to fetch order: ${error.message}`);
       }
 
@@ -119,41 +190,17 @@ class OrderRepository {
    * Get orders for a buyer
    * @param {string} buyerId - Buyer ID
    * @param {Object} options - Query options (status filter, sorting, pagination)
-   * @returns {Promise<Array>} Array of orders with design and manufacturer info
+   * @returns {Promise<Array>} Array of orders with source and manufacturer info
    */
   async getBuyerOrders(buyerId, options = {}) {
     try {
-      let query = supabase
-        .from('orders')
-        .select(`
-          *,
-          design:designs(id, product_name, product_category, image_url),
-          manufacturer:manufacturer_profiles(id, manufacturer_id, unit_name, phone_number, location, business_type)
-        `)
-        .eq('buyer_id', buyerId);
-
-      // Apply status filter if provided
-      if (options.status) {
-        query = query.eq('status', options.status);
-      }
-
-      // Apply sorting
-      if (options.sortBy) {
-        const ascending = options.sortOrder === 'asc';
-        query = query.order(options.sortBy, { ascending });
-      } else {
-        // Default sorting by created_at descending (most recent first)
-        query = query.order('created_at', { ascending: false });
-      }
-
-      // Apply pagination
-      if (options.limit) {
-        query = query.limit(options.limit);
-      }
-
-      if (options.offset) {
-        query = query.range(options.offset, options.offset + (options.limit || 100) - 1);
-      }
+      const query = this.applyListOptions(
+        supabase
+          .from('orders')
+          .select(ORDER_SELECT)
+          .eq('buyer_id', buyerId),
+        options
+      );
 
       const { data, error } = await query;
 
@@ -169,33 +216,37 @@ class OrderRepository {
   }
 
   /**
-   * Update order status
+   * Update order status and stamp the matching status timestamp, unless another request moved the order first
    * @param {string} orderId - Order ID
+   * @param {string} expectedStatus - Status the order must still have
    * @param {string} status - New status
-   * @returns {Promise<Object>} Updated order
+   * @returns {Promise<Object|null>} Updated order, or null if the order is no longer in expectedStatus
    */
-  async updateOrderStatus(orderId, status) {
+  async updateOrderStatus(orderId, expectedStatus, status) {
     try {
+      const now = new Date().toISOString();
+      const updateData = {
+        status,
+        updated_at: now
+      };
+
+      if (STATUS_TIMESTAMP_COLUMNS[status]) {
+        updateData[STATUS_TIMESTAMP_COLUMNS[status]] = now;
+      }
+
       const { data, error } = await supabase
         .from('orders')
-        .update({
-          status,
-          updated_at: new Date().toISOString()
-        })
+        .update(updateData)
         .eq('id', orderId)
-        .select(`
-          *,
-          design:designs(id, product_name, product_category, image_url),
-          buyer:buyer_profiles(id, full_name, phone_number),
-          manufacturer:manufacturer_profiles(id, manufacturer_id, unit_name, phone_number)
-        `)
+        .eq('status', expectedStatus)
+        .select(ORDER_SELECT)
         .single();
 
-      if (error) {
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
         throw new Error(`Failed to update order status: ${error.message}`);
       }
 
-      return data;
+      return data || null;
     } catch (error) {
       console.error('OrderRepository.updateOrderStatus error:', error);
       throw error;
@@ -203,65 +254,157 @@ class OrderRepository {
   }
 
   /**
-   * Get all orders (requirements with responses) - can be filtered by status
-   * Note: This queries requirement_responses table, not orders table
+   * Record a dispute on an order, unless one was already raised
+   * @param {string} orderId - Order ID
+   * @param {string} disputedBy - Role of the party raising the dispute (buyer or manufacturer)
+   * @param {string} reason - Reason for the dispute
+   * @returns {Promise<Object|null>} Updated order with source and parties, or null if it was already disputed
+   */
+  async markOrderDisputed(orderId, disputedBy, reason) {
+    try {
+      const { data, error } = await supabase
+        .from('orders')
+        .update({
+          disputed_at: new Date().toISOString(),
+          disputed_by: disputedBy,
+          dispute_reason: reason
+        })
+        .eq('id', orderId)
+        .is('disputed_at', null)
+        .select(ORDER_SELECT)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to dispute order: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('OrderRepository.markOrderDisputed error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get all orders (admin view) - can be filtered by status
    * @param {Object} options - Query options (status filter, sorting, pagination)
    * @returns {Promise<Array>} Array of orders with buyer and manufacturer info
    */
   async getOrders(options = {}) {
     try {
-      let query = supabase
-        .from('requirement_responses')
-        .select(`
-          *,
-          requirement:requirements(
-            id,
-            requirement_no,
-            requirement_text,
-            quantity,
-            product_type,
-            created_at,
-            buyer:buyer_profiles(id, full_name, phone_number, business_address)
-          ),
-          manufacturer:manufacturer_profiles(id, manufacturer_id, unit_name, phone_number, location, business_type)
-        `);
-
-      // Apply status filter if provided
-      if (options.status) {
-        query = query.eq('status', options.status);
+      const query = this.applyListOptions(
+        supabase
+          .from('orders')
+          .select(ORDER_SELECT),
+        options
+      );
+
+      const { data, error } = await query;
+
+      if (error) {
+        throw new Error(`Failed to fetch orders: ${error.message}`);
       }
 
-      // Apply sorting
-      if (options.sortBy) {
-        const ascending = options.sortOrder === 'asc';
-        query = query.order(options.sortBy, { ascending });
-      } else {
-        // Default sorting by created_at descending (most recent first)
-        query = query.order('created_at', { ascending: false });
+      return data || [];
+    } catch (error) {
+      console.error('OrderRepository.getOrders error:', error);
+      throw error;
+    }
+  }
+
+  // =============================================
+  // ORDER MILESTONES METHODS
+  // =============================================
+
+  /**
+   * Create a production milestone for an order
+   * @param {Object} milestoneData - Milestone data (order_id, manufacturer_id, milestone_type, milestone_date, notes)
+   * @returns {Promise<Object>} Created milestone
+   */
+  async createOrderMilestone(milestoneData) {
+    try {
+      const { data, error } = await supabase
+        .from('order_milestones')
+        .insert([milestoneData])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create order milestone: ${error.message}`);
       }
 
-      // Apply pagination
-      if (options.limit) {
-        query = query.limit(options.limit);
+      return data;
+    } catch (error) {
+      console.error('OrderRepository.createOrderMilestone error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Insert photo attachments for a milestone
+   * @param {string} milestoneId - Milestone ID
+   * @param {Array} attachments - Array of uploaded file objects
+   * @returns {Promise<Array>} Array of inserted attachments
+   */
+  async insertOrderMilestoneAttachments(milestoneId, attachments) {
+    try {
+      if (!attachments || attachments.length === 0) {
+        return [];
       }
 
-      if (options.offset) {
-        query = query.range(options.offset, options.offset + (options.limit || 100) - 1);
+      const attachmentRecords = attachments.map(att => ({
+        milestone_id: milestoneId,
+        file_url: att.url,
+        public_id: att.publicId,
+        mime_type: att.mimeType,
+        size_bytes: att.size,
+        width: att.width,
+        height: att.height
+      }));
+
+      const { data, error } = await supabase
+        .from('order_milestone_attachments')
+        .insert(attachmentRecords)
+        .select('*');
+
+      if (error) {
+        throw new Error(`Failed to insert milestone attachments: ${error.message}`);
       }
 
-      const { data, error } = await query;
+      return data || [];
+    } catch (error) {
+      console.error('OrderRepository.insertOrderMilestoneAttachments error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get milestones for an order with their attachments
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} Array of milestones ordered by milestone date
+   */
+  async getOrderMilestones(orderId) {
+    try {
+      const { data, error } = await supabase
+        .from('order_milestones')
+        .select(`
+          *,
+          attachments:order_milestone_attachments(*)
+        `)
+        .eq('order_id', orderId)
+        .order('milestone_date', { ascending: true })
+        .order('created_at', { ascending: true });
 
       if (error) {
-        throw new Error(`Failed to fetch orders: ${error.message}`);
+        throw new Error(`Failed to fetch order milestones: ${error.message}`);
       }
 
       return data || [];
     } catch (error) {
-      console.error('OrderRepository.getOrders error:', error);
+      console.error('OrderRepository.getOrderMilestones error:', error);
       throw error;
     }
   }
 }
 
 module.exports = new OrderRepository();
-
@@ -0,0 +1,228 @@
+/**
+ * Pricing Repository - GST slabs and platform fee tiers
+ */
+const { supabase } = require('./BaseRepository');
+
+class PricingRepository {
+  // =============================================
+  // GST SLAB METHODS
+  // =============================================
+
+  /**
+   * Get GST slabs
+   * @param {Object} options - Query options (activeOnly)
+   * @returns {Promise<Array>} Array of GST slabs ordered by HSN code and price range
+   */
+  async getGstSlabs(options = {}) {
+    try {
+      let query = supabase
+        .from('gst_slabs')
+        .select('*');
+
+      if (options.activeOnly) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query
+        .order('hsn_code', { ascending: true })
+        .order('min_unit_price', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch GST slabs: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('PricingRepository.getGstSlabs error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single GST slab by ID
+   * @param {string} slabId - GST slab ID
+   * @returns {Promise<Object|null>} GST slab or null if not found
+   */
+  async getGstSlab(slabId) {
+    try {
+      const { data, error } = await supabase
+        .from('gst_slabs')
+        .select('*')
+        .eq('id', slabId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Not found
+        }
+        throw new Error(`Failed to fetch GST slab: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('PricingRepository.getGstSlab error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a GST slab
+   * @param {Object} slabData - GST slab data (hsn_code, description, product_categories, price range, rate)
+   * @returns {Promise<Object>} Created GST slab
+   */
+  async createGstSlab(slabData) {
+    try {
+      const { data, error } = await supabase
+        .from('gst_slabs')
+        .insert([slabData])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create GST slab: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('PricingRepository.createGstSlab error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a GST slab
+   * @param {string} slabId - GST slab ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated GST slab
+   */
+  async updateGstSlab(slabId, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('gst_slabs')
+        .update(updateData)
+        .eq('id', slabId)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update GST slab: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('PricingRepository.updateGstSlab error:', error);
+      throw error;
+    }
+  }
+
+  // =============================================
+  // PLATFORM FEE TIER METHODS
+  // =============================================
+
+  /**
+   * Get platform fee tiers
+   * @param {Object} options - Query options (activeOnly)
+   * @returns {Promise<Array>} Array of fee tiers ordered by minimum order value
+   */
+  async getPlatformFeeTiers(options = {}) {
+    try {
+      let query = supabase
+        .from('platform_fee_tiers')
+        .select('*');
+
+      if (options.activeOnly) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query.order('min_order_value', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch platform fee tiers: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('PricingRepository.getPlatformFeeTiers error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single platform fee tier by ID
+   * @param {string} tierId - Fee tier ID
+   * @returns {Promise<Object|null>} Fee tier or null if not found
+   */
+  async getPlatformFeeTier(tierId) {
+    try {
+      const { data, error } = await supabase
+        .from('platform_fee_tiers')
+        .select('*')
+        .eq('id', tierId)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') {
+          return null; // Not found
+        }
+        throw new Error(`Failed to fetch platform fee tier: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('PricingRepository.getPlatformFeeTier error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a platform fee tier
+   * @param {Object} tierData - Fee tier data (name, manufacturer_plan, order value range, fee_rate)
+   * @returns {Promise<Object>} Created fee tier
+   */
+  async createPlatformFeeTier(tierData) {
+    try {
+      const { data, error } = await supabase
+        .from('platform_fee_tiers')
+        .insert([tierData])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create platform fee tier: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('PricingRepository.createPlatformFeeTier error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a platform fee tier
+   * @param {string} tierId - Fee tier ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated fee tier
+   */
+  async updatePlatformFeeTier(tierId, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('platform_fee_tiers')
+        .update(updateData)
+        .eq('id', tierId)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update platform fee tier: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('PricingRepository.updatePlatformFeeTier error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new PricingRepository();
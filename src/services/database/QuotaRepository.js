@@ -0,0 +1,309 @@
+/**
+ * Quota Repository - Design generation plans, buyer overrides & usage ledger
+ */
+const { supabase } = require('./BaseRepository');
+
+class QuotaRepository {
+  // =============================================
+  // QUOTA PLANS
+  // =============================================
+
+  /**
+   * Get quota plans
+   * @param {Object} options - Query options
+   * @param {boolean} options.activeOnly - Only return active plans
+   * @returns {Promise<Array>} Quota plans
+   */
+  async getQuotaPlans(options = {}) {
+    try {
+      let query = supabase
+        .from('quota_plans')
+        .select('*');
+
+      if (options.activeOnly) {
+        query = query.eq('is_active', true);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch quota plans: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('QuotaRepository.getQuotaPlans error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a quota plan by code
+   * @param {string} code - Plan code (e.g. free, pro, enterprise)
+   * @returns {Promise<Object|null>} Quota plan or null if not found
+   */
+  async getQuotaPlan(code) {
+    try {
+      const { data, error } = await supabase
+        .from('quota_plans')
+        .select('*')
+        .eq('code', code)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch quota plan: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('QuotaRepository.getQuotaPlan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a quota plan
+   * @param {string} code - Plan code
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated quota plan
+   */
+  async updateQuotaPlan(code, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('quota_plans')
+        .update(updateData)
+        .eq('code', code)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update quota plan: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('QuotaRepository.updateQuotaPlan error:', error);
+      throw error;
+    }
+  }
+
+  // =============================================
+  // BUYER OVERRIDES
+  // =============================================
+
+  /**
+   * Get the quota override of a buyer
+   * @param {string} buyerId - Buyer profile ID
+   * @returns {Promise<Object|null>} Override or null if none
+   */
+  async getBuyerQuotaOverride(buyerId) {
+    try {
+      const { data, error } = await supabase
+        .from('buyer_quota_overrides')
+        .select('*')
+        .eq('buyer_id', buyerId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch buyer quota override: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('QuotaRepository.getBuyerQuotaOverride error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the quota override of a buyer
+   * @param {string} buyerId - Buyer profile ID
+   * @param {Object} overrideData - Limits, expiry, reason and set_by
+   * @returns {Promise<Object>} Saved override
+   */
+  async upsertBuyerQuotaOverride(buyerId, overrideData) {
+    try {
+      const { data, error } = await supabase
+        .from('buyer_quota_overrides')
+        .upsert([{ ...overrideData, buyer_id: buyerId }], { onConflict: 'buyer_id' })
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to save buyer quota override: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('QuotaRepository.upsertBuyerQuotaOverride error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the quota override of a buyer
+   * @param {string} buyerId - Buyer profile ID
+   * @returns {Promise<void>}
+   */
+  async deleteBuyerQuotaOverride(buyerId) {
+    try {
+      const { error } = await supabase
+        .from('buyer_quota_overrides')
+        .delete()
+        .eq('buyer_id', buyerId);
+
+      if (error) {
+        throw new Error(`Failed to delete buyer quota override: ${error.message}`);
+      }
+    } catch (error) {
+      console.error('QuotaRepository.deleteBuyerQuotaOverride error:', error);
+      throw error;
+    }
+  }
+
+  // =============================================
+  // USAGE LEDGER
+  // =============================================
+
+  /**
+   * Atomically record a design generation if the buyer is within their limits
+   * @param {Object} params - Buyer, plan, period starts, limits and optional AI design ID
+   * @returns {Promise<{ allowed: boolean, daily_used: number, monthly_used: number, entry_id: string|null }>}
+   */
+  async consumeDesignQuota({ buyerId, quotaPlan, dayStart, monthStart, dailyLimit, monthlyLimit, aiDesignId }) {
+    try {
+      const { data, error } = await supabase
+        .rpc('consume_design_quota', {
+          p_buyer_id: buyerId,
+          p_quota_plan: quotaPlan,
+          p_day_start: dayStart,
+          p_month_start: monthStart,
+          p_daily_limit: dailyLimit,
+          p_monthly_limit: monthlyLimit,
+          p_ai_design_id: aiDesignId || null
+        });
+
+      if (error) {
+        throw new Error(`Failed to consume design quota: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('QuotaRepository.consumeDesignQuota error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a buyer's ledger units since a point in time
+   * @param {string} buyerId - Buyer profile ID
+   * @param {string} since - ISO timestamp
+   * @returns {Promise<Array<{ units: number, created_at: string }>>} Ledger entries since then
+   */
+  async getDesignUsageSince(buyerId, since) {
+    try {
+      const { data, error } = await supabase
+        .from('design_generation_ledger')
+        .select('units, created_at')
+        .eq('buyer_id', buyerId)
+        .gte('created_at', since);
+
+      if (error) {
+        throw new Error(`Failed to fetch design usage: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('QuotaRepository.getDesignUsageSince error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single ledger entry
+   * @param {string} entryId - Ledger entry ID
+   * @returns {Promise<Object|null>} Entry or null if not found
+   */
+  async getDesignLedgerEntry(entryId) {
+    try {
+      const { data, error } = await supabase
+        .from('design_generation_ledger')
+        .select('*')
+        .eq('id', entryId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch design ledger entry: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('QuotaRepository.getDesignLedgerEntry error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Append an entry to the design generation ledger
+   * @param {Object} entryData - Entry data (buyer_id, entry_type, units, ...)
+   * @returns {Promise<Object>} Created entry
+   */
+  async createDesignLedgerEntry(entryData) {
+    try {
+      const { data, error } = await supabase
+        .from('design_generation_ledger')
+        .insert([entryData])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create design ledger entry: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('QuotaRepository.createDesignLedgerEntry error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a buyer's ledger entries, most recent first
+   * @param {string} buyerId - Buyer profile ID
+   * @param {Object} options - Query options (from, to, limit, offset)
+   * @returns {Promise<{ entries: Array, total: number }>} Entries and total count
+   */
+  async getDesignLedgerEntries(buyerId, options = {}) {
+    try {
+      let query = supabase
+        .from('design_generation_ledger')
+        .select('*', { count: 'exact' })
+        .eq('buyer_id', buyerId);
+
+      if (options.from) {
+        query = query.gte('created_at', options.from);
+      }
+      if (options.to) {
+        query = query.lte('created_at', options.to);
+      }
+
+      const limit = options.limit || 50;
+      const offset = options.offset || 0;
+
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch design ledger: ${error.message}`);
+      }
+
+      return { entries: data || [], total: count || 0 };
+    } catch (error) {
+      console.error('QuotaRepository.getDesignLedgerEntries error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new QuotaRepository();
@@ -0,0 +1,53 @@
+/**
+ * Rate Limit Repository - Shared fixed-window request counters
+ */
+const { supabase } = require('./BaseRepository');
+
+class RateLimitRepository {
+  /**
+   * Atomically count a hit against a key, starting a new window if the last one has ended
+   * @param {string} key - Counter key (policy and requester)
+   * @param {number} windowSeconds - Window length
+   * @returns {Promise<Object>} Counter with hits in the current window and reset_at
+   */
+  async hitRateLimit(key, windowSeconds) {
+    try {
+      const { data, error } = await supabase
+        .rpc('hit_rate_limit', {
+          p_key: key,
+          p_window_seconds: windowSeconds
+        });
+
+      if (error) {
+        throw new Error(`Failed to record rate limit hit: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('RateLimitRepository.hitRateLimit error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete counters whose window has ended
+   * @returns {Promise<number>} Number of counters deleted
+   */
+  async cleanupExpiredRateLimits() {
+    try {
+      const { data, error } = await supabase
+        .rpc('cleanup_expired_rate_limits');
+
+      if (error) {
+        throw new Error(`Failed to clean up rate limit counters: ${error.message}`);
+      }
+
+      return data || 0;
+    } catch (error) {
+      console.error('RateLimitRepository.cleanupExpiredRateLimits error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RateLimitRepository();
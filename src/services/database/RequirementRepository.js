@@ -45,6 +45,11 @@ class RequirementRepository {
         .select('*')
         .eq('buyer_id', buyerId);
 
+      // Apply filters
+      if (options.status) {
+        query = query.eq('status', options.status);
+      }
+
       // Apply sorting
       if (options.sortBy) {
         const ascending = options.sortOrder === 'asc';
@@ -261,6 +266,19 @@ class RequirementRepository {
           buyer:buyer_profiles(id, full_name, phone_number, business_address)
         `);
 
+      // Apply filters
+      if (options.status) {
+        query = query.eq('status', options.status);
+      }
+
+      // Invite-only requirements are listed only for the manufacturers they were sent to
+      if (options.visibleToManufacturer) {
+        const recipientIds = await this.getRecipientRequirementIds(options.visibleToManufacturer);
+        query = recipientIds.length > 0
+          ? query.or(`distribution_mode.eq.open,id.in.(${recipientIds.join(',')})`)
+          : query.eq('distribution_mode', 'open');
+      }
+
       // Apply sorting
       if (options.sortBy) {
         const ascending = options.sortOrder === 'asc';
@@ -292,6 +310,242 @@ class RequirementRepository {
     }
   }
 
+  /**
+   * Full-text and faceted search over the requirements a manufacturer may quote on
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @param {Object} filters - Validated search filters (see searchService.parseFilters)
+   * @returns {Promise<{ total: number, results: Array, facets: Object }>} Matching page and facet counts
+   */
+  async searchRequirements(manufacturerId, filters) {
+    try {
+      const { data, error } = await supabase
+        .rpc('search_requirements', {
+          p_manufacturer_id: manufacturerId,
+          p_query: filters.query,
+          p_product_types: filters.types,
+          p_min_quantity: filters.minQuantity,
+          p_max_quantity: filters.maxQuantity,
+          p_created_from: filters.createdFrom,
+          p_created_to: filters.createdTo,
+          p_not_quoted: filters.notQuoted,
+          p_limit: filters.limit,
+          p_offset: filters.offset
+        });
+
+      if (error) {
+        throw new Error(`Failed to search requirements: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('RequirementRepository.searchRequirements error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark open requirements whose quote deadline has passed as expired
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Array>} Expired requirements (id, requirement_no, buyer_id, requirement_text, quote_deadline)
+   */
+  async expireOverdueRequirements(now = new Date()) {
+    try {
+      const { data, error } = await supabase
+        .from('requirements')
+        .update({
+          status: 'expired',
+          closed_at: now.toISOString(),
+          updated_at: now.toISOString()
+        })
+        .eq('status', 'open')
+        .lt('quote_deadline', now.toISOString())
+        .select('id, requirement_no, buyer_id, requirement_text, quote_deadline');
+
+      if (error) {
+        throw new Error(`Failed to expire requirements: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('RequirementRepository.expireOverdueRequirements error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Award an open requirement to a quote, unless another request awarded, closed or expired it first
+   * @param {string} requirementId - Requirement ID
+   * @param {string} responseId - Accepted requirement response ID
+   * @param {Date} [now] - Current time
+   * @returns {Promise<Object|null>} Awarded requirement, or null if it was no longer open
+   */
+  async claimRequirementAward(requirementId, responseId, now = new Date()) {
+    try {
+      const { data, error } = await supabase
+        .from('requirements')
+        .update({
+          status: 'awarded',
+          awarded_response_id: responseId,
+          closed_at: now.toISOString(),
+          updated_at: now.toISOString()
+        })
+        .eq('id', requirementId)
+        .eq('status', 'open')
+        .or(`quote_deadline.is.null,quote_deadline.gt."${now.toISOString()}"`)
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to award requirement: ${error.message}`);
+      }
+
+      return (data && data[0]) || null;
+    } catch (error) {
+      console.error('RequirementRepository.claimRequirementAward error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reopen a requirement whose award could not be completed, if it is still awarded to that quote
+   * @param {string} requirementId - Requirement ID
+   * @param {string} responseId - Requirement response ID the award was claimed for
+   * @returns {Promise<Object|null>} Reopened requirement, or null if it was not awarded to that quote
+   */
+  async releaseRequirementAward(requirementId, responseId) {
+    try {
+      const { data, error } = await supabase
+        .from('requirements')
+        .update({
+          status: 'open',
+          awarded_response_id: null,
+          closed_at: null,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', requirementId)
+        .eq('status', 'awarded')
+        .eq('awarded_response_id', responseId)
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to release requirement award: ${error.message}`);
+      }
+
+      return (data && data[0]) || null;
+    } catch (error) {
+      console.error('RequirementRepository.releaseRequirementAward error:', error);
+      throw error;
+    }
+  }
+
+  // =============================================
+  // REQUIREMENT RECIPIENTS METHODS
+  // =============================================
+
+  /**
+   * Record the manufacturers a requirement was sent to
+   * Manufacturers who already received the requirement are skipped.
+   * @param {Array<Object>} recipients - Rows of requirement_id, manufacturer_id, source, match_score, match_reasons
+   * @returns {Promise<Array>} Newly added recipients
+   */
+  async addRequirementRecipients(recipients) {
+    try {
+      if (recipients.length === 0) {
+        return [];
+      }
+
+      const { data, error } = await supabase
+        .from('requirement_recipients')
+        .upsert(recipients, { onConflict: 'requirement_id,manufacturer_id', ignoreDuplicates: true })
+        .select();
+
+      if (error) {
+        throw new Error(`Failed to add requirement recipients: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('RequirementRepository.addRequirementRecipients error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the manufacturers a requirement was sent to
+   * @param {string} requirementId - Requirement ID
+   * @returns {Promise<Array>} Recipients with manufacturer info, best match first
+   */
+  async getRequirementRecipients(requirementId) {
+    try {
+      const { data, error } = await supabase
+        .from('requirement_recipients')
+        .select(`
+          *,
+          manufacturer:manufacturer_profiles(id, manufacturer_id, unit_name, location, business_type)
+        `)
+        .eq('requirement_id', requirementId)
+        .order('match_score', { ascending: false, nullsFirst: false })
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch requirement recipients: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('RequirementRepository.getRequirementRecipients error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a manufacturer's recipient entry for a requirement
+   * @param {string} requirementId - Requirement ID
+   * @param {string} manufacturerId - Manufacturer ID
+   * @returns {Promise<Object|null>} Recipient or null
+   */
+  async getRequirementRecipient(requirementId, manufacturerId) {
+    try {
+      const { data, error } = await supabase
+        .from('requirement_recipients')
+        .select('*')
+        .eq('requirement_id', requirementId)
+        .eq('manufacturer_id', manufacturerId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch requirement recipient: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('RequirementRepository.getRequirementRecipient error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the IDs of the requirements a manufacturer was sent
+   * @param {string} manufacturerId - Manufacturer ID
+   * @returns {Promise<Array<string>>} Requirement IDs
+   */
+  async getRecipientRequirementIds(manufacturerId) {
+    try {
+      const { data, error } = await supabase
+        .from('requirement_recipients')
+        .select('requirement_id')
+        .eq('manufacturer_id', manufacturerId);
+
+      if (error) {
+        throw new Error(`Failed to fetch recipient requirements: ${error.message}`);
+      }
+
+      return (data || []).map((row) => row.requirement_id);
+    } catch (error) {
+      console.error('RequirementRepository.getRecipientRequirementIds error:', error);
+      throw error;
+    }
+  }
+
   // =============================================
   // REQUIREMENT RESPONSES METHODS
   // =============================================
@@ -438,7 +692,7 @@ class RequirementRepository {
         .from('requirement_responses')
         .select(`
           *,
-          requirement:requirements(id, requirement_text, quantity, product_type, created_at, buyer_id)
+          requirement:requirements(id, requirement_text, quantity, product_type, status, quote_deadline, created_at, buyer_id)
         `)
         .eq('manufacturer_id', manufacturerId);
 
@@ -477,9 +731,137 @@ class RequirementRepository {
     }
   }
 
+  // =============================================
+  // REQUIREMENT RESPONSE REVISIONS METHODS
+  // =============================================
+
+  /**
+   * Create a revision (counter-offer) on a requirement response
+   * @param {Object} revisionData - Revision data
+   * @returns {Promise<Object>} Created revision
+   */
+  async createResponseRevision(revisionData) {
+    try {
+      const { data, error } = await supabase
+        .from('requirement_response_revisions')
+        .insert([revisionData])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create response revision: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('RequirementRepository.createResponseRevision error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the full revision history of a requirement response
+   * @param {string} responseId - Response ID
+   * @returns {Promise<Array>} Array of revisions ordered by revision number
+   */
+  async getResponseRevisions(responseId) {
+    try {
+      const { data, error } = await supabase
+        .from('requirement_response_revisions')
+        .select('*')
+        .eq('response_id', responseId)
+        .order('revision_no', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch response revisions: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('RequirementRepository.getResponseRevisions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single response revision by ID
+   * @param {string} revisionId - Revision ID
+   * @returns {Promise<Object|null>} Revision or null
+   */
+  async getResponseRevisionById(revisionId) {
+    try {
+      const { data, error } = await supabase
+        .from('requirement_response_revisions')
+        .select('*')
+        .eq('id', revisionId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch response revision: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('RequirementRepository.getResponseRevisionById error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a response revision
+   * @param {string} revisionId - Revision ID
+   * @param {Object} updateData - Data to update
+   * @returns {Promise<Object>} Updated revision
+   */
+  async updateResponseRevision(revisionId, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('requirement_response_revisions')
+        .update(updateData)
+        .eq('id', revisionId)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update response revision: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('RequirementRepository.updateResponseRevision error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every pending revision on a response as superseded
+   * @param {string} responseId - Response ID
+   * @returns {Promise<number>} Number of revisions updated
+   */
+  async supersedePendingRevisions(responseId) {
+    try {
+      const { data, error } = await supabase
+        .from('requirement_response_revisions')
+        .update({ status: 'superseded', responded_at: new Date().toISOString() })
+        .eq('response_id', responseId)
+        .eq('status', 'proposed')
+        .select('id');
+
+      if (error) {
+        throw new Error(`Failed to supersede pending revisions: ${error.message}`);
+      }
+
+      return Array.isArray(data) ? data.length : 0;
+    } catch (error) {
+      console.error('RequirementRepository.supersedePendingRevisions error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get negotiating and accepted requirements for a specific conversation
-   * Returns requirements where status is 'negotiating' or 'accepted' and matches the buyer_id and manufacturer_id
+   * Returns requirements where status is 'negotiating' or 'accepted' and matches the buyer_id and manufacturer_id,
+   * each with the manufacturer's binding quote and latest counter-offer revision
    * @param {string} buyerId - Buyer ID from conversation
    * @param {string} manufacturerId - Manufacturer ID from conversation
    * @returns {Promise<Array>} Array of requirements with their details
@@ -490,6 +872,14 @@ class RequirementRepository {
       const { data: responses, error: responsesError } = await supabase
         .from('requirement_responses')
         .select(`
+          id,
+          status,
+          price_per_unit,
+          quantity,
+          delivery_time,
+          quoted_price,
+          agreed_revision_no,
+          revisions:requirement_response_revisions(*),
           requirement_id,
           requirement:requirements(
             id,
@@ -500,6 +890,8 @@ class RequirementRepository {
             product_link,
             image_url,
             notes,
+            status,
+            quote_deadline,
             created_at,
             updated_at,
             buyer_id
@@ -512,10 +904,20 @@ class RequirementRepository {
         throw new Error(`Failed to fetch negotiating/accepted requirement responses: ${responsesError.message}`);
       }
 
-      // Filter to only include requirements where buyer_id matches the conversation's buyer_id
+      // Filter to only include requirements where buyer_id matches the conversation's buyer_id,
+      // attaching the binding quote and the latest counter-offer round
       const requirements = (responses || [])
-        .map(item => item.requirement)
-        .filter(req => req && req.buyer_id === buyerId);
+        .filter(item => item.requirement && item.requirement.buyer_id === buyerId)
+        .map(({ revisions, requirement, ...response }) => {
+          const latestRevision = (revisions || [])
+            .reduce((latest, revision) => (!latest || revision.revision_no > latest.revision_no ? revision : latest), null);
+
+          return {
+            ...requirement,
+            response,
+            latest_revision: latestRevision
+          };
+        });
 
       // Sort by created_at descending (newest first)
       requirements.sort((a, b) => {
@@ -0,0 +1,182 @@
+/**
+ * Review Repository - Ratings and reviews left on completed orders
+ */
+const { supabase } = require('./BaseRepository');
+
+const REVIEW_SELECT = `
+  *,
+  order:orders(id, order_no),
+  buyer:buyer_profiles(id, buyer_identifier, full_name, about_business, created_at),
+  manufacturer:manufacturer_profiles(id, manufacturer_id, unit_name, business_type, location, verification_status)
+`;
+
+class ReviewRepository {
+  /**
+   * Create a review
+   * @param {Object} reviewData - Review data (order, parties, reviewer_role, ratings, comment)
+   * @returns {Promise<Object>} Created review
+   */
+  async createReview(reviewData) {
+    try {
+      const { data, error } = await supabase
+        .from('order_reviews')
+        .insert([reviewData])
+        .select(REVIEW_SELECT)
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create review: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('ReviewRepository.createReview error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a review by ID
+   * @param {string} id - Review ID
+   * @returns {Promise<Object|null>} Review with order and parties, or null
+   */
+  async getReview(id) {
+    try {
+      const { data, error } = await supabase
+        .from('order_reviews')
+        .select(REVIEW_SELECT)
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch review: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('ReviewRepository.getReview error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the reviews left on an order (at most one per side)
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Array>} Reviews with parties
+   */
+  async getOrderReviews(orderId) {
+    try {
+      const { data, error } = await supabase
+        .from('order_reviews')
+        .select(REVIEW_SELECT)
+        .eq('order_id', orderId)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch order reviews: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('ReviewRepository.getOrderReviews error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get reviews, newest first
+   * @param {Object} options - Filters (manufacturerId, buyerId, reviewerRole, status) and pagination (limit, offset)
+   * @returns {Promise<{ reviews: Array, total: number }>} Page of reviews and the total matching
+   */
+  async getReviews(options = {}) {
+    try {
+      const limit = options.limit || 20;
+      const offset = options.offset || 0;
+
+      let query = supabase
+        .from('order_reviews')
+        .select(REVIEW_SELECT, { count: 'exact' });
+
+      if (options.manufacturerId) {
+        query = query.eq('manufacturer_id', options.manufacturerId);
+      }
+      if (options.buyerId) {
+        query = query.eq('buyer_id', options.buyerId);
+      }
+      if (options.reviewerRole) {
+        query = query.eq('reviewer_role', options.reviewerRole);
+      }
+      if (options.status) {
+        query = query.eq('status', options.status);
+      }
+
+      const { data, error, count } = await query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch reviews: ${error.message}`);
+      }
+
+      return { reviews: data || [], total: count || 0 };
+    } catch (error) {
+      console.error('ReviewRepository.getReviews error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a review
+   * @param {string} id - Review ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated review with order and parties
+   */
+  async updateReview(id, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('order_reviews')
+        .update(updateData)
+        .eq('id', id)
+        .select(REVIEW_SELECT)
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update review: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('ReviewRepository.updateReview error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the reviewed manufacturer's reply, unless the review already has one
+   * @param {string} id - Review ID
+   * @param {string} reply - Reply text
+   * @returns {Promise<Object|null>} Updated review, or null if a reply was already posted
+   */
+  async setReviewReply(id, reply) {
+    try {
+      const { data, error } = await supabase
+        .from('order_reviews')
+        .update({ reply, replied_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('reply', null)
+        .select(REVIEW_SELECT)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to save review reply: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('ReviewRepository.setReviewReply error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ReviewRepository();
@@ -0,0 +1,84 @@
+/**
+ * Scorecard Repository - Daily manufacturer performance snapshots
+ */
+const { supabase } = require('./BaseRepository');
+
+class ScorecardRepository {
+  /**
+   * Recompute today's scorecard snapshots
+   * @param {Object} options - manufacturerIds (defaults to every onboarded manufacturer) and windowDays
+   * @returns {Promise<number>} Number of snapshots written
+   */
+  async refreshManufacturerScorecards({ manufacturerIds = null, windowDays } = {}) {
+    try {
+      const { data, error } = await supabase
+        .rpc('refresh_manufacturer_scorecards', {
+          p_manufacturer_ids: manufacturerIds,
+          p_window_days: windowDays
+        });
+
+      if (error) {
+        throw new Error(`Failed to refresh scorecards: ${error.message}`);
+      }
+
+      return data || 0;
+    } catch (error) {
+      console.error('ScorecardRepository.refreshManufacturerScorecards error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a manufacturer's most recent scorecard snapshot
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @returns {Promise<Object|null>} Snapshot or null
+   */
+  async getLatestManufacturerScorecard(manufacturerId) {
+    try {
+      const { data, error } = await supabase
+        .from('manufacturer_scorecards')
+        .select('*')
+        .eq('manufacturer_id', manufacturerId)
+        .order('snapshot_date', { ascending: false })
+        .limit(1)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch scorecard: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('ScorecardRepository.getLatestManufacturerScorecard error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a manufacturer's scorecard snapshots since a date, oldest first
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @param {string} since - First snapshot date (YYYY-MM-DD)
+   * @returns {Promise<Array>} Snapshots
+   */
+  async getManufacturerScorecardHistory(manufacturerId, since) {
+    try {
+      const { data, error } = await supabase
+        .from('manufacturer_scorecards')
+        .select('*')
+        .eq('manufacturer_id', manufacturerId)
+        .gte('snapshot_date', since)
+        .order('snapshot_date', { ascending: true });
+
+      if (error) {
+        throw new Error(`Failed to fetch scorecard history: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('ScorecardRepository.getManufacturerScorecardHistory error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new ScorecardRepository();
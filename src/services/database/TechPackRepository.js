@@ -0,0 +1,158 @@
+/**
+ * Tech Pack Repository - Tech packs for AI designs and requirements
+ */
+const { supabase } = require('./BaseRepository');
+
+class TechPackRepository {
+  /**
+   * Create a tech pack
+   * @param {Object} techPackData - Tech pack data (buyer_id and one of ai_design_id / requirement_id)
+   * @returns {Promise<Object>} Created tech pack
+   */
+  async createTechPack(techPackData) {
+    try {
+      const { data, error } = await supabase
+        .from('tech_packs')
+        .insert([techPackData])
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to create tech pack: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('TechPackRepository.createTechPack error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a tech pack by ID
+   * @param {string} id - Tech pack ID
+   * @returns {Promise<Object|null>} Tech pack or null
+   */
+  async getTechPack(id) {
+    try {
+      const { data, error } = await supabase
+        .from('tech_packs')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch tech pack: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('TechPackRepository.getTechPack error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the tech pack attached to an AI design or a requirement
+   * @param {Object} source - Exactly one of aiDesignId / requirementId
+   * @param {string} [source.aiDesignId] - AI design ID
+   * @param {string} [source.requirementId] - Requirement ID
+   * @returns {Promise<Object|null>} Tech pack or null
+   */
+  async getTechPackBySource({ aiDesignId, requirementId }) {
+    try {
+      const { data, error } = await supabase
+        .from('tech_packs')
+        .select('*')
+        .eq(aiDesignId ? 'ai_design_id' : 'requirement_id', aiDesignId || requirementId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+        throw new Error(`Failed to fetch tech pack: ${error.message}`);
+      }
+
+      return data || null;
+    } catch (error) {
+      console.error('TechPackRepository.getTechPackBySource error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a buyer's tech packs
+   * @param {string} buyerId - Buyer profile ID
+   * @param {Object} options - Pagination (limit, offset)
+   * @returns {Promise<Array>} Tech packs, most recently updated first
+   */
+  async getBuyerTechPacks(buyerId, options = {}) {
+    try {
+      const limit = options.limit || 50;
+      const offset = options.offset || 0;
+
+      const { data, error } = await supabase
+        .from('tech_packs')
+        .select('*')
+        .eq('buyer_id', buyerId)
+        .order('updated_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Failed to fetch tech packs: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('TechPackRepository.getBuyerTechPacks error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a tech pack
+   * @param {string} id - Tech pack ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated tech pack
+   */
+  async updateTechPack(id, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('tech_packs')
+        .update(updateData)
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to update tech pack: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('TechPackRepository.updateTechPack error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a tech pack
+   * @param {string} id - Tech pack ID
+   * @returns {Promise<void>}
+   */
+  async deleteTechPack(id) {
+    try {
+      const { error } = await supabase
+        .from('tech_packs')
+        .delete()
+        .eq('id', id);
+
+      if (error) {
+        throw new Error(`Failed to delete tech pack: ${error.message}`);
+      }
+    } catch (error) {
+      console.error('TechPackRepository.deleteTechPack error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new TechPackRepository();
@@ -6,12 +6,21 @@
  */
 
 const AuthRepository = require('./AuthRepository');
+const AdminRepository = require('./AdminRepository');
+const AuditLogRepository = require('./AuditLogRepository');
 const BuyerRepository = require('./BuyerRepository');
 const ManufacturerRepository = require('./ManufacturerRepository');
+const ManufacturerDocumentRepository = require('./ManufacturerDocumentRepository');
 const ConversationRepository = require('./ConversationRepository');
 const RequirementRepository = require('./RequirementRepository');
 const OrderRepository = require('./OrderRepository');
 const AIDesignRepository = require('./AIDesignRepository');
+const PricingRepository = require('./PricingRepository');
+const RateLimitRepository = require('./RateLimitRepository');
+const QuotaRepository = require('./QuotaRepository');
+const TechPackRepository = require('./TechPackRepository');
+const ReviewRepository = require('./ReviewRepository');
+const ScorecardRepository = require('./ScorecardRepository');
 
 // Create a unified database service object that combines all repositories
 const DatabaseService = {
@@ -22,13 +31,39 @@ const DatabaseService = {
   expireActiveOtps: (...args) => AuthRepository.expireActiveOtps(...args),
   findOTPSession: (...args) => AuthRepository.findOTPSession(...args),
   updateOTPSession: (...args) => AuthRepository.updateOTPSession(...args),
+  getAuthLockouts: (...args) => AuthRepository.getAuthLockouts(...args),
+  registerAuthFailure: (...args) => AuthRepository.registerAuthFailure(...args),
+  clearAuthLockout: (...args) => AuthRepository.clearAuthLockout(...args),
   storeUserSession: (...args) => AuthRepository.storeUserSession(...args),
   findUserSession: (...args) => AuthRepository.findUserSession(...args),
   deactivateUserSession: (...args) => AuthRepository.deactivateUserSession(...args),
+  findUserSessionByTokenHash: (...args) => AuthRepository.findUserSessionByTokenHash(...args),
+  findActiveSessionInFamily: (...args) => AuthRepository.findActiveSessionInFamily(...args),
+  rotateUserSession: (...args) => AuthRepository.rotateUserSession(...args),
+  revokeUserSessionFamily: (...args) => AuthRepository.revokeUserSessionFamily(...args),
+  getActiveUserSessions: (...args) => AuthRepository.getActiveUserSessions(...args),
+  updateUserSession: (...args) => AuthRepository.updateUserSession(...args),
+  revokeAllUserSessions: (...args) => AuthRepository.revokeAllUserSessions(...args),
   getDailyOTPCount: (...args) => AuthRepository.getDailyOTPCount(...args),
   cleanupExpiredOTPs: (...args) => AuthRepository.cleanupExpiredOTPs(...args),
   cleanupExpiredSessions: (...args) => AuthRepository.cleanupExpiredSessions(...args),
 
+  // =============================================
+  // ADMIN USER METHODS
+  // =============================================
+  createAdminUser: (...args) => AdminRepository.createAdminUser(...args),
+  findAdminUserByUsername: (...args) => AdminRepository.findAdminUserByUsername(...args),
+  findAdminUser: (...args) => AdminRepository.findAdminUser(...args),
+  updateAdminUser: (...args) => AdminRepository.updateAdminUser(...args),
+  getAdminUsers: (...args) => AdminRepository.getAdminUsers(...args),
+  countAdminUsers: (...args) => AdminRepository.countAdminUsers(...args),
+
+  // =============================================
+  // AUDIT LOG METHODS
+  // =============================================
+  createAuditLogEntry: (...args) => AuditLogRepository.createAuditLogEntry(...args),
+  getAuditLogEntries: (...args) => AuditLogRepository.getAuditLogEntries(...args),
+
   // =============================================
   // BUYER PROFILE METHODS
   // =============================================
@@ -48,6 +83,18 @@ const DatabaseService = {
   findManufacturerProfile: (...args) => ManufacturerRepository.findManufacturerProfile(...args),
   updateManufacturerProfile: (...args) => ManufacturerRepository.updateManufacturerProfile(...args),
   getAllManufacturers: (...args) => ManufacturerRepository.getAllManufacturers(...args),
+  getManufacturersByIds: (...args) => ManufacturerRepository.getManufacturersByIds(...args),
+  discoverManufacturers: (...args) => ManufacturerRepository.discoverManufacturers(...args),
+  getManufacturerDirectoryStats: (...args) => ManufacturerRepository.getManufacturerDirectoryStats(...args),
+
+  // =============================================
+  // MANUFACTURER KYC DOCUMENT METHODS
+  // =============================================
+  getManufacturerDocuments: (...args) => ManufacturerDocumentRepository.getManufacturerDocuments(...args),
+  getManufacturerDocument: (...args) => ManufacturerDocumentRepository.getManufacturerDocument(...args),
+  upsertManufacturerDocument: (...args) => ManufacturerDocumentRepository.upsertManufacturerDocument(...args),
+  updateManufacturerDocument: (...args) => ManufacturerDocumentRepository.updateManufacturerDocument(...args),
+  getManufacturerDocumentsForReview: (...args) => ManufacturerDocumentRepository.getManufacturerDocumentsForReview(...args),
 
   // =============================================
   // CONVERSATION & MESSAGE METHODS
@@ -70,6 +117,18 @@ const DatabaseService = {
   deleteRequirement: (...args) => RequirementRepository.deleteRequirement(...args),
   getBuyerRequirementStatistics: (...args) => RequirementRepository.getBuyerRequirementStatistics(...args),
   getAllRequirements: (...args) => RequirementRepository.getAllRequirements(...args),
+  searchRequirements: (...args) => RequirementRepository.searchRequirements(...args),
+  expireOverdueRequirements: (...args) => RequirementRepository.expireOverdueRequirements(...args),
+  claimRequirementAward: (...args) => RequirementRepository.claimRequirementAward(...args),
+  releaseRequirementAward: (...args) => RequirementRepository.releaseRequirementAward(...args),
+
+  // =============================================
+  // REQUIREMENT RECIPIENT METHODS
+  // =============================================
+  addRequirementRecipients: (...args) => RequirementRepository.addRequirementRecipients(...args),
+  getRequirementRecipients: (...args) => RequirementRepository.getRequirementRecipients(...args),
+  getRequirementRecipient: (...args) => RequirementRepository.getRequirementRecipient(...args),
+  getRecipientRequirementIds: (...args) => RequirementRepository.getRecipientRequirementIds(...args),
 
   // =============================================
   // REQUIREMENT RESPONSE METHODS
@@ -82,15 +141,30 @@ const DatabaseService = {
   getManufacturerResponses: (...args) => RequirementRepository.getManufacturerResponses(...args),
   getNegotiatingRequirementsForConversation: (...args) => RequirementRepository.getNegotiatingRequirementsForConversation(...args),
 
+  // =============================================
+  // REQUIREMENT RESPONSE REVISION METHODS
+  // =============================================
+  createResponseRevision: (...args) => RequirementRepository.createResponseRevision(...args),
+  getResponseRevisions: (...args) => RequirementRepository.getResponseRevisions(...args),
+  getResponseRevisionById: (...args) => RequirementRepository.getResponseRevisionById(...args),
+  updateResponseRevision: (...args) => RequirementRepository.updateResponseRevision(...args),
+  supersedePendingRevisions: (...args) => RequirementRepository.supersedePendingRevisions(...args),
+
   // =============================================
   // ORDER METHODS
   // =============================================
   createOrder: (...args) => OrderRepository.createOrder(...args),
+  findOrderByResponse: (...args) => OrderRepository.findOrderByResponse(...args),
+  hasOrderBetween: (...args) => OrderRepository.hasOrderBetween(...args),
   getManufacturerOrders: (...args) => OrderRepository.getManufacturerOrders(...args),
   getOrder: (...args) => OrderRepository.getOrder(...args),
   getBuyerOrders: (...args) => OrderRepository.getBuyerOrders(...args),
   updateOrderStatus: (...args) => OrderRepository.updateOrderStatus(...args),
+  markOrderDisputed: (...args) => OrderRepository.markOrderDisputed(...args),
   getOrders: (...args) => OrderRepository.getOrders(...args),
+  createOrderMilestone: (...args) => OrderRepository.createOrderMilestone(...args),
+  insertOrderMilestoneAttachments: (...args) => OrderRepository.insertOrderMilestoneAttachments(...args),
+  getOrderMilestones: (...args) => OrderRepository.getOrderMilestones(...args),
 
   // =============================================
   // AI DESIGN METHODS
@@ -98,11 +172,18 @@ const DatabaseService = {
   createAIDesign: (...args) => AIDesignRepository.createAIDesign(...args),
   getBuyerAIDesigns: (...args) => AIDesignRepository.getBuyerAIDesigns(...args),
   getAllAIDesigns: (...args) => AIDesignRepository.getAllAIDesigns(...args),
+  searchAIDesigns: (...args) => AIDesignRepository.searchAIDesigns(...args),
   getAIDesign: (...args) => AIDesignRepository.getAIDesign(...args),
   updateAIDesign: (...args) => AIDesignRepository.updateAIDesign(...args),
   deleteAIDesign: (...args) => AIDesignRepository.deleteAIDesign(...args),
-  getTodayDesignGenerationCount: (...args) => AIDesignRepository.getTodayDesignGenerationCount(...args),
-  incrementDesignGenerationCount: (...args) => AIDesignRepository.incrementDesignGenerationCount(...args),
+  getAIDesignVariations: (...args) => AIDesignRepository.getAIDesignVariations(...args),
+
+  // =============================================
+  // AI DESIGN VERSION METHODS
+  // =============================================
+  createAIDesignVersion: (...args) => AIDesignRepository.createAIDesignVersion(...args),
+  getAIDesignVersions: (...args) => AIDesignRepository.getAIDesignVersions(...args),
+  getAIDesignVersion: (...args) => AIDesignRepository.getAIDesignVersion(...args),
 
   // =============================================
   // AI DESIGN RESPONSE METHODS
@@ -110,10 +191,80 @@ const DatabaseService = {
   createAIDesignResponse: (...args) => AIDesignRepository.createAIDesignResponse(...args),
   getAIDesignResponse: (...args) => AIDesignRepository.getAIDesignResponse(...args),
   updateAIDesignResponse: (...args) => AIDesignRepository.updateAIDesignResponse(...args),
+  updateAIDesignResponseStatus: (...args) => AIDesignRepository.updateAIDesignResponseStatus(...args),
   getAIDesignResponses: (...args) => AIDesignRepository.getAIDesignResponses(...args),
   getAIDesignResponsesBatch: (...args) => AIDesignRepository.getAIDesignResponsesBatch(...args),
   getBuyerAIDesignResponses: (...args) => AIDesignRepository.getBuyerAIDesignResponses(...args),
   getAcceptedAIDesignsForConversation: (...args) => AIDesignRepository.getAcceptedAIDesignsForConversation(...args),
+
+  // =============================================
+  // AI DESIGN RESPONSE REVISION METHODS
+  // =============================================
+  createAIDesignResponseRevision: (...args) => AIDesignRepository.createAIDesignResponseRevision(...args),
+  getAIDesignResponseRevisions: (...args) => AIDesignRepository.getAIDesignResponseRevisions(...args),
+  getAIDesignResponseRevisionById: (...args) => AIDesignRepository.getAIDesignResponseRevisionById(...args),
+  updateAIDesignResponseRevision: (...args) => AIDesignRepository.updateAIDesignResponseRevision(...args),
+  supersedePendingAIDesignRevisions: (...args) => AIDesignRepository.supersedePendingAIDesignRevisions(...args),
+
+  // =============================================
+  // PRICING METHODS
+  // =============================================
+  getGstSlabs: (...args) => PricingRepository.getGstSlabs(...args),
+  getGstSlab: (...args) => PricingRepository.getGstSlab(...args),
+  createGstSlab: (...args) => PricingRepository.createGstSlab(...args),
+  updateGstSlab: (...args) => PricingRepository.updateGstSlab(...args),
+  getPlatformFeeTiers: (...args) => PricingRepository.getPlatformFeeTiers(...args),
+  getPlatformFeeTier: (...args) => PricingRepository.getPlatformFeeTier(...args),
+  createPlatformFeeTier: (...args) => PricingRepository.createPlatformFeeTier(...args),
+  updatePlatformFeeTier: (...args) => PricingRepository.updatePlatformFeeTier(...args),
+
+  // =============================================
+  // RATE LIMIT METHODS
+  // =============================================
+  hitRateLimit: (...args) => RateLimitRepository.hitRateLimit(...args),
+  cleanupExpiredRateLimits: (...args) => RateLimitRepository.cleanupExpiredRateLimits(...args),
+
+  // =============================================
+  // QUOTA METHODS (Design generation plans & usage)
+  // =============================================
+  getQuotaPlans: (...args) => QuotaRepository.getQuotaPlans(...args),
+  getQuotaPlan: (...args) => QuotaRepository.getQuotaPlan(...args),
+  updateQuotaPlan: (...args) => QuotaRepository.updateQuotaPlan(...args),
+  getBuyerQuotaOverride: (...args) => QuotaRepository.getBuyerQuotaOverride(...args),
+  upsertBuyerQuotaOverride: (...args) => QuotaRepository.upsertBuyerQuotaOverride(...args),
+  deleteBuyerQuotaOverride: (...args) => QuotaRepository.deleteBuyerQuotaOverride(...args),
+  consumeDesignQuota: (...args) => QuotaRepository.consumeDesignQuota(...args),
+  getDesignUsageSince: (...args) => QuotaRepository.getDesignUsageSince(...args),
+  getDesignLedgerEntry: (...args) => QuotaRepository.getDesignLedgerEntry(...args),
+  createDesignLedgerEntry: (...args) => QuotaRepository.createDesignLedgerEntry(...args),
+  getDesignLedgerEntries: (...args) => QuotaRepository.getDesignLedgerEntries(...args),
+
+  // =============================================
+  // TECH PACK METHODS
+  // =============================================
+  createTechPack: (...args) => TechPackRepository.createTechPack(...args),
+  getTechPack: (...args) => TechPackRepository.getTechPack(...args),
+  getTechPackBySource: (...args) => TechPackRepository.getTechPackBySource(...args),
+  getBuyerTechPacks: (...args) => TechPackRepository.getBuyerTechPacks(...args),
+  updateTechPack: (...args) => TechPackRepository.updateTechPack(...args),
+  deleteTechPack: (...args) => TechPackRepository.deleteTechPack(...args),
+
+  // =============================================
+  // REVIEW METHODS
+  // =============================================
+  createReview: (...args) => ReviewRepository.createReview(...args),
+  getReview: (...args) => ReviewRepository.getReview(...args),
+  getOrderReviews: (...args) => ReviewRepository.getOrderReviews(...args),
+  getReviews: (...args) => ReviewRepository.getReviews(...args),
+  updateReview: (...args) => ReviewRepository.updateReview(...args),
+  setReviewReply: (...args) => ReviewRepository.setReviewReply(...args),
+
+  // =============================================
+  // SCORECARD METHODS
+  // =============================================
+  refreshManufacturerScorecards: (...args) => ScorecardRepository.refreshManufacturerScorecards(...args),
+  getLatestManufacturerScorecard: (...args) => ScorecardRepository.getLatestManufacturerScorecard(...args),
+  getManufacturerScorecardHistory: (...args) => ScorecardRepository.getManufacturerScorecardHistory(...args),
 };
 
 // Also export individual repositories for direct access if needed
@@ -121,10 +272,19 @@ module.exports = DatabaseService;
 
 // Named exports for direct repository access
 module.exports.AuthRepository = AuthRepository;
+module.exports.AdminRepository = AdminRepository;
+module.exports.AuditLogRepository = AuditLogRepository;
 module.exports.BuyerRepository = BuyerRepository;
 module.exports.ManufacturerRepository = ManufacturerRepository;
+module.exports.ManufacturerDocumentRepository = ManufacturerDocumentRepository;
 module.exports.ConversationRepository = ConversationRepository;
 module.exports.RequirementRepository = RequirementRepository;
 module.exports.OrderRepository = OrderRepository;
 module.exports.AIDesignRepository = AIDesignRepository;
 
+module.exports.PricingRepository = PricingRepository;
+module.exports.RateLimitRepository = RateLimitRepository;
+module.exports.QuotaRepository = QuotaRepository;
+module.exports.TechPackRepository = TechPackRepository;
+module.exports.ReviewRepository = ReviewRepository;
+module.exports.ScorecardRepository = ScorecardRepository;
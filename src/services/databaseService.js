@@ -6,12 +6,21 @@
  * 
  * The actual implementations are now organized in:
  * - database/AuthRepository.js        - OTP sessions & User sessions
+ * - database/AdminRepository.js       - Admin user accounts
+ * - database/AuditLogRepository.js    - Admin audit log
  * - database/BuyerRepository.js       - Buyer profile management
  * - database/ManufacturerRepository.js - Manufacturer profile management
+ * - database/ManufacturerDocumentRepository.js - Manufacturer KYC documents
  * - database/ConversationRepository.js - Conversations & Messages
  * - database/RequirementRepository.js  - Requirements & Requirement responses
  * - database/OrderRepository.js        - Orders
- * - database/AIDesignRepository.js     - AI Designs & AI Design responses
+ * - database/AIDesignRepository.js     - AI Designs, versions & AI Design responses
+ * - database/PricingRepository.js      - GST slabs & Platform fee tiers
+ * - database/RateLimitRepository.js    - Rate limit counters
+ * - database/QuotaRepository.js        - Design generation plans, overrides & usage ledger
+ * - database/TechPackRepository.js     - Tech packs for AI designs & requirements
+ * - database/ReviewRepository.js       - Ratings & reviews on completed orders
+ * - database/ScorecardRepository.js    - Manufacturer performance scorecards
  */
 
 module.exports = require('./database');
@@ -0,0 +1,66 @@
+/**
+ * OpenAI Image Provider - Generates design images with the OpenAI Images API
+ */
+const axios = require('axios');
+
+const API_URL = 'https://api.openai.com/v1/images/generations';
+const DEFAULT_MODEL = 'gpt-image-1';
+const DEFAULT_SIZE = '1024x1024';
+const REQUEST_TIMEOUT_MS = 120 * 1000;
+
+class OpenAIImageProvider {
+  constructor() {
+    this.name = 'openai';
+  }
+
+  /**
+   * Whether an API key is set
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY);
+  }
+
+  /**
+   * Generate an image from a prompt
+   * @param {string} prompt - Image prompt
+   * @returns {Promise<{ base64: string, mimeType: string, model: string }>}
+   */
+  async generateImage(prompt) {
+    const model = process.env.OPENAI_IMAGE_MODEL || DEFAULT_MODEL;
+    const payload = {
+      model,
+      prompt,
+      n: 1,
+      size: process.env.OPENAI_IMAGE_SIZE || DEFAULT_SIZE
+    };
+    // DALL-E models return URLs unless asked for base64; gpt-image models always return base64
+    if (model.startsWith('dall-e')) {
+      payload.response_format = 'b64_json';
+    }
+
+    try {
+      const response = await axios.post(API_URL, payload, {
+        headers: {
+          Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      });
+
+      const image = response.data && response.data.data && response.data.data[0];
+      if (!image || !image.b64_json) {
+        throw new Error('No image returned');
+      }
+
+      return { base64: image.b64_json, mimeType: 'image/png', model };
+    } catch (error) {
+      const apiMessage = error.response && error.response.data && error.response.data.error
+        ? error.response.data.error.message
+        : null;
+      throw new Error(`OpenAI image generation failed: ${apiMessage || error.message}`);
+    }
+  }
+}
+
+module.exports = OpenAIImageProvider;
@@ -0,0 +1,106 @@
+/**
+ * Stub Image Provider - Deterministic local images for development and tests
+ * The same prompt always produces the same PNG (a striped swatch coloured from the prompt's hash),
+ * so tests can generate designs without network access or API costs.
+ */
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+const IMAGE_SIZE = 256;
+const STRIPE_WIDTH = 32;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData));
+  return Buffer.concat([length, typeAndData, crc]);
+};
+
+/**
+ * Encode an RGB image as PNG
+ * @param {number} size - Width and height in pixels
+ * @param {Function} pixelAt - (x, y) => [r, g, b]
+ * @returns {Buffer} PNG data
+ */
+const encodePng = (size, pixelAt) => {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+
+  const rowLength = size * 3 + 1;
+  const raw = Buffer.alloc(rowLength * size);
+  for (let y = 0; y < size; y++) {
+    raw[y * rowLength] = 0; // filter: none
+    for (let x = 0; x < size; x++) {
+      const [r, g, b] = pixelAt(x, y);
+      const offset = y * rowLength + 1 + x * 3;
+      raw[offset] = r;
+      raw[offset + 1] = g;
+      raw[offset + 2] = b;
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+};
+
+class StubImageProvider {
+  constructor() {
+    this.name = 'stub';
+  }
+
+  /**
+   * Never available in production, where it would hand buyers placeholder designs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return process.env.NODE_ENV !== 'production';
+  }
+
+  /**
+   * Generate a placeholder image from a prompt
+   * @param {string} prompt - Image prompt
+   * @returns {Promise<{ base64: string, mimeType: string, model: string }>}
+   */
+  async generateImage(prompt) {
+    const hash = crypto.createHash('sha256').update(prompt).digest();
+    const primary = [hash[0], hash[1], hash[2]];
+    const secondary = [hash[3], hash[4], hash[5]];
+
+    const png = encodePng(IMAGE_SIZE, (x, y) =>
+      (Math.floor((x + y) / STRIPE_WIDTH) % 2 === 0 ? primary : secondary)
+    );
+
+    return {
+      base64: png.toString('base64'),
+      mimeType: 'image/png',
+      model: `stub-${hash.toString('hex').slice(0, 12)}`
+    };
+  }
+}
+
+module.exports = StubImageProvider;
@@ -0,0 +1,142 @@
+/**
+ * Design Generation Service - Generates AI design images for buyers
+ *
+ * Builds a prompt from the design brief, debits the buyer's generation quota, asks the
+ * image provider for an image and stores it in Cloudinary. The quota is refunded if
+ * generation or upload fails.
+ *
+ * The provider is chosen by AI_IMAGE_PROVIDER ("openai" or "stub"). When unset, OpenAI is
+ * used if OPENAI_API_KEY is set, otherwise the deterministic stub (never in production).
+ */
+const quotaService = require('../quotaService');
+const { uploadBase64Image } = require('../../config/cloudinary');
+const OpenAIImageProvider = require('./OpenAIImageProvider');
+const StubImageProvider = require('./StubImageProvider');
+
+const PROVIDERS = {
+  openai: new OpenAIImageProvider(),
+  stub: new StubImageProvider()
+};
+
+const DEFAULT_PROVIDER_ORDER = ['openai', 'stub'];
+
+// Longest value of each brief field included in the prompt
+const PROMPT_FIELD_MAX_LENGTH = {
+  apparel_type: 100,
+  preferred_colors: 200,
+  print_placement: 100,
+  design_description: 1000
+};
+
+const cleanField = (value, field) => (typeof value === 'string'
+  ? value.replace(/\s+/g, ' ').trim().slice(0, PROMPT_FIELD_MAX_LENGTH[field])
+  : '');
+
+const toTag = (value) => value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'unknown';
+
+class DesignGenerationService {
+  /**
+   * Get the image provider to use
+   * @returns {Object} Provider instance
+   */
+  getProvider() {
+    const configured = (process.env.AI_IMAGE_PROVIDER || '').trim().toLowerCase();
+
+    if (configured) {
+      const provider = PROVIDERS[configured];
+      if (!provider) {
+        throw new Error(`Unknown AI image provider "${configured}"`);
+      }
+      if (!provider.isConfigured()) {
+        throw new Error(`AI image provider "${configured}" is not configured`);
+      }
+      return provider;
+    }
+
+    const provider = DEFAULT_PROVIDER_ORDER.map((name) => PROVIDERS[name]).find((p) => p.isConfigured());
+    if (!provider) {
+      throw new Error('No AI image provider is configured');
+    }
+    return provider;
+  }
+
+  /**
+   * Build the image prompt from a design brief
+   * @param {Object} brief - Design brief
+   * @param {string} brief.apparel_type - Garment (e.g. "Oversized t-shirt")
+   * @param {string} [brief.preferred_colors] - Colours to use
+   * @param {string} [brief.print_placement] - Where the print goes (e.g. "Front chest")
+   * @param {string} [brief.design_description] - What the design should show
+   * @returns {string} Prompt
+   */
+  buildPrompt(brief) {
+    const apparelType = cleanField(brief.apparel_type, 'apparel_type');
+    const colors = cleanField(brief.preferred_colors, 'preferred_colors');
+    const placement = cleanField(brief.print_placement, 'print_placement');
+    const description = cleanField(brief.design_description, 'design_description');
+
+    const sentences = [
+      `Apparel design mockup: ${apparelType}, shown in full on a plain studio background.`
+    ];
+    if (description) sentences.push(`The design: ${description}.`);
+    if (colors) sentences.push(`Colours: ${colors}.`);
+    if (placement) sentences.push(`Print placement: ${placement}.`);
+    sentences.push('Realistic fabric texture, even lighting, no text other than what the design describes, no people.');
+
+    return sentences.join(' ');
+  }
+
+  /**
+   * Generate a design image for a buyer
+   * @param {Object} buyer - Buyer profile
+   * @param {Object} brief - Design brief (apparel_type, preferred_colors, print_placement, design_description)
+   * @returns {Promise<Object>} { allowed: false, message, retryAfter, quota } when the quota is used up,
+   *   otherwise { allowed: true, image, prompt, provider, model, generationId, quota }
+   */
+  async generate(buyer, brief) {
+    const provider = this.getProvider();
+    const prompt = this.buildPrompt(brief);
+
+    const debit = await quotaService.consumeDesignGeneration(buyer);
+    if (!debit.allowed) {
+      return { allowed: false, message: debit.message, retryAfter: debit.retryAfter, quota: debit.status };
+    }
+
+    let generated;
+    let upload;
+    try {
+      generated = await provider.generateImage(prompt);
+
+      const apparelType = cleanField(brief.apparel_type, 'apparel_type');
+      upload = await uploadBase64Image(generated.base64, {
+        folder: `groupo-ai-designs/${buyer.id}`,
+        context: {
+          buyer_id: buyer.id,
+          apparel_type: apparelType,
+          uploaded_via: 'ai-design-generation',
+          provider: provider.name
+        },
+        tags: ['ai-design', 'generated', toTag(apparelType)]
+      });
+    } catch (error) {
+      try {
+        await quotaService.refundDesignGeneration(debit.entryId, `Generation failed: ${error.message}`.slice(0, 500));
+      } catch (refundError) {
+        console.error(`[DesignGenerationService] Refund of ${debit.entryId} failed:`, refundError.message);
+      }
+      throw error;
+    }
+
+    return {
+      allowed: true,
+      image: upload,
+      prompt,
+      provider: provider.name,
+      model: generated.model,
+      generationId: debit.entryId,
+      quota: debit.status
+    };
+  }
+}
+
+module.exports = new DesignGenerationService();
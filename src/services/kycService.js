@@ -0,0 +1,255 @@
+const databaseService = require('./databaseService');
+const { validateGSTIN, validatePAN, validateCIN, validateUdyam } = require('../utils/kycValidators');
+
+// KYC document types and the manufacturer profile columns that carry them
+const DOCUMENT_TYPES = {
+  gst: { label: 'GST certificate', numberField: 'gst_number', validate: validateGSTIN },
+  pan: { label: 'PAN card', numberField: 'pan_number', validate: validatePAN },
+  coi: { label: 'Certificate of incorporation', numberField: 'coi_number', validate: validateCIN },
+  msme: { label: 'MSME certificate', numberField: 'msme_number', fileField: 'msme_file_url', validate: validateUdyam },
+  other_certificates: { label: 'Other certificates', fileField: 'other_certificates_url' }
+};
+
+// Documents that must be approved before a manufacturer can be Accepted
+const REQUIRED_DOCUMENT_TYPES = ['gst', 'pan'];
+
+const DOCUMENT_STATUSES = ['submitted', 'under_review', 'approved', 'rejected', 'reupload_requested'];
+
+// Review decisions an admin may take from each status; rejected documents must be re-submitted first
+const REVIEW_TRANSITIONS = {
+  submitted: ['under_review', 'approved', 'rejected', 'reupload_requested'],
+  under_review: ['approved', 'rejected', 'reupload_requested'],
+  approved: ['rejected', 'reupload_requested'],
+  rejected: [],
+  reupload_requested: []
+};
+
+const isPresent = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+class KycService {
+  /**
+   * Validate the KYC numbers in a profile payload and normalise them
+   * @param {Object} fields - Profile fields being written (gst_number, pan_number, coi_number, msme_number)
+   * @param {Object} [currentProfile] - Existing profile, used to cross-check GSTIN and PAN when only one changes
+   * @returns {{ errors: Array<{ field: string, message: string }>, values: Object }} Errors and normalised values
+   */
+  validateDocumentFields(fields, currentProfile = {}) {
+    const errors = [];
+    const values = {};
+
+    Object.values(DOCUMENT_TYPES).forEach(({ numberField, validate }) => {
+      if (!numberField || !isPresent(fields[numberField])) return;
+      const result = validate(fields[numberField]);
+      if (result.valid) {
+        values[numberField] = result.value;
+      } else {
+        errors.push({ field: numberField, message: result.error });
+      }
+    });
+
+    // The PAN is embedded in characters 3-12 of the GSTIN
+    if (errors.length === 0 && (values.gst_number || values.pan_number)) {
+      const gst = validateGSTIN(values.gst_number || currentProfile.gst_number);
+      const pan = validatePAN(values.pan_number || currentProfile.pan_number);
+      if (gst.valid && pan.valid && gst.pan !== pan.value) {
+        errors.push({ field: 'pan_number', message: 'PAN does not match the PAN in the GSTIN' });
+      }
+    }
+
+    return { errors, values };
+  }
+
+  /**
+   * Get a human-readable document name
+   * @param {string} documentType - Document type
+   * @returns {string} Label
+   */
+  getDocumentLabel(documentType) {
+    return DOCUMENT_TYPES[documentType] ? DOCUMENT_TYPES[documentType].label : documentType;
+  }
+
+  /**
+   * List required documents that are missing or not yet approved
+   * @param {Array} documents - Manufacturer's documents
+   * @returns {Array<string>} Document types still outstanding
+   */
+  getOutstandingRequiredDocuments(documents) {
+    return REQUIRED_DOCUMENT_TYPES.filter((type) =>
+      !documents.some((doc) => doc.document_type === type && doc.status === 'approved')
+    );
+  }
+
+  /**
+   * Get a manufacturer's documents together with their verification progress
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @returns {Promise<{ documents: Array, required: Array<string>, outstanding: Array<string>, complete: boolean }>}
+   */
+  async getKycSummary(manufacturerId) {
+    const documents = await databaseService.getManufacturerDocuments(manufacturerId);
+    const outstanding = this.getOutstandingRequiredDocuments(documents);
+
+    return {
+      documents,
+      required: REQUIRED_DOCUMENT_TYPES,
+      outstanding,
+      complete: outstanding.length === 0
+    };
+  }
+
+  /**
+   * Record a (re)submitted document, resetting its review state
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @param {string} documentType - Document type
+   * @param {Object} document - Document number and file URL
+   * @returns {Promise<Object>} Saved document
+   */
+  async submitDocument(manufacturerId, documentType, { document_number = null, file_url = null }) {
+    return databaseService.upsertManufacturerDocument({
+      manufacturer_id: manufacturerId,
+      document_type: documentType,
+      document_number,
+      file_url,
+      status: 'submitted',
+      rejection_reason: null,
+      reviewed_by: null,
+      reviewed_at: null,
+      submitted_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Create or reset document rows for KYC fields that changed on the profile
+   * If a required document of an Accepted manufacturer changes, the manufacturer goes back to pending
+   * @param {Object} profile - Manufacturer profile after the update
+   * @returns {Promise<{ documents: Array, profile: Object }>} Current documents and profile
+   */
+  async syncProfileDocuments(profile) {
+    const existingDocuments = await databaseService.getManufacturerDocuments(profile.id);
+    const changedTypes = [];
+
+    for (const [documentType, { numberField, fileField }] of Object.entries(DOCUMENT_TYPES)) {
+      const documentNumber = numberField ? profile[numberField] || null : undefined;
+      const fileUrl = fileField ? profile[fileField] || null : undefined;
+      if (!documentNumber && !fileUrl) continue;
+
+      const existing = existingDocuments.find((doc) => doc.document_type === documentType);
+      const numberChanged = numberField && (!existing || existing.document_number !== documentNumber);
+      const fileChanged = fileField && (!existing || existing.file_url !== fileUrl);
+      if (!numberChanged && !fileChanged) continue;
+
+      await this.submitDocument(profile.id, documentType, {
+        document_number: numberField ? documentNumber : existing && existing.document_number,
+        // Profiles have no file column for every type, so keep the uploaded file unless it was replaced
+        file_url: fileField ? fileUrl : existing && existing.file_url
+      });
+      changedTypes.push(documentType);
+    }
+
+    return {
+      documents: changedTypes.length > 0 ? await databaseService.getManufacturerDocuments(profile.id) : existingDocuments,
+      profile: await this.reopenVerification(profile, changedTypes)
+    };
+  }
+
+  /**
+   * Replace one document on behalf of the manufacturer (e.g. after a re-upload request)
+   * The matching profile columns are kept in step with the document
+   * @param {Object} profile - Manufacturer profile
+   * @param {string} documentType - Document type
+   * @param {Object} document - New document number and/or file URL
+   * @returns {Promise<{ document: Object, profile: Object }>} Saved document and current profile
+   */
+  async resubmitDocument(profile, documentType, { document_number, file_url }) {
+    const { numberField, fileField } = DOCUMENT_TYPES[documentType];
+    const existing = await databaseService.getManufacturerDocument(profile.id, documentType);
+
+    const documentNumber = document_number || (existing && existing.document_number) || (numberField && profile[numberField]) || null;
+    const fileUrl = file_url || (existing && existing.file_url) || (fileField && profile[fileField]) || null;
+
+    const profileUpdate = {};
+    if (numberField && documentNumber !== profile[numberField]) profileUpdate[numberField] = documentNumber;
+    if (fileField && fileUrl !== profile[fileField]) profileUpdate[fileField] = fileUrl;
+
+    const currentProfile = Object.keys(profileUpdate).length > 0
+      ? await databaseService.updateManufacturerProfile(profile.id, profileUpdate)
+      : profile;
+
+    const document = await this.submitDocument(profile.id, documentType, {
+      document_number: documentNumber,
+      file_url: fileUrl
+    });
+
+    return { document, profile: await this.reopenVerification(currentProfile, [documentType]) };
+  }
+
+  /**
+   * Put an Accepted manufacturer back to pending when a required document was replaced
+   * @param {Object} profile - Manufacturer profile
+   * @param {Array<string>} changedTypes - Document types that were (re)submitted
+   * @returns {Promise<Object>} Current profile
+   */
+  async reopenVerification(profile, changedTypes) {
+    if (profile.verification_status !== 'Accepted' || !changedTypes.some((type) => REQUIRED_DOCUMENT_TYPES.includes(type))) {
+      return profile;
+    }
+
+    return databaseService.updateManufacturerProfile(profile.id, {
+      verification_status: 'pending',
+      is_verified: false
+    });
+  }
+
+  /**
+   * Apply an admin review decision to a document
+   * Approving the last outstanding required document accepts a pending manufacturer;
+   * rejecting a required document of an Accepted manufacturer puts them back to pending
+   * @param {Object} manufacturer - Manufacturer profile
+   * @param {Object} document - Document being reviewed
+   * @param {Object} decision - Review decision (status, reason)
+   * @param {Object} admin - Reviewing admin
+   * @returns {Promise<{ document: Object, manufacturer: Object, verificationChanged: boolean }>}
+   */
+  async reviewDocument(manufacturer, document, { status, reason }, admin) {
+    if (!REVIEW_TRANSITIONS[document.status].includes(status)) {
+      throw new Error(document.status === 'rejected' || document.status === 'reupload_requested'
+        ? 'Document must be re-submitted by the manufacturer before it can be reviewed again'
+        : `Cannot change document status from ${document.status} to ${status}`);
+    }
+
+    const now = new Date().toISOString();
+    const updatedDocument = await databaseService.updateManufacturerDocument(document.id, {
+      status,
+      rejection_reason: status === 'rejected' || status === 'reupload_requested' ? reason : null,
+      reviewed_by: admin.id,
+      reviewed_at: now
+    });
+
+    const documents = await databaseService.getManufacturerDocuments(manufacturer.id);
+    const complete = this.getOutstandingRequiredDocuments(documents).length === 0;
+
+    let nextStatus = null;
+    if (complete && manufacturer.verification_status === 'pending') {
+      nextStatus = 'Accepted';
+    } else if (!complete && manufacturer.verification_status === 'Accepted') {
+      nextStatus = 'pending';
+    }
+
+    if (!nextStatus) {
+      return { document: updatedDocument, manufacturer, verificationChanged: false };
+    }
+
+    const updatedManufacturer = await databaseService.updateManufacturerProfile(manufacturer.id, {
+      verification_status: nextStatus,
+      is_verified: nextStatus === 'Accepted',
+      verification_updated_by: admin.id,
+      verification_updated_at: now
+    });
+
+    return { document: updatedDocument, manufacturer: updatedManufacturer, verificationChanged: true };
+  }
+}
+
+module.exports = new KycService();
+module.exports.DOCUMENT_TYPES = DOCUMENT_TYPES;
+module.exports.REQUIRED_DOCUMENT_TYPES = REQUIRED_DOCUMENT_TYPES;
+module.exports.DOCUMENT_STATUSES = DOCUMENT_STATUSES;
@@ -0,0 +1,91 @@
+const databaseService = require('./databaseService');
+const profileSerializer = require('./profileSerializer');
+const { SUMMARY_FIELDS: RATING_SUMMARY_FIELDS } = require('./reviewService');
+
+// Track record columns added by the directory search
+const STATS_FIELDS = [
+  'completed_orders',
+  'requirements_received',
+  'requirements_quoted',
+  'response_rate',
+  'avg_response_hours',
+  ...RATING_SUMMARY_FIELDS
+];
+
+const DIRECTORY_SORTS = ['rank', 'distance'];
+
+// Statuses listed in the directory; rejected and blocked manufacturers are hidden
+const LISTED_STATUSES = ['Accepted', 'pending'];
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+class ManufacturerDirectoryService {
+  /**
+   * Project a manufacturer profile to the fields shown in the directory
+   * @param {Object} manufacturer - Manufacturer profile (optionally with directory search columns)
+   * @param {Object} [stats] - Track record, when not already on the profile
+   * @returns {Object} Public profile with is_verified, stats and, from a location search, distance_km
+   */
+  toPublicProfile(manufacturer, stats = manufacturer) {
+    const profile = profileSerializer.manufacturer(manufacturer, 'public');
+    profile.stats = STATS_FIELDS.reduce((fields, field) => {
+      fields[field] = toNumber(stats ? stats[field] : null);
+      return fields;
+    }, {});
+
+    if (manufacturer.distance_km !== undefined) {
+      profile.distance_km = toNumber(manufacturer.distance_km);
+    }
+    if (manufacturer.ranking_score !== undefined) {
+      profile.ranking_score = toNumber(manufacturer.ranking_score);
+    }
+
+    return profile;
+  }
+
+  /**
+   * Whether a manufacturer is listed in the directory
+   * @param {Object} manufacturer - Manufacturer profile
+   * @returns {boolean}
+   */
+  isListed(manufacturer) {
+    return !!manufacturer && manufacturer.onboarding_completed === true && LISTED_STATUSES.includes(manufacturer.verification_status);
+  }
+
+  /**
+   * Search the directory
+   * @param {Object} filters - Validated filters (see ManufacturerRepository.discoverManufacturers)
+   * @returns {Promise<{ manufacturers: Array, total: number, limit: number, offset: number, has_more: boolean }>}
+   */
+  async discover(filters) {
+    const result = await databaseService.discoverManufacturers(filters);
+    const manufacturers = (result.results || []).map((manufacturer) => this.toPublicProfile(manufacturer));
+    const total = Number(result.total) || 0;
+
+    return {
+      manufacturers,
+      total,
+      limit: filters.limit,
+      offset: filters.offset,
+      has_more: filters.offset + manufacturers.length < total
+    };
+  }
+
+  /**
+   * Get a listed manufacturer's public profile
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @returns {Promise<Object|null>} Public profile, or null if the manufacturer is not listed
+   */
+  async getPublicProfile(manufacturerId) {
+    const manufacturer = await databaseService.findManufacturerProfile(manufacturerId);
+    if (!this.isListed(manufacturer)) {
+      return null;
+    }
+
+    const stats = await databaseService.getManufacturerDirectoryStats(manufacturer.id);
+    return this.toPublicProfile(manufacturer, stats);
+  }
+}
+
+module.exports = new ManufacturerDirectoryService();
+module.exports.DIRECTORY_SORTS = DIRECTORY_SORTS;
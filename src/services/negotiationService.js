@@ -0,0 +1,436 @@
+const databaseService = require('./databaseService');
+const pricingService = require('./pricingService');
+const { normalizeSizeBreakdown, reconcileQuantity, hasSizePrices, getPricedTotal } = require('../utils/sizeBreakdown');
+
+const { roundCurrency } = pricingService;
+
+// Response statuses during which counter-offers can still be exchanged
+const NEGOTIABLE_STATUSES = ['submitted', 'negotiating'];
+
+// Statuses a buyer may move a quote to from each status. Accepted quotes have an order and rejected
+// quotes are final; a withdrawn quote must be resubmitted by the manufacturer before it can be decided.
+const RESPONSE_STATUS_TRANSITIONS = {
+  submitted: ['accepted', 'rejected', 'negotiating'],
+  negotiating: ['accepted', 'rejected'],
+  accepted: [],
+  rejected: [],
+  withdrawn: []
+};
+
+// Storage and binding-term columns for each kind of negotiable quote
+const NEGOTIATION_STORES = {
+  requirement: {
+    termFields: ['price_per_unit', 'quantity', 'size_breakdown', 'delivery_time', 'quoted_price', 'gst', 'platform_fee', 'price_breakdown'],
+    getRevisions: (...args) => databaseService.getResponseRevisions(...args),
+    createRevision: (...args) => databaseService.createResponseRevision(...args),
+    updateRevision: (...args) => databaseService.updateResponseRevision(...args),
+    supersedePending: (...args) => databaseService.supersedePendingRevisions(...args),
+    updateResponse: (...args) => databaseService.updateRequirementResponse(...args)
+  },
+  ai_design: {
+    termFields: ['price_per_unit', 'quantity', 'size_breakdown', 'gst', 'platform_fee', 'quoted_price', 'price_breakdown'],
+    getRevisions: (...args) => databaseService.getAIDesignResponseRevisions(...args),
+    createRevision: (...args) => databaseService.createAIDesignResponseRevision(...args),
+    updateRevision: (...args) => databaseService.updateAIDesignResponseRevision(...args),
+    supersedePending: (...args) => databaseService.supersedePendingAIDesignRevisions(...args),
+    updateResponse: (...args) => databaseService.updateAIDesignResponse(...args)
+  }
+};
+
+const pickTerms = (kind, source) => NEGOTIATION_STORES[kind].termFields.reduce((terms, field) => {
+  terms[field] = source[field] === undefined ? null : source[field];
+  return terms;
+}, {});
+
+/**
+ * Apply a counter-offer's size breakdown and quantity to the proposed terms
+ * A new breakdown sets the quantity when none is given; a new quantity must still match the breakdown in force.
+ * @returns {string|null} Validation error
+ */
+const applySizeBreakdown = (terms, body, quantity) => {
+  if (body.size_breakdown !== undefined) {
+    const result = normalizeSizeBreakdown(body.size_breakdown === null ? [] : body.size_breakdown, { allowPrices: true });
+    if (!result.valid) {
+      return result.error;
+    }
+    terms.size_breakdown = result.rows;
+  }
+
+  const reconciled = reconcileQuantity(quantity, terms.size_breakdown);
+  if (reconciled.error) {
+    return reconciled.error;
+  }
+  if (reconciled.quantity !== null) {
+    terms.quantity = reconciled.quantity;
+  }
+  return null;
+};
+
+class NegotiationService {
+  /**
+   * Check whether a quote is still open for counter-offers
+   * @param {Object} response - Requirement or AI design response
+   * @returns {boolean} True if counter-offers are allowed
+   */
+  isNegotiable(response) {
+    return !!response && NEGOTIABLE_STATUSES.includes(response.status);
+  }
+
+  /**
+   * Validate a buyer's decision on a quote against its current status
+   * @param {Object} response - Requirement or AI design response
+   * @param {string} nextStatus - Requested status
+   * @returns {string|null} Error message, or null if the change is allowed
+   */
+  validateStatusChange(response, nextStatus) {
+    const current = response.status || 'submitted';
+    if ((RESPONSE_STATUS_TRANSITIONS[current] || []).includes(nextStatus)) {
+      return null;
+    }
+
+    if (current === 'accepted') return 'This quote has already been accepted and cannot be changed';
+    if (current === 'rejected') return 'This quote has already been rejected';
+    if (current === 'withdrawn') return 'This quote has been withdrawn by the manufacturer';
+    return `Cannot move a quote from "${current}" to "${nextStatus}"`;
+  }
+
+  /**
+   * Get the currently binding terms of a requirement response
+   * @param {Object} response - Requirement response
+   * @param {Object} requirement - Requirement the response belongs to
+   * @returns {Object} Terms (price_per_unit, quantity, size_breakdown, delivery_time, quoted_price, gst, platform_fee, price_breakdown)
+   */
+  getBindingTerms(response, requirement) {
+    return {
+      price_per_unit: parseFloat(response.price_per_unit),
+      quantity: response.quantity || (requirement && requirement.quantity) || null,
+      size_breakdown: response.size_breakdown || [],
+      delivery_time: response.delivery_time,
+      quoted_price: parseFloat(response.quoted_price),
+      gst: parseFloat(response.gst || 0),
+      platform_fee: parseFloat(response.platform_fee || 0),
+      price_breakdown: response.price_breakdown || null
+    };
+  }
+
+  /**
+   * Get the currently binding terms of an AI design response
+   * @param {Object} response - AI design response
+   * @returns {Object} Terms (price_per_unit, quantity, size_breakdown, gst, platform_fee, quoted_price, price_breakdown)
+   */
+  getAIDesignBindingTerms(response) {
+    return {
+      price_per_unit: parseFloat(response.price_per_unit),
+      quantity: response.quantity,
+      size_breakdown: response.size_breakdown || [],
+      gst: parseFloat(response.gst),
+      platform_fee: parseFloat(response.platform_fee),
+      quoted_price: parseFloat(response.quoted_price),
+      price_breakdown: response.price_breakdown || null
+    };
+  }
+
+  /**
+   * Build the terms of a requirement counter-offer from a request body, falling back to the
+   * binding terms for anything not being renegotiated
+   * When sizes are priced separately the quoted price is the sum of the size lines.
+   * @param {Object} body - Request body (price_per_unit, quantity, size_breakdown, delivery_time, quoted_price)
+   * @param {Object} bindingTerms - Current binding terms
+   * @returns {{ error?: string, terms?: Object }} Validation error or the proposed terms
+   */
+  buildProposedTerms(body, bindingTerms) {
+    const { price_per_unit, quantity, size_breakdown, delivery_time, quoted_price } = body;
+
+    if (price_per_unit === undefined && quantity === undefined && size_breakdown === undefined && delivery_time === undefined) {
+      return { error: 'A counter-offer must change the price per unit, quantity, size breakdown or delivery time' };
+    }
+
+    const terms = { ...bindingTerms };
+
+    if (price_per_unit !== undefined) {
+      const price = parseFloat(price_per_unit);
+      if (!(price > 0)) {
+        return { error: 'Price per unit must be greater than 0' };
+      }
+      terms.price_per_unit = roundCurrency(price);
+    }
+
+    if (quantity !== undefined) {
+      const qty = parseInt(quantity);
+      if (!(qty > 0)) {
+        return { error: 'Quantity must be greater than 0' };
+      }
+      terms.quantity = qty;
+    }
+
+    const sizeError = applySizeBreakdown(terms, body, quantity !== undefined ? terms.quantity : undefined);
+    if (sizeError) {
+      return { error: sizeError };
+    }
+
+    if (delivery_time !== undefined) {
+      if (typeof delivery_time !== 'string' || delivery_time.trim().length === 0) {
+        return { error: 'Delivery time cannot be empty' };
+      }
+      terms.delivery_time = delivery_time.trim();
+    }
+
+    if (hasSizePrices(terms.size_breakdown)) {
+      const total = getPricedTotal(terms.size_breakdown, terms.price_per_unit);
+      if (quoted_price !== undefined && roundCurrency(parseFloat(quoted_price)) !== total) {
+        return { error: `Quoted price must equal the sum of the size-wise prices (${total})` };
+      }
+      terms.quoted_price = total;
+    } else if (quoted_price !== undefined) {
+      const total = parseFloat(quoted_price);
+      if (!(total > 0)) {
+        return { error: 'Quoted price must be greater than 0' };
+      }
+      terms.quoted_price = roundCurrency(total);
+    } else if (terms.quantity) {
+      terms.quoted_price = roundCurrency(terms.price_per_unit * terms.quantity);
+    } else if (bindingTerms.price_per_unit > 0) {
+      // No quantity to multiply by: scale the previous total with the unit price
+      terms.quoted_price = roundCurrency(bindingTerms.quoted_price * (terms.price_per_unit / bindingTerms.price_per_unit));
+    }
+
+    return { terms };
+  }
+
+  /**
+   * Build the terms of a revised AI design quote from a request body
+   * GST and platform fee are added afterwards by priceTerms
+   * @param {Object} body - Request body (price_per_unit, quantity, size_breakdown)
+   * @param {Object} bindingTerms - Current binding terms
+   * @returns {{ error?: string, terms?: Object }} Validation error or the proposed terms
+   */
+  buildAIDesignProposedTerms(body, bindingTerms) {
+    const { price_per_unit, quantity, size_breakdown } = body;
+
+    if (price_per_unit === undefined && quantity === undefined && size_breakdown === undefined) {
+      return { error: 'A revised quote must change the price per unit, quantity or size breakdown' };
+    }
+
+    const pricePerUnit = price_per_unit !== undefined ? parseFloat(price_per_unit) : bindingTerms.price_per_unit;
+    if (!(pricePerUnit > 0)) {
+      return { error: 'Price per unit must be greater than 0' };
+    }
+
+    const qty = quantity !== undefined ? parseInt(quantity) : bindingTerms.quantity;
+    if (!(qty > 0)) {
+      return { error: 'Quantity must be greater than 0' };
+    }
+
+    const terms = {
+      price_per_unit: roundCurrency(pricePerUnit),
+      quantity: qty,
+      size_breakdown: bindingTerms.size_breakdown || []
+    };
+    const sizeError = applySizeBreakdown(terms, body, quantity !== undefined ? qty : undefined);
+    if (sizeError) {
+      return { error: sizeError };
+    }
+
+    return { terms };
+  }
+
+  /**
+   * Price a set of quote terms with the configured GST slabs and platform fee tiers
+   * Requirement quotes keep the manufacturer's quoted price as the subtotal; AI design quotes
+   * are priced from price per unit x quantity (or their size lines) and quote the grand total.
+   * @param {string} kind - 'requirement' or 'ai_design'
+   * @param {Object} terms - Quote terms (price_per_unit, quantity, size_breakdown, quoted_price for requirements)
+   * @param {Object} context - Pricing context
+   * @param {string} context.productCategory - Requirement product type or AI design apparel type
+   * @param {string} context.manufacturerId - Quoting manufacturer ID (selects the fee plan)
+   * @returns {Promise<Object>} Terms with gst, platform_fee and price_breakdown
+   */
+  async priceTerms(kind, terms, { productCategory, manufacturerId }) {
+    const breakdown = await pricingService.calculateQuote({
+      pricePerUnit: terms.price_per_unit,
+      quantity: terms.quantity,
+      subtotal: kind === 'requirement' ? terms.quoted_price : undefined,
+      sizeBreakdown: terms.size_breakdown,
+      productCategory,
+      manufacturerPlan: await pricingService.getManufacturerPlan(manufacturerId)
+    });
+
+    const pricedTerms = { ...terms, ...pricingService.toQuoteColumns(breakdown) };
+    if (kind === 'ai_design') {
+      pricedTerms.quoted_price = breakdown.total;
+    }
+
+    return pricedTerms;
+  }
+
+  /**
+   * Check whether a user may accept or reject a revision
+   * Only the party that did not propose a pending revision can respond to it
+   * @param {Object} revision - Response revision
+   * @param {Object} user - Authenticated user ({ userId, role })
+   * @returns {boolean} True if the user may respond
+   */
+  canRespondToRevision(revision, user) {
+    return !!revision && revision.status === 'proposed' && revision.proposed_by_role !== user.role;
+  }
+
+  /**
+   * Get the revision history of a quote, recording the manufacturer's original quote
+   * as revision 1 if the history is empty
+   * @param {string} kind - 'requirement' or 'ai_design'
+   * @param {Object} response - Requirement or AI design response
+   * @param {Object} bindingTerms - Current binding terms of the response
+   * @returns {Promise<Array>} Revisions ordered by revision number
+   */
+  async ensureRevisionHistory(kind, response, bindingTerms) {
+    const store = NEGOTIATION_STORES[kind];
+    const revisions = await store.getRevisions(response.id);
+    if (revisions.length > 0) {
+      return revisions;
+    }
+
+    const initialRevision = await store.createRevision({
+      response_id: response.id,
+      revision_no: 1,
+      proposed_by_role: 'manufacturer',
+      proposed_by: response.manufacturer_id,
+      ...pickTerms(kind, bindingTerms),
+      notes: response.notes || null,
+      status: 'proposed'
+    });
+
+    return [initialRevision];
+  }
+
+  /**
+   * Record a counter-offer or revised quote
+   * Any pending proposal is superseded and the response moves to 'negotiating'
+   * @param {string} kind - 'requirement' or 'ai_design'
+   * @param {Object} response - Requirement or AI design response
+   * @param {Object} bindingTerms - Current binding terms of the response
+   * @param {Object} user - Authenticated user ({ userId, role })
+   * @param {Object} terms - Proposed terms
+   * @param {string|null} notes - Optional notes for the revision
+   * @returns {Promise<Object>} Created revision
+   */
+  async proposeRevision(kind, response, bindingTerms, user, terms, notes) {
+    const store = NEGOTIATION_STORES[kind];
+    const revisions = await this.ensureRevisionHistory(kind, response, bindingTerms);
+    const lastRevisionNo = revisions[revisions.length - 1].revision_no;
+
+    await store.supersedePending(response.id);
+
+    const revision = await store.createRevision({
+      response_id: response.id,
+      revision_no: lastRevisionNo + 1,
+      proposed_by_role: user.role,
+      proposed_by: user.userId,
+      ...pickTerms(kind, terms),
+      notes: notes ? notes.trim() : null,
+      status: 'proposed'
+    });
+
+    if (response.status !== 'negotiating') {
+      await store.updateResponse(response.id, { status: 'negotiating' });
+    }
+
+    return revision;
+  }
+
+  /**
+   * Accept a pending revision and make its terms the binding quote
+   * @param {string} kind - 'requirement' or 'ai_design'
+   * @param {Object} response - Requirement or AI design response
+   * @param {Object} revision - Revision being accepted
+   * @returns {Promise<{ revision: Object, response: Object }>} Updated revision and response
+   */
+  async acceptRevision(kind, response, revision) {
+    const store = NEGOTIATION_STORES[kind];
+    const acceptedRevision = await store.updateRevision(revision.id, {
+      status: 'accepted',
+      responded_at: new Date().toISOString()
+    });
+
+    const updatedResponse = await store.updateResponse(response.id, {
+      ...pickTerms(kind, revision),
+      agreed_revision_no: revision.revision_no
+    });
+
+    return { revision: acceptedRevision, response: updatedResponse };
+  }
+
+  /**
+   * Reject a pending revision, leaving the binding quote unchanged
+   * @param {string} kind - 'requirement' or 'ai_design'
+   * @param {Object} revision - Revision being rejected
+   * @returns {Promise<Object>} Updated revision
+   */
+  async rejectRevision(kind, revision) {
+    return NEGOTIATION_STORES[kind].updateRevision(revision.id, {
+      status: 'rejected',
+      responded_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Close out negotiation when the quote itself is accepted, rejected or withdrawn
+   * Accepting the quote accepts the manufacturer's pending offer, if there is one;
+   * every other pending proposal is superseded
+   * @param {string} kind - 'requirement' or 'ai_design'
+   * @param {Object} response - Requirement or AI design response
+   * @param {string} status - New response status
+   * @returns {Promise<Object>} Response with the final binding terms
+   */
+  async closeNegotiation(kind, response, status) {
+    const store = NEGOTIATION_STORES[kind];
+    let finalResponse = response;
+
+    if (status === 'accepted') {
+      const revisions = await store.getRevisions(response.id);
+      const pendingOffer = revisions
+        .filter(revision => revision.status === 'proposed' && revision.proposed_by_role === 'manufacturer')
+        .pop();
+
+      if (pendingOffer) {
+        ({ response: finalResponse } = await this.acceptRevision(kind, response, pendingOffer));
+      }
+    }
+
+    await store.supersedePending(response.id);
+    return finalResponse;
+  }
+
+  /**
+   * Re-open a withdrawn AI design quote with new terms
+   * The new terms are recorded as a manufacturer revision and become the binding quote
+   * @param {Object} response - Withdrawn AI design response
+   * @param {Object} terms - New quote terms
+   * @returns {Promise<Object>} Updated response
+   */
+  async resubmitAIDesignQuote(response, terms) {
+    const store = NEGOTIATION_STORES.ai_design;
+    const revisions = await this.ensureRevisionHistory('ai_design', response, this.getAIDesignBindingTerms(response));
+    const lastRevisionNo = revisions[revisions.length - 1].revision_no;
+
+    await store.supersedePending(response.id);
+
+    await store.createRevision({
+      response_id: response.id,
+      revision_no: lastRevisionNo + 1,
+      proposed_by_role: 'manufacturer',
+      proposed_by: response.manufacturer_id,
+      ...pickTerms('ai_design', terms),
+      status: 'proposed'
+    });
+
+    return store.updateResponse(response.id, {
+      ...pickTerms('ai_design', terms),
+      status: 'submitted',
+      agreed_revision_no: null,
+      withdrawn_at: null
+    });
+  }
+}
+
+module.exports = new NegotiationService();
+module.exports.RESPONSE_STATUS_TRANSITIONS = RESPONSE_STATUS_TRANSITIONS;
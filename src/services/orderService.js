@@ -0,0 +1,155 @@
+const databaseService = require('./databaseService');
+const { getDueDate } = require('../utils/deliveryTime');
+
+// Ordered lifecycle of an order, from quote acceptance to closure
+const ORDER_STATUSES = ['confirmed', 'in_production', 'quality_check', 'shipped', 'delivered', 'closed'];
+
+// Allowed transitions: current status -> { next status: roles allowed to apply it }
+const ORDER_TRANSITIONS = {
+  confirmed: { in_production: ['manufacturer', 'admin'] },
+  in_production: { quality_check: ['manufacturer', 'admin'] },
+  quality_check: { shipped: ['manufacturer', 'admin'] },
+  shipped: { delivered: ['buyer', 'admin'] },
+  delivered: { closed: ['buyer', 'admin'] },
+  closed: {}
+};
+
+const MAX_DISPUTE_REASON_LENGTH = 2000;
+
+class OrderService {
+  /**
+   * Check whether a user is a party to an order (admins can see every order)
+   * @param {Object} order - Order row
+   * @param {Object} user - Authenticated user ({ userId, role })
+   * @returns {boolean} True if the user may access the order
+   */
+  canAccessOrder(order, user) {
+    if (!order || !user) return false;
+    if (user.role === 'admin') return true;
+    if (user.role === 'buyer') return order.buyer_id === user.userId;
+    if (user.role === 'manufacturer') return order.manufacturer_id === user.userId;
+    return false;
+  }
+
+  /**
+   * Get the statuses a user may move an order to from its current status
+   * @param {Object} order - Order row
+   * @param {Object} user - Authenticated user ({ userId, role })
+   * @returns {Array<string>} Next statuses available to the user
+   */
+  getAllowedTransitions(order, user) {
+    if (!this.canAccessOrder(order, user)) return [];
+    const transitions = ORDER_TRANSITIONS[order.status] || {};
+    return Object.keys(transitions).filter((status) => transitions[status].includes(user.role));
+  }
+
+  /**
+   * Validate a requested status transition
+   * @param {Object} order - Order row
+   * @param {string} nextStatus - Requested status
+   * @param {Object} user - Authenticated user ({ userId, role })
+   * @returns {string|null} Error message, or null if the transition is allowed
+   */
+  validateTransition(order, nextStatus, user) {
+    if (!ORDER_STATUSES.includes(nextStatus)) {
+      return `Status must be one of: ${ORDER_STATUSES.join(', ')}`;
+    }
+
+    const transitions = ORDER_TRANSITIONS[order.status] || {};
+    if (!transitions[nextStatus]) {
+      return `Cannot move order from "${order.status}" to "${nextStatus}"`;
+    }
+
+    if (!transitions[nextStatus].includes(user.role)) {
+      return `Only ${transitions[nextStatus].join(' or ')} can move an order to "${nextStatus}"`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Validate a dispute raised on an order
+   * Either party may dispute an order once; the dispute counts against the manufacturer's scorecard.
+   * @param {Object} order - Order row
+   * @param {Object} user - Authenticated user ({ userId, role })
+   * @param {*} reason - Reason from the request body
+   * @returns {string|null} Error message, or null if the dispute may be raised
+   */
+  validateDispute(order, user, reason) {
+    if (!['buyer', 'manufacturer'].includes(user.role) || !this.canAccessOrder(order, user)) {
+      return 'Only the buyer and manufacturer on an order can dispute it';
+    }
+    if (order.disputed_at) {
+      return 'This order has already been disputed';
+    }
+    if (typeof reason !== 'string' || reason.trim().length === 0 || reason.trim().length > MAX_DISPUTE_REASON_LENGTH) {
+      return `Reason must be text up to ${MAX_DISPUTE_REASON_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Create an order from an accepted requirement response (idempotent per response)
+   * @param {Object} response - Accepted requirement response
+   * @param {Object} requirement - Requirement the response belongs to
+   * @returns {Promise<Object>} Created or existing order
+   */
+  async createOrderFromRequirementResponse(response, requirement) {
+    const existingOrder = await databaseService.findOrderByResponse('requirement', response.id);
+    if (existingOrder) {
+      return existingOrder;
+    }
+
+    return databaseService.createOrder({
+      buyer_id: requirement.buyer_id,
+      manufacturer_id: response.manufacturer_id,
+      source_type: 'requirement',
+      requirement_id: requirement.id,
+      requirement_response_id: response.id,
+      quantity: response.quantity || requirement.quantity || null,
+      size_breakdown: response.size_breakdown || [],
+      price_per_unit: response.price_per_unit,
+      gst: response.gst || 0,
+      platform_fee: response.platform_fee || 0,
+      total_price: response.price_breakdown ? response.price_breakdown.total : response.quoted_price,
+      price_breakdown: response.price_breakdown || null,
+      delivery_time: response.delivery_time || null,
+      due_at: getDueDate(response.delivery_time),
+      status: 'confirmed'
+    });
+  }
+
+  /**
+   * Create an order from an accepted AI design response (idempotent per response)
+   * AI design quotes carry no delivery time, so these orders have no due_at and are left out of on-time delivery rates.
+   * @param {Object} response - Accepted AI design response
+   * @param {Object} aiDesign - AI design the response belongs to
+   * @returns {Promise<Object>} Created or existing order
+   */
+  async createOrderFromAIDesignResponse(response, aiDesign) {
+    const existingOrder = await databaseService.findOrderByResponse('ai_design', response.id);
+    if (existingOrder) {
+      return existingOrder;
+    }
+
+    return databaseService.createOrder({
+      buyer_id: aiDesign.buyer_id,
+      manufacturer_id: response.manufacturer_id,
+      source_type: 'ai_design',
+      ai_design_id: aiDesign.id,
+      ai_design_response_id: response.id,
+      quantity: response.quantity,
+      size_breakdown: response.size_breakdown || [],
+      price_per_unit: response.price_per_unit,
+      gst: response.gst || 0,
+      platform_fee: response.platform_fee || 0,
+      total_price: response.quoted_price,
+      price_breakdown: response.price_breakdown || null,
+      status: 'confirmed'
+    });
+  }
+}
+
+module.exports = new OrderService();
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
+module.exports.ORDER_TRANSITIONS = ORDER_TRANSITIONS;
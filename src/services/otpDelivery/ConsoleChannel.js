@@ -0,0 +1,50 @@
+/**
+ * Console Channel - Local development and test delivery
+ * Logs the OTP and, if OTP_CONSOLE_FILE is set, appends it as a JSON line to that file
+ * Opt-in only: it must be listed in OTP_CHANNELS and enabled with OTP_CONSOLE_ENABLED=true
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+
+class ConsoleChannel {
+  constructor() {
+    this.name = 'console';
+  }
+
+  /**
+   * Only available when explicitly enabled, and never in production, where it would write OTPs to the logs
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return process.env.OTP_CONSOLE_ENABLED === 'true' && process.env.NODE_ENV !== 'production';
+  }
+
+  /**
+   * Every number can "receive" a logged OTP
+   * @returns {Promise<boolean>}
+   */
+  async canDeliver() {
+    return true;
+  }
+
+  /**
+   * Log the OTP message
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {string} message - Message text
+   * @param {string} otp - The OTP itself, recorded separately so tests can read it
+   * @returns {Promise<{ messageId: string }>}
+   */
+  async send(phoneNumber, message, otp) {
+    const messageId = `console-${crypto.randomUUID()}`;
+    console.log(`[OTP] ${phoneNumber}: ${message}`);
+
+    if (process.env.OTP_CONSOLE_FILE) {
+      const entry = { messageId, phoneNumber, otp, message, sentAt: new Date().toISOString() };
+      await fs.promises.appendFile(process.env.OTP_CONSOLE_FILE, `${JSON.stringify(entry)}\n`);
+    }
+
+    return { messageId };
+  }
+}
+
+module.exports = ConsoleChannel;
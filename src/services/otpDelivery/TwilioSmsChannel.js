@@ -0,0 +1,64 @@
+/**
+ * Twilio SMS Channel - Sends OTPs as text messages through Twilio
+ */
+const twilio = require('twilio');
+
+class TwilioSmsChannel {
+  constructor() {
+    this.name = 'sms';
+    this.client = null;
+  }
+
+  /**
+   * Whether Twilio credentials are configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return !!(process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER);
+  }
+
+  /**
+   * Any valid phone number can receive SMS
+   * @returns {Promise<boolean>}
+   */
+  async canDeliver() {
+    return true;
+  }
+
+  /**
+   * Send the OTP message by SMS
+   * @param {string} phoneNumber - Recipient phone number in E.164 format
+   * @param {string} message - Message text
+   * @returns {Promise<{ messageId: string }>}
+   */
+  async send(phoneNumber, message) {
+    // Created lazily so the server can run without Twilio credentials
+    if (!this.client) {
+      this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+    }
+
+    try {
+      const result = await this.client.messages.create({
+        body: message,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: phoneNumber
+      });
+
+      return { messageId: result.sid };
+    } catch (error) {
+      // Handle Twilio-specific errors
+      switch (error.code) {
+        case 21211:
+          throw new Error('Invalid phone number');
+        case 21610:
+          throw new Error('Phone number is not verified (trial account)');
+        case 21408:
+          throw new Error('Permission to send SMS denied');
+        default:
+          throw new Error(`SMS sending failed: ${error.message}`);
+      }
+    }
+  }
+}
+
+module.exports = TwilioSmsChannel;
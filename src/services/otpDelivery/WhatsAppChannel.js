@@ -0,0 +1,45 @@
+/**
+ * WhatsApp Channel - Sends OTPs as WhatsApp messages through the WASender API
+ */
+const whatsappService = require('../whatsappService');
+
+class WhatsAppChannel {
+  constructor() {
+    this.name = 'whatsapp';
+  }
+
+  /**
+   * Whether the WhatsApp service is configured
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return whatsappService.enabled;
+  }
+
+  /**
+   * Only numbers registered on WhatsApp can receive the OTP
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @returns {Promise<boolean>}
+   */
+  async canDeliver(phoneNumber) {
+    const { exists } = await whatsappService.isOnWhatsApp(phoneNumber);
+    return exists;
+  }
+
+  /**
+   * Send the OTP message on WhatsApp
+   * @param {string} phoneNumber - Recipient phone number in E.164 format
+   * @param {string} message - Message text
+   * @returns {Promise<{ messageId: string|null }>}
+   */
+  async send(phoneNumber, message) {
+    const result = await whatsappService.sendMessage(phoneNumber, message);
+    if (!result.success) {
+      throw new Error(`WhatsApp sending failed: ${result.error}`);
+    }
+
+    return { messageId: result.messageId };
+  }
+}
+
+module.exports = WhatsAppChannel;
@@ -0,0 +1,90 @@
+/**
+ * OTP Delivery Service - Sends OTPs over the first channel that can reach the number
+ *
+ * Channels are tried in the order given by OTP_CHANNELS (default "whatsapp,sms").
+ * The console channel is only used when listed there explicitly and enabled with OTP_CONSOLE_ENABLED.
+ * A channel is skipped if it is not configured or cannot reach the number
+ * (e.g. the number is not on WhatsApp), and the next one is tried if sending fails.
+ */
+const TwilioSmsChannel = require('./TwilioSmsChannel');
+const WhatsAppChannel = require('./WhatsAppChannel');
+const ConsoleChannel = require('./ConsoleChannel');
+
+const DEFAULT_CHANNEL_ORDER = 'whatsapp,sms';
+
+const CHANNELS = {
+  whatsapp: new WhatsAppChannel(),
+  sms: new TwilioSmsChannel(),
+  console: new ConsoleChannel()
+};
+
+class OtpDeliveryService {
+  /**
+   * Get the channels to try, in order
+   * @returns {Array<Object>} Channel instances
+   */
+  getChannels() {
+    return (process.env.OTP_CHANNELS || DEFAULT_CHANNEL_ORDER)
+      .split(',')
+      .map((name) => name.trim().toLowerCase())
+      .filter((name) => {
+        if (!CHANNELS[name]) {
+          console.warn(`[OtpDeliveryService] Unknown OTP channel "${name}" ignored`);
+          return false;
+        }
+        return true;
+      })
+      .map((name) => CHANNELS[name]);
+  }
+
+  /**
+   * Build the OTP message text
+   * @param {string} otp - OTP code
+   * @param {number} expiryMinutes - Minutes until the OTP expires
+   * @returns {string} Message text
+   */
+  buildMessage(otp, expiryMinutes) {
+    return `Your Grupo verification code is: ${otp}. This code expires in ${expiryMinutes} minutes.`;
+  }
+
+  /**
+   * Deliver an OTP, falling back through the configured channels
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @param {string} otp - OTP code
+   * @param {number} expiryMinutes - Minutes until the OTP expires
+   * @returns {Promise<{ channel: string, messageId: string|null }>} Channel used and its message ID
+   */
+  async deliver(phoneNumber, otp, expiryMinutes) {
+    const message = this.buildMessage(otp, expiryMinutes);
+    const failures = [];
+
+    for (const channel of this.getChannels()) {
+      if (!channel.isConfigured()) {
+        continue;
+      }
+
+      try {
+        if (!(await channel.canDeliver(phoneNumber))) {
+          failures.push(`${channel.name}: number not reachable`);
+          continue;
+        }
+
+        const { messageId } = await channel.send(phoneNumber, message, otp);
+        console.log(`OTP sent to ${phoneNumber} via ${channel.name}. Message ID: ${messageId}`);
+        return { channel: channel.name, messageId };
+      } catch (error) {
+        console.warn(`[OtpDeliveryService] ${channel.name} delivery to ${phoneNumber} failed:`, error.message);
+        failures.push(`${channel.name}: ${error.message}`);
+      }
+    }
+
+    if (failures.length === 0) {
+      throw new Error('No OTP delivery channel is configured');
+    }
+
+    // With a single channel its own error (e.g. "Invalid phone number") is the most useful message
+    throw new Error(failures.length === 1 ? failures[0].replace(/^[a-z]+: /, '') : failures.join('; '));
+  }
+}
+
+module.exports = new OtpDeliveryService();
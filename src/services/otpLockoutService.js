@@ -0,0 +1,128 @@
+const databaseService = require('./databaseService');
+const { formatWait } = require('../utils/formatWait');
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// Failed verifications before a key is locked; IPs get more headroom since many users can share one
+const LOCKOUT_POLICIES = {
+  phone: {
+    threshold: parseInt(process.env.OTP_PHONE_FAILURE_THRESHOLD) || 5,
+    baseSeconds: parseInt(process.env.OTP_LOCKOUT_BASE_SECONDS) || 60,
+    maxSeconds: parseInt(process.env.OTP_LOCKOUT_MAX_SECONDS) || DAY_SECONDS,
+    decaySeconds: DAY_SECONDS
+  },
+  ip: {
+    threshold: parseInt(process.env.OTP_IP_FAILURE_THRESHOLD) || 20,
+    baseSeconds: parseInt(process.env.OTP_LOCKOUT_BASE_SECONDS) || 60,
+    maxSeconds: parseInt(process.env.OTP_LOCKOUT_MAX_SECONDS) || DAY_SECONDS,
+    decaySeconds: DAY_SECONDS
+  }
+};
+
+// Wait before another OTP can be sent to a number; doubles with every send in the last 24 hours
+const RESEND_BASE_SECONDS = parseInt(process.env.OTP_RESEND_BASE_SECONDS) || 30;
+const RESEND_MAX_SECONDS = parseInt(process.env.OTP_RESEND_MAX_SECONDS) || 60 * 60;
+
+/**
+ * Build an error carrying the number of seconds to wait (sent as Retry-After)
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds until the action is allowed again
+ * @returns {Error}
+ */
+const retryError = (message, retryAfter) => {
+  const error = new Error(message);
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+class OtpLockoutService {
+  /**
+   * Lockout keys for a request
+   * @param {string} phoneNumber - Phone number
+   * @param {string|null} ipAddress - Client IP address
+   * @returns {Array<{ scope: string, identifier: string }>}
+   */
+  getKeys(phoneNumber, ipAddress) {
+    const keys = [{ scope: 'phone', identifier: phoneNumber }];
+    if (ipAddress) {
+      keys.push({ scope: 'ip', identifier: ipAddress });
+    }
+    return keys;
+  }
+
+  /**
+   * Throw if the phone number or IP is currently locked out
+   * @param {string} phoneNumber - Phone number
+   * @param {string|null} ipAddress - Client IP address
+   * @returns {Promise<void>}
+   */
+  async assertNotLocked(phoneNumber, ipAddress) {
+    const lockouts = await databaseService.getAuthLockouts(this.getKeys(phoneNumber, ipAddress));
+    const lockedUntil = lockouts
+      .map((lockout) => (lockout.locked_until ? new Date(lockout.locked_until).getTime() : 0))
+      .reduce((latest, time) => Math.max(latest, time), 0);
+
+    if (lockedUntil > Date.now()) {
+      throw this.lockedError(Math.ceil((lockedUntil - Date.now()) / 1000));
+    }
+  }
+
+  /**
+   * Record a failed OTP verification against the phone number and IP
+   * @param {string} phoneNumber - Phone number
+   * @param {string|null} ipAddress - Client IP address
+   * @returns {Promise<{ locked: boolean, retryAfter: number }>} Whether this failure triggered a lockout
+   */
+  async recordFailure(phoneNumber, ipAddress) {
+    const lockouts = await Promise.all(this.getKeys(phoneNumber, ipAddress).map(({ scope, identifier }) =>
+      databaseService.registerAuthFailure(scope, identifier, LOCKOUT_POLICIES[scope])
+    ));
+
+    const lockedUntil = lockouts
+      .map((lockout) => (lockout && lockout.locked_until ? new Date(lockout.locked_until).getTime() : 0))
+      .reduce((latest, time) => Math.max(latest, time), 0);
+
+    return {
+      locked: lockedUntil > Date.now(),
+      retryAfter: Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000))
+    };
+  }
+
+  /**
+   * Clear the phone number's failures after a successful verification
+   * The IP record is left to decay so one valid login cannot reset an attacker's IP
+   * @param {string} phoneNumber - Phone number
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(phoneNumber) {
+    await databaseService.clearAuthLockout('phone', phoneNumber);
+  }
+
+  /**
+   * Throw if another OTP was sent to the number too recently
+   * @param {number} recentSendCount - OTPs sent to the number in the last 24 hours
+   * @param {string|null} lastSentAt - When the last OTP was sent
+   */
+  assertCanResend(recentSendCount, lastSentAt) {
+    if (recentSendCount === 0 || !lastSentAt) return;
+
+    const waitSeconds = Math.min(RESEND_BASE_SECONDS * 2 ** (recentSendCount - 1), RESEND_MAX_SECONDS);
+    const elapsedSeconds = (Date.now() - new Date(lastSentAt).getTime()) / 1000;
+
+    if (elapsedSeconds < waitSeconds) {
+      const retryAfter = Math.ceil(waitSeconds - elapsedSeconds);
+      throw retryError(`Please wait ${formatWait(retryAfter)} before requesting another OTP.`, retryAfter);
+    }
+  }
+
+  /**
+   * Build the error returned while a phone number or IP is locked out
+   * @param {number} retryAfter - Seconds until the lockout ends
+   * @returns {Error}
+   */
+  lockedError(retryAfter) {
+    return retryError(`Too many failed attempts. Please try again in ${formatWait(retryAfter)}.`, retryAfter);
+  }
+}
+
+module.exports = new OtpLockoutService();
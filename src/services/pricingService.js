@@ -0,0 +1,193 @@
+const databaseService = require('./databaseService');
+const { hasSizePrices, priceSizeBreakdown } = require('../utils/sizeBreakdown');
+
+// Rates (in percent) used when no active GST slab or fee tier matches a quote
+const FALLBACK_GST_RATE = 5;
+const FALLBACK_PLATFORM_FEE_RATE = 10;
+
+// How long slabs and tiers are cached before being re-read, so admin changes apply without a deploy
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+
+const roundCurrency = (value) => parseFloat(Number(value).toFixed(2));
+
+const normalizeCategory = (value) => (value || '').toString().trim().toLowerCase();
+
+class PricingService {
+  constructor() {
+    this.cachedConfig = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Get the active GST slabs and platform fee tiers (cached)
+   * @returns {Promise<{ gstSlabs: Array, feeTiers: Array }>} Active pricing configuration
+   */
+  async getConfig() {
+    if (this.cachedConfig && Date.now() - this.cachedAt < CONFIG_CACHE_TTL_MS) {
+      return this.cachedConfig;
+    }
+
+    const [gstSlabs, feeTiers] = await Promise.all([
+      databaseService.getGstSlabs({ activeOnly: true }),
+      databaseService.getPlatformFeeTiers({ activeOnly: true })
+    ]);
+
+    this.cachedConfig = { gstSlabs, feeTiers };
+    this.cachedAt = Date.now();
+    return this.cachedConfig;
+  }
+
+  /**
+   * Drop the cached configuration so the next quote reads fresh rates
+   */
+  invalidateCache() {
+    this.cachedConfig = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Find the GST slab for a product category and unit price
+   * Category slabs are matched against product_categories; default slabs are used otherwise.
+   * A slab applies to unit prices above min_unit_price and up to max_unit_price.
+   * @param {Array} gstSlabs - Active GST slabs
+   * @param {string} productCategory - Product or apparel type
+   * @param {number} unitPrice - Price per unit
+   * @returns {Object|null} Matching slab or null
+   */
+  resolveGstSlab(gstSlabs, productCategory, unitPrice) {
+    const category = normalizeCategory(productCategory);
+    const inRange = (slab) => unitPrice > parseFloat(slab.min_unit_price || 0) &&
+      (slab.max_unit_price === null || slab.max_unit_price === undefined || unitPrice <= parseFloat(slab.max_unit_price));
+
+    const categorySlabs = category
+      ? gstSlabs.filter((slab) => (slab.product_categories || []).map(normalizeCategory).includes(category))
+      : [];
+    const candidates = categorySlabs.length > 0 ? categorySlabs : gstSlabs.filter((slab) => slab.is_default);
+
+    return candidates.find(inRange) || null;
+  }
+
+  /**
+   * Find the platform fee tier for an order value
+   * Tiers for the manufacturer's plan take precedence over tiers that apply to every plan.
+   * A tier applies from min_order_value up to (but excluding) max_order_value.
+   * @param {Array} feeTiers - Active platform fee tiers
+   * @param {number} orderValue - Quote subtotal before GST and fees
+   * @param {string|null} manufacturerPlan - Manufacturer's pricing plan
+   * @returns {Object|null} Matching tier or null
+   */
+  resolveFeeTier(feeTiers, orderValue, manufacturerPlan) {
+    const inRange = (tier) => orderValue >= parseFloat(tier.min_order_value || 0) &&
+      (tier.max_order_value === null || tier.max_order_value === undefined || orderValue < parseFloat(tier.max_order_value));
+
+    const planTier = manufacturerPlan
+      ? feeTiers.filter((tier) => tier.manufacturer_plan === manufacturerPlan).find(inRange)
+      : null;
+
+    return planTier || feeTiers.filter((tier) => !tier.manufacturer_plan).find(inRange) || null;
+  }
+
+  /**
+   * Get a manufacturer's pricing plan
+   * @param {string} manufacturerId - Manufacturer ID
+   * @returns {Promise<string|null>} Pricing plan or null
+   */
+  async getManufacturerPlan(manufacturerId) {
+    if (!manufacturerId) return null;
+    const manufacturer = await databaseService.findManufacturerProfile(manufacturerId);
+    return (manufacturer && manufacturer.pricing_plan) || null;
+  }
+
+  /**
+   * Calculate the itemised price breakdown of a quote
+   * When sizes are priced separately, each size line is taxed at the slab for its own unit price.
+   * @param {Object} params - Quote parameters
+   * @param {number} params.pricePerUnit - Price per unit
+   * @param {number|null} params.quantity - Quantity (optional when a subtotal is given)
+   * @param {number} [params.subtotal] - Quote value before GST and fees (defaults to price per unit x quantity,
+   *   or the sum of the size lines when sizes are priced separately)
+   * @param {Array} [params.sizeBreakdown] - Size rows; rows with price_per_unit are priced separately
+   * @param {string} [params.productCategory] - Product or apparel type used to pick the GST slab
+   * @param {string} [params.manufacturerPlan] - Manufacturer's pricing plan used to pick the fee tier
+   * @returns {Promise<Object>} Price breakdown (subtotal, gst, platform_fee, total, and size_lines when sizes are priced separately)
+   */
+  async calculateQuote({ pricePerUnit, quantity, subtotal, sizeBreakdown, productCategory, manufacturerPlan }) {
+    const { gstSlabs, feeTiers } = await this.getConfig();
+    const sizeLines = sizeBreakdown && hasSizePrices(sizeBreakdown) ? priceSizeBreakdown(sizeBreakdown, pricePerUnit) : null;
+
+    let baseAmount;
+    if (subtotal !== undefined && subtotal !== null) {
+      baseAmount = roundCurrency(subtotal);
+    } else if (sizeLines) {
+      baseAmount = roundCurrency(sizeLines.reduce((total, line) => total + line.amount, 0));
+    } else {
+      baseAmount = roundCurrency(pricePerUnit * quantity);
+    }
+
+    let gstSlab;
+    let gstRate;
+    let gstAmount;
+    if (sizeLines) {
+      sizeLines.forEach((line) => {
+        const slab = this.resolveGstSlab(gstSlabs, productCategory, line.price_per_unit);
+        line.gst_slab_id = slab ? slab.id : null;
+        line.gst_rate = slab ? parseFloat(slab.rate) : FALLBACK_GST_RATE;
+        line.gst_amount = roundCurrency(line.amount * line.gst_rate / 100);
+      });
+
+      // A single slab and rate are reported only when every size falls in the same one
+      const slabIds = [...new Set(sizeLines.map((line) => line.gst_slab_id))];
+      const rates = [...new Set(sizeLines.map((line) => line.gst_rate))];
+      gstSlab = slabIds.length === 1 && slabIds[0] ? gstSlabs.find((slab) => slab.id === slabIds[0]) : null;
+      gstRate = rates.length === 1 ? rates[0] : null;
+      gstAmount = roundCurrency(sizeLines.reduce((total, line) => total + line.gst_amount, 0));
+    } else {
+      gstSlab = this.resolveGstSlab(gstSlabs, productCategory, pricePerUnit);
+      gstRate = gstSlab ? parseFloat(gstSlab.rate) : FALLBACK_GST_RATE;
+      gstAmount = roundCurrency(baseAmount * gstRate / 100);
+    }
+
+    const feeTier = this.resolveFeeTier(feeTiers, baseAmount, manufacturerPlan);
+    const feeRate = feeTier ? parseFloat(feeTier.fee_rate) : FALLBACK_PLATFORM_FEE_RATE;
+    const feeAmount = roundCurrency(baseAmount * feeRate / 100);
+
+    return {
+      price_per_unit: roundCurrency(pricePerUnit),
+      quantity: quantity || null,
+      subtotal: baseAmount,
+      gst: {
+        slab_id: gstSlab ? gstSlab.id : null,
+        hsn_code: gstSlab ? gstSlab.hsn_code : null,
+        product_category: productCategory || null,
+        rate: gstRate,
+        amount: gstAmount
+      },
+      platform_fee: {
+        tier_id: feeTier ? feeTier.id : null,
+        tier_name: feeTier ? feeTier.name : null,
+        manufacturer_plan: manufacturerPlan || null,
+        rate: feeRate,
+        amount: feeAmount
+      },
+      total: roundCurrency(baseAmount + gstAmount + feeAmount),
+      ...(sizeLines ? { size_lines: sizeLines } : {}),
+      calculated_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Map a price breakdown to the columns stored on a quote
+   * @param {Object} breakdown - Price breakdown from calculateQuote
+   * @returns {{ gst: number, platform_fee: number, price_breakdown: Object }}
+   */
+  toQuoteColumns(breakdown) {
+    return {
+      gst: breakdown.gst.amount,
+      platform_fee: breakdown.platform_fee.amount,
+      price_breakdown: breakdown
+    };
+  }
+}
+
+module.exports = new PricingService();
+module.exports.roundCurrency = roundCurrency;
@@ -0,0 +1,152 @@
+const databaseService = require('./databaseService');
+
+// Views of a profile, by who is looking:
+//   self         - the profile's owner
+//   admin        - platform admins
+//   counterparty - the other side of an accepted quote, who may contact the owner
+//   public       - everyone else, including the other side of a quote still being negotiated
+const PROFILE_VIEWS = ['self', 'admin', 'counterparty', 'public'];
+
+// Columns in each view; null means the whole row. Contact details are only in the counterparty view,
+// and KYC numbers, documents and plans never leave self and admin.
+const BUYER_VIEW_FIELDS = {
+  self: null,
+  admin: null,
+  public: ['id', 'buyer_identifier', 'full_name', 'about_business', 'created_at'],
+  counterparty: ['id', 'buyer_identifier', 'full_name', 'about_business', 'created_at', 'phone_number', 'email', 'business_address']
+};
+
+const MANUFACTURER_PUBLIC_FIELDS = [
+  'id',
+  'manufacturer_id',
+  'unit_name',
+  'business_type',
+  'product_types',
+  'daily_capacity',
+  'location',
+  'manufacturing_unit_image_url',
+  'created_at'
+];
+
+const MANUFACTURER_VIEW_FIELDS = {
+  self: null,
+  admin: null,
+  public: MANUFACTURER_PUBLIC_FIELDS,
+  counterparty: [...MANUFACTURER_PUBLIC_FIELDS, 'phone_number']
+};
+
+/**
+ * Copy the fields of a view that are present on a profile (joined profiles carry only some columns)
+ * @returns {Object|null}
+ */
+const project = (profile, fields) => {
+  if (!profile) return null;
+  if (!fields) return { ...profile };
+
+  return fields.reduce((projected, field) => {
+    if (profile[field] !== undefined) projected[field] = profile[field];
+    return projected;
+  }, {});
+};
+
+const assertView = (view) => {
+  if (!PROFILE_VIEWS.includes(view)) {
+    throw new Error(`Unknown profile view: ${view}`);
+  }
+};
+
+class ProfileSerializer {
+  /**
+   * Project a buyer profile to a view
+   * @param {Object|null} profile - Buyer profile (full row or joined subset)
+   * @param {string} view - One of PROFILE_VIEWS
+   * @returns {Object|null} Projected profile
+   */
+  buyer(profile, view) {
+    assertView(view);
+    return project(profile, BUYER_VIEW_FIELDS[view]);
+  }
+
+  /**
+   * Project a manufacturer profile to a view
+   * Public and counterparty views carry is_verified instead of the verification fields.
+   * @param {Object|null} profile - Manufacturer profile (full row or joined subset)
+   * @param {string} view - One of PROFILE_VIEWS
+   * @returns {Object|null} Projected profile
+   */
+  manufacturer(profile, view) {
+    assertView(view);
+    const projected = project(profile, MANUFACTURER_VIEW_FIELDS[view]);
+    if (projected && MANUFACTURER_VIEW_FIELDS[view] && profile.verification_status !== undefined) {
+      projected.is_verified = profile.verification_status === 'Accepted';
+    }
+    return projected;
+  }
+
+  /**
+   * Pick the view of a profile for a user
+   * @param {Object} user - Viewer (req.user, or { userId, role } for socket recipients)
+   * @param {string} profileId - ID of the profile being shown
+   * @param {boolean} [contactShared] - Whether the viewer is the other side of an accepted quote
+   * @returns {string} View name
+   */
+  viewFor(user, profileId, contactShared = false) {
+    if (user.role === 'admin') return 'admin';
+    if (user.userId === profileId) return 'self';
+    return contactShared ? 'counterparty' : 'public';
+  }
+
+  /**
+   * Whether a buyer and a manufacturer may see each other's contact details
+   * Accepting a quote creates an order, so any order between them counts.
+   * @param {string} buyerId - Buyer profile ID
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @returns {Promise<boolean>}
+   */
+  async isContactShared(buyerId, manufacturerId) {
+    return databaseService.hasOrderBetween(buyerId, manufacturerId);
+  }
+
+  /**
+   * Project a buyer profile for a user, sharing contact details with manufacturers who have an order with the buyer
+   * @param {Object} user - Viewer (req.user)
+   * @param {Object|null} profile - Buyer profile
+   * @returns {Promise<Object|null>} Projected profile
+   */
+  async buyerFor(user, profile) {
+    if (!profile) return null;
+    const contactShared = user.role === 'manufacturer' && await this.isContactShared(profile.id, user.userId);
+    return this.buyer(profile, this.viewFor(user, profile.id, contactShared));
+  }
+
+  /**
+   * Project a manufacturer profile for a user, sharing contact details with buyers who have an order with the manufacturer
+   * @param {Object} user - Viewer (req.user)
+   * @param {Object|null} profile - Manufacturer profile
+   * @returns {Promise<Object|null>} Projected profile
+   */
+  async manufacturerFor(user, profile) {
+    if (!profile) return null;
+    const contactShared = user.role === 'buyer' && await this.isContactShared(user.userId, profile.id);
+    return this.manufacturer(profile, this.viewFor(user, profile.id, contactShared));
+  }
+
+  /**
+   * Project the parties embedded in an order
+   * An order only exists once a quote is accepted, so each side sees the other's contact details.
+   * @param {Object|null} order - Order with buyer and manufacturer joined
+   * @param {Object} [user] - Viewer; admins get full profiles
+   * @returns {Object|null} Order with projected parties
+   */
+  order(order, user) {
+    if (!order) return null;
+    const view = user && user.role === 'admin' ? 'admin' : 'counterparty';
+    const projected = { ...order };
+    if (order.buyer !== undefined) projected.buyer = this.buyer(order.buyer, view);
+    if (order.manufacturer !== undefined) projected.manufacturer = this.manufacturer(order.manufacturer, view);
+    return projected;
+  }
+}
+
+module.exports = new ProfileSerializer();
+module.exports.PROFILE_VIEWS = PROFILE_VIEWS;
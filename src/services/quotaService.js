@@ -0,0 +1,225 @@
+const databaseService = require('./databaseService');
+const { isValidTimeZone, getPeriodBounds } = require('../utils/timezone');
+const { formatWait } = require('../utils/formatWait');
+
+const DEFAULT_QUOTA_PLAN = 'free';
+
+// Daily and monthly limits reset at midnight in the buyer's time zone, or this one if they have not set it
+const DEFAULT_TIMEZONE = isValidTimeZone(process.env.QUOTA_DEFAULT_TIMEZONE)
+  ? process.env.QUOTA_DEFAULT_TIMEZONE
+  : 'Asia/Kolkata';
+
+// Limits used when neither the buyer's plan nor the default plan is configured
+const FALLBACK_PLAN = { code: DEFAULT_QUOTA_PLAN, daily_design_limit: 5, monthly_design_limit: null };
+
+// How long plans are cached before being re-read, so admin changes apply without a deploy
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+
+const toLimit = (value) => (value === null || value === undefined ? null : parseInt(value));
+
+const remainingOf = (limit, used) => (limit === null ? null : Math.max(0, limit - used));
+
+class QuotaService {
+  constructor() {
+    this.cachedPlans = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Get the active quota plans keyed by code (cached)
+   * @returns {Promise<Object>} Plans by code
+   */
+  async getPlans() {
+    if (this.cachedPlans && Date.now() - this.cachedAt < CONFIG_CACHE_TTL_MS) {
+      return this.cachedPlans;
+    }
+
+    const plans = await databaseService.getQuotaPlans({ activeOnly: true });
+    this.cachedPlans = plans.reduce((acc, plan) => {
+      acc[plan.code] = plan;
+      return acc;
+    }, {});
+    this.cachedAt = Date.now();
+    return this.cachedPlans;
+  }
+
+  /**
+   * Drop the cached plans so the next check reads fresh limits
+   */
+  invalidateCache() {
+    this.cachedPlans = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Time zone a buyer's limits reset in
+   * @param {Object} buyer - Buyer profile
+   * @returns {string} IANA time zone
+   */
+  getTimeZone(buyer) {
+    return isValidTimeZone(buyer.timezone) ? buyer.timezone : DEFAULT_TIMEZONE;
+  }
+
+  /**
+   * Work out a buyer's design generation limits
+   * An unexpired override replaces the plan's limit for each period it sets.
+   * @param {Object} buyer - Buyer profile
+   * @returns {Promise<{ plan: string, dailyLimit: number|null, monthlyLimit: number|null, override: Object|null }>}
+   */
+  async resolveLimits(buyer) {
+    const [plans, override] = await Promise.all([
+      this.getPlans(),
+      databaseService.getBuyerQuotaOverride(buyer.id)
+    ]);
+
+    const plan = plans[buyer.quota_plan] || plans[DEFAULT_QUOTA_PLAN] || FALLBACK_PLAN;
+    const activeOverride = override && (!override.expires_at || new Date(override.expires_at) > new Date())
+      ? override
+      : null;
+
+    const pick = (field) => (activeOverride && activeOverride[field] !== null && activeOverride[field] !== undefined
+      ? toLimit(activeOverride[field])
+      : toLimit(plan[field]));
+
+    return {
+      plan: plan.code,
+      dailyLimit: pick('daily_design_limit'),
+      monthlyLimit: pick('monthly_design_limit'),
+      override: activeOverride
+    };
+  }
+
+  /**
+   * Build the status returned to clients
+   * count/remaining/limit/canGenerate keep the shape of the original daily counter.
+   * @param {Object} limits - Result of resolveLimits
+   * @param {number} dailyUsed - Generations today
+   * @param {number} monthlyUsed - Generations this month
+   * @param {Object} bounds - Period bounds in the buyer's time zone
+   * @param {string} timeZone - Buyer's time zone
+   * @returns {Object} Quota status
+   */
+  buildStatus(limits, dailyUsed, monthlyUsed, bounds, timeZone) {
+    const daily = {
+      used: dailyUsed,
+      limit: limits.dailyLimit,
+      remaining: remainingOf(limits.dailyLimit, dailyUsed),
+      resets_at: bounds.dayEnd.toISOString()
+    };
+    const monthly = {
+      used: monthlyUsed,
+      limit: limits.monthlyLimit,
+      remaining: remainingOf(limits.monthlyLimit, monthlyUsed),
+      resets_at: bounds.monthEnd.toISOString()
+    };
+
+    const remainingValues = [daily.remaining, monthly.remaining].filter((value) => value !== null);
+    const remaining = remainingValues.length > 0 ? Math.min(...remainingValues) : null;
+
+    return {
+      plan: limits.plan,
+      timezone: timeZone,
+      has_override: Boolean(limits.override),
+      count: dailyUsed,
+      remaining,
+      limit: limits.dailyLimit,
+      canGenerate: remaining === null || remaining > 0,
+      daily,
+      monthly
+    };
+  }
+
+  /**
+   * Get a buyer's design generation usage and limits
+   * @param {Object} buyer - Buyer profile
+   * @returns {Promise<Object>} Quota status
+   */
+  async getDesignGenerationStatus(buyer) {
+    const timeZone = this.getTimeZone(buyer);
+    const bounds = getPeriodBounds(timeZone);
+
+    const [limits, entries] = await Promise.all([
+      this.resolveLimits(buyer),
+      databaseService.getDesignUsageSince(buyer.id, bounds.monthStart.toISOString())
+    ]);
+
+    const sumUnits = (list) => list.reduce((total, entry) => total + (entry.units || 0), 0);
+    const monthlyUsed = sumUnits(entries);
+    const dailyUsed = sumUnits(entries.filter((entry) => new Date(entry.created_at) >= bounds.dayStart));
+
+    return this.buildStatus(limits, Math.max(0, dailyUsed), Math.max(0, monthlyUsed), bounds, timeZone);
+  }
+
+  /**
+   * Explain why a buyer cannot generate and when they can again
+   * @param {Object} status - Quota status
+   * @returns {{ message: string, retryAfter: number }}
+   */
+  describeExhaustion(status) {
+    const period = status.monthly.remaining === 0 ? status.monthly : status.daily;
+    const retryAfter = Math.max(1, Math.ceil((new Date(period.resets_at).getTime() - Date.now()) / 1000));
+    const label = period === status.monthly ? 'Monthly' : 'Daily';
+
+    return {
+      message: `${label} limit of ${period.limit} designs reached. Please try again in ${formatWait(retryAfter)}.`,
+      retryAfter
+    };
+  }
+
+  /**
+   * Record one design generation if the buyer has quota left
+   * @param {Object} buyer - Buyer profile
+   * @param {Object} options - Options
+   * @param {string} [options.aiDesignId] - Design the generation produced
+   * @returns {Promise<{ allowed: boolean, entryId: string|null, status: Object, message?: string, retryAfter?: number }>}
+   */
+  async consumeDesignGeneration(buyer, { aiDesignId = null } = {}) {
+    const timeZone = this.getTimeZone(buyer);
+    const bounds = getPeriodBounds(timeZone);
+    const limits = await this.resolveLimits(buyer);
+
+    const result = await databaseService.consumeDesignQuota({
+      buyerId: buyer.id,
+      quotaPlan: limits.plan,
+      dayStart: bounds.dayStart.toISOString(),
+      monthStart: bounds.monthStart.toISOString(),
+      dailyLimit: limits.dailyLimit,
+      monthlyLimit: limits.monthlyLimit,
+      aiDesignId
+    });
+
+    const status = this.buildStatus(limits, result.daily_used, result.monthly_used, bounds, timeZone);
+    if (!result.allowed) {
+      return { allowed: false, entryId: null, status, ...this.describeExhaustion(status) };
+    }
+
+    return { allowed: true, entryId: result.entry_id, status };
+  }
+
+  /**
+   * Give back a generation that did not produce a design (e.g. the provider failed)
+   * @param {string} entryId - Ledger entry of the generation
+   * @param {string} reason - Why it is refunded
+   * @returns {Promise<Object>} Refund entry
+   */
+  async refundDesignGeneration(entryId, reason) {
+    const entry = await databaseService.getDesignLedgerEntry(entryId);
+    if (!entry || entry.entry_type !== 'generation') {
+      throw new Error('Design generation not found');
+    }
+
+    return databaseService.createDesignLedgerEntry({
+      buyer_id: entry.buyer_id,
+      entry_type: 'refund',
+      units: -entry.units,
+      quota_plan: entry.quota_plan,
+      ai_design_id: entry.ai_design_id,
+      refunded_entry_id: entry.id,
+      reason
+    });
+  }
+}
+
+module.exports = new QuotaService();
+module.exports.DEFAULT_QUOTA_PLAN = DEFAULT_QUOTA_PLAN;
+module.exports.DEFAULT_TIMEZONE = DEFAULT_TIMEZONE;
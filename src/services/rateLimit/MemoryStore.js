@@ -0,0 +1,43 @@
+/**
+ * Memory Store - Fixed-window rate limit counters kept in process memory
+ * Counts are per process, so limits multiply when running several instances
+ */
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.counters = new Map(); // key -> { hits, resetAt }
+
+    // Drop finished windows so idle keys do not accumulate
+    this.sweeper = setInterval(() => {
+      const now = Date.now();
+      for (const [key, counter] of this.counters) {
+        if (counter.resetAt <= now) this.counters.delete(key);
+      }
+    }, SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Count a hit against a key
+   * @param {string} key - Counter key
+   * @param {number} windowSeconds - Window length
+   * @returns {Promise<{ hits: number, resetAt: Date }>} Hits in the current window and when it ends
+   */
+  async hit(key, windowSeconds) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt <= now) {
+      counter = { hits: 0, resetAt: now + windowSeconds * 1000 };
+      this.counters.set(key, counter);
+    }
+
+    counter.hits += 1;
+    return { hits: counter.hits, resetAt: new Date(counter.resetAt) };
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,36 @@
+/**
+ * Postgres Store - Fixed-window rate limit counters in the rate_limit_counters table
+ * Shared by every instance; each hit is one atomic upsert through the hit_rate_limit function
+ */
+const databaseService = require('../databaseService');
+
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000;
+
+class PostgresStore {
+  constructor() {
+    this.name = 'postgres';
+
+    // Delete finished windows so idle keys do not accumulate in the table
+    this.sweeper = setInterval(async () => {
+      try {
+        await databaseService.cleanupExpiredRateLimits();
+      } catch (error) {
+        console.error('Scheduled rate limit cleanup failed:', error);
+      }
+    }, CLEANUP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  /**
+   * Count a hit against a key
+   * @param {string} key - Counter key
+   * @param {number} windowSeconds - Window length
+   * @returns {Promise<{ hits: number, resetAt: Date }>} Hits in the current window and when it ends
+   */
+  async hit(key, windowSeconds) {
+    const counter = await databaseService.hitRateLimit(key, windowSeconds);
+    return { hits: counter.hits, resetAt: new Date(counter.reset_at) };
+  }
+}
+
+module.exports = PostgresStore;
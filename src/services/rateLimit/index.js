@@ -0,0 +1,79 @@
+/**
+ * Rate Limit Service - Applies the policies in config/rateLimits.js to HTTP requests and socket events
+ *
+ * Counters live in the store chosen by RATE_LIMIT_STORE: "memory" (default, per process)
+ * or "postgres" (shared by every instance). Set RATE_LIMIT_ENABLED=false to turn limiting off.
+ */
+const { getPolicy, getLimit } = require('../../config/rateLimits');
+const MemoryStore = require('./MemoryStore');
+const PostgresStore = require('./PostgresStore');
+
+const STORES = {
+  memory: () => new MemoryStore(),
+  postgres: () => new PostgresStore()
+};
+
+class RateLimitService {
+  constructor() {
+    this.store = null;
+  }
+
+  /**
+   * Get the configured store, creating it on first use
+   * @returns {Object} Store instance
+   */
+  getStore() {
+    if (!this.store) {
+      const name = (process.env.RATE_LIMIT_STORE || 'memory').trim().toLowerCase();
+      if (!STORES[name]) {
+        console.warn(`[RateLimitService] Unknown rate limit store "${name}", using memory`);
+      }
+      this.store = (STORES[name] || STORES.memory)();
+    }
+    return this.store;
+  }
+
+  /**
+   * Whether rate limiting is turned on
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return process.env.RATE_LIMIT_ENABLED !== 'false';
+  }
+
+  /**
+   * Count a request or event against a policy
+   * @param {string} policyName - Policy name
+   * @param {Object} requester - Who is acting
+   * @param {string|null} requester.userId - Authenticated user ID
+   * @param {string|null} requester.role - Authenticated user role
+   * @param {string|null} requester.ip - Client IP address
+   * @returns {Promise<Object|null>} { allowed, limit, remaining, resetAt, retryAfter }, or null if not limited
+   */
+  async consume(policyName, { userId = null, role = null, ip = null } = {}) {
+    const policy = getPolicy(policyName);
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy "${policyName}"`);
+    }
+
+    if (!this.isEnabled()) return null;
+
+    const limit = getLimit(policy, policyName, userId ? role : null);
+    if (limit === null) return null;
+
+    const subject = policy.keyBy === 'ip' || !userId ? (ip ? `ip:${ip}` : null) : `user:${userId}`;
+    if (!subject) return null;
+
+    const { hits, resetAt } = await this.getStore().hit(`${policyName}:${subject}`, policy.windowSeconds);
+
+    return {
+      allowed: hits <= limit,
+      limit,
+      remaining: Math.max(0, limit - hits),
+      resetAt,
+      retryAfter: Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000))
+    };
+  }
+}
+
+module.exports = new RateLimitService();
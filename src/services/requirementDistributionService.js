@@ -0,0 +1,257 @@
+const databaseService = require('./databaseService');
+
+// open: listed for every manufacturer and pushed to the best matches; invite_only: sent only to invited manufacturers
+const DISTRIBUTION_MODES = ['open', 'invite_only'];
+
+const MAX_MATCHED_RECIPIENTS = 50;
+const MAX_INVITES = 50;
+const MAX_PREFERRED_BUSINESS_TYPES = 10;
+
+// A manufacturer can take an order that fits in this many days of its daily capacity
+const CAPACITY_WINDOW_DAYS = 30;
+
+// Points added to a manufacturer's match score for each criterion met
+const MATCH_WEIGHTS = {
+  product_type: 3,
+  business_type: 2,
+  location: 2,
+  capacity: 1
+};
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+// Loose text match, so "T-Shirts" matches "t-shirts" and "Tiruppur" matches "Tiruppur, Tamil Nadu"
+const matchesText = (a, b) => !!a && !!b && (a.includes(b) || b.includes(a));
+
+class RequirementDistributionService {
+  /**
+   * Check whether a manufacturer may receive requirements (onboarded and verified)
+   * @param {Object} manufacturer - Manufacturer profile
+   * @returns {boolean}
+   */
+  isEligible(manufacturer) {
+    return !!manufacturer && manufacturer.onboarding_completed === true && manufacturer.verification_status === 'Accepted';
+  }
+
+  /**
+   * Score how well a manufacturer fits a requirement
+   * Product type, preferred business types and capacity rule a manufacturer out when they do not fit;
+   * location only adds to the score. Criteria the requirement or profile leave blank are skipped.
+   * @param {Object} manufacturer - Manufacturer profile
+   * @param {Object} requirement - Requirement (product_type, quantity, preferred_business_types, preferred_location)
+   * @returns {{ eligible: boolean, score: number, reasons: Array<string> }} Match result; reasons lists the criteria met
+   */
+  scoreManufacturer(manufacturer, requirement) {
+    const result = { eligible: false, score: 0, reasons: [] };
+    if (!this.isEligible(manufacturer)) {
+      return result;
+    }
+
+    const addReason = (reason) => {
+      result.score += MATCH_WEIGHTS[reason];
+      result.reasons.push(reason);
+    };
+
+    const productType = normalize(requirement.product_type);
+    const productTypes = (manufacturer.product_types || []).map(normalize).filter(Boolean);
+    if (productType && productTypes.length > 0) {
+      if (!productTypes.some((type) => matchesText(type, productType))) return result;
+      addReason('product_type');
+    }
+
+    const businessTypes = (requirement.preferred_business_types || []).map(normalize).filter(Boolean);
+    if (businessTypes.length > 0) {
+      if (!businessTypes.includes(normalize(manufacturer.business_type))) return result;
+      addReason('business_type');
+    }
+
+    const dailyCapacity = parseInt(manufacturer.daily_capacity) || 0;
+    if (requirement.quantity && dailyCapacity > 0) {
+      if (requirement.quantity > dailyCapacity * CAPACITY_WINDOW_DAYS) return result;
+      addReason('capacity');
+    }
+
+    if (matchesText(normalize(manufacturer.location), normalize(requirement.preferred_location))) {
+      addReason('location');
+    }
+
+    result.eligible = true;
+    return result;
+  }
+
+  /**
+   * Find the manufacturers best suited to an open requirement
+   * @param {Object} requirement - Requirement
+   * @returns {Promise<Array<{ manufacturer: Object, score: number, reasons: Array<string> }>>} Best matches first
+   */
+  async findMatches(requirement) {
+    const manufacturers = await databaseService.getAllManufacturers({
+      verification_status: 'Accepted',
+      onboarding_completed: true
+    });
+
+    return manufacturers
+      .map((manufacturer) => ({ manufacturer, ...this.scoreManufacturer(manufacturer, requirement) }))
+      .filter((match) => match.eligible)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_MATCHED_RECIPIENTS)
+      .map(({ manufacturer, score, reasons }) => ({ manufacturer, score, reasons }));
+  }
+
+  /**
+   * Validate the distribution settings of a new requirement
+   * @param {Object} body - Request body (distribution_mode, invited_manufacturer_ids, preferred_business_types, preferred_location)
+   * @returns {{ error?: string, values?: Object }} Validation error or the settings (invitedIds is not a column)
+   */
+  validateDistribution(body) {
+    const mode = body.distribution_mode === undefined ? 'open' : body.distribution_mode;
+    if (!DISTRIBUTION_MODES.includes(mode)) {
+      return { error: `Distribution mode must be one of: ${DISTRIBUTION_MODES.join(', ')}` };
+    }
+
+    const invited = this.validateInvitedIds(body.invited_manufacturer_ids === undefined ? [] : body.invited_manufacturer_ids);
+    if (invited.error) {
+      return { error: invited.error };
+    }
+    if (mode === 'invite_only' && invited.ids.length === 0) {
+      return { error: 'Invite at least one manufacturer for an invite-only requirement' };
+    }
+
+    const businessTypes = body.preferred_business_types === undefined || body.preferred_business_types === null
+      ? []
+      : body.preferred_business_types;
+    if (!Array.isArray(businessTypes) || businessTypes.length > MAX_PREFERRED_BUSINESS_TYPES ||
+      businessTypes.some((type) => typeof type !== 'string' || type.trim().length === 0 || type.trim().length > 100)) {
+      return { error: `Preferred business types must be a list of up to ${MAX_PREFERRED_BUSINESS_TYPES} names` };
+    }
+
+    const location = body.preferred_location;
+    if (location !== undefined && location !== null && (typeof location !== 'string' || location.trim().length > 255)) {
+      return { error: 'Preferred location must be text up to 255 characters' };
+    }
+
+    return {
+      values: {
+        distribution_mode: mode,
+        preferred_business_types: businessTypes.map((type) => type.trim()),
+        preferred_location: location && location.trim() ? location.trim() : null,
+        invitedIds: invited.ids
+      }
+    };
+  }
+
+  /**
+   * Validate a list of invited manufacturer IDs
+   * @param {*} value - IDs from a request body
+   * @returns {{ error?: string, ids?: Array<string> }} Validation error or the de-duplicated IDs
+   */
+  validateInvitedIds(value) {
+    if (!Array.isArray(value) || value.some((id) => typeof id !== 'string' || id.trim().length === 0)) {
+      return { error: 'Invited manufacturers must be a list of manufacturer IDs' };
+    }
+
+    const ids = [...new Set(value.map((id) => id.trim()))];
+    if (ids.length > MAX_INVITES) {
+      return { error: `You can invite at most ${MAX_INVITES} manufacturers` };
+    }
+
+    return { ids };
+  }
+
+  /**
+   * Load invited manufacturers, checking each one exists and may receive requirements
+   * @param {Array<string>} ids - Manufacturer profile IDs
+   * @returns {Promise<{ error?: string, manufacturers?: Array<Object> }>} Validation error or the manufacturers
+   */
+  async resolveInvitees(ids) {
+    const manufacturers = await databaseService.getManufacturersByIds(ids);
+    const byId = new Map(manufacturers.map((manufacturer) => [manufacturer.id, manufacturer]));
+
+    for (const id of ids) {
+      const manufacturer = byId.get(id);
+      if (!manufacturer) {
+        return { error: `Manufacturer ${id} not found` };
+      }
+      if (!this.isEligible(manufacturer)) {
+        return { error: `${manufacturer.unit_name || 'Manufacturer'} is not a verified manufacturer and cannot be invited` };
+      }
+    }
+
+    return { manufacturers: ids.map((id) => byId.get(id)) };
+  }
+
+  /**
+   * Send a requirement to its invitees and, for open requirements, to its best matches
+   * Manufacturers who already received the requirement are not sent it again.
+   * @param {Object} requirement - Requirement
+   * @param {Array<Object>} invitees - Invited manufacturer profiles (from resolveInvitees)
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.match] - Add matched manufacturers to open requirements (default true)
+   * @returns {Promise<Array<{ manufacturer: Object, recipient: Object }>>} Manufacturers newly sent the requirement
+   */
+  async distribute(requirement, invitees = [], { match = true } = {}) {
+    const invitedIds = new Set(invitees.map((manufacturer) => manufacturer.id));
+    const matches = match && requirement.distribution_mode !== 'invite_only'
+      ? (await this.findMatches(requirement)).filter(({ manufacturer }) => !invitedIds.has(manufacturer.id))
+      : [];
+
+    const manufacturers = new Map();
+    const rows = [
+      ...invitees.map((manufacturer) => {
+        manufacturers.set(manufacturer.id, manufacturer);
+        return {
+          requirement_id: requirement.id,
+          manufacturer_id: manufacturer.id,
+          source: 'invited',
+          match_score: null,
+          match_reasons: []
+        };
+      }),
+      ...matches.map(({ manufacturer, score, reasons }) => {
+        manufacturers.set(manufacturer.id, manufacturer);
+        return {
+          requirement_id: requirement.id,
+          manufacturer_id: manufacturer.id,
+          source: 'matched',
+          match_score: score,
+          match_reasons: reasons
+        };
+      })
+    ];
+
+    const added = await databaseService.addRequirementRecipients(rows);
+    return added.map((recipient) => ({ manufacturer: manufacturers.get(recipient.manufacturer_id), recipient }));
+  }
+
+  /**
+   * Check whether a manufacturer may see and quote on a requirement
+   * @param {Object} requirement - Requirement
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @returns {Promise<boolean>} True for open requirements, or when the manufacturer was sent an invite-only one
+   */
+  async canManufacturerAccess(requirement, manufacturerId) {
+    if (requirement.distribution_mode !== 'invite_only') {
+      return true;
+    }
+    return !!(await databaseService.getRequirementRecipient(requirement.id, manufacturerId));
+  }
+
+  /**
+   * Get the manufacturers involved in a requirement: those it was sent to and those who quoted on it
+   * @param {Object} requirement - Requirement
+   * @returns {Promise<Array<string>>} Manufacturer profile IDs
+   */
+  async getInvolvedManufacturerIds(requirement) {
+    const [recipients, responses] = await Promise.all([
+      databaseService.getRequirementRecipients(requirement.id),
+      databaseService.getRequirementResponses(requirement.id)
+    ]);
+    return [...new Set([
+      ...recipients.map((recipient) => recipient.manufacturer_id),
+      ...responses.map((response) => response.manufacturer_id)
+    ])];
+  }
+}
+
+module.exports = new RequirementDistributionService();
+module.exports.DISTRIBUTION_MODES = DISTRIBUTION_MODES;
@@ -0,0 +1,198 @@
+const databaseService = require('./databaseService');
+const negotiationService = require('./negotiationService');
+
+// Lifecycle of a requirement: open for quotes, then closed by the buyer, awarded to one quote or expired
+const REQUIREMENT_STATUSES = ['open', 'closed', 'awarded', 'expired'];
+
+// Statuses a buyer may move a requirement to by hand; awarding and expiry happen automatically
+const BUYER_TRANSITIONS = {
+  open: ['closed'],
+  closed: ['open'],
+  expired: ['open'],
+  awarded: []
+};
+
+// Quotes still in play when another one is accepted
+const OPEN_RESPONSE_STATUSES = ['submitted', 'negotiating'];
+
+const EXPIRY_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+class RequirementLifecycleService {
+  /**
+   * Check whether a requirement is taking new quotes
+   * A passed deadline counts as expired even before the expiry sweep has run.
+   * @param {Object} requirement - Requirement row
+   * @param {Date} [now] - Current time
+   * @returns {boolean} True if manufacturers may quote
+   */
+  isAcceptingQuotes(requirement, now = new Date()) {
+    if (!requirement || (requirement.status && requirement.status !== 'open')) return false;
+    return !requirement.quote_deadline || new Date(requirement.quote_deadline) > now;
+  }
+
+  /**
+   * Describe why a requirement is not taking quotes
+   * @param {Object} requirement - Requirement row
+   * @returns {string} Error message
+   */
+  getClosedMessage(requirement) {
+    if (requirement.status === 'awarded') return 'This requirement has already been awarded';
+    if (requirement.status === 'closed') return 'This requirement is closed and no longer accepting quotes';
+    return 'The quote deadline for this requirement has passed';
+  }
+
+  /**
+   * Validate a quote deadline from a request body
+   * @param {*} value - ISO date string; null or empty clears the deadline
+   * @returns {{ error?: string, value?: string|null }} Validation error or the deadline as an ISO string
+   */
+  validateQuoteDeadline(value) {
+    if (value === null || value === '') {
+      return { value: null };
+    }
+
+    const deadline = new Date(value);
+    if (typeof value !== 'string' || Number.isNaN(deadline.getTime())) {
+      return { error: 'Quote deadline must be a valid date' };
+    }
+    if (deadline <= new Date()) {
+      return { error: 'Quote deadline must be in the future' };
+    }
+
+    return { value: deadline.toISOString() };
+  }
+
+  /**
+   * Validate a status change requested by the buyer
+   * @param {Object} requirement - Requirement row
+   * @param {string} nextStatus - Requested status
+   * @returns {string|null} Error message, or null if the change is allowed
+   */
+  validateBuyerTransition(requirement, nextStatus) {
+    if (!['open', 'closed'].includes(nextStatus)) {
+      return 'Status must be either "open" or "closed"';
+    }
+
+    const current = requirement.status || 'open';
+    if (!(BUYER_TRANSITIONS[current] || []).includes(nextStatus)) {
+      return current === 'awarded'
+        ? 'An awarded requirement cannot be reopened or closed'
+        : `Requirement is already ${current}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Open or close a requirement for the buyer
+   * Reopening an expired requirement needs a new deadline in the future (or none).
+   * @param {Object} requirement - Requirement row
+   * @param {string} nextStatus - 'open' or 'closed'
+   * @param {string|null|undefined} quoteDeadline - Validated deadline to set when reopening
+   * @returns {Promise<{ error?: string, requirement?: Object }>} Validation error or the updated requirement
+   */
+  async setBuyerStatus(requirement, nextStatus, quoteDeadline) {
+    const transitionError = this.validateBuyerTransition(requirement, nextStatus);
+    if (transitionError) {
+      return { error: transitionError };
+    }
+
+    if (nextStatus === 'closed') {
+      const updated = await databaseService.updateRequirement(requirement.id, {
+        status: 'closed',
+        closed_at: new Date().toISOString()
+      });
+      return { requirement: updated };
+    }
+
+    const deadline = quoteDeadline !== undefined ? quoteDeadline : requirement.quote_deadline;
+    if (deadline && new Date(deadline) <= new Date()) {
+      return { error: 'Set a new quote deadline in the future to reopen this requirement' };
+    }
+
+    const updated = await databaseService.updateRequirement(requirement.id, {
+      status: 'open',
+      quote_deadline: deadline || null,
+      closed_at: null
+    });
+    return { requirement: updated };
+  }
+
+  /**
+   * Award a requirement to the quote being accepted
+   * The award is a conditional update, so of two concurrent accepts only one wins; call this before
+   * accepting the quote and creating its order.
+   * @param {Object} requirement - Requirement row
+   * @param {Object} response - Requirement response being accepted
+   * @returns {Promise<Object|null>} Awarded requirement, or null if it is no longer open
+   */
+  async claimAward(requirement, response) {
+    return databaseService.claimRequirementAward(requirement.id, response.id);
+  }
+
+  /**
+   * Give up an award claimed by claimAward when accepting the quote or creating its order failed,
+   * so the buyer can award the requirement again
+   * @param {Object} requirement - Requirement row
+   * @param {Object} response - Requirement response the award was claimed for
+   * @returns {Promise<Object|null>} Reopened requirement, or null if it was no longer awarded to that quote
+   */
+  async releaseAward(requirement, response) {
+    return databaseService.releaseRequirementAward(requirement.id, response.id);
+  }
+
+  /**
+   * Reject every other open quote on an awarded requirement
+   * @param {Object} requirement - Awarded requirement
+   * @param {Object} acceptedResponse - Accepted requirement response
+   * @returns {Promise<Array>} The rejected quotes
+   */
+  async rejectOutbidResponses(requirement, acceptedResponse) {
+    const responses = await databaseService.getRequirementResponses(requirement.id);
+    const outbidResponses = [];
+
+    for (const response of responses) {
+      if (response.id === acceptedResponse.id || !OPEN_RESPONSE_STATUSES.includes(response.status)) {
+        continue;
+      }
+
+      await negotiationService.closeNegotiation('requirement', response, 'rejected');
+      await databaseService.updateRequirementResponse(response.id, { status: 'rejected' });
+      outbidResponses.push({ ...response, status: 'rejected' });
+    }
+
+    return outbidResponses;
+  }
+
+  /**
+   * Expire open requirements whose quote deadline has passed
+   * @returns {Promise<Array>} Requirements that were expired
+   */
+  async expireOverdueRequirements() {
+    return databaseService.expireOverdueRequirements(new Date());
+  }
+
+  /**
+   * Expire overdue requirements every few minutes
+   * @param {Function} [onExpired] - Called with the requirements expired by each sweep
+   * @returns {NodeJS.Timeout} Interval handle
+   */
+  startExpirySweep(onExpired) {
+    const sweeper = setInterval(async () => {
+      try {
+        const expired = await this.expireOverdueRequirements();
+        if (expired.length > 0) {
+          console.log(`Requirement expiry: ${expired.length} requirements expired`);
+          if (onExpired) await onExpired(expired);
+        }
+      } catch (error) {
+        console.error('Scheduled requirement expiry failed:', error);
+      }
+    }, EXPIRY_SWEEP_INTERVAL_MS);
+    sweeper.unref();
+    return sweeper;
+  }
+}
+
+module.exports = new RequirementLifecycleService();
+module.exports.REQUIREMENT_STATUSES = REQUIREMENT_STATUSES;
@@ -0,0 +1,154 @@
+const profileSerializer = require('./profileSerializer');
+
+// Star ratings on every review, 1 to 5
+const RATING_FIELDS = {
+  rating: 'Overall rating',
+  quality_rating: 'Quality rating',
+  timeliness_rating: 'Timeliness rating',
+  communication_rating: 'Communication rating'
+};
+
+const REVIEW_STATUSES = ['published', 'hidden'];
+
+// Orders can be reviewed once the goods have arrived
+const REVIEWABLE_ORDER_STATUSES = ['delivered', 'closed'];
+
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_REPLY_LENGTH = 1000;
+
+// Rating summary columns of manufacturer_directory_stats()
+const SUMMARY_FIELDS = [
+  'review_count',
+  'average_rating',
+  'average_quality_rating',
+  'average_timeliness_rating',
+  'average_communication_rating'
+];
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+class ReviewService {
+  /**
+   * Validate a review's ratings and comment
+   * @param {Object} fields - Request body
+   * @returns {{ errors: Array<{ field: string, message: string }>, values: Object }} Errors and normalised values
+   */
+  validateReview(fields) {
+    const errors = [];
+    const values = {};
+
+    Object.entries(RATING_FIELDS).forEach(([field, label]) => {
+      const rating = Number(fields[field]);
+      if (isBlank(fields[field]) || !Number.isInteger(rating) || rating < 1 || rating > 5) {
+        errors.push({ field, message: `${label} must be a whole number from 1 to 5` });
+      } else {
+        values[field] = rating;
+      }
+    });
+
+    if (isBlank(fields.comment)) {
+      values.comment = null;
+    } else if (typeof fields.comment !== 'string' || fields.comment.trim().length > MAX_COMMENT_LENGTH) {
+      errors.push({ field: 'comment', message: `Comment must be text up to ${MAX_COMMENT_LENGTH} characters` });
+    } else {
+      values.comment = fields.comment.trim();
+    }
+
+    return { errors, values };
+  }
+
+  /**
+   * Validate a manufacturer's reply to a review
+   * @param {*} reply - Reply text from the request body
+   * @returns {{ error?: string, value?: string }}
+   */
+  validateReply(reply) {
+    if (isBlank(reply) || typeof reply !== 'string' || reply.trim().length > MAX_REPLY_LENGTH) {
+      return { error: `Reply must be text up to ${MAX_REPLY_LENGTH} characters` };
+    }
+    return { value: reply.trim() };
+  }
+
+  /**
+   * Check whether a user may review an order
+   * Each party reviews the other once, after the order is delivered.
+   * @param {Object} order - Order
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Array} reviews - Reviews already left on the order
+   * @returns {string|null} Error message, or null if the user may review
+   */
+  validateReviewer(order, user, reviews) {
+    const isParty = (user.role === 'buyer' && order.buyer_id === user.userId)
+      || (user.role === 'manufacturer' && order.manufacturer_id === user.userId);
+
+    if (!isParty) {
+      return 'Only the buyer and manufacturer on an order can review it';
+    }
+    if (!REVIEWABLE_ORDER_STATUSES.includes(order.status)) {
+      return 'Orders can be reviewed once they are delivered';
+    }
+    if (reviews.some((review) => review.reviewer_role === user.role)) {
+      return 'You have already reviewed this order';
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a user may reply to a review
+   * Only the manufacturer being reviewed may reply, once, to a published review.
+   * @param {Object} review - Review
+   * @param {Object} user - Authenticated user (req.user)
+   * @returns {string|null} Error message, or null if the user may reply
+   */
+  validateReplier(review, user) {
+    if (review.reviewer_role !== 'buyer' || user.role !== 'manufacturer' || review.manufacturer_id !== user.userId) {
+      return 'Only the reviewed manufacturer can reply to this review';
+    }
+    if (review.status !== 'published') {
+      return 'Hidden reviews cannot be replied to';
+    }
+    if (review.reply) {
+      return 'This review already has a reply';
+    }
+    return null;
+  }
+
+  /**
+   * Project a review's parties for a user; moderation details are only shown to admins
+   * @param {Object} review - Review with buyer and manufacturer joined
+   * @param {Object} [user] - Viewer
+   * @returns {Object} Review for API responses
+   */
+  present(review, user) {
+    const view = user && user.role === 'admin' ? 'admin' : 'public';
+    const presented = { ...review };
+
+    if (review.buyer !== undefined) presented.buyer = profileSerializer.buyer(review.buyer, view);
+    if (review.manufacturer !== undefined) presented.manufacturer = profileSerializer.manufacturer(review.manufacturer, view);
+
+    if (view !== 'admin') {
+      delete presented.moderated_by;
+      delete presented.moderation_reason;
+    }
+
+    return presented;
+  }
+
+  /**
+   * Pick the rating summary out of a manufacturer's directory stats
+   * @param {Object|null} stats - Result of getManufacturerDirectoryStats
+   * @returns {Object} Review count and average ratings (null when there are no reviews)
+   */
+  summarize(stats) {
+    return SUMMARY_FIELDS.reduce((summary, field) => {
+      const value = stats ? stats[field] : null;
+      summary[field] = value === null || value === undefined ? null : Number(value);
+      return summary;
+    }, {});
+  }
+}
+
+module.exports = new ReviewService();
+module.exports.RATING_FIELDS = RATING_FIELDS;
+module.exports.REVIEW_STATUSES = REVIEW_STATUSES;
+module.exports.SUMMARY_FIELDS = SUMMARY_FIELDS;
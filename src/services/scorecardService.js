@@ -0,0 +1,144 @@
+const databaseService = require('./databaseService');
+
+// Scorecard metrics and which way is better; see manufacturer_scorecard_metrics() in schema.sql
+const SCORECARD_METRICS = {
+  median_quote_response_hours: 'lower',
+  quote_win_rate: 'higher',
+  on_time_delivery_rate: 'higher',
+  median_chat_response_hours: 'lower',
+  dispute_rate: 'lower'
+};
+
+// Counts behind the rates, so a rate over a handful of orders can be read as such
+const SCORECARD_COUNTS = [
+  'quotes_decided',
+  'quotes_won',
+  'deliveries_due',
+  'deliveries_on_time',
+  'orders_total',
+  'orders_disputed'
+];
+
+// Each snapshot covers the preceding WINDOW_DAYS
+const WINDOW_DAYS = 90;
+
+const DEFAULT_TREND_DAYS = 90;
+const MAX_TREND_DAYS = 365;
+
+const REFRESH_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+class ScorecardService {
+  /**
+   * Shape a scorecard snapshot for API responses
+   * @param {Object} snapshot - manufacturer_scorecards row
+   * @returns {Object} Metrics, counts, window and when they were computed
+   */
+  present(snapshot) {
+    const metrics = Object.keys(SCORECARD_METRICS).reduce((fields, field) => {
+      fields[field] = toNumber(snapshot[field]);
+      return fields;
+    }, {});
+    const counts = SCORECARD_COUNTS.reduce((fields, field) => {
+      fields[field] = toNumber(snapshot[field]) || 0;
+      return fields;
+    }, {});
+
+    return {
+      manufacturer_id: snapshot.manufacturer_id,
+      snapshot_date: snapshot.snapshot_date,
+      window_days: snapshot.window_days,
+      metrics,
+      counts,
+      computed_at: snapshot.computed_at
+    };
+  }
+
+  /**
+   * Compare each metric between two snapshots
+   * @param {Object|null} first - Earlier snapshot
+   * @param {Object|null} last - Later snapshot
+   * @returns {Object} Map of metric -> { from, to, change, direction }; direction is improving, declining, steady or null
+   */
+  compare(first, last) {
+    return Object.entries(SCORECARD_METRICS).reduce((trend, [metric, better]) => {
+      const from = first ? toNumber(first[metric]) : null;
+      const to = last ? toNumber(last[metric]) : null;
+      const change = from === null || to === null ? null : Math.round((to - from) * 1000) / 1000;
+
+      let direction = null;
+      if (change === 0) {
+        direction = 'steady';
+      } else if (change !== null) {
+        direction = (change > 0) === (better === 'higher') ? 'improving' : 'declining';
+      }
+
+      trend[metric] = { from, to, change, direction };
+      return trend;
+    }, {});
+  }
+
+  /**
+   * Get a manufacturer's current scorecard, computing it if no snapshot exists yet
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @returns {Promise<Object|null>} Scorecard (see present), or null if it could not be computed
+   */
+  async getScorecard(manufacturerId) {
+    let snapshot = await databaseService.getLatestManufacturerScorecard(manufacturerId);
+    if (!snapshot) {
+      await databaseService.refreshManufacturerScorecards({ manufacturerIds: [manufacturerId], windowDays: WINDOW_DAYS });
+      snapshot = await databaseService.getLatestManufacturerScorecard(manufacturerId);
+    }
+    return snapshot ? this.present(snapshot) : null;
+  }
+
+  /**
+   * Get a manufacturer's daily snapshots and how each metric moved over a period
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @param {number} [days] - Days of history
+   * @returns {Promise<{ days: number, history: Array, trend: Object }>} Snapshots oldest first, and compare() of the first and last
+   */
+  async getTrend(manufacturerId, days = DEFAULT_TREND_DAYS) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const snapshots = await databaseService.getManufacturerScorecardHistory(manufacturerId, since);
+
+    return {
+      days,
+      history: snapshots.map((snapshot) => this.present(snapshot)),
+      trend: this.compare(snapshots[0] || null, snapshots[snapshots.length - 1] || null)
+    };
+  }
+
+  /**
+   * Recompute today's snapshot for every onboarded manufacturer
+   * @returns {Promise<number>} Number of snapshots written
+   */
+  async refreshAll() {
+    return databaseService.refreshManufacturerScorecards({ windowDays: WINDOW_DAYS });
+  }
+
+  /**
+   * Recompute scorecards now and then every few hours; each day keeps its latest snapshot
+   * @returns {NodeJS.Timeout} Interval handle
+   */
+  startRefreshSchedule() {
+    const refresh = async () => {
+      try {
+        const count = await this.refreshAll();
+        console.log(`Scorecard refresh: ${count} manufacturer scorecards updated`);
+      } catch (error) {
+        console.error('Scheduled scorecard refresh failed:', error);
+      }
+    };
+
+    refresh();
+    const refresher = setInterval(refresh, REFRESH_INTERVAL_MS);
+    refresher.unref();
+    return refresher;
+  }
+}
+
+module.exports = new ScorecardService();
+module.exports.SCORECARD_METRICS = SCORECARD_METRICS;
+module.exports.MAX_TREND_DAYS = MAX_TREND_DAYS;
@@ -0,0 +1,208 @@
+const databaseService = require('./databaseService');
+
+// Quantity buckets reported in the quantity_range facet; must match quantity_range_bucket() in schema.sql
+const QUANTITY_RANGES = {
+  '1-99': { min: 1, max: 99 },
+  '100-499': { min: 100, max: 499 },
+  '500-999': { min: 500, max: 999 },
+  '1000-4999': { min: 1000, max: 4999 },
+  '5000+': { min: 5000, max: null }
+};
+
+// Date buckets reported in the created_within facet
+const CREATED_WITHIN = {
+  last_24_hours: 24 * 60 * 60 * 1000,
+  last_7_days: 7 * 24 * 60 * 60 * 1000,
+  last_30_days: 30 * 24 * 60 * 60 * 1000
+};
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TYPES = 20;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Parse a whole number query parameter
+ * @returns {{ error?: string, value?: number|null }}
+ */
+const parseCount = (value, label) => {
+  if (isBlank(value)) return { value: null };
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    return { error: `${label} must be a whole number` };
+  }
+  return { value: number };
+};
+
+/**
+ * Parse a date query parameter
+ * @returns {{ error?: string, value?: string|null }} ISO string
+ */
+const parseDate = (value, label) => {
+  if (isBlank(value)) return { value: null };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: `${label} must be a valid date` };
+  }
+  return { value: date.toISOString() };
+};
+
+class SearchService {
+  /**
+   * Validate search query parameters
+   * Query parameters: q, <typeParam> (comma-separated), quantity_range or min_quantity/max_quantity,
+   * created_within or created_from/created_to, not_quoted, limit, offset.
+   * @param {Object} query - req.query
+   * @param {string} typeParam - Name of the type facet parameter (product_type or apparel_type)
+   * @returns {{ errors: Array<{ field: string, message: string }>, values: Object }} Errors and the filters for the repository
+   */
+  parseFilters(query, typeParam) {
+    const errors = [];
+    const values = {
+      query: null,
+      types: null,
+      minQuantity: null,
+      maxQuantity: null,
+      createdFrom: null,
+      createdTo: null,
+      notQuoted: false,
+      limit: DEFAULT_LIMIT,
+      offset: 0
+    };
+
+    if (!isBlank(query.q)) {
+      if (typeof query.q !== 'string' || query.q.trim().length > MAX_QUERY_LENGTH) {
+        errors.push({ field: 'q', message: `Search text must be up to ${MAX_QUERY_LENGTH} characters` });
+      } else {
+        values.query = query.q.trim();
+      }
+    }
+
+    if (!isBlank(query[typeParam])) {
+      const types = typeof query[typeParam] === 'string'
+        ? [...new Set(query[typeParam].split(',').map((type) => type.trim()).filter(Boolean))]
+        : [];
+      if (types.length === 0 || types.length > MAX_TYPES) {
+        errors.push({ field: typeParam, message: `${typeParam} must be a comma-separated list of up to ${MAX_TYPES} values` });
+      } else {
+        values.types = types;
+      }
+    }
+
+    if (!isBlank(query.quantity_range)) {
+      const range = QUANTITY_RANGES[query.quantity_range];
+      if (!range) {
+        errors.push({ field: 'quantity_range', message: `Quantity range must be one of: ${Object.keys(QUANTITY_RANGES).join(', ')}` });
+      } else if (!isBlank(query.min_quantity) || !isBlank(query.max_quantity)) {
+        errors.push({ field: 'quantity_range', message: 'Use either quantity_range or min_quantity/max_quantity' });
+      } else {
+        values.minQuantity = range.min;
+        values.maxQuantity = range.max;
+      }
+    } else {
+      const min = parseCount(query.min_quantity, 'Minimum quantity');
+      const max = parseCount(query.max_quantity, 'Maximum quantity');
+      if (min.error) errors.push({ field: 'min_quantity', message: min.error });
+      if (max.error) errors.push({ field: 'max_quantity', message: max.error });
+      if (!min.error && !max.error) {
+        if (min.value !== null && max.value !== null && min.value > max.value) {
+          errors.push({ field: 'max_quantity', message: 'Maximum quantity must not be less than the minimum quantity' });
+        } else {
+          values.minQuantity = min.value;
+          values.maxQuantity = max.value;
+        }
+      }
+    }
+
+    if (!isBlank(query.created_within)) {
+      const window = CREATED_WITHIN[query.created_within];
+      if (!window) {
+        errors.push({ field: 'created_within', message: `Created within must be one of: ${Object.keys(CREATED_WITHIN).join(', ')}` });
+      } else if (!isBlank(query.created_from) || !isBlank(query.created_to)) {
+        errors.push({ field: 'created_within', message: 'Use either created_within or created_from/created_to' });
+      } else {
+        values.createdFrom = new Date(Date.now() - window).toISOString();
+      }
+    } else {
+      const from = parseDate(query.created_from, 'Created from');
+      const to = parseDate(query.created_to, 'Created to');
+      if (from.error) errors.push({ field: 'created_from', message: from.error });
+      if (to.error) errors.push({ field: 'created_to', message: to.error });
+      if (!from.error && !to.error) {
+        if (from.value && to.value && from.value >= to.value) {
+          errors.push({ field: 'created_to', message: 'Created to must be after created from' });
+        } else {
+          values.createdFrom = from.value;
+          values.createdTo = to.value;
+        }
+      }
+    }
+
+    if (!isBlank(query.not_quoted)) {
+      if (!['true', 'false'].includes(query.not_quoted)) {
+        errors.push({ field: 'not_quoted', message: 'not_quoted must be true or false' });
+      } else {
+        values.notQuoted = query.not_quoted === 'true';
+      }
+    }
+
+    const limit = parseCount(query.limit, 'Limit');
+    const offset = parseCount(query.offset, 'Offset');
+    if (limit.error || limit.value === 0) {
+      errors.push({ field: 'limit', message: `Limit must be a whole number from 1 to ${MAX_LIMIT}` });
+    } else if (limit.value !== null) {
+      values.limit = Math.min(limit.value, MAX_LIMIT);
+    }
+    if (offset.error) {
+      errors.push({ field: 'offset', message: offset.error });
+    } else if (offset.value !== null) {
+      values.offset = offset.value;
+    }
+
+    return { errors, values };
+  }
+
+  /**
+   * Shape a search result for API responses
+   * @param {Object} result - Result of a search function
+   * @param {Object} filters - Filters the search ran with
+   * @returns {{ results: Array, total: number, limit: number, offset: number, has_more: boolean, facets: Object }}
+   */
+  present(result, filters) {
+    const total = Number(result.total) || 0;
+    return {
+      results: result.results || [],
+      total,
+      limit: filters.limit,
+      offset: filters.offset,
+      has_more: filters.offset + (result.results || []).length < total,
+      facets: result.facets
+    };
+  }
+
+  /**
+   * Search the requirements a manufacturer may quote on
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @param {Object} filters - Result of parseFilters
+   * @returns {Promise<Object>} Result of present
+   */
+  async searchRequirements(manufacturerId, filters) {
+    return this.present(await databaseService.searchRequirements(manufacturerId, filters), filters);
+  }
+
+  /**
+   * Search published AI designs
+   * @param {string} manufacturerId - Manufacturer profile ID
+   * @param {Object} filters - Result of parseFilters
+   * @returns {Promise<Object>} Result of present
+   */
+  async searchAIDesigns(manufacturerId, filters) {
+    return this.present(await databaseService.searchAIDesigns(manufacturerId, filters), filters);
+  }
+}
+
+module.exports = new SearchService();
+module.exports.QUANTITY_RANGES = QUANTITY_RANGES;
+module.exports.CREATED_WITHIN = CREATED_WITHIN;
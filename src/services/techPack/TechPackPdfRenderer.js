@@ -0,0 +1,318 @@
+/**
+ * Tech Pack PDF Renderer - Lays out a tech pack as an A4 PDF
+ */
+const PdfDocument = require('../../utils/pdfDocument');
+const { summarizeSizeBreakdown } = require('../../utils/sizeBreakdown');
+
+const MARGIN = 40;
+const FOOTER_HEIGHT = 30;
+const BODY_SIZE = 9.5;
+const LINE_GAP = 1.35;
+const CELL_PADDING = 4;
+const LABEL_WIDTH = 140;
+const IMAGE_MAX_HEIGHT = 260;
+// Beyond this many sizes the grid no longer fits across the page and a plain list is used instead
+const MAX_GRID_SIZES = 10;
+
+const COLORS = {
+  text: [33, 37, 41],
+  muted: [108, 117, 125],
+  accent: [34, 64, 120],
+  rule: [206, 212, 218],
+  headerFill: [233, 238, 246],
+  totalFill: [246, 247, 249]
+};
+
+const NOT_SPECIFIED = 'Not specified';
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+  day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC'
+});
+
+/**
+ * Cursor over a PdfDocument that breaks pages as content is added
+ */
+class PdfLayout {
+  constructor(doc) {
+    this.doc = doc;
+    this.width = doc.pageWidth - MARGIN * 2;
+    this.bottom = doc.pageHeight - MARGIN - FOOTER_HEIGHT;
+    this.y = MARGIN;
+  }
+
+  lineHeight(size = BODY_SIZE) {
+    return size * LINE_GAP;
+  }
+
+  ensureSpace(height) {
+    if (this.y + height > this.bottom) {
+      this.doc.addPage();
+      this.y = MARGIN;
+      return true;
+    }
+    return false;
+  }
+
+  heading(text) {
+    this.ensureSpace(50);
+    this.y += 10;
+    this.doc.text(text.toUpperCase(), MARGIN, this.y, { size: 11, font: 'bold', color: COLORS.accent });
+    this.y += 16;
+    this.doc.line(MARGIN, this.y, MARGIN + this.width, this.y, { color: COLORS.rule });
+    this.y += 8;
+  }
+
+  paragraph(text, { size = BODY_SIZE, color = COLORS.text, font = 'regular' } = {}) {
+    this.doc.wrapText(text, this.width, size, font).forEach((line) => {
+      this.ensureSpace(this.lineHeight(size));
+      this.doc.text(line, MARGIN, this.y, { size, font, color });
+      this.y += this.lineHeight(size);
+    });
+  }
+
+  /**
+   * Label/value pairs, one per row; empty values show as "Not specified"
+   */
+  keyValues(pairs) {
+    pairs.forEach(([label, value]) => {
+      const hasValue = value !== null && value !== undefined && String(value).trim() !== '';
+      const lines = this.doc.wrapText(hasValue ? String(value) : NOT_SPECIFIED, this.width - LABEL_WIDTH, BODY_SIZE);
+      lines.forEach((line, index) => {
+        this.ensureSpace(this.lineHeight());
+        if (index === 0) {
+          this.doc.text(label, MARGIN, this.y, { size: BODY_SIZE, font: 'bold', color: COLORS.muted });
+        }
+        this.doc.text(line, MARGIN + LABEL_WIDTH, this.y, {
+          size: BODY_SIZE,
+          color: hasValue ? COLORS.text : COLORS.muted
+        });
+        this.y += this.lineHeight();
+      });
+      this.y += 2;
+    });
+  }
+
+  /**
+   * Table with a shaded header row that repeats on each page
+   * @param {Array<{ header: string, width: number, align?: string }>} columns - Widths are fractions of the content width
+   * @param {Array<Array<string>>} rows - Cell text
+   * @param {Object} [options] - totalRow: last row is a total (shaded, bold)
+   */
+  table(columns, rows, { totalRow = false } = {}) {
+    const widths = columns.map((column) => column.width * this.width);
+
+    const drawRow = (cells, { header = false, total = false } = {}) => {
+      const font = header || total ? 'bold' : 'regular';
+      const wrapped = cells.map((cell, index) => this.doc.wrapText(String(cell), widths[index] - CELL_PADDING * 2, BODY_SIZE, font));
+      const height = Math.max(...wrapped.map((lines) => lines.length)) * this.lineHeight() + CELL_PADDING * 2;
+
+      if (!header && this.ensureSpace(height)) {
+        drawRow(columns.map((column) => column.header), { header: true });
+      }
+
+      const fill = header ? COLORS.headerFill : (total ? COLORS.totalFill : null);
+      if (fill) this.doc.rect(MARGIN, this.y, this.width, height, { fill });
+
+      let x = MARGIN;
+      wrapped.forEach((lines, index) => {
+        lines.forEach((line, lineIndex) => {
+          const lineWidth = this.doc.textWidth(line, BODY_SIZE, font);
+          const textX = columns[index].align === 'right'
+            ? x + widths[index] - CELL_PADDING - lineWidth
+            : x + CELL_PADDING;
+          this.doc.text(line, textX, this.y + CELL_PADDING + lineIndex * this.lineHeight(), {
+            size: BODY_SIZE, font, color: COLORS.text
+          });
+        });
+        x += widths[index];
+      });
+
+      this.y += height;
+      this.doc.line(MARGIN, this.y, MARGIN + this.width, this.y, { color: COLORS.rule });
+    };
+
+    this.ensureSpace(this.lineHeight() * 3 + CELL_PADDING * 4);
+    drawRow(columns.map((column) => column.header), { header: true });
+    rows.forEach((cells, index) => drawRow(cells, { total: totalRow && index === rows.length - 1 }));
+    this.y += 6;
+  }
+}
+
+class TechPackPdfRenderer {
+  /**
+   * Render a tech pack
+   * @param {Object} input - What to render
+   * @param {Object} input.techPack - Tech pack
+   * @param {Object} input.source - { type: "ai_design"|"requirement", record }
+   * @param {Object|null} input.buyer - Buyer profile (only the name is printed)
+   * @param {Buffer|null} input.image - JPEG of the design, if available
+   * @returns {Buffer} PDF data
+   */
+  render({ techPack, source, buyer, image }) {
+    const doc = new PdfDocument();
+    const layout = new PdfLayout(doc);
+
+    this.renderHeader(layout, techPack, source, buyer);
+    this.renderImage(layout, image);
+    this.renderSizeBreakdown(layout, techPack.size_breakdown || []);
+
+    layout.heading('Fabric');
+    layout.keyValues([
+      ['Composition', techPack.fabric_composition],
+      ['GSM', techPack.gsm ? `${techPack.gsm} g/m²` : null]
+    ]);
+
+    layout.heading('Colour References');
+    const colorReferences = techPack.color_references || [];
+    if (colorReferences.length > 0) {
+      layout.table(
+        [{ header: 'Colour', width: 0.4 }, { header: 'Reference', width: 0.3 }, { header: 'System', width: 0.3 }],
+        colorReferences.map((ref) => [ref.name, ref.code || '-', ref.system || '-'])
+      );
+    } else {
+      layout.paragraph(NOT_SPECIFIED, { color: COLORS.muted });
+    }
+
+    layout.heading('Print');
+    layout.keyValues([
+      ['Method', techPack.print_method],
+      ['Placement', techPack.print_placement],
+      ['Details', techPack.print_details]
+    ]);
+
+    layout.heading('Trims');
+    const trims = techPack.trims || [];
+    if (trims.length > 0) {
+      layout.table(
+        [{ header: 'Trim', width: 0.35 }, { header: 'Details', width: 0.65 }],
+        trims.map((trim) => [trim.name, trim.details || '-'])
+      );
+    } else {
+      layout.paragraph(NOT_SPECIFIED, { color: COLORS.muted });
+    }
+
+    layout.heading('Packaging');
+    layout.keyValues([
+      ['Packaging', techPack.packaging_type],
+      ['Pieces per carton', techPack.pieces_per_carton],
+      ['Instructions', techPack.packaging_notes]
+    ]);
+
+    if (techPack.notes) {
+      layout.heading('Notes');
+      layout.paragraph(techPack.notes);
+    }
+
+    this.renderFooters(doc, techPack, source);
+    return doc.toBuffer();
+  }
+
+  renderHeader(layout, techPack, source, buyer) {
+    const { doc } = layout;
+    const record = source.record;
+    const isDesign = source.type === 'ai_design';
+    const reference = isDesign ? record.design_no : record.requirement_no;
+    const product = isDesign ? record.apparel_type : record.product_type;
+
+    doc.text('TECH PACK', MARGIN, layout.y, { size: 9, font: 'bold', color: COLORS.muted });
+    layout.y += 14;
+    doc.wrapText(techPack.title || product || reference, layout.width, 18, 'bold').forEach((line) => {
+      doc.text(line, MARGIN, layout.y, { size: 18, font: 'bold', color: COLORS.text });
+      layout.y += 22;
+    });
+    layout.y += 4;
+
+    layout.keyValues([
+      [isDesign ? 'Design' : 'Requirement', reference],
+      ['Product', product],
+      ['Buyer', buyer ? (buyer.full_name || buyer.buyer_identifier) : null],
+      ['Order quantity', record.quantity],
+      ['Updated', formatDate(techPack.updated_at || techPack.created_at || Date.now())]
+    ]);
+
+    const brief = isDesign ? record.design_description : record.requirement_text;
+    if (brief) {
+      layout.y += 4;
+      layout.paragraph(brief, { color: COLORS.muted });
+    }
+  }
+
+  renderImage(layout, image) {
+    if (!image) return;
+
+    const handle = layout.doc.addJpeg(image);
+    if (!handle) return;
+
+    const scale = Math.min(layout.width / handle.width, IMAGE_MAX_HEIGHT / handle.height, 1);
+    const width = handle.width * scale;
+    const height = handle.height * scale;
+
+    layout.heading('Design');
+    layout.ensureSpace(height);
+    layout.doc.drawImage(handle, MARGIN + (layout.width - width) / 2, layout.y, width, height);
+    layout.y += height + 6;
+  }
+
+  renderSizeBreakdown(layout, rows) {
+    layout.heading('Size-wise Quantities');
+
+    if (rows.length === 0) {
+      layout.paragraph(NOT_SPECIFIED, { color: COLORS.muted });
+      return;
+    }
+
+    const summary = summarizeSizeBreakdown(rows);
+    const hasColors = summary.colors[0] !== null;
+
+    if (summary.sizes.length > MAX_GRID_SIZES) {
+      layout.table(
+        [{ header: 'Colour', width: 0.4 }, { header: 'Size', width: 0.3 }, { header: 'Quantity', width: 0.3, align: 'right' }],
+        [
+          ...rows.map((row) => [row.color || '-', row.size, String(row.quantity)]),
+          ['Total', '', String(summary.total)]
+        ],
+        { totalRow: true }
+      );
+      return;
+    }
+
+    const labelWidth = 0.22;
+    const cellWidth = (1 - labelWidth) / (summary.sizes.length + 1);
+    const columns = [
+      { header: hasColors ? 'Colour' : '', width: labelWidth },
+      ...summary.sizes.map((size) => ({ header: size, width: cellWidth, align: 'right' })),
+      { header: 'Total', width: cellWidth, align: 'right' }
+    ];
+
+    const gridRows = summary.colors.map((color) => [
+      color || 'Quantity',
+      ...summary.sizes.map((size) => String(summary.quantityOf(color, size) || '-')),
+      String(summary.colorTotals[color])
+    ]);
+    if (hasColors) {
+      gridRows.push([
+        'Total',
+        ...summary.sizes.map((size) => String(summary.sizeTotals[size])),
+        String(summary.total)
+      ]);
+    }
+
+    layout.table(columns, gridRows, { totalRow: hasColors });
+  }
+
+  renderFooters(doc, techPack, source) {
+    const reference = source.type === 'ai_design' ? source.record.design_no : source.record.requirement_no;
+    const generatedAt = `Generated ${formatDate(Date.now())}`;
+
+    doc.pages.forEach((page, index) => {
+      doc.switchToPage(index);
+      const y = doc.pageHeight - MARGIN - 10;
+      const pageLabel = `Page ${index + 1} of ${doc.pages.length}`;
+      doc.line(MARGIN, y - 6, doc.pageWidth - MARGIN, y - 6, { color: COLORS.rule });
+      doc.text(`${reference} · ${generatedAt}`, MARGIN, y, { size: 8, color: COLORS.muted });
+      doc.text(pageLabel, doc.pageWidth - MARGIN - doc.textWidth(pageLabel, 8), y, { size: 8, color: COLORS.muted });
+    });
+  }
+}
+
+module.exports = TechPackPdfRenderer;
@@ -0,0 +1,273 @@
+/**
+ * Tech Pack Service - Validates tech packs, checks who may see them and publishes their PDFs
+ *
+ * A tech pack belongs to one AI design or one requirement. Its PDF is rendered locally and
+ * stored in Cloudinary; editing the tech pack clears the stored PDF so the next download
+ * renders a fresh one.
+ */
+const axios = require('axios');
+const databaseService = require('../databaseService');
+const requirementDistributionService = require('../requirementDistributionService');
+const { uploadToCloudinary } = require('../../config/cloudinary');
+const { normalizeSizeBreakdown, summarizeSizeBreakdown } = require('../../utils/sizeBreakdown');
+const TechPackPdfRenderer = require('./TechPackPdfRenderer');
+
+const renderer = new TechPackPdfRenderer();
+
+// Longest value accepted for each free-text field
+const TEXT_FIELDS = {
+  title: 255,
+  fabric_composition: 255,
+  print_method: 100,
+  print_placement: 255,
+  print_details: 2000,
+  packaging_type: 100,
+  packaging_notes: 1000,
+  notes: 2000
+};
+
+const INTEGER_FIELDS = {
+  gsm: { label: 'GSM', max: 2000 },
+  pieces_per_carton: { label: 'Pieces per carton', max: 10000 }
+};
+
+// Lists of { name, ...details } entries
+const LIST_FIELDS = {
+  color_references: { label: 'Colour references', max: 30, fields: { name: 100, code: 50, system: 50 } },
+  trims: { label: 'Trims', max: 50, fields: { name: 100, details: 500 } }
+};
+
+const IMAGE_FETCH_TIMEOUT_MS = 15 * 1000;
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Validate a list of { name, ... } entries
+ * @returns {{ error?: string, value?: Array }}
+ */
+const normalizeList = (value, { label, max, fields }) => {
+  if (!Array.isArray(value)) {
+    return { error: `${label} must be a list` };
+  }
+  if (value.length > max) {
+    return { error: `${label} can have at most ${max} entries` };
+  }
+
+  const entries = [];
+  for (const [index, entry] of value.entries()) {
+    if (!entry || typeof entry !== 'object' || isBlank(entry.name) || typeof entry.name !== 'string') {
+      return { error: `${label} entry ${index + 1} needs a name` };
+    }
+
+    const normalized = {};
+    for (const [field, maxLength] of Object.entries(fields)) {
+      if (isBlank(entry[field])) {
+        normalized[field] = null;
+        continue;
+      }
+      if (typeof entry[field] !== 'string' || entry[field].trim().length > maxLength) {
+        return { error: `${label} entry ${index + 1}: ${field} must be text up to ${maxLength} characters` };
+      }
+      normalized[field] = entry[field].trim();
+    }
+    entries.push(normalized);
+  }
+
+  return { value: entries };
+};
+
+// Only images stored in Cloudinary are fetched, so a buyer-supplied URL cannot make the server call arbitrary hosts
+const CLOUDINARY_IMAGE_URL = /^https:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\//;
+
+class TechPackService {
+  /**
+   * Validate tech pack fields and normalise them
+   * Fields left out of the payload are left out of the values; null or empty clears a field.
+   * @param {Object} fields - Request body
+   * @returns {{ errors: Array<{ field: string, message: string }>, values: Object }} Errors and normalised values
+   */
+  validateFields(fields) {
+    const errors = [];
+    const values = {};
+
+    if (fields.size_breakdown !== undefined) {
+      const result = normalizeSizeBreakdown(fields.size_breakdown === null ? [] : fields.size_breakdown);
+      if (result.valid) {
+        values.size_breakdown = result.rows;
+      } else {
+        errors.push({ field: 'size_breakdown', message: result.error });
+      }
+    }
+
+    Object.entries(TEXT_FIELDS).forEach(([field, maxLength]) => {
+      if (fields[field] === undefined) return;
+      if (isBlank(fields[field])) {
+        values[field] = null;
+      } else if (typeof fields[field] !== 'string' || fields[field].trim().length > maxLength) {
+        errors.push({ field, message: `${field} must be text up to ${maxLength} characters` });
+      } else {
+        values[field] = fields[field].trim();
+      }
+    });
+
+    Object.entries(INTEGER_FIELDS).forEach(([field, { label, max }]) => {
+      if (fields[field] === undefined) return;
+      if (isBlank(fields[field])) {
+        values[field] = null;
+        return;
+      }
+      const number = Number(fields[field]);
+      if (!Number.isInteger(number) || number <= 0 || number > max) {
+        errors.push({ field, message: `${label} must be a whole number from 1 to ${max}` });
+      } else {
+        values[field] = number;
+      }
+    });
+
+    Object.entries(LIST_FIELDS).forEach(([field, rules]) => {
+      if (fields[field] === undefined) return;
+      const result = normalizeList(fields[field] === null ? [] : fields[field], rules);
+      if (result.error) {
+        errors.push({ field, message: result.error });
+      } else {
+        values[field] = result.value;
+      }
+    });
+
+    return { errors, values };
+  }
+
+  /**
+   * Load the AI design or requirement a tech pack belongs to
+   * @param {Object} ref - ai_design_id or requirement_id (a tech pack or request body)
+   * @returns {Promise<{ type: string, record: Object }|null>} Source, or null if it does not exist
+   */
+  async getSource(ref) {
+    if (ref.ai_design_id) {
+      const record = await databaseService.getAIDesign(ref.ai_design_id);
+      return record ? { type: 'ai_design', record } : null;
+    }
+
+    const record = await databaseService.getRequirement(ref.requirement_id);
+    return record ? { type: 'requirement', record } : null;
+  }
+
+  /**
+   * Whether a user may view a tech pack
+   * Buyers see their own; manufacturers see those of published designs and of requirements they
+   * may quote on; admins see all.
+   * @param {Object} user - Authenticated user (req.user)
+   * @param {Object} techPack - Tech pack
+   * @param {Object} source - Result of getSource
+   * @returns {Promise<boolean>}
+   */
+  async canView(user, techPack, source) {
+    if (user.role === 'admin') return true;
+    if (user.role === 'buyer') return techPack.buyer_id === user.userId;
+    if (user.role === 'manufacturer') {
+      return source.type === 'requirement'
+        ? requirementDistributionService.canManufacturerAccess(source.record, user.userId)
+        : source.record.status === 'published';
+    }
+    return false;
+  }
+
+  /**
+   * Add the total quantity to a tech pack for API responses
+   * @param {Object} techPack - Tech pack
+   * @returns {Object} Tech pack with total_quantity
+   */
+  present(techPack) {
+    return {
+      ...techPack,
+      total_quantity: summarizeSizeBreakdown(techPack.size_breakdown || []).total
+    };
+  }
+
+  /**
+   * Fetch the source's image as a JPEG for the PDF
+   * Images outside Cloudinary and failed fetches are left out rather than failing the PDF.
+   * @param {string|null} url - Image URL
+   * @returns {Promise<Buffer|null>} JPEG data
+   */
+  async fetchImage(url) {
+    if (!url || !CLOUDINARY_IMAGE_URL.test(url)) return null;
+
+    // Ask Cloudinary for a JPEG rendition, the only format the PDF writer embeds
+    const jpegUrl = url.replace('/image/upload/', '/image/upload/f_jpg,q_80,w_1000,c_limit/');
+
+    try {
+      const response = await axios.get(jpegUrl, {
+        responseType: 'arraybuffer',
+        timeout: IMAGE_FETCH_TIMEOUT_MS,
+        maxContentLength: IMAGE_MAX_BYTES
+      });
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error('[TechPackService] Image fetch failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Render a tech pack to PDF
+   * @param {Object} techPack - Tech pack
+   * @param {Object} source - Result of getSource
+   * @returns {Promise<Buffer>} PDF data
+   */
+  async renderPdf(techPack, source) {
+    const [buyer, image] = await Promise.all([
+      databaseService.findBuyerProfile(techPack.buyer_id),
+      this.fetchImage(source.record.image_url)
+    ]);
+
+    return renderer.render({ techPack, source, buyer, image });
+  }
+
+  /**
+   * Render a tech pack's PDF, store it in Cloudinary and record its URL
+   * @param {Object} techPack - Tech pack
+   * @param {Object} source - Result of getSource
+   * @returns {Promise<Object>} Updated tech pack
+   */
+  async publishPdf(techPack, source) {
+    const pdf = await this.renderPdf(techPack, source);
+    const reference = source.type === 'ai_design' ? source.record.design_no : source.record.requirement_no;
+
+    const result = await uploadToCloudinary(pdf, {
+      folder: `groupo-tech-packs/${techPack.buyer_id}`,
+      resource_type: 'raw',
+      // Raw files keep their extension in the public ID; re-rendering overwrites the previous PDF
+      public_id: `${String(reference || techPack.id).toLowerCase()}-tech-pack.pdf`,
+      overwrite: true,
+      invalidate: true,
+      context: {
+        tech_pack_id: techPack.id,
+        buyer_id: techPack.buyer_id
+      },
+      tags: ['tech-pack', source.type]
+    });
+
+    return databaseService.updateTechPack(techPack.id, {
+      pdf_url: result.secure_url,
+      pdf_public_id: result.public_id,
+      pdf_generated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Get a tech pack's PDF URL, rendering the PDF if there is no current one
+   * @param {Object} techPack - Tech pack
+   * @param {Object} source - Result of getSource
+   * @returns {Promise<Object>} Tech pack with pdf_url set
+   */
+  async ensurePdf(techPack, source) {
+    if (techPack.pdf_url) {
+      return techPack;
+    }
+    return this.publishPdf(techPack, source);
+  }
+}
+
+module.exports = new TechPackService();
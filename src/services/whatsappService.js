@@ -222,6 +222,23 @@ https://grupo-dev.vercel.app/manufacturer-portal`;
     return this.sendMessage(phoneNumber, message);
   }
 
+  /**
+   * Send notification when a requirement is awarded to another manufacturer (to the other bidders)
+   * @param {string} phoneNumber - Manufacturer phone number
+   * @param {object} requirement - Requirement details
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async notifyRequirementAwardedElsewhere(phoneNumber, requirement) {
+    const message = `📌 *Requirement Awarded*
+
+The buyer has awarded "${requirement?.requirement_text?.slice(0, 50) || 'the requirement'}${requirement?.requirement_text?.length > 50 ? '...' : ''}" to another manufacturer, so your quote has been closed.
+
+Thank you for quoting! Login to your Grupo manufacturer portal to find new requirements.
+https://grupo-dev.vercel.app/manufacturer-portal`;
+
+    return this.sendMessage(phoneNumber, message);
+  }
+
   /**
    * Send notification for new AI design (to manufacturers)
    * @param {string} phoneNumber - Manufacturer phone number
@@ -281,6 +298,141 @@ Your quote for the "${aiDesign?.apparel_type || 'AI design'}" has been ${status}
 ${status === 'accepted' ? 'Congratulations! The buyer has accepted your quote. You can now start chatting to finalize details.' : ''}
 
 Login to your Grupo manufacturer portal for more details!
+https://grupo-dev.vercel.app/manufacturer-portal`;
+
+    return this.sendMessage(phoneNumber, message);
+  }
+
+  /**
+   * Send notification for an order status change (to the other party)
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {object} order - Order details
+   * @param {string} recipientRole - Recipient role ('buyer' or 'manufacturer')
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async notifyOrderStatusUpdate(phoneNumber, order, recipientRole) {
+    const statusText = (order?.status || 'updated').replace(/_/g, ' ');
+    const portal = recipientRole === 'manufacturer' ? 'manufacturer-portal' : 'buyer-portal';
+
+    const message = `📦 *Order Update on Grupo!*
+
+Order ${order?.order_no || ''} is now *${statusText}*.
+${order?.quantity ? `📊 Quantity: ${order.quantity.toLocaleString()}` : ''}
+
+Login to your Grupo portal to track your order!
+https://grupo-dev.vercel.app/${portal}`;
+
+    return this.sendMessage(phoneNumber, message);
+  }
+
+  /**
+   * Send notification for a new production milestone (to buyers)
+   * @param {string} phoneNumber - Buyer phone number
+   * @param {object} order - Order details
+   * @param {object} milestone - Milestone details (with attachments)
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async notifyOrderMilestone(phoneNumber, order, milestone) {
+    const milestoneText = (milestone?.milestone_type || 'progress update').replace(/_/g, ' ');
+    const photoCount = milestone?.attachments?.length || 0;
+
+    const message = `🧵 *Production Update on Grupo!*
+
+Order ${order?.order_no || ''}: *${milestoneText}* (${milestone?.milestone_date || 'today'})
+${milestone?.notes ? `📝 ${milestone.notes}` : ''}
+${photoCount ? `📷 ${photoCount} photo${photoCount > 1 ? 's' : ''} attached` : ''}
+
+Login to your Grupo buyer portal to view progress!
+https://grupo-dev.vercel.app/buyer-portal`;
+
+    return this.sendMessage(phoneNumber, message);
+  }
+
+  /**
+   * Send notification for a new counter-offer on a requirement quote (to the other party)
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {object} revision - Counter-offer revision details
+   * @param {object} requirement - Requirement details
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async notifyCounterOffer(phoneNumber, revision, requirement) {
+    const fromBuyer = revision?.proposed_by_role === 'buyer';
+    const portal = fromBuyer ? 'manufacturer-portal' : 'buyer-portal';
+
+    const message = `💬 *New Counter-Offer on Grupo!*
+
+The ${fromBuyer ? 'buyer' : 'manufacturer'} has proposed new terms for "${requirement?.requirement_text?.slice(0, 50) || 'the requirement'}${requirement?.requirement_text?.length > 50 ? '...' : ''}".
+
+💰 Per Unit: ₹${Number(revision?.price_per_unit || 0).toLocaleString('en-IN')}
+${revision?.quantity ? `📊 Quantity: ${revision.quantity.toLocaleString()}` : ''}
+${revision?.delivery_time ? `🚚 Delivery: ${revision.delivery_time}` : ''}
+
+Login to your Grupo portal to accept or counter!
+https://grupo-dev.vercel.app/${portal}`;
+
+    return this.sendMessage(phoneNumber, message);
+  }
+
+  /**
+   * Send notification for a counter-offer or revised quote on an AI design (to the other party)
+   * @param {string} phoneNumber - Recipient phone number
+   * @param {object} revision - Proposed revision
+   * @param {object} aiDesign - AI design details
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async notifyAIDesignCounterOffer(phoneNumber, revision, aiDesign) {
+    const fromBuyer = revision?.proposed_by_role === 'buyer';
+    const portal = fromBuyer ? 'manufacturer-portal' : 'buyer-portal';
+
+    const message = `💬 *${fromBuyer ? 'New Counter-Offer' : 'Revised Quote'} on Grupo!*
+
+The ${fromBuyer ? 'buyer' : 'manufacturer'} has proposed new terms for the "${aiDesign?.apparel_type || 'AI design'}".
+
+💰 Per Unit: ₹${Number(revision?.price_per_unit || 0).toLocaleString('en-IN')}
+📊 Quantity: ${Number(revision?.quantity || 0).toLocaleString()}
+🧾 Total (incl. GST & fees): ₹${Number(revision?.quoted_price || 0).toLocaleString('en-IN')}
+
+Login to your Grupo portal to accept or counter!
+https://grupo-dev.vercel.app/${portal}`;
+
+    return this.sendMessage(phoneNumber, message);
+  }
+
+  /**
+   * Send notification when a manufacturer withdraws an AI design quote (to buyers)
+   * @param {string} phoneNumber - Buyer phone number
+   * @param {object} aiDesign - AI design details
+   * @param {object} manufacturer - Manufacturer details
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async notifyAIDesignQuoteWithdrawn(phoneNumber, aiDesign, manufacturer) {
+    const message = `↩️ *Quote Withdrawn on Grupo*
+
+${manufacturer?.unit_name || 'A manufacturer'} has withdrawn their quote for your "${aiDesign?.apparel_type || 'AI design'}".
+
+Login to your Grupo buyer portal to review the other quotes!
+https://grupo-dev.vercel.app/buyer-portal`;
+
+    return this.sendMessage(phoneNumber, message);
+  }
+
+  /**
+   * Send notification when a KYC document is rejected or needs re-upload (to manufacturers)
+   * @param {string} phoneNumber - Manufacturer phone number
+   * @param {string} documentLabel - Human-readable document name
+   * @param {string} status - New document status (rejected, reupload_requested)
+   * @param {string} reason - Reason given by the reviewer
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async notifyKycDocumentUpdate(phoneNumber, documentLabel, status, reason) {
+    const heading = status === 'rejected' ? '❌ *KYC Document Rejected*' : '📄 *KYC Document Re-upload Requested*';
+
+    const message = `${heading}
+
+Your ${documentLabel} could not be verified.
+Reason: ${reason}
+
+Please upload a corrected document from your Grupo manufacturer portal to complete verification.
 https://grupo-dev.vercel.app/manufacturer-portal`;
 
     return this.sendMessage(phoneNumber, message);
@@ -0,0 +1,88 @@
+const BROWSERS = [
+  [/Edg(e|A|iOS)?\//, 'Edge'],
+  [/OPR\/|Opera/, 'Opera'],
+  [/SamsungBrowser\//, 'Samsung Internet'],
+  [/CriOS\/|Chrome\//, 'Chrome'],
+  [/FxiOS\/|Firefox\//, 'Firefox'],
+  [/Version\/[\d.]+.*Safari\//, 'Safari'],
+  [/okhttp|Dart\/|CFNetwork/, 'Mobile app']
+];
+
+const OPERATING_SYSTEMS = [
+  [/Android/, 'Android'],
+  [/iPhone|iPad|iPod/, 'iOS'],
+  [/Windows/, 'Windows'],
+  [/Mac OS X|Macintosh/, 'macOS'],
+  [/CrOS/, 'ChromeOS'],
+  [/Linux/, 'Linux']
+];
+
+const match = (userAgent, patterns) => {
+  const found = patterns.find(([pattern]) => pattern.test(userAgent));
+  return found ? found[1] : null;
+};
+
+/**
+ * Describe a device from its user agent (e.g. "Chrome on Android")
+ * @param {string} userAgent - User-Agent header
+ * @returns {string|null} Device description or null if unknown
+ */
+const describeDevice = (userAgent) => {
+  if (!userAgent) return null;
+  const browser = match(userAgent, BROWSERS);
+  const os = match(userAgent, OPERATING_SYSTEMS);
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || null;
+};
+
+/**
+ * Read the Express "trust proxy" setting from TRUST_PROXY
+ * A number trusts that many proxy hops; anything else is a comma-separated list of addresses or
+ * subnets (e.g. "loopback, 10.0.0.0/8"). Unset trusts no proxy. "true" is refused: it would take
+ * the client-supplied leftmost X-Forwarded-For entry as the client IP.
+ * @param {string|undefined} value - TRUST_PROXY
+ * @returns {number|string|boolean} Value for app.set('trust proxy')
+ */
+const parseTrustProxy = (value) => {
+  const setting = (value || '').trim();
+  if (!setting || setting === 'false') return false;
+  if (setting === 'true') {
+    throw new Error('TRUST_PROXY=true trusts any X-Forwarded-For value; set a hop count or proxy subnets instead');
+  }
+  if (/^\d+$/.test(setting)) return parseInt(setting, 10);
+  return setting;
+};
+
+/**
+ * Get the client IP of a request
+ * X-Forwarded-For is only honoured for the proxies trusted by the "trust proxy" setting, so
+ * clients cannot pick their own IP.
+ * @param {Object} req - Express request
+ * @returns {string|null} IP address
+ */
+const getClientIp = (req) => req.ip || (req.socket && req.socket.remoteAddress) || null;
+
+/**
+ * Collect the client details stored with a login session
+ * @param {Object} req - Express request
+ * @returns {{ ip_address: string|null, user_agent: string|null, device_name: string|null }}
+ */
+const getClientInfo = (req) => {
+  const userAgent = (req.headers && req.headers['user-agent']) || null;
+  const deviceName = req.body && typeof req.body.deviceName === 'string' && req.body.deviceName.trim()
+    ? req.body.deviceName.trim().slice(0, 255)
+    : describeDevice(userAgent);
+
+  return {
+    ip_address: getClientIp(req),
+    user_agent: userAgent,
+    device_name: deviceName
+  };
+};
+
+module.exports = {
+  describeDevice,
+  parseTrustProxy,
+  getClientIp,
+  getClientInfo
+};
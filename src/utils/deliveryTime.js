@@ -0,0 +1,44 @@
+// Quotes give delivery times as free text ("15 days", "2-3 weeks", "1 month"); a bare number means days
+const UNIT_DAYS = {
+  day: 1,
+  week: 7,
+  wk: 7,
+  month: 30
+};
+
+const DELIVERY_TIME_PATTERN = /^(\d{1,3})(?:\s*(?:-|to)\s*(\d{1,3}))?\s*(days?|weeks?|wks?|months?)?$/i;
+
+/**
+ * Read the number of days in a quoted delivery time, taking the longer end of a range
+ * @param {string|null} deliveryTime - Delivery time from a quote
+ * @returns {number|null} Days, or null when the text is not understood
+ */
+const parseDeliveryDays = (deliveryTime) => {
+  if (!deliveryTime || typeof deliveryTime !== 'string') return null;
+
+  const match = deliveryTime.trim().match(DELIVERY_TIME_PATTERN);
+  if (!match) return null;
+
+  const amount = Math.max(parseInt(match[1], 10), match[2] ? parseInt(match[2], 10) : 0);
+  const unit = (match[3] || 'day').toLowerCase().replace(/s$/, '');
+  const days = amount * UNIT_DAYS[unit];
+
+  return days > 0 ? days : null;
+};
+
+/**
+ * Work out when an order is due from the quoted delivery time
+ * @param {string|null} deliveryTime - Delivery time from the accepted quote
+ * @param {Date} [from] - When the order was confirmed
+ * @returns {string|null} ISO timestamp, or null when the delivery time is not understood
+ */
+const getDueDate = (deliveryTime, from = new Date()) => {
+  const days = parseDeliveryDays(deliveryTime);
+  if (days === null) return null;
+  return new Date(from.getTime() + days * 24 * 60 * 60 * 1000).toISOString();
+};
+
+module.exports = {
+  parseDeliveryDays,
+  getDueDate
+};
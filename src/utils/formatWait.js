@@ -0,0 +1,17 @@
+const plural = (count, unit) => (count === 1 ? `1 ${unit}` : `${count} ${unit}s`);
+
+/**
+ * Describe a wait for users, e.g. "45 seconds", "3 minutes" or "2 days"
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} Human-readable wait
+ */
+const formatWait = (seconds) => {
+  if (seconds < 60) return plural(seconds, 'second');
+  if (seconds < 60 * 60) return plural(Math.ceil(seconds / 60), 'minute');
+  if (seconds < 24 * 60 * 60) return plural(Math.ceil(seconds / (60 * 60)), 'hour');
+  return plural(Math.ceil(seconds / (24 * 60 * 60)), 'day');
+};
+
+module.exports = {
+  formatWait
+};
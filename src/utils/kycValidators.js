@@ -0,0 +1,104 @@
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// PAN 4th character: type of holder (company, person, HUF, firm, AOP, trust, BOI, local authority, AJP, government)
+const PAN_HOLDER_TYPES = 'CPHFATBLJG';
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const CIN_PATTERN = /^[LU][0-9]{5}[A-Z]{2}[0-9]{4}(PLC|PTC|GOI|SGC|FLC|FTC|GAP|GAT|NPL|ULL|ULT|OPC)[0-9]{6}$/;
+const LLPIN_PATTERN = /^[A-Z]{3}-[0-9]{4}$/;
+const UDYAM_PATTERN = /^UDYAM-[A-Z]{2}-[0-9]{2}-[0-9]{7}$/;
+
+const normalize = (value) => (value || '').toString().replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Compute the GSTIN check character (mod-36 Luhn variant over the first 14 characters)
+ * @param {string} gstinBody - First 14 characters of the GSTIN
+ * @returns {string} Expected 15th character
+ */
+const computeGstinCheckChar = (gstinBody) => {
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARSET.indexOf(gstinBody[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+  return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+};
+
+/**
+ * Validate a PAN (format and holder type)
+ * @param {string} value - PAN
+ * @returns {{ valid: boolean, value: string, error?: string }}
+ */
+const validatePAN = (value) => {
+  const pan = normalize(value);
+  if (!PAN_PATTERN.test(pan)) {
+    return { valid: false, value: pan, error: 'PAN must be 5 letters, 4 digits and a letter (e.g. ABCPE1234F)' };
+  }
+  if (!PAN_HOLDER_TYPES.includes(pan[3])) {
+    return { valid: false, value: pan, error: 'PAN has an invalid holder type (4th character)' };
+  }
+  return { valid: true, value: pan };
+};
+
+/**
+ * Validate a GSTIN (format, state code, embedded PAN and check character)
+ * @param {string} value - GSTIN
+ * @returns {{ valid: boolean, value: string, pan?: string, error?: string }}
+ */
+const validateGSTIN = (value) => {
+  const gstin = normalize(value);
+  if (!GSTIN_PATTERN.test(gstin)) {
+    return { valid: false, value: gstin, error: 'GSTIN must be 15 characters (e.g. 27ABCPE1234F1Z5)' };
+  }
+
+  const stateCode = parseInt(gstin.slice(0, 2), 10);
+  if (stateCode < 1 || (stateCode > 38 && stateCode !== 97 && stateCode !== 99)) {
+    return { valid: false, value: gstin, error: 'GSTIN has an invalid state code' };
+  }
+
+  const pan = gstin.slice(2, 12);
+  if (!validatePAN(pan).valid) {
+    return { valid: false, value: gstin, error: 'GSTIN does not contain a valid PAN' };
+  }
+
+  if (computeGstinCheckChar(gstin.slice(0, 14)) !== gstin[14]) {
+    return { valid: false, value: gstin, error: 'GSTIN check digit does not match' };
+  }
+
+  return { valid: true, value: gstin, pan };
+};
+
+/**
+ * Validate a certificate of incorporation number (company CIN or LLP identification number)
+ * @param {string} value - CIN or LLPIN
+ * @returns {{ valid: boolean, value: string, error?: string }}
+ */
+const validateCIN = (value) => {
+  const cin = normalize(value);
+  if (!CIN_PATTERN.test(cin) && !LLPIN_PATTERN.test(cin)) {
+    return { valid: false, value: cin, error: 'COI number must be a 21-character CIN (e.g. U17120MH2015PTC123456) or an LLPIN (e.g. AAB-1234)' };
+  }
+  return { valid: true, value: cin };
+};
+
+/**
+ * Validate an Udyam (MSME) registration number
+ * @param {string} value - Udyam registration number
+ * @returns {{ valid: boolean, value: string, error?: string }}
+ */
+const validateUdyam = (value) => {
+  const udyam = normalize(value);
+  if (!UDYAM_PATTERN.test(udyam)) {
+    return { valid: false, value: udyam, error: 'MSME number must be an Udyam number (e.g. UDYAM-MH-01-0000001)' };
+  }
+  return { valid: true, value: udyam };
+};
+
+module.exports = {
+  computeGstinCheckChar,
+  validatePAN,
+  validateGSTIN,
+  validateCIN,
+  validateUdyam
+};
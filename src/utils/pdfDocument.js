@@ -0,0 +1,338 @@
+/**
+ * Minimal PDF writer - text, lines, rectangles and JPEG images on A4 pages
+ *
+ * Uses the standard Helvetica fonts (no embedding) with WinAnsi encoding, so characters outside
+ * Latin-1 are replaced. Coordinates are in points measured from the top-left corner of the page.
+ */
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' }
+};
+
+// Glyph widths (1/1000 em) for characters 32-126, from the standard Helvetica metrics
+const GLYPH_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+};
+const DEFAULT_GLYPH_WIDTH = 556;
+
+// Characters outside Latin-1 that WinAnsi still encodes
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+  '‰': 0x89, '‹': 0x8b, '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99, '›': 0x9b
+};
+
+/**
+ * Map a string to WinAnsi character codes
+ * @param {string} text - Text
+ * @returns {Array<number>} Character codes
+ */
+const toWinAnsi = (text) => Array.from(String(text)).map((char) => {
+  const code = char.codePointAt(0);
+  if (char === '\t') return 32;
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return code;
+  return WIN_ANSI_EXTRAS[char] || 63; // '?'
+});
+
+const escapeCodes = (codes) => codes.map((code) => {
+  if (code === 40 || code === 41 || code === 92) return `\\${String.fromCharCode(code)}`; // ( ) \
+  if (code < 32 || code > 126) return `\\${code.toString(8).padStart(3, '0')}`;
+  return String.fromCharCode(code);
+}).join('');
+
+const formatNumber = (value) => Number(value.toFixed(2)).toString();
+
+const toColor = (rgb) => rgb.map((channel) => formatNumber(channel / 255)).join(' ');
+
+/**
+ * Read the pixel size and colour components of a baseline or progressive JPEG
+ * @param {Buffer} data - JPEG data
+ * @returns {{ width: number, height: number, components: number }|null} Null if the data is not a JPEG
+ */
+const readJpegInfo = (data) => {
+  if (!Buffer.isBuffer(data) || data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) {
+    return null;
+  }
+
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    // SOF0-SOF15 carry the frame size, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: data.readUInt16BE(offset + 5),
+        width: data.readUInt16BE(offset + 7),
+        components: data[offset + 9]
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+};
+
+class PdfDocument {
+  constructor() {
+    this.pages = [];
+    this.images = [];
+    this.addPage();
+  }
+
+  get pageWidth() {
+    return PAGE_WIDTH;
+  }
+
+  get pageHeight() {
+    return PAGE_HEIGHT;
+  }
+
+  /**
+   * Start a new page; later drawing goes to it
+   */
+  addPage() {
+    this.page = { ops: [] };
+    this.pages.push(this.page);
+  }
+
+  /**
+   * Switch drawing to an existing page (e.g. to add footers once the page count is known)
+   * @param {number} index - Zero-based page index
+   */
+  switchToPage(index) {
+    this.page = this.pages[index];
+  }
+
+  /**
+   * Width of a string in points
+   * @param {string} text - Text
+   * @param {number} size - Font size
+   * @param {string} [font] - "regular" or "bold"
+   * @returns {number} Width
+   */
+  textWidth(text, size, font = 'regular') {
+    const widths = GLYPH_WIDTHS[font];
+    const units = toWinAnsi(text).reduce((total, code) => (
+      total + (code >= 32 && code <= 126 ? widths[code - 32] : DEFAULT_GLYPH_WIDTH)
+    ), 0);
+    return (units * size) / 1000;
+  }
+
+  /**
+   * Break text into lines that fit a width, keeping explicit line breaks
+   * @param {string} text - Text
+   * @param {number} maxWidth - Line width in points
+   * @param {number} size - Font size
+   * @param {string} [font] - "regular" or "bold"
+   * @returns {Array<string>} Lines
+   */
+  wrapText(text, maxWidth, size, font = 'regular') {
+    const lines = [];
+
+    String(text).split(/\r?\n/).forEach((paragraph) => {
+      let line = '';
+      paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+        let candidate = line ? `${line} ${word}` : word;
+        if (this.textWidth(candidate, size, font) <= maxWidth) {
+          line = candidate;
+          return;
+        }
+
+        if (line) lines.push(line);
+        // Words longer than a line are split across lines
+        candidate = word;
+        while (this.textWidth(candidate, size, font) > maxWidth && candidate.length > 1) {
+          let cut = candidate.length - 1;
+          while (cut > 1 && this.textWidth(candidate.slice(0, cut), size, font) > maxWidth) cut--;
+          lines.push(candidate.slice(0, cut));
+          candidate = candidate.slice(cut);
+        }
+        line = candidate;
+      });
+      lines.push(line);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Draw a single line of text
+   * @param {string} text - Text
+   * @param {number} x - Left edge
+   * @param {number} y - Top of the line
+   * @param {Object} [options] - size (default 10), font ("regular"/"bold"), color ([r, g, b] 0-255)
+   */
+  text(text, x, y, { size = 10, font = 'regular', color = [0, 0, 0] } = {}) {
+    const baseline = PAGE_HEIGHT - y - size * 0.8;
+    this.page.ops.push(
+      `BT /${FONTS[font].resource} ${formatNumber(size)} Tf ${toColor(color)} rg ` +
+      `${formatNumber(x)} ${formatNumber(baseline)} Td (${escapeCodes(toWinAnsi(text))}) Tj ET`
+    );
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start x
+   * @param {number} y1 - Start y
+   * @param {number} x2 - End x
+   * @param {number} y2 - End y
+   * @param {Object} [options] - width (default 0.5), color ([r, g, b] 0-255)
+   */
+  line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+    this.page.ops.push(
+      `${formatNumber(width)} w ${toColor(color)} RG ` +
+      `${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+    );
+  }
+
+  /**
+   * Draw a rectangle
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Width
+   * @param {number} height - Height
+   * @param {Object} [options] - fill and/or stroke colour ([r, g, b] 0-255), lineWidth
+   */
+  rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+    if (!fill && !stroke) return;
+    const path = `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`;
+    const ops = [];
+    if (fill) ops.push(`${toColor(fill)} rg`);
+    if (stroke) ops.push(`${formatNumber(lineWidth)} w ${toColor(stroke)} RG`);
+    ops.push(path, fill && stroke ? 'B' : (fill ? 'f' : 'S'));
+    this.page.ops.push(ops.join(' '));
+  }
+
+  /**
+   * Add a JPEG so it can be drawn with drawImage
+   * @param {Buffer} data - JPEG data
+   * @returns {{ name: string, width: number, height: number }|null} Image handle, or null if the data is not a usable JPEG
+   */
+  addJpeg(data) {
+    const info = readJpegInfo(data);
+    if (!info || ![1, 3].includes(info.components)) {
+      return null;
+    }
+
+    const image = { name: `Im${this.images.length + 1}`, data, ...info };
+    this.images.push(image);
+    return { name: image.name, width: info.width, height: info.height };
+  }
+
+  /**
+   * Draw an image added with addJpeg
+   * @param {Object} image - Handle returned by addJpeg
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} width - Drawn width
+   * @param {number} height - Drawn height
+   */
+  drawImage(image, x, y, width, height) {
+    this.page.ops.push(
+      `q ${formatNumber(width)} 0 0 ${formatNumber(height)} ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} cm /${image.name} Do Q`
+    );
+  }
+
+  /**
+   * Serialise the document
+   * @returns {Buffer} PDF data
+   */
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const stream = (dict, data) => Buffer.concat([
+      Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'),
+      data,
+      Buffer.from('\nendstream', 'latin1')
+    ]);
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+
+    const fontRefs = Object.values(FONTS).map(({ resource, baseFont }) => {
+      const id = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+      return `/${resource} ${id} 0 R`;
+    });
+
+    const imageRefs = this.images.map((image) => {
+      const colorSpace = image.components === 1 ? '/DeviceGray' : '/DeviceRGB';
+      const id = addObject(stream(
+        `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`,
+        image.data
+      ));
+      return `/${image.name} ${id} 0 R`;
+    });
+
+    const resources = `<< /Font << ${fontRefs.join(' ')} >>` +
+      (imageRefs.length > 0 ? ` /XObject << ${imageRefs.join(' ')} >>` : '') + ' >>';
+
+    const pageIds = this.pages.map((page) => {
+      const contentId = addObject(stream('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'))));
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources ${resources} /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+      const offset = length;
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+      chunks.push(chunk);
+      length += chunk.length;
+      return offset;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF',
+      ''
+    ].join('\n');
+    chunks.push(Buffer.from(xref, 'latin1'));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+module.exports = PdfDocument;
+module.exports.PAGE_WIDTH = PAGE_WIDTH;
+module.exports.PAGE_HEIGHT = PAGE_HEIGHT;
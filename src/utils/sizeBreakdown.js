@@ -0,0 +1,200 @@
+// Size-wise quantities are stored as rows of { size, color, quantity }; color is null when one colour is ordered.
+// Quote rows may also carry price_per_unit where that size is priced differently from the rest of the quote.
+
+const MAX_ROWS = 200;
+const MAX_SIZE_LENGTH = 20;
+const MAX_COLOR_LENGTH = 50;
+
+// Usual garment sizes, smallest first; other labels sort numerically, then in the order given
+const SIZE_ORDER = ['XXXS', '3XS', 'XXS', '2XS', 'XS', 'S', 'M', 'L', 'XL', 'XXL', '2XL', 'XXXL', '3XL', '4XL', '5XL', '6XL'];
+
+const sizeRank = (size) => {
+  const index = SIZE_ORDER.indexOf(size.toUpperCase());
+  if (index !== -1) return [0, index];
+  const number = parseFloat(size);
+  return Number.isNaN(number) ? [2, 0] : [1, number];
+};
+
+/**
+ * Sort size labels (XS, S, M... then numeric sizes, then anything else in its original order)
+ * @param {Array<string>} sizes - Size labels
+ * @returns {Array<string>} Sorted copy
+ */
+const sortSizes = (sizes) => sizes
+  .map((size, position) => ({ size, position, rank: sizeRank(size) }))
+  .sort((a, b) => (a.rank[0] - b.rank[0]) || (a.rank[1] - b.rank[1]) || (a.position - b.position))
+  .map(({ size }) => size);
+
+const roundPrice = (value) => parseFloat(Number(value).toFixed(2));
+
+/**
+ * Validate size breakdown rows and normalise them
+ * @param {*} value - Rows from a request body
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.allowPrices] - Keep per-row price_per_unit (quotes); ignored otherwise
+ * @returns {{ valid: boolean, rows?: Array<{ size: string, color: string|null, quantity: number, price_per_unit?: number }>, error?: string }}
+ */
+const normalizeSizeBreakdown = (value, { allowPrices = false } = {}) => {
+  if (!Array.isArray(value)) {
+    return { valid: false, error: 'Size breakdown must be a list of { size, color, quantity } rows' };
+  }
+  if (value.length > MAX_ROWS) {
+    return { valid: false, error: `Size breakdown can have at most ${MAX_ROWS} rows` };
+  }
+
+  const rows = [];
+  const seen = new Set();
+
+  for (const [index, row] of value.entries()) {
+    const label = `Row ${index + 1}`;
+    if (!row || typeof row !== 'object') {
+      return { valid: false, error: `${label} must be an object with size and quantity` };
+    }
+
+    const size = typeof row.size === 'string' || typeof row.size === 'number' ? String(row.size).trim() : '';
+    if (!size || size.length > MAX_SIZE_LENGTH) {
+      return { valid: false, error: `${label}: size is required (up to ${MAX_SIZE_LENGTH} characters)` };
+    }
+
+    let color = null;
+    if (row.color !== undefined && row.color !== null && String(row.color).trim() !== '') {
+      if (typeof row.color !== 'string' || row.color.trim().length > MAX_COLOR_LENGTH) {
+        return { valid: false, error: `${label}: color must be text up to ${MAX_COLOR_LENGTH} characters` };
+      }
+      color = row.color.trim();
+    }
+
+    const quantity = Number(row.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return { valid: false, error: `${label}: quantity must be a whole number greater than 0` };
+    }
+
+    const key = `${(color || '').toLowerCase()}|${size.toLowerCase()}`;
+    if (seen.has(key)) {
+      return { valid: false, error: `${label}: size ${size}${color ? ` in ${color}` : ''} is listed twice` };
+    }
+    seen.add(key);
+
+    const normalized = { size, color, quantity };
+    if (allowPrices && row.price_per_unit !== undefined && row.price_per_unit !== null && row.price_per_unit !== '') {
+      const price = Number(row.price_per_unit);
+      if (!(price > 0)) {
+        return { valid: false, error: `${label}: price per unit must be greater than 0` };
+      }
+      normalized.price_per_unit = roundPrice(price);
+    }
+
+    rows.push(normalized);
+  }
+
+  const withColor = rows.filter((row) => row.color !== null).length;
+  if (withColor > 0 && withColor < rows.length) {
+    return { valid: false, error: 'Give a color on every row, or on none when one colour is ordered' };
+  }
+
+  return { valid: true, rows };
+};
+
+/**
+ * Arrange size breakdown rows as a colour × size grid with totals
+ * @param {Array} rows - Normalised rows
+ * @returns {{ sizes: Array<string>, colors: Array<string|null>, quantityOf: Function, sizeTotals: Object, colorTotals: Object, total: number }}
+ *   quantityOf(color, size) returns the quantity or 0; colors is [null] when no colours are given
+ */
+const summarizeSizeBreakdown = (rows = []) => {
+  const sizes = sortSizes([...new Set(rows.map((row) => row.size))]);
+  const colors = [...new Set(rows.map((row) => row.color))];
+  const quantities = new Map(rows.map((row) => [`${row.color}|${row.size}`, row.quantity]));
+
+  const sizeTotals = {};
+  const colorTotals = {};
+  let total = 0;
+  rows.forEach((row) => {
+    sizeTotals[row.size] = (sizeTotals[row.size] || 0) + row.quantity;
+    colorTotals[row.color] = (colorTotals[row.color] || 0) + row.quantity;
+    total += row.quantity;
+  });
+
+  return {
+    sizes,
+    colors,
+    quantityOf: (color, size) => quantities.get(`${color}|${size}`) || 0,
+    sizeTotals,
+    colorTotals,
+    total
+  };
+};
+
+/**
+ * Total quantity of size breakdown rows
+ * @param {Array} rows - Normalised rows
+ * @returns {number} Total
+ */
+const getBreakdownTotal = (rows = []) => rows.reduce((total, row) => total + row.quantity, 0);
+
+/**
+ * Whether any row is priced separately from the quote's price per unit
+ * @param {Array} rows - Normalised rows
+ * @returns {boolean}
+ */
+const hasSizePrices = (rows = []) => rows.some((row) => row.price_per_unit !== undefined && row.price_per_unit !== null);
+
+/**
+ * Check a quantity against a size breakdown
+ * A missing quantity is taken from the breakdown; without a breakdown the quantity is used as given.
+ * @param {number|null|undefined} quantity - Quantity given alongside the breakdown
+ * @param {Array} rows - Normalised rows
+ * @returns {{ error?: string, quantity?: number|null }}
+ */
+const reconcileQuantity = (quantity, rows = []) => {
+  if (rows.length === 0) {
+    return { quantity: quantity === undefined ? null : quantity };
+  }
+
+  const total = getBreakdownTotal(rows);
+  if (quantity === undefined || quantity === null) {
+    return { quantity: total };
+  }
+  if (quantity !== total) {
+    return { error: `Quantity (${quantity}) must equal the size breakdown total (${total})` };
+  }
+  return { quantity };
+};
+
+/**
+ * Price each row, using the row's own price or the quote's price per unit
+ * @param {Array} rows - Normalised rows
+ * @param {number} basePrice - Quote's price per unit
+ * @returns {Array<{ size: string, color: string|null, quantity: number, price_per_unit: number, amount: number }>} Priced lines
+ */
+const priceSizeBreakdown = (rows, basePrice) => rows.map((row) => {
+  const pricePerUnit = row.price_per_unit !== undefined && row.price_per_unit !== null ? row.price_per_unit : roundPrice(basePrice);
+  return {
+    size: row.size,
+    color: row.color,
+    quantity: row.quantity,
+    price_per_unit: pricePerUnit,
+    amount: roundPrice(pricePerUnit * row.quantity)
+  };
+});
+
+/**
+ * Total price of a size breakdown, using each row's own price or the quote's price per unit
+ * @param {Array} rows - Normalised rows
+ * @param {number} basePrice - Quote's price per unit
+ * @returns {number} Sum of the priced lines
+ */
+const getPricedTotal = (rows, basePrice) => roundPrice(
+  priceSizeBreakdown(rows, basePrice).reduce((total, line) => total + line.amount, 0)
+);
+
+module.exports = {
+  sortSizes,
+  normalizeSizeBreakdown,
+  summarizeSizeBreakdown,
+  getBreakdownTotal,
+  hasSizePrices,
+  reconcileQuantity,
+  priceSizeBreakdown,
+  getPricedTotal
+};
@@ -0,0 +1,88 @@
+/**
+ * Check that a string is an IANA time zone the runtime knows (e.g. "Asia/Kolkata")
+ * @param {string} timeZone - Time zone name
+ * @returns {boolean}
+ */
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall-clock date and time of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Time zone name
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+const getZonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  return parts.reduce((acc, part) => {
+    if (part.type !== 'literal') acc[part.type] = parseInt(part.value, 10);
+    return acc;
+  }, {});
+};
+
+/**
+ * Offset of a time zone from UTC at an instant, in milliseconds
+ * @param {Date} date - Instant
+ * @param {string} timeZone - Time zone name
+ * @returns {number}
+ */
+const getOffsetMs = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const wallClockAsUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return wallClockAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant at which a wall-clock midnight occurs in a time zone
+ * Month and day may overflow (e.g. day 32) and are normalised like Date.UTC.
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {string} timeZone - Time zone name
+ * @returns {Date}
+ */
+const startOfZonedDay = (year, month, day, timeZone) => {
+  const wallClock = Date.UTC(year, month - 1, day);
+  const guess = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+  // Re-check with the offset at the guessed instant in case a DST change falls in between
+  return new Date(wallClock - getOffsetMs(new Date(guess), timeZone));
+};
+
+/**
+ * Start and end of the current day and month in a time zone
+ * @param {string} timeZone - Time zone name
+ * @param {Date} [now] - Instant to evaluate (defaults to now)
+ * @returns {{ dayStart: Date, dayEnd: Date, monthStart: Date, monthEnd: Date }}
+ */
+const getPeriodBounds = (timeZone, now = new Date()) => {
+  const { year, month, day } = getZonedParts(now, timeZone);
+
+  return {
+    dayStart: startOfZonedDay(year, month, day, timeZone),
+    dayEnd: startOfZonedDay(year, month, day + 1, timeZone),
+    monthStart: startOfZonedDay(year, month, 1, timeZone),
+    monthEnd: startOfZonedDay(year, month + 1, 1, timeZone)
+  };
+};
+
+module.exports = {
+  isValidTimeZone,
+  getPeriodBounds
+};
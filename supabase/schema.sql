@@ -4,24 +4,73 @@
 -- AUTH TABLES
 -- ===========================================
 
+-- OTPs are stored as salted HMACs, never in plaintext
 CREATE TABLE IF NOT EXISTS otp_sessions (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   phone_number VARCHAR(20) NOT NULL,
-  otp_code VARCHAR(10) NOT NULL,
+  otp_hash VARCHAR(64) NOT NULL,
+  otp_salt VARCHAR(32) NOT NULL,
   expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
   is_verified BOOLEAN DEFAULT FALSE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   attempts INTEGER DEFAULT 0
 );
 
+-- Failed OTP verifications per phone number and per IP; repeated failures lock the key out for progressively longer
+CREATE TABLE IF NOT EXISTS auth_lockouts (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  scope VARCHAR(10) NOT NULL CHECK (scope IN ('phone', 'ip')),
+  identifier VARCHAR(64) NOT NULL,
+  failure_count INTEGER NOT NULL DEFAULT 0,
+  lockout_count INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMP WITH TIME ZONE,
+  last_failure_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_auth_lockout_key UNIQUE (scope, identifier)
+);
+
+-- Fixed-window request counters used when RATE_LIMIT_STORE=postgres; key is "<policy>:<user or ip>"
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  key VARCHAR(255) PRIMARY KEY,
+  hits INTEGER NOT NULL DEFAULT 0,
+  reset_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One row per refresh token; rotation retires the row and adds a new one to the same family.
+-- Access tokens carry the family_id, so revoking a family ends the session everywhere.
 CREATE TABLE IF NOT EXISTS user_sessions (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  family_id UUID NOT NULL,
   profile_id UUID NOT NULL,
   profile_type VARCHAR(20) NOT NULL CHECK (profile_type IN ('buyer', 'manufacturer')),
-  token_hash VARCHAR(255) NOT NULL,
+  token_hash VARCHAR(255) UNIQUE NOT NULL,
   expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-  is_active BOOLEAN DEFAULT TRUE
+  is_active BOOLEAN DEFAULT TRUE,
+  device_name VARCHAR(255),
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  rotated_at TIMESTAMP WITH TIME ZONE,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason VARCHAR(50)
+);
+
+CREATE TABLE IF NOT EXISTS admin_users (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  username VARCHAR(100) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  full_name VARCHAR(255),
+  email VARCHAR(255),
+  role VARCHAR(20) NOT NULL DEFAULT 'support' CHECK (role IN ('super_admin', 'verifier', 'support')),
+  is_active BOOLEAN DEFAULT TRUE,
+  created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  password_changed_at TIMESTAMP WITH TIME ZONE,
+  last_login TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- ===========================================
@@ -36,6 +85,9 @@ CREATE TABLE IF NOT EXISTS buyer_profiles (
   email VARCHAR(255),
   business_address TEXT,
   about_business TEXT,
+  -- Design generation quota plan (see quota_plans) and the time zone its daily/monthly limits reset in
+  quota_plan VARCHAR(20) DEFAULT 'free',
+  timezone VARCHAR(64),
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   last_login TIMESTAMP WITH TIME ZONE
@@ -53,6 +105,9 @@ CREATE TABLE IF NOT EXISTS manufacturer_profiles (
   product_types TEXT[] DEFAULT '{}',
   daily_capacity INTEGER DEFAULT 0,
   location TEXT,
+  -- Unit coordinates for the directory's radius search; only distances are shown to other users
+  latitude DOUBLE PRECISION CHECK (latitude BETWEEN -90 AND 90),
+  longitude DOUBLE PRECISION CHECK (longitude BETWEEN -180 AND 180),
   manufacturing_unit_image_url TEXT,
   msme_number VARCHAR(50),
   msme_file_url TEXT,
@@ -61,11 +116,31 @@ CREATE TABLE IF NOT EXISTS manufacturer_profiles (
   onboarding_completed_at TIMESTAMP WITH TIME ZONE,
   is_verified BOOLEAN DEFAULT FALSE,
   verification_status VARCHAR(20) DEFAULT 'pending' CHECK (verification_status IN ('pending', 'Accepted', 'Rejected', 'Blocked')),
+  verification_updated_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  verification_updated_at TIMESTAMP WITH TIME ZONE,
+  pricing_plan VARCHAR(50) DEFAULT 'standard',
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   last_login TIMESTAMP WITH TIME ZONE
 );
 
+-- KYC documents, one row per manufacturer and document type, each reviewed separately
+CREATE TABLE IF NOT EXISTS manufacturer_documents (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  manufacturer_id UUID NOT NULL REFERENCES manufacturer_profiles(id) ON DELETE CASCADE,
+  document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('gst', 'pan', 'coi', 'msme', 'other_certificates')),
+  document_number VARCHAR(50),
+  file_url TEXT,
+  status VARCHAR(30) DEFAULT 'submitted' CHECK (status IN ('submitted', 'under_review', 'approved', 'rejected', 'reupload_requested')),
+  rejection_reason TEXT,
+  reviewed_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_manufacturer_document_type UNIQUE (manufacturer_id, document_type)
+);
+
 -- ===========================================
 -- CHAT TABLES
 -- ===========================================
@@ -113,10 +188,28 @@ CREATE TABLE IF NOT EXISTS requirements (
   requirement_no VARCHAR(50) UNIQUE NOT NULL,
   requirement_text TEXT NOT NULL,
   quantity INTEGER,
+  -- [{ "size": "M", "color": "Navy", "quantity": 40 }]; when given, quantities add up to quantity
+  size_breakdown JSONB NOT NULL DEFAULT '[]',
   product_type VARCHAR(255),
   product_link TEXT,
   image_url TEXT,
   notes TEXT,
+  -- open: taking quotes; closed: withdrawn by the buyer; awarded: a quote was accepted; expired: quote_deadline passed
+  status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed', 'awarded', 'expired')),
+  quote_deadline TIMESTAMP WITH TIME ZONE,
+  -- open: listed for every manufacturer and pushed to matched ones; invite_only: only invited manufacturers see it
+  distribution_mode VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (distribution_mode IN ('open', 'invite_only')),
+  -- Optional matching preferences for open requirements
+  preferred_business_types TEXT[] DEFAULT '{}',
+  preferred_location TEXT,
+  awarded_response_id UUID,
+  closed_at TIMESTAMP WITH TIME ZONE,
+  -- Full-text search document, kept in step with the text columns by Postgres
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(product_type, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(requirement_text, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(notes, '')), 'B')
+  ) STORED,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -128,14 +221,54 @@ CREATE TABLE IF NOT EXISTS requirement_responses (
   quoted_price DECIMAL(10, 2) NOT NULL,
   price_per_unit DECIMAL(10, 2) NOT NULL,
   delivery_time VARCHAR(255) NOT NULL,
+  quantity INTEGER,
+  -- Quoted sizes; a row's price_per_unit overrides the quote's price per unit for that size
+  size_breakdown JSONB NOT NULL DEFAULT '[]',
+  gst DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  platform_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  price_breakdown JSONB,
   notes TEXT,
   status VARCHAR(20) DEFAULT 'submitted' CHECK (status IN ('submitted', 'accepted', 'rejected', 'negotiating')),
+  agreed_revision_no INTEGER,
   accepted_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   CONSTRAINT uq_requirement_manufacturer UNIQUE (requirement_id, manufacturer_id)
 );
 
+-- Manufacturers a requirement was sent to: picked by the matching engine or invited by the buyer
+CREATE TABLE IF NOT EXISTS requirement_recipients (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  requirement_id UUID NOT NULL REFERENCES requirements(id) ON DELETE CASCADE,
+  manufacturer_id UUID NOT NULL REFERENCES manufacturer_profiles(id) ON DELETE CASCADE,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('matched', 'invited')),
+  match_score INTEGER,
+  match_reasons TEXT[] DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_requirement_recipient UNIQUE (requirement_id, manufacturer_id)
+);
+
+CREATE TABLE IF NOT EXISTS requirement_response_revisions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  response_id UUID NOT NULL REFERENCES requirement_responses(id) ON DELETE CASCADE,
+  revision_no INTEGER NOT NULL,
+  proposed_by_role VARCHAR(20) NOT NULL CHECK (proposed_by_role IN ('buyer', 'manufacturer')),
+  proposed_by UUID NOT NULL,
+  price_per_unit DECIMAL(10, 2) NOT NULL,
+  quantity INTEGER,
+  size_breakdown JSONB NOT NULL DEFAULT '[]',
+  delivery_time VARCHAR(255) NOT NULL,
+  quoted_price DECIMAL(12, 2) NOT NULL,
+  gst DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  platform_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  price_breakdown JSONB,
+  notes TEXT,
+  status VARCHAR(20) DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'rejected', 'superseded')),
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_requirement_response_revision UNIQUE (response_id, revision_no)
+);
+
 -- ===========================================
 -- AI DESIGNS TABLES
 -- ===========================================
@@ -148,36 +281,348 @@ CREATE TABLE IF NOT EXISTS ai_designs (
   design_description TEXT,
   image_url TEXT NOT NULL,
   quantity INTEGER NOT NULL,
+  -- Same shape as requirements.size_breakdown
+  size_breakdown JSONB NOT NULL DEFAULT '[]',
   preferred_colors TEXT,
   print_placement VARCHAR(255),
   status VARCHAR(20) DEFAULT 'published' CHECK (status IN ('published', 'draft', 'archived')),
+  -- Variations link back to the design they were derived from and to the first design of the lineage
+  parent_design_id UUID REFERENCES ai_designs(id) ON DELETE SET NULL,
+  root_design_id UUID REFERENCES ai_designs(id) ON DELETE SET NULL,
+  variation_type VARCHAR(20) CHECK (variation_type IN ('recolor', 'placement', 'apparel_type')),
+  -- Version whose image and brief the row shows (the pushed version once published)
+  current_version_id UUID,
+  search_vector TSVECTOR GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', COALESCE(apparel_type, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(design_description, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(preferred_colors, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(print_placement, '')), 'C')
+  ) STORED,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Ordered image/brief history of a design; version_no is assigned on insert
+CREATE TABLE IF NOT EXISTS ai_design_versions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  ai_design_id UUID NOT NULL REFERENCES ai_designs(id) ON DELETE CASCADE,
+  version_no INTEGER NOT NULL,
+  image_url TEXT NOT NULL,
+  apparel_type VARCHAR(255) NOT NULL,
+  design_description TEXT,
+  preferred_colors TEXT,
+  print_placement VARCHAR(255),
+  source VARCHAR(20) NOT NULL DEFAULT 'upload' CHECK (source IN ('upload', 'generated')),
+  prompt TEXT,
+  generation_id UUID,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_ai_design_version_no UNIQUE (ai_design_id, version_no)
+);
+
 CREATE TABLE IF NOT EXISTS ai_design_responses (
   id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
   ai_design_id UUID NOT NULL REFERENCES ai_designs(id) ON DELETE CASCADE,
   manufacturer_id UUID NOT NULL REFERENCES manufacturer_profiles(id) ON DELETE CASCADE,
   price_per_unit DECIMAL(10, 2) NOT NULL,
   quantity INTEGER NOT NULL,
+  -- Same shape as requirement_responses.size_breakdown
+  size_breakdown JSONB NOT NULL DEFAULT '[]',
   gst DECIMAL(10, 2) NOT NULL DEFAULT 0,
   platform_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
   quoted_price DECIMAL(10, 2) NOT NULL,
-  status VARCHAR(20) DEFAULT 'submitted' CHECK (status IN ('submitted', 'accepted', 'rejected', 'negotiating')),
+  price_breakdown JSONB,
+  status VARCHAR(20) DEFAULT 'submitted' CHECK (status IN ('submitted', 'accepted', 'rejected', 'negotiating', 'withdrawn')),
+  agreed_revision_no INTEGER,
+  withdrawn_at TIMESTAMP WITH TIME ZONE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   CONSTRAINT uq_ai_design_manufacturer UNIQUE (ai_design_id, manufacturer_id)
 );
 
+CREATE TABLE IF NOT EXISTS ai_design_response_revisions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  response_id UUID NOT NULL REFERENCES ai_design_responses(id) ON DELETE CASCADE,
+  revision_no INTEGER NOT NULL,
+  proposed_by_role VARCHAR(20) NOT NULL CHECK (proposed_by_role IN ('buyer', 'manufacturer')),
+  proposed_by UUID NOT NULL,
+  price_per_unit DECIMAL(10, 2) NOT NULL,
+  quantity INTEGER NOT NULL,
+  size_breakdown JSONB NOT NULL DEFAULT '[]',
+  gst DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  platform_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  quoted_price DECIMAL(12, 2) NOT NULL,
+  price_breakdown JSONB,
+  notes TEXT,
+  status VARCHAR(20) DEFAULT 'proposed' CHECK (status IN ('proposed', 'accepted', 'rejected', 'superseded')),
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_ai_design_response_revision UNIQUE (response_id, revision_no)
+);
+
+-- ===========================================
+-- TECH PACK TABLES
+-- ===========================================
+
+-- Production spec for one AI design or one requirement, rendered to a PDF on demand.
+-- pdf_url is cleared whenever the tech pack changes so a stale PDF is never served.
+CREATE TABLE IF NOT EXISTS tech_packs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  buyer_id UUID NOT NULL REFERENCES buyer_profiles(id) ON DELETE CASCADE,
+  ai_design_id UUID REFERENCES ai_designs(id) ON DELETE CASCADE,
+  requirement_id UUID REFERENCES requirements(id) ON DELETE CASCADE,
+  title VARCHAR(255),
+  -- [{ "size": "M", "color": "Navy", "quantity": 40 }]; color is null when one colour is ordered
+  size_breakdown JSONB NOT NULL DEFAULT '[]',
+  fabric_composition VARCHAR(255),
+  gsm INTEGER CHECK (gsm > 0),
+  -- [{ "name": "Navy", "code": "19-4024", "system": "Pantone TCX" }]
+  color_references JSONB NOT NULL DEFAULT '[]',
+  print_method VARCHAR(100),
+  print_placement VARCHAR(255),
+  print_details TEXT,
+  -- [{ "name": "Neck label", "details": "Woven, 5 x 2 cm" }]
+  trims JSONB NOT NULL DEFAULT '[]',
+  packaging_type VARCHAR(100),
+  pieces_per_carton INTEGER CHECK (pieces_per_carton > 0),
+  packaging_notes TEXT,
+  notes TEXT,
+  pdf_url TEXT,
+  pdf_public_id TEXT,
+  pdf_generated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT check_tech_pack_source CHECK ((ai_design_id IS NULL) <> (requirement_id IS NULL))
+);
+
+-- ===========================================
+-- ORDERS TABLES
+-- ===========================================
+
+CREATE TABLE IF NOT EXISTS orders (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_no VARCHAR(50) UNIQUE NOT NULL,
+  buyer_id UUID NOT NULL REFERENCES buyer_profiles(id) ON DELETE CASCADE,
+  manufacturer_id UUID NOT NULL REFERENCES manufacturer_profiles(id) ON DELETE CASCADE,
+  source_type VARCHAR(20) NOT NULL CHECK (source_type IN ('requirement', 'ai_design')),
+  requirement_id UUID REFERENCES requirements(id) ON DELETE SET NULL,
+  requirement_response_id UUID UNIQUE REFERENCES requirement_responses(id) ON DELETE SET NULL,
+  ai_design_id UUID REFERENCES ai_designs(id) ON DELETE SET NULL,
+  ai_design_response_id UUID UNIQUE REFERENCES ai_design_responses(id) ON DELETE SET NULL,
+  quantity INTEGER,
+  -- Agreed sizes, copied from the accepted quote
+  size_breakdown JSONB NOT NULL DEFAULT '[]',
+  price_per_unit DECIMAL(10, 2) NOT NULL,
+  gst DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  platform_fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  total_price DECIMAL(12, 2) NOT NULL,
+  price_breakdown JSONB,
+  delivery_time VARCHAR(255),
+  -- When the goods are due, worked out from delivery_time; NULL when the quoted time is not understood
+  -- and for AI design orders, whose quotes have no delivery time
+  due_at TIMESTAMP WITH TIME ZONE,
+  status VARCHAR(20) DEFAULT 'confirmed' CHECK (status IN ('confirmed', 'in_production', 'quality_check', 'shipped', 'delivered', 'closed')),
+  confirmed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  in_production_at TIMESTAMP WITH TIME ZONE,
+  quality_check_at TIMESTAMP WITH TIME ZONE,
+  shipped_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  closed_at TIMESTAMP WITH TIME ZONE,
+  disputed_at TIMESTAMP WITH TIME ZONE,
+  disputed_by VARCHAR(20) CHECK (disputed_by IN ('buyer', 'manufacturer')),
+  dispute_reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT check_order_source CHECK (
+    (source_type = 'requirement' AND ai_design_response_id IS NULL) OR
+    (source_type = 'ai_design' AND requirement_response_id IS NULL)
+  )
+);
+
+CREATE TABLE IF NOT EXISTS order_milestones (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  manufacturer_id UUID NOT NULL REFERENCES manufacturer_profiles(id) ON DELETE CASCADE,
+  milestone_type VARCHAR(30) NOT NULL CHECK (milestone_type IN ('fabric_sourced', 'cutting', 'stitching', 'finishing', 'packed')),
+  milestone_date DATE NOT NULL,
+  notes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS order_milestone_attachments (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  milestone_id UUID NOT NULL REFERENCES order_milestones(id) ON DELETE CASCADE,
+  file_url TEXT NOT NULL,
+  public_id VARCHAR(255),
+  mime_type VARCHAR(255),
+  size_bytes INTEGER,
+  width INTEGER,
+  height INTEGER,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One review per side of a completed order. Buyers review the manufacturer and manufacturers the buyer;
+-- only the reviewed manufacturer may reply, once. Admins hide reviews that break the rules.
+CREATE TABLE IF NOT EXISTS order_reviews (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  buyer_id UUID NOT NULL REFERENCES buyer_profiles(id) ON DELETE CASCADE,
+  manufacturer_id UUID NOT NULL REFERENCES manufacturer_profiles(id) ON DELETE CASCADE,
+  reviewer_role VARCHAR(20) NOT NULL CHECK (reviewer_role IN ('buyer', 'manufacturer')),
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  quality_rating SMALLINT NOT NULL CHECK (quality_rating BETWEEN 1 AND 5),
+  timeliness_rating SMALLINT NOT NULL CHECK (timeliness_rating BETWEEN 1 AND 5),
+  communication_rating SMALLINT NOT NULL CHECK (communication_rating BETWEEN 1 AND 5),
+  comment TEXT,
+  reply TEXT,
+  replied_at TIMESTAMP WITH TIME ZONE,
+  status VARCHAR(20) NOT NULL DEFAULT 'published' CHECK (status IN ('published', 'hidden')),
+  moderation_reason TEXT,
+  moderated_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  moderated_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_order_review_side UNIQUE (order_id, reviewer_role)
+);
+
+-- ===========================================
+-- SCORECARD TABLES
+-- ===========================================
+
+-- Daily snapshot of a manufacturer's performance over the preceding window_days, written by
+-- refresh_manufacturer_scorecards(). Rates are 0-1 and NULL when there is nothing to measure yet.
+CREATE TABLE IF NOT EXISTS manufacturer_scorecards (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  manufacturer_id UUID NOT NULL REFERENCES manufacturer_profiles(id) ON DELETE CASCADE,
+  snapshot_date DATE NOT NULL,
+  window_days INTEGER NOT NULL,
+  median_quote_response_hours NUMERIC(10, 1),
+  quotes_decided INTEGER NOT NULL DEFAULT 0,
+  quotes_won INTEGER NOT NULL DEFAULT 0,
+  quote_win_rate NUMERIC(4, 3),
+  deliveries_due INTEGER NOT NULL DEFAULT 0,
+  deliveries_on_time INTEGER NOT NULL DEFAULT 0,
+  on_time_delivery_rate NUMERIC(4, 3),
+  median_chat_response_hours NUMERIC(10, 1),
+  orders_total INTEGER NOT NULL DEFAULT 0,
+  orders_disputed INTEGER NOT NULL DEFAULT 0,
+  dispute_rate NUMERIC(4, 3),
+  computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT uq_manufacturer_scorecard_day UNIQUE (manufacturer_id, snapshot_date)
+);
+
+-- ===========================================
+-- PRICING TABLES
+-- ===========================================
+
+-- GST slabs by HSN code; a slab applies to unit prices above min_unit_price and up to max_unit_price
+CREATE TABLE IF NOT EXISTS gst_slabs (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  hsn_code VARCHAR(8) NOT NULL,
+  description VARCHAR(255),
+  product_categories TEXT[] DEFAULT '{}',
+  min_unit_price DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  max_unit_price DECIMAL(10, 2),
+  rate DECIMAL(5, 2) NOT NULL CHECK (rate >= 0 AND rate <= 100),
+  is_default BOOLEAN DEFAULT FALSE,
+  is_active BOOLEAN DEFAULT TRUE,
+  updated_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Platform fee tiers by order value; manufacturer_plan NULL applies to every plan
+CREATE TABLE IF NOT EXISTS platform_fee_tiers (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  manufacturer_plan VARCHAR(50),
+  min_order_value DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  max_order_value DECIMAL(12, 2),
+  fee_rate DECIMAL(5, 2) NOT NULL CHECK (fee_rate >= 0 AND fee_rate <= 100),
+  is_active BOOLEAN DEFAULT TRUE,
+  updated_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===========================================
+-- QUOTA TABLES
+-- ===========================================
+
+-- AI design generation limits per buyer plan; a NULL limit means unlimited
+CREATE TABLE IF NOT EXISTS quota_plans (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  code VARCHAR(20) UNIQUE NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  daily_design_limit INTEGER CHECK (daily_design_limit >= 0),
+  monthly_design_limit INTEGER CHECK (monthly_design_limit >= 0),
+  is_active BOOLEAN DEFAULT TRUE,
+  updated_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Admin-set limits for one buyer that replace their plan's limits until expires_at (NULL keeps the plan limit)
+CREATE TABLE IF NOT EXISTS buyer_quota_overrides (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  buyer_id UUID NOT NULL UNIQUE REFERENCES buyer_profiles(id) ON DELETE CASCADE,
+  daily_design_limit INTEGER CHECK (daily_design_limit >= 0),
+  monthly_design_limit INTEGER CHECK (monthly_design_limit >= 0),
+  expires_at TIMESTAMP WITH TIME ZONE,
+  reason TEXT,
+  set_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Append-only design generation usage; usage in a period is the sum of units (refunds are negative)
+CREATE TABLE IF NOT EXISTS design_generation_ledger (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  buyer_id UUID NOT NULL REFERENCES buyer_profiles(id) ON DELETE CASCADE,
+  entry_type VARCHAR(20) NOT NULL DEFAULT 'generation' CHECK (entry_type IN ('generation', 'refund')),
+  units INTEGER NOT NULL DEFAULT 1,
+  quota_plan VARCHAR(20),
+  ai_design_id UUID REFERENCES ai_designs(id) ON DELETE SET NULL,
+  refunded_entry_id UUID REFERENCES design_generation_ledger(id) ON DELETE SET NULL,
+  reason TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===========================================
+-- AUDIT TABLES
+-- ===========================================
+
+-- Append-only record of admin actions (updates and deletes are blocked by trigger)
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  actor_id UUID REFERENCES admin_users(id),
+  actor_username VARCHAR(100),
+  actor_role VARCHAR(20),
+  action VARCHAR(100) NOT NULL,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id VARCHAR(100),
+  before_state JSONB,
+  after_state JSONB,
+  diff JSONB,
+  reason TEXT,
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- ===========================================
 -- INDEXES
 -- ===========================================
 
 CREATE INDEX IF NOT EXISTS idx_otp_sessions_phone_number ON otp_sessions(phone_number);
 CREATE INDEX IF NOT EXISTS idx_otp_sessions_expires_at ON otp_sessions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_auth_lockouts_locked_until ON auth_lockouts(locked_until);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_reset_at ON rate_limit_counters(reset_at);
 CREATE INDEX IF NOT EXISTS idx_user_sessions_profile_id ON user_sessions(profile_id);
 CREATE INDEX IF NOT EXISTS idx_user_sessions_token_hash ON user_sessions(token_hash);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_family_id ON user_sessions(family_id);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_profile_active ON user_sessions(profile_id, profile_type, is_active);
+CREATE INDEX IF NOT EXISTS idx_admin_users_username ON admin_users(username);
 
 CREATE INDEX IF NOT EXISTS idx_buyer_profiles_phone_number ON buyer_profiles(phone_number);
 CREATE INDEX IF NOT EXISTS idx_buyer_profiles_email ON buyer_profiles(email);
@@ -188,6 +633,8 @@ CREATE INDEX IF NOT EXISTS idx_manufacturer_profiles_manufacturer_id ON manufact
 CREATE INDEX IF NOT EXISTS idx_manufacturer_profiles_onboarding_completed ON manufacturer_profiles(onboarding_completed);
 CREATE INDEX IF NOT EXISTS idx_manufacturer_profiles_verification_status ON manufacturer_profiles(verification_status);
 CREATE INDEX IF NOT EXISTS idx_manufacturer_profiles_business_type ON manufacturer_profiles(business_type);
+CREATE INDEX IF NOT EXISTS idx_manufacturer_documents_manufacturer_id ON manufacturer_documents(manufacturer_id);
+CREATE INDEX IF NOT EXISTS idx_manufacturer_documents_status ON manufacturer_documents(status);
 
 CREATE INDEX IF NOT EXISTS idx_conversations_buyer_manufacturer ON conversations(buyer_id, manufacturer_id);
 CREATE INDEX IF NOT EXISTS idx_conversations_last_message_at ON conversations(last_message_at);
@@ -203,21 +650,72 @@ CREATE INDEX IF NOT EXISTS idx_message_attachments_message_id ON message_attachm
 CREATE INDEX IF NOT EXISTS idx_requirements_buyer_id ON requirements(buyer_id);
 CREATE INDEX IF NOT EXISTS idx_requirements_created_at ON requirements(created_at);
 CREATE INDEX IF NOT EXISTS idx_requirements_requirement_no ON requirements(requirement_no);
+CREATE INDEX IF NOT EXISTS idx_requirements_status ON requirements(status);
+CREATE INDEX IF NOT EXISTS idx_requirements_distribution_mode ON requirements(distribution_mode);
+-- Open requirements with a deadline, scanned by the expiry sweep
+CREATE INDEX IF NOT EXISTS idx_requirements_open_quote_deadline ON requirements(quote_deadline) WHERE status = 'open' AND quote_deadline IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_requirements_search_vector ON requirements USING GIN(search_vector);
 
 CREATE INDEX IF NOT EXISTS idx_requirement_responses_requirement_id ON requirement_responses(requirement_id);
 CREATE INDEX IF NOT EXISTS idx_requirement_responses_manufacturer_id ON requirement_responses(manufacturer_id);
 CREATE INDEX IF NOT EXISTS idx_requirement_responses_status ON requirement_responses(status);
+CREATE INDEX IF NOT EXISTS idx_requirement_recipients_manufacturer_id ON requirement_recipients(manufacturer_id);
+CREATE INDEX IF NOT EXISTS idx_requirement_response_revisions_response_id ON requirement_response_revisions(response_id);
+CREATE INDEX IF NOT EXISTS idx_requirement_response_revisions_status ON requirement_response_revisions(status);
 
 CREATE INDEX IF NOT EXISTS idx_ai_designs_buyer_id ON ai_designs(buyer_id);
 CREATE INDEX IF NOT EXISTS idx_ai_designs_status ON ai_designs(status);
+CREATE INDEX IF NOT EXISTS idx_ai_designs_search_vector ON ai_designs USING GIN(search_vector);
 CREATE INDEX IF NOT EXISTS idx_ai_designs_created_at ON ai_designs(created_at);
 CREATE INDEX IF NOT EXISTS idx_ai_designs_apparel_type ON ai_designs(apparel_type);
 CREATE INDEX IF NOT EXISTS idx_ai_designs_design_no ON ai_designs(design_no);
+CREATE INDEX IF NOT EXISTS idx_ai_designs_parent_design_id ON ai_designs(parent_design_id);
+CREATE INDEX IF NOT EXISTS idx_ai_designs_root_design_id ON ai_designs(root_design_id);
+CREATE INDEX IF NOT EXISTS idx_ai_design_versions_ai_design_id ON ai_design_versions(ai_design_id);
 
 CREATE INDEX IF NOT EXISTS idx_ai_design_responses_ai_design_id ON ai_design_responses(ai_design_id);
 CREATE INDEX IF NOT EXISTS idx_ai_design_responses_manufacturer_id ON ai_design_responses(manufacturer_id);
 CREATE INDEX IF NOT EXISTS idx_ai_design_responses_status ON ai_design_responses(status);
 CREATE INDEX IF NOT EXISTS idx_ai_design_responses_created_at ON ai_design_responses(created_at);
+-- At most one accepted quote per design, so two concurrent accepts cannot both create an order
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_design_responses_one_accepted ON ai_design_responses(ai_design_id) WHERE status = 'accepted';
+CREATE INDEX IF NOT EXISTS idx_ai_design_response_revisions_response_id ON ai_design_response_revisions(response_id);
+CREATE INDEX IF NOT EXISTS idx_ai_design_response_revisions_status ON ai_design_response_revisions(status);
+
+CREATE INDEX IF NOT EXISTS idx_tech_packs_buyer_id ON tech_packs(buyer_id);
+-- One tech pack per design and per requirement
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tech_packs_ai_design_id ON tech_packs(ai_design_id) WHERE ai_design_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tech_packs_requirement_id ON tech_packs(requirement_id) WHERE requirement_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_orders_buyer_id ON orders(buyer_id);
+CREATE INDEX IF NOT EXISTS idx_orders_manufacturer_id ON orders(manufacturer_id);
+CREATE INDEX IF NOT EXISTS idx_orders_status ON orders(status);
+CREATE INDEX IF NOT EXISTS idx_orders_created_at ON orders(created_at);
+CREATE INDEX IF NOT EXISTS idx_orders_order_no ON orders(order_no);
+CREATE INDEX IF NOT EXISTS idx_orders_manufacturer_due_at ON orders(manufacturer_id, due_at) WHERE due_at IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_order_milestones_order_id ON order_milestones(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_milestones_milestone_date ON order_milestones(milestone_date);
+CREATE INDEX IF NOT EXISTS idx_order_milestone_attachments_milestone_id ON order_milestone_attachments(milestone_id);
+-- Published reviews of a manufacturer, newest first (profiles and directory ratings)
+CREATE INDEX IF NOT EXISTS idx_order_reviews_manufacturer ON order_reviews(manufacturer_id, created_at DESC) WHERE reviewer_role = 'buyer';
+CREATE INDEX IF NOT EXISTS idx_order_reviews_buyer ON order_reviews(buyer_id) WHERE reviewer_role = 'manufacturer';
+CREATE INDEX IF NOT EXISTS idx_order_reviews_status ON order_reviews(status);
+
+CREATE INDEX IF NOT EXISTS idx_gst_slabs_hsn_code ON gst_slabs(hsn_code);
+CREATE INDEX IF NOT EXISTS idx_gst_slabs_is_active ON gst_slabs(is_active);
+CREATE INDEX IF NOT EXISTS idx_platform_fee_tiers_manufacturer_plan ON platform_fee_tiers(manufacturer_plan);
+CREATE INDEX IF NOT EXISTS idx_platform_fee_tiers_is_active ON platform_fee_tiers(is_active);
+
+CREATE INDEX IF NOT EXISTS idx_buyer_quota_overrides_buyer_id ON buyer_quota_overrides(buyer_id);
+CREATE INDEX IF NOT EXISTS idx_design_generation_ledger_buyer_created ON design_generation_ledger(buyer_id, created_at);
+-- A generation can only be refunded once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_design_generation_ledger_refunded_entry ON design_generation_ledger(refunded_entry_id) WHERE refunded_entry_id IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_actor_id ON admin_audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_action ON admin_audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_entity ON admin_audit_log(entity_type, entity_id);
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at);
 
 -- ===========================================
 -- CONSTRAINTS
@@ -230,6 +728,19 @@ ALTER TABLE manufacturer_profiles
     (onboarding_completed = TRUE AND unit_name IS NOT NULL AND business_type IS NOT NULL AND gst_number IS NOT NULL)
   );
 
+ALTER TABLE requirements
+  ADD CONSTRAINT fk_requirements_awarded_response
+  FOREIGN KEY (awarded_response_id) REFERENCES requirement_responses(id) ON DELETE SET NULL;
+
+ALTER TABLE ai_designs
+  ADD CONSTRAINT fk_ai_designs_current_version
+  FOREIGN KEY (current_version_id) REFERENCES ai_design_versions(id) ON DELETE SET NULL;
+
+-- Buyers reference plans by code so plan limits can change without touching profiles
+ALTER TABLE buyer_profiles
+  ADD CONSTRAINT fk_buyer_profiles_quota_plan
+  FOREIGN KEY (quota_plan) REFERENCES quota_plans(code) ON UPDATE CASCADE;
+
 -- ===========================================
 -- FUNCTIONS
 -- ===========================================
@@ -253,12 +764,531 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Record a failed OTP verification for a phone number or IP and lock it out once the threshold is reached.
+-- Each lockout doubles the previous one (capped); failures and lockouts are forgotten after a quiet period.
+CREATE OR REPLACE FUNCTION register_auth_failure(
+  p_scope VARCHAR,
+  p_identifier VARCHAR,
+  p_threshold INTEGER,
+  p_base_seconds INTEGER,
+  p_max_seconds INTEGER,
+  p_decay_seconds INTEGER
+)
+RETURNS auth_lockouts AS $$
+DECLARE
+  rec auth_lockouts;
+BEGIN
+  INSERT INTO auth_lockouts (scope, identifier)
+  VALUES (p_scope, p_identifier)
+  ON CONFLICT (scope, identifier) DO NOTHING;
+
+  SELECT * INTO rec FROM auth_lockouts
+  WHERE scope = p_scope AND identifier = p_identifier
+  FOR UPDATE;
+
+  IF rec.last_failure_at < NOW() - make_interval(secs => p_decay_seconds) THEN
+    rec.failure_count := 0;
+    rec.lockout_count := 0;
+  END IF;
+
+  rec.failure_count := rec.failure_count + 1;
+
+  IF rec.failure_count >= p_threshold THEN
+    rec.lockout_count := rec.lockout_count + 1;
+    rec.failure_count := 0;
+    rec.locked_until := NOW() + make_interval(secs => LEAST(p_base_seconds * POWER(2, rec.lockout_count - 1), p_max_seconds));
+  END IF;
+
+  UPDATE auth_lockouts
+  SET failure_count = rec.failure_count,
+      lockout_count = rec.lockout_count,
+      locked_until = rec.locked_until,
+      last_failure_at = NOW(),
+      updated_at = NOW()
+  WHERE id = rec.id
+  RETURNING * INTO rec;
+
+  RETURN rec;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Count a hit against a rate limit key in one statement; a key whose window has ended restarts at 1
+CREATE OR REPLACE FUNCTION hit_rate_limit(
+  p_key VARCHAR,
+  p_window_seconds INTEGER
+)
+RETURNS rate_limit_counters AS $$
+DECLARE
+  rec rate_limit_counters;
+BEGIN
+  INSERT INTO rate_limit_counters AS c (key, hits, reset_at)
+  VALUES (p_key, 1, NOW() + make_interval(secs => p_window_seconds))
+  ON CONFLICT (key) DO UPDATE
+  SET hits = CASE WHEN c.reset_at <= NOW() THEN 1 ELSE c.hits + 1 END,
+      reset_at = CASE WHEN c.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE c.reset_at END
+  RETURNING * INTO rec;
+
+  RETURN rec;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Called every 15 minutes by the postgres rate limit store
+CREATE OR REPLACE FUNCTION cleanup_expired_rate_limits()
+RETURNS INTEGER AS $$
+DECLARE
+  deleted_count INTEGER;
+BEGIN
+  DELETE FROM rate_limit_counters WHERE reset_at < NOW();
+  GET DIAGNOSTICS deleted_count = ROW_COUNT;
+  RETURN deleted_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Record one design generation if the buyer is within both limits (NULL = unlimited).
+-- The buyer row is locked so concurrent requests cannot both take the last generation.
+CREATE OR REPLACE FUNCTION consume_design_quota(
+  p_buyer_id UUID,
+  p_quota_plan VARCHAR,
+  p_day_start TIMESTAMP WITH TIME ZONE,
+  p_month_start TIMESTAMP WITH TIME ZONE,
+  p_daily_limit INTEGER,
+  p_monthly_limit INTEGER,
+  p_ai_design_id UUID
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_daily_used INTEGER;
+  v_monthly_used INTEGER;
+  v_entry_id UUID;
+BEGIN
+  PERFORM 1 FROM buyer_profiles WHERE id = p_buyer_id FOR UPDATE;
+
+  SELECT
+    COALESCE(SUM(units) FILTER (WHERE created_at >= p_day_start), 0),
+    COALESCE(SUM(units), 0)
+  INTO v_daily_used, v_monthly_used
+  FROM design_generation_ledger
+  WHERE buyer_id = p_buyer_id AND created_at >= LEAST(p_day_start, p_month_start);
+
+  IF (p_daily_limit IS NOT NULL AND v_daily_used >= p_daily_limit)
+    OR (p_monthly_limit IS NOT NULL AND v_monthly_used >= p_monthly_limit) THEN
+    RETURN jsonb_build_object('allowed', FALSE, 'daily_used', v_daily_used, 'monthly_used', v_monthly_used, 'entry_id', NULL);
+  END IF;
+
+  INSERT INTO design_generation_ledger (buyer_id, entry_type, units, quota_plan, ai_design_id)
+  VALUES (p_buyer_id, 'generation', 1, p_quota_plan, p_ai_design_id)
+  RETURNING id INTO v_entry_id;
+
+  RETURN jsonb_build_object('allowed', TRUE, 'daily_used', v_daily_used + 1, 'monthly_used', v_monthly_used + 1, 'entry_id', v_entry_id);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Great-circle distance between two points in kilometres
+CREATE OR REPLACE FUNCTION haversine_km(p_lat1 DOUBLE PRECISION, p_lng1 DOUBLE PRECISION, p_lat2 DOUBLE PRECISION, p_lng2 DOUBLE PRECISION)
+RETURNS DOUBLE PRECISION AS $$
+  SELECT 6371 * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(p_lat2 - p_lat1) / 2), 2) +
+    COS(RADIANS(p_lat1)) * COS(RADIANS(p_lat2)) * POWER(SIN(RADIANS(p_lng2 - p_lng1) / 2), 2)
+  ));
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Track record shown in the manufacturer directory: completed orders, how often and how fast
+-- the manufacturer quotes on the requirements sent to them, and their published buyer ratings
+DROP FUNCTION IF EXISTS manufacturer_directory_stats(UUID[]);
+CREATE OR REPLACE FUNCTION manufacturer_directory_stats(p_manufacturer_ids UUID[])
+RETURNS TABLE (
+  manufacturer_id UUID,
+  completed_orders INTEGER,
+  requirements_received INTEGER,
+  requirements_quoted INTEGER,
+  response_rate NUMERIC,
+  avg_response_hours NUMERIC,
+  review_count INTEGER,
+  average_rating NUMERIC,
+  average_quality_rating NUMERIC,
+  average_timeliness_rating NUMERIC,
+  average_communication_rating NUMERIC
+) AS $$
+  SELECT
+    m.id,
+    (SELECT COUNT(*) FROM orders o WHERE o.manufacturer_id = m.id AND o.status IN ('delivered', 'closed'))::INTEGER,
+    received.total::INTEGER,
+    received.quoted::INTEGER,
+    CASE WHEN received.total > 0 THEN ROUND(received.quoted::NUMERIC / received.total, 3) END,
+    (
+      SELECT ROUND((AVG(EXTRACT(EPOCH FROM (rr.created_at - r.created_at))) / 3600)::NUMERIC, 1)
+      FROM requirement_responses rr
+      JOIN requirements r ON r.id = rr.requirement_id
+      WHERE rr.manufacturer_id = m.id
+    ),
+    reviews.total::INTEGER,
+    reviews.rating,
+    reviews.quality,
+    reviews.timeliness,
+    reviews.communication
+  FROM manufacturer_profiles m
+  CROSS JOIN LATERAL (
+    SELECT
+      COUNT(*) AS total,
+      ROUND(AVG(rv.rating), 2) AS rating,
+      ROUND(AVG(rv.quality_rating), 2) AS quality,
+      ROUND(AVG(rv.timeliness_rating), 2) AS timeliness,
+      ROUND(AVG(rv.communication_rating), 2) AS communication
+    FROM order_reviews rv
+    WHERE rv.manufacturer_id = m.id AND rv.reviewer_role = 'buyer' AND rv.status = 'published'
+  ) reviews
+  CROSS JOIN LATERAL (
+    SELECT
+      COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1 FROM requirement_responses rr
+        WHERE rr.requirement_id = rc.requirement_id AND rr.manufacturer_id = m.id
+      )) AS quoted
+    FROM requirement_recipients rc
+    WHERE rc.manufacturer_id = m.id
+  ) received
+  WHERE m.id = ANY(p_manufacturer_ids);
+$$ LANGUAGE sql STABLE;
+
+-- Manufacturer directory search. Lists onboarded manufacturers that are verified or awaiting review,
+-- ranked by ranking_score: half response rate, half completed orders relative to the busiest match.
+-- p_verified filters on verification (NULL lists both); p_radius_km needs p_latitude and p_longitude.
+CREATE OR REPLACE FUNCTION discover_manufacturers(
+  p_product_types TEXT[] DEFAULT NULL,
+  p_business_type TEXT DEFAULT NULL,
+  p_min_capacity INTEGER DEFAULT NULL,
+  p_latitude DOUBLE PRECISION DEFAULT NULL,
+  p_longitude DOUBLE PRECISION DEFAULT NULL,
+  p_radius_km DOUBLE PRECISION DEFAULT NULL,
+  p_verified BOOLEAN DEFAULT NULL,
+  p_sort TEXT DEFAULT 'rank',
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_product_types TEXT[] := (SELECT ARRAY_AGG(LOWER(TRIM(t))) FROM UNNEST(p_product_types) AS t);
+  v_result JSONB;
+BEGIN
+  WITH candidates AS (
+    SELECT
+      m.*,
+      CASE
+        WHEN p_latitude IS NOT NULL AND p_longitude IS NOT NULL AND m.latitude IS NOT NULL AND m.longitude IS NOT NULL
+        THEN ROUND(haversine_km(p_latitude, p_longitude, m.latitude, m.longitude)::NUMERIC, 1)
+      END AS distance_km
+    FROM manufacturer_profiles m
+    WHERE m.onboarding_completed = TRUE
+      AND m.verification_status IN ('Accepted', 'pending')
+      AND (p_verified IS NULL OR (m.verification_status = 'Accepted') = p_verified)
+      AND (v_product_types IS NULL OR EXISTS (
+        SELECT 1 FROM UNNEST(m.product_types) AS t WHERE LOWER(TRIM(t)) = ANY(v_product_types)
+      ))
+      AND (p_business_type IS NULL OR LOWER(TRIM(m.business_type)) = LOWER(TRIM(p_business_type)))
+      AND (p_min_capacity IS NULL OR m.daily_capacity >= p_min_capacity)
+  ),
+  in_range AS (
+    SELECT * FROM candidates
+    WHERE p_radius_km IS NULL OR distance_km <= p_radius_km
+  ),
+  ranked AS (
+    SELECT
+      c.*,
+      s.completed_orders,
+      s.requirements_received,
+      s.requirements_quoted,
+      s.response_rate,
+      s.avg_response_hours,
+      s.review_count,
+      s.average_rating,
+      s.average_quality_rating,
+      s.average_timeliness_rating,
+      s.average_communication_rating,
+      ROUND(100 * (
+        0.5 * COALESCE(s.response_rate, 0) +
+        0.5 * COALESCE(s.completed_orders::NUMERIC / NULLIF(MAX(s.completed_orders) OVER (), 0), 0)
+      ), 1) AS ranking_score
+    FROM in_range c
+    JOIN manufacturer_directory_stats(ARRAY(SELECT id FROM in_range)) s ON s.manufacturer_id = c.id
+  )
+  SELECT jsonb_build_object(
+    'total', (SELECT COUNT(*) FROM ranked),
+    'results', COALESCE((
+      SELECT jsonb_agg(to_jsonb(page) ORDER BY page.position)
+      FROM (
+        SELECT
+          ranked.*,
+          ROW_NUMBER() OVER (
+            ORDER BY
+              CASE WHEN p_sort = 'distance' THEN distance_km END ASC NULLS LAST,
+              ranking_score DESC,
+              completed_orders DESC,
+              avg_response_hours ASC NULLS LAST,
+              created_at ASC
+          ) AS position
+        FROM ranked
+        ORDER BY position
+        LIMIT p_limit OFFSET p_offset
+      ) page
+    ), '[]'::jsonb)
+  ) INTO v_result;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Quantity buckets used by the search facets
+CREATE OR REPLACE FUNCTION quantity_range_bucket(p_quantity INTEGER)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN p_quantity IS NULL THEN 'unspecified'
+    WHEN p_quantity < 100 THEN '1-99'
+    WHEN p_quantity < 500 THEN '100-499'
+    WHEN p_quantity < 1000 THEN '500-999'
+    WHEN p_quantity < 5000 THEN '1000-4999'
+    ELSE '5000+'
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Full-text search over the requirements a manufacturer may quote on, with facet counts.
+-- Each facet is counted with every other filter applied but not its own, so the counts show
+-- what selecting another value would return.
+CREATE OR REPLACE FUNCTION search_requirements(
+  p_manufacturer_id UUID,
+  p_query TEXT DEFAULT NULL,
+  p_product_types TEXT[] DEFAULT NULL,
+  p_min_quantity INTEGER DEFAULT NULL,
+  p_max_quantity INTEGER DEFAULT NULL,
+  p_created_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_created_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_not_quoted BOOLEAN DEFAULT FALSE,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_query tsquery := CASE WHEN COALESCE(TRIM(p_query), '') = '' THEN NULL ELSE websearch_to_tsquery('english', p_query) END;
+  v_product_types TEXT[] := (SELECT ARRAY_AGG(LOWER(TRIM(t))) FROM UNNEST(p_product_types) AS t);
+  v_result JSONB;
+BEGIN
+  WITH candidates AS (
+    SELECT
+      r.*,
+      CASE WHEN v_query IS NULL THEN 0 ELSE ts_rank(r.search_vector, v_query) END AS search_rank,
+      EXISTS (
+        SELECT 1 FROM requirement_responses rr
+        WHERE rr.requirement_id = r.id AND rr.manufacturer_id = p_manufacturer_id
+      ) AS quoted_by_me
+    FROM requirements r
+    WHERE r.status = 'open'
+      AND (r.quote_deadline IS NULL OR r.quote_deadline > NOW())
+      AND (r.distribution_mode = 'open' OR EXISTS (
+        SELECT 1 FROM requirement_recipients rc
+        WHERE rc.requirement_id = r.id AND rc.manufacturer_id = p_manufacturer_id
+      ))
+      AND (v_query IS NULL OR r.search_vector @@ v_query)
+  ),
+  flagged AS (
+    SELECT
+      c.*,
+      quantity_range_bucket(c.quantity) AS quantity_range,
+      (v_product_types IS NULL OR LOWER(TRIM(c.product_type)) = ANY(v_product_types)) AS match_type,
+      ((p_min_quantity IS NULL OR c.quantity >= p_min_quantity) AND (p_max_quantity IS NULL OR c.quantity <= p_max_quantity)) AS match_quantity,
+      ((p_created_from IS NULL OR c.created_at >= p_created_from) AND (p_created_to IS NULL OR c.created_at < p_created_to)) AS match_created,
+      (NOT COALESCE(p_not_quoted, FALSE) OR NOT c.quoted_by_me) AS match_quoted
+    FROM candidates c
+  )
+  SELECT jsonb_build_object(
+    'total', (SELECT COUNT(*) FROM flagged WHERE match_type AND match_quantity AND match_created AND match_quoted),
+    'results', COALESCE((
+      SELECT jsonb_agg(
+        (to_jsonb(page) - 'search_vector' - 'search_rank' - 'match_type' - 'match_quantity' - 'match_created' - 'match_quoted')
+          || jsonb_build_object('buyer', (SELECT jsonb_build_object('id', b.id, 'full_name', b.full_name) FROM buyer_profiles b WHERE b.id = page.buyer_id))
+        ORDER BY page.search_rank DESC, page.created_at DESC
+      )
+      FROM (
+        SELECT * FROM flagged
+        WHERE match_type AND match_quantity AND match_created AND match_quoted
+        ORDER BY search_rank DESC, created_at DESC
+        LIMIT p_limit OFFSET p_offset
+      ) page
+    ), '[]'::jsonb),
+    'facets', jsonb_build_object(
+      'product_type', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('value', value, 'count', count) ORDER BY count DESC, value)
+        FROM (
+          SELECT MIN(TRIM(product_type)) AS value, COUNT(*) AS count
+          FROM flagged
+          WHERE match_quantity AND match_created AND match_quoted AND COALESCE(TRIM(product_type), '') <> ''
+          GROUP BY LOWER(TRIM(product_type))
+        ) facet
+      ), '[]'::jsonb),
+      'quantity_range', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('value', quantity_range, 'count', count) ORDER BY quantity NULLS LAST)
+        FROM (
+          SELECT quantity_range, MIN(quantity) AS quantity, COUNT(*) AS count
+          FROM flagged
+          WHERE match_type AND match_created AND match_quoted
+          GROUP BY quantity_range
+        ) facet
+      ), '[]'::jsonb),
+      'created_within', (
+        SELECT jsonb_build_object(
+          'last_24_hours', COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '1 day'),
+          'last_7_days', COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '7 days'),
+          'last_30_days', COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '30 days'),
+          'older', COUNT(*) FILTER (WHERE created_at < NOW() - INTERVAL '30 days')
+        )
+        FROM flagged
+        WHERE match_type AND match_quantity AND match_quoted
+      ),
+      'not_quoted_by_me', (
+        SELECT COUNT(*) FROM flagged
+        WHERE match_type AND match_quantity AND match_created AND NOT quoted_by_me
+      )
+    )
+  ) INTO v_result;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Full-text search over published AI designs, with the same facets as search_requirements.
+-- A withdrawn quote does not count as quoted, since it can be resubmitted.
+CREATE OR REPLACE FUNCTION search_ai_designs(
+  p_manufacturer_id UUID,
+  p_query TEXT DEFAULT NULL,
+  p_apparel_types TEXT[] DEFAULT NULL,
+  p_min_quantity INTEGER DEFAULT NULL,
+  p_max_quantity INTEGER DEFAULT NULL,
+  p_created_from TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_created_to TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+  p_not_quoted BOOLEAN DEFAULT FALSE,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_query tsquery := CASE WHEN COALESCE(TRIM(p_query), '') = '' THEN NULL ELSE websearch_to_tsquery('english', p_query) END;
+  v_apparel_types TEXT[] := (SELECT ARRAY_AGG(LOWER(TRIM(t))) FROM UNNEST(p_apparel_types) AS t);
+  v_result JSONB;
+BEGIN
+  WITH candidates AS (
+    SELECT
+      d.*,
+      CASE WHEN v_query IS NULL THEN 0 ELSE ts_rank(d.search_vector, v_query) END AS search_rank,
+      EXISTS (
+        SELECT 1 FROM ai_design_responses adr
+        WHERE adr.ai_design_id = d.id AND adr.manufacturer_id = p_manufacturer_id AND adr.status <> 'withdrawn'
+      ) AS quoted_by_me
+    FROM ai_designs d
+    WHERE d.status = 'published'
+      AND (v_query IS NULL OR d.search_vector @@ v_query)
+  ),
+  flagged AS (
+    SELECT
+      c.*,
+      quantity_range_bucket(c.quantity) AS quantity_range,
+      (v_apparel_types IS NULL OR LOWER(TRIM(c.apparel_type)) = ANY(v_apparel_types)) AS match_type,
+      ((p_min_quantity IS NULL OR c.quantity >= p_min_quantity) AND (p_max_quantity IS NULL OR c.quantity <= p_max_quantity)) AS match_quantity,
+      ((p_created_from IS NULL OR c.created_at >= p_created_from) AND (p_created_to IS NULL OR c.created_at < p_created_to)) AS match_created,
+      (NOT COALESCE(p_not_quoted, FALSE) OR NOT c.quoted_by_me) AS match_quoted
+    FROM candidates c
+  )
+  SELECT jsonb_build_object(
+    'total', (SELECT COUNT(*) FROM flagged WHERE match_type AND match_quantity AND match_created AND match_quoted),
+    'results', COALESCE((
+      SELECT jsonb_agg(
+        (to_jsonb(page) - 'search_vector' - 'search_rank' - 'match_type' - 'match_quantity' - 'match_created' - 'match_quoted')
+          || jsonb_build_object('buyer', (SELECT jsonb_build_object('id', b.id, 'full_name', b.full_name) FROM buyer_profiles b WHERE b.id = page.buyer_id))
+        ORDER BY page.search_rank DESC, page.created_at DESC
+      )
+      FROM (
+        SELECT * FROM flagged
+        WHERE match_type AND match_quantity AND match_created AND match_quoted
+        ORDER BY search_rank DESC, created_at DESC
+        LIMIT p_limit OFFSET p_offset
+      ) page
+    ), '[]'::jsonb),
+    'facets', jsonb_build_object(
+      'apparel_type', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('value', value, 'count', count) ORDER BY count DESC, value)
+        FROM (
+          SELECT MIN(TRIM(apparel_type)) AS value, COUNT(*) AS count
+          FROM flagged
+          WHERE match_quantity AND match_created AND match_quoted
+          GROUP BY LOWER(TRIM(apparel_type))
+        ) facet
+      ), '[]'::jsonb),
+      'quantity_range', COALESCE((
+        SELECT jsonb_agg(jsonb_build_object('value', quantity_range, 'count', count) ORDER BY quantity NULLS LAST)
+        FROM (
+          SELECT quantity_range, MIN(quantity) AS quantity, COUNT(*) AS count
+          FROM flagged
+          WHERE match_type AND match_created AND match_quoted
+          GROUP BY quantity_range
+        ) facet
+      ), '[]'::jsonb),
+      'created_within', (
+        SELECT jsonb_build_object(
+          'last_24_hours', COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '1 day'),
+          'last_7_days', COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '7 days'),
+          'last_30_days', COUNT(*) FILTER (WHERE created_at >= NOW() - INTERVAL '30 days'),
+          'older', COUNT(*) FILTER (WHERE created_at < NOW() - INTERVAL '30 days')
+        )
+        FROM flagged
+        WHERE match_type AND match_quantity AND match_quoted
+      ),
+      'not_quoted_by_me', (
+        SELECT COUNT(*) FROM flagged
+        WHERE match_type AND match_quantity AND match_created AND NOT quoted_by_me
+      )
+    )
+  ) INTO v_result;
+
+  RETURN v_result;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Retire a refresh token and store its successor in one transaction, so the session family always has an
+-- active row; returns nothing if the token was already rotated (a concurrent refresh or a replay)
+CREATE OR REPLACE FUNCTION rotate_user_session(
+  p_session_id UUID,
+  p_token_hash VARCHAR,
+  p_expires_at TIMESTAMP WITH TIME ZONE,
+  p_device_name VARCHAR,
+  p_ip_address VARCHAR,
+  p_user_agent TEXT
+)
+RETURNS SETOF user_sessions AS $$
+DECLARE
+  v_retired user_sessions;
+BEGIN
+  UPDATE user_sessions
+  SET is_active = FALSE,
+      rotated_at = NOW()
+  WHERE id = p_session_id
+    AND rotated_at IS NULL
+  RETURNING * INTO v_retired;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO user_sessions (family_id, profile_id, profile_type, token_hash, device_name, ip_address, user_agent, last_seen_at, expires_at)
+  VALUES (v_retired.family_id, v_retired.profile_id, v_retired.profile_type, p_token_hash, p_device_name, p_ip_address, p_user_agent, NOW(), p_expires_at)
+  RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
 CREATE OR REPLACE FUNCTION cleanup_expired_sessions()
 RETURNS INTEGER AS $$
 DECLARE
   deleted_count INTEGER;
 BEGIN
-  DELETE FROM user_sessions WHERE expires_at < NOW() OR is_active = FALSE;
+  -- Rotated tokens are kept until they expire so that reuse can still be detected
+  DELETE FROM user_sessions WHERE expires_at < NOW();
   GET DIAGNOSTICS deleted_count = ROW_COUNT;
   RETURN deleted_count;
 END;
@@ -390,16 +1420,198 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+CREATE OR REPLACE FUNCTION generate_order_no()
+RETURNS TRIGGER AS $$
+DECLARE
+  next_num INTEGER;
+BEGIN
+  SELECT COALESCE(MAX(CAST(SUBSTRING(order_no FROM '(\d+)$') AS INTEGER)), 0)
+  INTO next_num
+  FROM orders
+  WHERE order_no LIKE 'GRUPO-ORD-%';
+
+  next_num := next_num + 1;
+  NEW.order_no := 'GRUPO-ORD-' || LPAD(next_num::TEXT, 4, '0');
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Number versions 1, 2, 3... per design; the design row is locked so concurrent inserts cannot share a number
+CREATE OR REPLACE FUNCTION assign_ai_design_version_no()
+RETURNS TRIGGER AS $$
+BEGIN
+  PERFORM 1 FROM ai_designs WHERE id = NEW.ai_design_id FOR UPDATE;
+
+  SELECT COALESCE(MAX(version_no), 0) + 1
+  INTO NEW.version_no
+  FROM ai_design_versions
+  WHERE ai_design_id = NEW.ai_design_id;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Scorecard metrics of manufacturers since p_since:
+--   median_quote_response_hours - requirement quote time after the requirement was posted
+--   quote_win_rate              - accepted share of requirement and AI design quotes that were accepted or rejected
+--   on_time_delivery_rate       - share of orders due in the window (delivered, or overdue) delivered by due_at; orders without due_at are left out
+--   median_chat_response_hours  - time from a buyer's message to the manufacturer's next reply
+--   dispute_rate                - share of orders placed in the window that were disputed
+CREATE OR REPLACE FUNCTION manufacturer_scorecard_metrics(p_manufacturer_ids UUID[], p_since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+  manufacturer_id UUID,
+  median_quote_response_hours NUMERIC,
+  quotes_decided INTEGER,
+  quotes_won INTEGER,
+  quote_win_rate NUMERIC,
+  deliveries_due INTEGER,
+  deliveries_on_time INTEGER,
+  on_time_delivery_rate NUMERIC,
+  median_chat_response_hours NUMERIC,
+  orders_total INTEGER,
+  orders_disputed INTEGER,
+  dispute_rate NUMERIC
+) AS $$
+  SELECT
+    m.id,
+    (
+      SELECT ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (rr.created_at - r.created_at))) / 3600)::NUMERIC, 1)
+      FROM requirement_responses rr
+      JOIN requirements r ON r.id = rr.requirement_id
+      WHERE rr.manufacturer_id = m.id AND rr.created_at >= p_since
+    ),
+    quotes.decided::INTEGER,
+    quotes.won::INTEGER,
+    CASE WHEN quotes.decided > 0 THEN ROUND(quotes.won::NUMERIC / quotes.decided, 3) END,
+    deliveries.due::INTEGER,
+    deliveries.on_time::INTEGER,
+    CASE WHEN deliveries.due > 0 THEN ROUND(deliveries.on_time::NUMERIC / deliveries.due, 3) END,
+    (
+      -- Conversations as alternating turns; each buyer turn is answered by the start of the next (manufacturer) turn
+      SELECT ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY EXTRACT(EPOCH FROM (turns.answered_at - turns.created_at))) / 3600)::NUMERIC, 1)
+      FROM (
+        SELECT
+          t.sender_role,
+          t.created_at,
+          LEAD(t.created_at) OVER (PARTITION BY t.conversation_id ORDER BY t.created_at) AS answered_at
+        FROM (
+          SELECT
+            msg.conversation_id,
+            msg.sender_role,
+            msg.created_at,
+            LAG(msg.sender_role) OVER (PARTITION BY msg.conversation_id ORDER BY msg.created_at) AS previous_role
+          FROM messages msg
+          JOIN conversations c ON c.id = msg.conversation_id
+          WHERE c.manufacturer_id = m.id AND msg.created_at >= p_since
+        ) t
+        WHERE t.previous_role IS DISTINCT FROM t.sender_role
+      ) turns
+      WHERE turns.sender_role = 'buyer' AND turns.answered_at IS NOT NULL
+    ),
+    placed.total::INTEGER,
+    placed.disputed::INTEGER,
+    CASE WHEN placed.total > 0 THEN ROUND(placed.disputed::NUMERIC / placed.total, 3) END
+  FROM manufacturer_profiles m
+  CROSS JOIN LATERAL (
+    SELECT
+      COUNT(*) FILTER (WHERE q.status IN ('accepted', 'rejected')) AS decided,
+      COUNT(*) FILTER (WHERE q.status = 'accepted') AS won
+    FROM (
+      SELECT rr.status FROM requirement_responses rr WHERE rr.manufacturer_id = m.id AND rr.created_at >= p_since
+      UNION ALL
+      SELECT adr.status FROM ai_design_responses adr WHERE adr.manufacturer_id = m.id AND adr.created_at >= p_since
+    ) q
+  ) quotes
+  CROSS JOIN LATERAL (
+    SELECT
+      COUNT(*) AS due,
+      COUNT(*) FILTER (WHERE o.delivered_at <= o.due_at) AS on_time
+    FROM orders o
+    WHERE o.manufacturer_id = m.id
+      AND o.due_at >= p_since
+      AND (o.delivered_at IS NOT NULL OR o.due_at < NOW())
+  ) deliveries
+  CROSS JOIN LATERAL (
+    SELECT
+      COUNT(*) AS total,
+      COUNT(*) FILTER (WHERE o.disputed_at IS NOT NULL) AS disputed
+    FROM orders o
+    WHERE o.manufacturer_id = m.id AND o.created_at >= p_since
+  ) placed
+  WHERE m.id = ANY(p_manufacturer_ids);
+$$ LANGUAGE sql STABLE;
+
+-- Write today's scorecard snapshot (metrics over the last p_window_days) for the given manufacturers,
+-- or for every onboarded manufacturer; re-running on the same day replaces the day's snapshot
+CREATE OR REPLACE FUNCTION refresh_manufacturer_scorecards(
+  p_manufacturer_ids UUID[] DEFAULT NULL,
+  p_window_days INTEGER DEFAULT 90
+)
+RETURNS INTEGER AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  INSERT INTO manufacturer_scorecards (
+    manufacturer_id, snapshot_date, window_days,
+    median_quote_response_hours, quotes_decided, quotes_won, quote_win_rate,
+    deliveries_due, deliveries_on_time, on_time_delivery_rate,
+    median_chat_response_hours, orders_total, orders_disputed, dispute_rate, computed_at
+  )
+  SELECT
+    s.manufacturer_id, CURRENT_DATE, p_window_days,
+    s.median_quote_response_hours, s.quotes_decided, s.quotes_won, s.quote_win_rate,
+    s.deliveries_due, s.deliveries_on_time, s.on_time_delivery_rate,
+    s.median_chat_response_hours, s.orders_total, s.orders_disputed, s.dispute_rate, NOW()
+  FROM manufacturer_scorecard_metrics(
+    COALESCE(p_manufacturer_ids, ARRAY(SELECT id FROM manufacturer_profiles WHERE onboarding_completed = TRUE)),
+    NOW() - make_interval(days => p_window_days)
+  ) s
+  ON CONFLICT (manufacturer_id, snapshot_date) DO UPDATE SET
+    window_days = EXCLUDED.window_days,
+    median_quote_response_hours = EXCLUDED.median_quote_response_hours,
+    quotes_decided = EXCLUDED.quotes_decided,
+    quotes_won = EXCLUDED.quotes_won,
+    quote_win_rate = EXCLUDED.quote_win_rate,
+    deliveries_due = EXCLUDED.deliveries_due,
+    deliveries_on_time = EXCLUDED.deliveries_on_time,
+    on_time_delivery_rate = EXCLUDED.on_time_delivery_rate,
+    median_chat_response_hours = EXCLUDED.median_chat_response_hours,
+    orders_total = EXCLUDED.orders_total,
+    orders_disputed = EXCLUDED.orders_disputed,
+    dispute_rate = EXCLUDED.dispute_rate,
+    computed_at = EXCLUDED.computed_at;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION prevent_audit_log_modification()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'admin_audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
 -- ===========================================
 -- TRIGGERS
 -- ===========================================
 
+CREATE TRIGGER update_auth_lockouts_updated_at BEFORE UPDATE ON auth_lockouts
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_admin_users_updated_at BEFORE UPDATE ON admin_users
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_buyer_profiles_updated_at BEFORE UPDATE ON buyer_profiles
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_manufacturer_profiles_updated_at BEFORE UPDATE ON manufacturer_profiles
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_manufacturer_documents_updated_at BEFORE UPDATE ON manufacturer_documents
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 CREATE TRIGGER update_requirements_updated_at BEFORE UPDATE ON requirements
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -412,6 +1624,31 @@ CREATE TRIGGER update_ai_designs_updated_at BEFORE UPDATE ON ai_designs
 CREATE TRIGGER update_ai_design_responses_updated_at BEFORE UPDATE ON ai_design_responses
   FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_tech_packs_updated_at BEFORE UPDATE ON tech_packs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_order_reviews_updated_at BEFORE UPDATE ON order_reviews
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_gst_slabs_updated_at BEFORE UPDATE ON gst_slabs
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_platform_fee_tiers_updated_at BEFORE UPDATE ON platform_fee_tiers
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_quota_plans_updated_at BEFORE UPDATE ON quota_plans
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_buyer_quota_overrides_updated_at BEFORE UPDATE ON buyer_quota_overrides
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER prevent_admin_audit_log_modification
+  BEFORE UPDATE OR DELETE ON admin_audit_log
+  FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_modification();
+
 CREATE TRIGGER generate_manufacturer_id_trigger
   BEFORE INSERT ON manufacturer_profiles
   FOR EACH ROW
@@ -435,3 +1672,43 @@ CREATE TRIGGER generate_design_no_trigger
   FOR EACH ROW
   WHEN (NEW.design_no IS NULL)
   EXECUTE FUNCTION generate_design_no();
+
+CREATE TRIGGER generate_order_no_trigger
+  BEFORE INSERT ON orders
+  FOR EACH ROW
+  WHEN (NEW.order_no IS NULL)
+  EXECUTE FUNCTION generate_order_no();
+
+CREATE TRIGGER assign_ai_design_version_no_trigger
+  BEFORE INSERT ON ai_design_versions
+  FOR EACH ROW
+  WHEN (NEW.version_no IS NULL)
+  EXECUTE FUNCTION assign_ai_design_version_no();
+
+-- ===========================================
+-- SEED DATA
+-- ===========================================
+
+-- Default apparel GST slabs (5% up to Rs 1000 per piece, 12% above)
+INSERT INTO gst_slabs (hsn_code, description, product_categories, min_unit_price, max_unit_price, rate, is_default) VALUES
+  ('6109', 'T-shirts, singlets and vests, knitted', ARRAY['t-shirt', 't-shirts', 'tshirt', 'tee', 'vest'], 0, 1000, 5, FALSE),
+  ('6109', 'T-shirts, singlets and vests, knitted', ARRAY['t-shirt', 't-shirts', 'tshirt', 'tee', 'vest'], 1000, NULL, 12, FALSE),
+  ('6110', 'Sweatshirts, hoodies and pullovers, knitted', ARRAY['hoodie', 'hoodies', 'sweatshirt', 'sweater', 'pullover'], 0, 1000, 5, FALSE),
+  ('6110', 'Sweatshirts, hoodies and pullovers, knitted', ARRAY['hoodie', 'hoodies', 'sweatshirt', 'sweater', 'pullover'], 1000, NULL, 12, FALSE),
+  ('6105', 'Shirts and polos, knitted', ARRAY['shirt', 'shirts', 'polo', 'polo t-shirt'], 0, 1000, 5, FALSE),
+  ('6105', 'Shirts and polos, knitted', ARRAY['shirt', 'shirts', 'polo', 'polo t-shirt'], 1000, NULL, 12, FALSE),
+  ('6211', 'Other garments (default)', '{}', 0, 1000, 5, TRUE),
+  ('6211', 'Other garments (default)', '{}', 1000, NULL, 12, TRUE);
+
+-- Default platform fee tiers (all plans) and a reduced rate for premium manufacturers
+INSERT INTO platform_fee_tiers (name, manufacturer_plan, min_order_value, max_order_value, fee_rate) VALUES
+  ('Standard', NULL, 0, 100000, 10),
+  ('Bulk', NULL, 100000, 500000, 8),
+  ('Enterprise', NULL, 500000, NULL, 6),
+  ('Premium plan', 'premium', 0, NULL, 5);
+
+-- AI design generation plans (free keeps the original 5 designs a day)
+INSERT INTO quota_plans (code, name, daily_design_limit, monthly_design_limit) VALUES
+  ('free', 'Free', 5, 50),
+  ('pro', 'Pro', 25, 500),
+  ('enterprise', 'Enterprise', 100, NULL);
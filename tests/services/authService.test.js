@@ -0,0 +1,187 @@
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.OTP_HMAC_SECRET = 'test-otp-secret';
+
+jest.mock('../../src/services/databaseService', () => ({
+  findUserSessionByTokenHash: jest.fn(),
+  revokeUserSessionFamily: jest.fn(),
+  rotateUserSession: jest.fn(),
+  storeUserSession: jest.fn(),
+  findBuyerProfile: jest.fn(),
+  findManufacturerProfile: jest.fn(),
+  findAdminUser: jest.fn()
+}));
+jest.mock('../../src/services/otpDelivery', () => ({}));
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const databaseService = require('../../src/services/databaseService');
+const authService = require('../../src/services/authService');
+
+const PHONE = '+919876543210';
+
+describe('authService.hashOTP', () => {
+  const salt = 'a1b2c3d4e5f60718';
+
+  test('is an HMAC-SHA256 of the salt, phone number and OTP keyed with OTP_HMAC_SECRET', () => {
+    const expected = crypto.createHmac('sha256', 'test-otp-secret').update(`${salt}:${PHONE}:123456`).digest('hex');
+    expect(authService.hashOTP(PHONE, '123456', salt)).toBe(expected);
+  });
+
+  test('binds the phone number and salt into the hash', () => {
+    const hash = authService.hashOTP(PHONE, '123456', salt);
+    expect(authService.hashOTP('+919876543211', '123456', salt)).not.toBe(hash);
+    expect(authService.hashOTP(PHONE, '123456', 'ffffffffffffffff')).not.toBe(hash);
+  });
+});
+
+describe('authService.otpMatches', () => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const storedOTP = { phone_number: PHONE, otp_salt: salt, otp_hash: authService.hashOTP(PHONE, '482913', salt) };
+
+  test('accepts the OTP that was sent, as a string or a number', () => {
+    expect(authService.otpMatches(storedOTP, '482913')).toBe(true);
+    expect(authService.otpMatches(storedOTP, 482913)).toBe(true);
+  });
+
+  test('rejects any other OTP', () => {
+    expect(authService.otpMatches(storedOTP, '482914')).toBe(false);
+    expect(authService.otpMatches(storedOTP, '')).toBe(false);
+  });
+
+  test('rejects the OTP when it was sent to another number', () => {
+    expect(authService.otpMatches({ ...storedOTP, phone_number: '+919876543211' }, '482913')).toBe(false);
+  });
+
+  test('compares in constant time and treats a malformed stored hash as a mismatch', () => {
+    const timingSafeEqual = jest.spyOn(crypto, 'timingSafeEqual');
+
+    expect(authService.otpMatches(storedOTP, '482913')).toBe(true);
+    expect(timingSafeEqual).toHaveBeenCalledTimes(1);
+
+    expect(authService.otpMatches({ ...storedOTP, otp_hash: 'abcd' }, '482913')).toBe(false);
+    expect(timingSafeEqual).toHaveBeenCalledTimes(1);
+
+    timingSafeEqual.mockRestore();
+  });
+});
+
+describe('authService.refreshSession', () => {
+  const refreshToken = 'refresh-token';
+  const session = {
+    id: 'session-row-1',
+    family_id: 'family-1',
+    profile_id: 'buyer-1',
+    profile_type: 'buyer',
+    token_hash: authService.hashToken(refreshToken),
+    is_active: true,
+    revoked_at: null,
+    rotated_at: null,
+    expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString(),
+    device_name: 'Pixel 8'
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    databaseService.findBuyerProfile.mockResolvedValue({ id: 'buyer-1', phone_number: PHONE });
+    databaseService.storeUserSession.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  test('rotates a current refresh token within its session family', async () => {
+    databaseService.findUserSessionByTokenHash.mockResolvedValue(session);
+    databaseService.rotateUserSession.mockImplementation(async (id, nextSession) => ({ ...session, ...nextSession, id: 'session-row-2' }));
+
+    const result = await authService.refreshSession(refreshToken);
+
+    expect(databaseService.findUserSessionByTokenHash).toHaveBeenCalledWith(authService.hashToken(refreshToken));
+    expect(databaseService.rotateUserSession).toHaveBeenCalledWith('session-row-1', expect.objectContaining({
+      token_hash: authService.hashToken(result.refreshToken),
+      device_name: 'Pixel 8'
+    }));
+    expect(databaseService.revokeUserSessionFamily).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ sessionId: 'family-1', user: { id: 'buyer-1', role: 'buyer' } });
+    expect(result.refreshToken).not.toBe(refreshToken);
+  });
+
+  test('retires the old token and stores its successor in a single call', async () => {
+    databaseService.findUserSessionByTokenHash.mockResolvedValue(session);
+    databaseService.rotateUserSession.mockResolvedValue({ ...session, id: 'session-row-2' });
+
+    await authService.refreshSession(refreshToken);
+
+    expect(databaseService.rotateUserSession).toHaveBeenCalledTimes(1);
+    expect(databaseService.storeUserSession).not.toHaveBeenCalled();
+  });
+
+  test('revokes the whole family when an already rotated token is presented again', async () => {
+    databaseService.findUserSessionByTokenHash.mockResolvedValue({ ...session, rotated_at: new Date().toISOString() });
+
+    await expect(authService.refreshSession(refreshToken)).rejects.toThrow('Refresh token reuse detected');
+
+    expect(databaseService.revokeUserSessionFamily).toHaveBeenCalledWith('family-1', 'refresh_token_reuse');
+    expect(databaseService.rotateUserSession).not.toHaveBeenCalled();
+    expect(databaseService.storeUserSession).not.toHaveBeenCalled();
+  });
+
+  test('revokes the whole family when another request rotated the token first', async () => {
+    databaseService.findUserSessionByTokenHash.mockResolvedValue(session);
+    databaseService.rotateUserSession.mockResolvedValue(null);
+
+    await expect(authService.refreshSession(refreshToken)).rejects.toThrow('Refresh token reuse detected');
+
+    expect(databaseService.revokeUserSessionFamily).toHaveBeenCalledWith('family-1', 'refresh_token_reuse');
+    expect(databaseService.storeUserSession).not.toHaveBeenCalled();
+  });
+
+  test('refuses revoked and unknown tokens without revoking anything', async () => {
+    databaseService.findUserSessionByTokenHash.mockResolvedValueOnce({ ...session, revoked_at: new Date().toISOString() });
+    await expect(authService.refreshSession(refreshToken)).rejects.toThrow('Invalid refresh token');
+
+    databaseService.findUserSessionByTokenHash.mockResolvedValueOnce(null);
+    await expect(authService.refreshSession(refreshToken)).rejects.toThrow('Invalid refresh token');
+
+    expect(databaseService.revokeUserSessionFamily).not.toHaveBeenCalled();
+  });
+
+  test('refuses an expired token', async () => {
+    databaseService.findUserSessionByTokenHash.mockResolvedValue({ ...session, expires_at: new Date(Date.now() - 1000).toISOString() });
+
+    await expect(authService.refreshSession(refreshToken)).rejects.toThrow('Refresh token expired');
+    expect(databaseService.rotateUserSession).not.toHaveBeenCalled();
+  });
+});
+
+describe('authService.verifyAccessToken for admin tokens', () => {
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const token = jwt.sign({ userId: 'admin-1', role: 'admin', iat: issuedAt, type: 'auth' }, 'test-jwt-secret');
+  const admin = { id: 'admin-1', role: 'support', is_active: true, password_changed_at: null };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('adds the admin role of an active admin', async () => {
+    databaseService.findAdminUser.mockResolvedValue(admin);
+
+    await expect(authService.verifyAccessToken(token)).resolves.toMatchObject({ userId: 'admin-1', role: 'admin', adminRole: 'support' });
+    expect(databaseService.findAdminUser).toHaveBeenCalledWith('admin-1');
+  });
+
+  test('refuses tokens of deactivated or missing admins', async () => {
+    databaseService.findAdminUser.mockResolvedValueOnce({ ...admin, is_active: false });
+    await expect(authService.verifyAccessToken(token)).rejects.toThrow('Session has been revoked');
+
+    databaseService.findAdminUser.mockResolvedValueOnce(null);
+    await expect(authService.verifyAccessToken(token)).rejects.toThrow('Session has been revoked');
+  });
+
+  test('refuses tokens issued before the admin last changed their password', async () => {
+    databaseService.findAdminUser.mockResolvedValue({ ...admin, password_changed_at: new Date((issuedAt + 60) * 1000).toISOString() });
+
+    await expect(authService.verifyAccessToken(token)).rejects.toThrow('Session has been revoked');
+  });
+});
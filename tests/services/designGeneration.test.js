@@ -0,0 +1,199 @@
+jest.mock('../../src/services/quotaService', () => ({
+  consumeDesignGeneration: jest.fn(),
+  refundDesignGeneration: jest.fn()
+}));
+jest.mock('../../src/config/cloudinary', () => ({
+  uploadBase64Image: jest.fn()
+}));
+
+const quotaService = require('../../src/services/quotaService');
+const { uploadBase64Image } = require('../../src/config/cloudinary');
+const designGenerationService = require('../../src/services/designGeneration');
+const StubImageProvider = require('../../src/services/designGeneration/StubImageProvider');
+
+const ORIGINAL_ENV = { ...process.env };
+
+const BUYER = { id: 'buyer-1' };
+const BRIEF = {
+  apparel_type: 'Oversized t-shirt',
+  preferred_colors: 'Black and neon green',
+  print_placement: 'Front chest',
+  design_description: 'A wolf howling at a pixelated moon'
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+afterEach(() => {
+  process.env = { ...ORIGINAL_ENV };
+});
+
+describe('StubImageProvider', () => {
+  const provider = new StubImageProvider();
+
+  test('returns the same PNG for the same prompt', async () => {
+    const first = await provider.generateImage('A wolf on a black tee');
+    const second = await provider.generateImage('A wolf on a black tee');
+
+    expect(second).toEqual(first);
+    expect(first.mimeType).toBe('image/png');
+    expect(first.model).toMatch(/^stub-[0-9a-f]{12}$/);
+    expect(Buffer.from(first.base64, 'base64').subarray(0, 8)).toEqual(PNG_SIGNATURE);
+  });
+
+  test('returns a different image for a different prompt', async () => {
+    const first = await provider.generateImage('A wolf on a black tee');
+    const second = await provider.generateImage('A wolf on a white tee');
+
+    expect(second.base64).not.toBe(first.base64);
+    expect(second.model).not.toBe(first.model);
+  });
+
+  test('is refused in production', () => {
+    process.env.NODE_ENV = 'production';
+    expect(provider.isConfigured()).toBe(false);
+
+    process.env.NODE_ENV = 'development';
+    expect(provider.isConfigured()).toBe(true);
+  });
+});
+
+describe('designGenerationService.getProvider', () => {
+  beforeEach(() => {
+    delete process.env.OPENAI_API_KEY;
+  });
+
+  test('uses the stub outside production when no OpenAI key is set', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.AI_IMAGE_PROVIDER;
+
+    expect(designGenerationService.getProvider().name).toBe('stub');
+  });
+
+  test('refuses the stub in production even when it is asked for', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.AI_IMAGE_PROVIDER = 'stub';
+
+    expect(() => designGenerationService.getProvider()).toThrow('AI image provider "stub" is not configured');
+  });
+
+  test('does not fall back to the stub in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.AI_IMAGE_PROVIDER;
+
+    expect(() => designGenerationService.getProvider()).toThrow('No AI image provider is configured');
+  });
+
+  test('rejects an unknown provider', () => {
+    process.env.AI_IMAGE_PROVIDER = 'midjourney';
+
+    expect(() => designGenerationService.getProvider()).toThrow('Unknown AI image provider "midjourney"');
+  });
+});
+
+describe('designGenerationService.buildPrompt', () => {
+  test('describes the garment, design, colours and placement', () => {
+    const prompt = designGenerationService.buildPrompt(BRIEF);
+
+    expect(prompt).toMatch(/^Apparel design mockup: Oversized t-shirt, /);
+    expect(prompt).toContain('The design: A wolf howling at a pixelated moon.');
+    expect(prompt).toContain('Colours: Black and neon green.');
+    expect(prompt).toContain('Print placement: Front chest.');
+  });
+
+  test('leaves out empty fields and collapses whitespace', () => {
+    const prompt = designGenerationService.buildPrompt({ apparel_type: '  Hoodie \n with   zip ', preferred_colors: '   ' });
+
+    expect(prompt).toMatch(/^Apparel design mockup: Hoodie with zip, /);
+    expect(prompt).not.toContain('Colours:');
+    expect(prompt).not.toContain('The design:');
+    expect(prompt).not.toContain('Print placement:');
+  });
+
+  test('caps the length of each field', () => {
+    const prompt = designGenerationService.buildPrompt({ apparel_type: 'Tee', design_description: 'x'.repeat(5000) });
+
+    expect(prompt).toContain(`The design: ${'x'.repeat(1000)}.`);
+    expect(prompt).not.toContain('x'.repeat(1001));
+  });
+});
+
+describe('designGenerationService.generate', () => {
+  const quota = { daily: { used: 1, limit: 5 } };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env.NODE_ENV = 'test';
+    process.env.AI_IMAGE_PROVIDER = 'stub';
+    quotaService.consumeDesignGeneration.mockResolvedValue({ allowed: true, entryId: 'entry-1', status: quota });
+    quotaService.refundDesignGeneration.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('uploads the generated image and keeps the quota debit', async () => {
+    uploadBase64Image.mockResolvedValue({ url: 'https://cdn.example.com/design.png' });
+
+    const result = await designGenerationService.generate(BUYER, BRIEF);
+
+    expect(result).toMatchObject({
+      allowed: true,
+      image: { url: 'https://cdn.example.com/design.png' },
+      provider: 'stub',
+      generationId: 'entry-1',
+      quota
+    });
+    expect(uploadBase64Image).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+      folder: 'groupo-ai-designs/buyer-1',
+      tags: ['ai-design', 'generated', 'oversized-t-shirt']
+    }));
+    expect(quotaService.refundDesignGeneration).not.toHaveBeenCalled();
+  });
+
+  test('refunds the quota when the provider fails', async () => {
+    jest.spyOn(designGenerationService.getProvider(), 'generateImage').mockRejectedValue(new Error('Provider timed out'));
+
+    await expect(designGenerationService.generate(BUYER, BRIEF)).rejects.toThrow('Provider timed out');
+
+    expect(quotaService.refundDesignGeneration).toHaveBeenCalledWith('entry-1', 'Generation failed: Provider timed out');
+    expect(uploadBase64Image).not.toHaveBeenCalled();
+  });
+
+  test('refunds the quota when the upload fails', async () => {
+    uploadBase64Image.mockRejectedValue(new Error('Cloudinary unavailable'));
+
+    await expect(designGenerationService.generate(BUYER, BRIEF)).rejects.toThrow('Cloudinary unavailable');
+
+    expect(quotaService.refundDesignGeneration).toHaveBeenCalledWith('entry-1', 'Generation failed: Cloudinary unavailable');
+  });
+
+  test('still reports the generation error when the refund fails', async () => {
+    uploadBase64Image.mockRejectedValue(new Error('Cloudinary unavailable'));
+    quotaService.refundDesignGeneration.mockRejectedValue(new Error('Database unavailable'));
+
+    await expect(designGenerationService.generate(BUYER, BRIEF)).rejects.toThrow('Cloudinary unavailable');
+  });
+
+  test('does not generate when the quota is used up', async () => {
+    quotaService.consumeDesignGeneration.mockResolvedValue({
+      allowed: false,
+      entryId: null,
+      status: quota,
+      message: 'Daily limit of 5 designs reached. Please try again in 3 hours.',
+      retryAfter: 10800
+    });
+
+    const result = await designGenerationService.generate(BUYER, BRIEF);
+
+    expect(result).toEqual({
+      allowed: false,
+      message: 'Daily limit of 5 designs reached. Please try again in 3 hours.',
+      retryAfter: 10800,
+      quota
+    });
+    expect(uploadBase64Image).not.toHaveBeenCalled();
+    expect(quotaService.refundDesignGeneration).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,35 @@
+jest.mock('../../src/services/databaseService', () => ({}));
+
+const kycService = require('../../src/services/kycService');
+
+const PAN_MISMATCH = { field: 'pan_number', message: 'PAN does not match the PAN in the GSTIN' };
+
+describe('kycService.validateDocumentFields GSTIN and PAN cross-check', () => {
+  test('accepts a PAN that matches the GSTIN', () => {
+    expect(kycService.validateDocumentFields({ gst_number: '27AAPFU0939F1ZV', pan_number: 'aapfu0939f' })).toEqual({
+      errors: [],
+      values: { gst_number: '27AAPFU0939F1ZV', pan_number: 'AAPFU0939F' }
+    });
+  });
+
+  test('rejects a PAN that differs from the GSTIN', () => {
+    const { errors } = kycService.validateDocumentFields({ gst_number: '27AAPFU0939F1ZV', pan_number: 'AAACR5055K' });
+    expect(errors).toEqual([PAN_MISMATCH]);
+  });
+
+  test('checks a new PAN against the GSTIN already on the profile', () => {
+    const currentProfile = { gst_number: '27AAPFU0939F1ZV', pan_number: 'AAPFU0939F' };
+    expect(kycService.validateDocumentFields({ pan_number: 'AAACR5055K' }, currentProfile).errors).toEqual([PAN_MISMATCH]);
+    expect(kycService.validateDocumentFields({ pan_number: 'AAPFU0939F' }, currentProfile).errors).toEqual([]);
+  });
+
+  test('checks a new GSTIN against the PAN already on the profile', () => {
+    const currentProfile = { gst_number: '27AAPFU0939F1ZV', pan_number: 'AAPFU0939F' };
+    expect(kycService.validateDocumentFields({ gst_number: '27AAACR5055K1Z7' }, currentProfile).errors).toEqual([PAN_MISMATCH]);
+  });
+
+  test('reports a tampered GSTIN rather than a PAN mismatch', () => {
+    const { errors } = kycService.validateDocumentFields({ gst_number: '27AAPFU0939F1ZW', pan_number: 'AAPFU0939F' });
+    expect(errors).toEqual([{ field: 'gst_number', message: 'GSTIN check digit does not match' }]);
+  });
+});
@@ -0,0 +1,208 @@
+jest.mock('../../src/services/databaseService', () => ({
+  getGstSlabs: jest.fn(),
+  getPlatformFeeTiers: jest.fn(),
+  findManufacturerProfile: jest.fn()
+}));
+
+const databaseService = require('../../src/services/databaseService');
+const pricingService = require('../../src/services/pricingService');
+
+// Mirrors the seed data in supabase/schema.sql
+const TSHIRT_CATEGORIES = ['t-shirt', 't-shirts', 'tshirt', 'tee', 'vest'];
+const HOODIE_CATEGORIES = ['hoodie', 'hoodies', 'sweatshirt', 'sweater', 'pullover'];
+const GST_SLABS = [
+  { id: 'slab-6109-low', hsn_code: '6109', product_categories: TSHIRT_CATEGORIES, min_unit_price: 0, max_unit_price: 1000, rate: 5, is_default: false },
+  { id: 'slab-6109-high', hsn_code: '6109', product_categories: TSHIRT_CATEGORIES, min_unit_price: 1000, max_unit_price: null, rate: 12, is_default: false },
+  { id: 'slab-6110-low', hsn_code: '6110', product_categories: HOODIE_CATEGORIES, min_unit_price: 0, max_unit_price: 1000, rate: 5, is_default: false },
+  { id: 'slab-6110-high', hsn_code: '6110', product_categories: HOODIE_CATEGORIES, min_unit_price: 1000, max_unit_price: null, rate: 12, is_default: false },
+  { id: 'slab-6211-low', hsn_code: '6211', product_categories: [], min_unit_price: 0, max_unit_price: 1000, rate: 5, is_default: true },
+  { id: 'slab-6211-high', hsn_code: '6211', product_categories: [], min_unit_price: 1000, max_unit_price: null, rate: 12, is_default: true }
+];
+const FEE_TIERS = [
+  { id: 'tier-standard', name: 'Standard', manufacturer_plan: null, min_order_value: 0, max_order_value: 100000, fee_rate: 10 },
+  { id: 'tier-bulk', name: 'Bulk', manufacturer_plan: null, min_order_value: 100000, max_order_value: 500000, fee_rate: 8 },
+  { id: 'tier-enterprise', name: 'Enterprise', manufacturer_plan: null, min_order_value: 500000, max_order_value: null, fee_rate: 6 },
+  { id: 'tier-premium', name: 'Premium plan', manufacturer_plan: 'premium', min_order_value: 0, max_order_value: null, fee_rate: 5 }
+];
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  pricingService.invalidateCache();
+  databaseService.getGstSlabs.mockResolvedValue(GST_SLABS);
+  databaseService.getPlatformFeeTiers.mockResolvedValue(FEE_TIERS);
+});
+
+describe('pricingService.resolveGstSlab', () => {
+  test.each([
+    ['T-Shirt', 450, '6109'],
+    ['  hoodie ', 450, '6110'],
+    ['Tee', 1500, '6109']
+  ])('picks the slab for category "%s" at %d by its HSN code', (category, unitPrice, hsnCode) => {
+    expect(pricingService.resolveGstSlab(GST_SLABS, category, unitPrice).hsn_code).toBe(hsnCode);
+  });
+
+  test('uses the default slabs for an unknown or missing category', () => {
+    expect(pricingService.resolveGstSlab(GST_SLABS, 'Saree', 450).id).toBe('slab-6211-low');
+    expect(pricingService.resolveGstSlab(GST_SLABS, null, 1500).id).toBe('slab-6211-high');
+  });
+
+  test('puts a unit price equal to the upper bound in the lower slab', () => {
+    expect(pricingService.resolveGstSlab(GST_SLABS, 't-shirt', 1000).id).toBe('slab-6109-low');
+    expect(pricingService.resolveGstSlab(GST_SLABS, 't-shirt', 1000.01).id).toBe('slab-6109-high');
+  });
+
+  test('reads bounds stored as numeric strings', () => {
+    const slabs = [{ id: 'slab', product_categories: ['tee'], min_unit_price: '0.00', max_unit_price: '1000.00', rate: '5.00' }];
+    expect(pricingService.resolveGstSlab(slabs, 'tee', 999.99).id).toBe('slab');
+    expect(pricingService.resolveGstSlab(slabs, 'tee', 1000.5)).toBeNull();
+  });
+
+  test('returns null when no slab covers the price', () => {
+    expect(pricingService.resolveGstSlab(GST_SLABS, 'tee', 0)).toBeNull();
+    expect(pricingService.resolveGstSlab([], 'tee', 450)).toBeNull();
+  });
+});
+
+describe('pricingService.resolveFeeTier', () => {
+  test.each([
+    [0, 'tier-standard'],
+    [99999.99, 'tier-standard'],
+    [100000, 'tier-bulk'],
+    [499999.99, 'tier-bulk'],
+    [500000, 'tier-enterprise'],
+    [5000000, 'tier-enterprise']
+  ])('puts an order value of %d in %s', (orderValue, tierId) => {
+    expect(pricingService.resolveFeeTier(FEE_TIERS, orderValue, null).id).toBe(tierId);
+  });
+
+  test("prefers tiers for the manufacturer's plan", () => {
+    expect(pricingService.resolveFeeTier(FEE_TIERS, 250000, 'premium').id).toBe('tier-premium');
+  });
+
+  test('falls back to the tiers for every plan when the plan has none', () => {
+    expect(pricingService.resolveFeeTier(FEE_TIERS, 250000, 'basic').id).toBe('tier-bulk');
+  });
+
+  test('returns null when no tier covers the value', () => {
+    expect(pricingService.resolveFeeTier(FEE_TIERS.slice(0, 2), 500000, null)).toBeNull();
+  });
+});
+
+describe('pricingService.calculateQuote', () => {
+  test('itemises GST and the platform fee', async () => {
+    const breakdown = await pricingService.calculateQuote({ pricePerUnit: 450, quantity: 200, productCategory: 'T-Shirt' });
+
+    expect(breakdown).toMatchObject({
+      price_per_unit: 450,
+      quantity: 200,
+      subtotal: 90000,
+      gst: { slab_id: 'slab-6109-low', hsn_code: '6109', product_category: 'T-Shirt', rate: 5, amount: 4500 },
+      platform_fee: { tier_id: 'tier-standard', tier_name: 'Standard', manufacturer_plan: null, rate: 10, amount: 9000 },
+      total: 103500
+    });
+    expect(breakdown).not.toHaveProperty('size_lines');
+  });
+
+  test('rounds every amount to paise', async () => {
+    const breakdown = await pricingService.calculateQuote({ pricePerUnit: 333.333, quantity: 7, productCategory: 'hoodie' });
+
+    expect(breakdown.price_per_unit).toBe(333.33);
+    expect(breakdown.subtotal).toBe(2333.33);
+    expect(breakdown.gst.amount).toBe(116.67);
+    expect(breakdown.platform_fee.amount).toBe(233.33);
+    expect(breakdown.total).toBe(2683.33);
+  });
+
+  test('totals the rounded items rather than rounding the unrounded sum', async () => {
+    // GST of 2.502 and a fee of 5.004 are shown as 2.50 and 5.00, so the total is 57.54 and not round(57.546)
+    const breakdown = await pricingService.calculateQuote({ pricePerUnit: 50.04, quantity: 1, productCategory: 'tee' });
+
+    expect(breakdown.gst.amount).toBe(2.5);
+    expect(breakdown.platform_fee.amount).toBe(5);
+    expect(breakdown.total).toBe(57.54);
+  });
+
+  test('uses a given subtotal instead of price x quantity', async () => {
+    const breakdown = await pricingService.calculateQuote({ pricePerUnit: 1200, quantity: null, subtotal: 150000, productCategory: 'tee' });
+
+    expect(breakdown).toMatchObject({
+      quantity: null,
+      subtotal: 150000,
+      gst: { slab_id: 'slab-6109-high', rate: 12, amount: 18000 },
+      platform_fee: { tier_id: 'tier-bulk', rate: 8, amount: 12000 },
+      total: 180000
+    });
+  });
+
+  test("applies the manufacturer plan's fee tier", async () => {
+    const breakdown = await pricingService.calculateQuote({ pricePerUnit: 450, quantity: 200, manufacturerPlan: 'premium' });
+
+    expect(breakdown.platform_fee).toMatchObject({ tier_id: 'tier-premium', manufacturer_plan: 'premium', rate: 5, amount: 4500 });
+  });
+
+  test('falls back to the default rates when nothing is configured', async () => {
+    databaseService.getGstSlabs.mockResolvedValue([]);
+    databaseService.getPlatformFeeTiers.mockResolvedValue([]);
+
+    const breakdown = await pricingService.calculateQuote({ pricePerUnit: 100, quantity: 10 });
+
+    expect(breakdown.gst).toMatchObject({ slab_id: null, hsn_code: null, rate: 5, amount: 50 });
+    expect(breakdown.platform_fee).toMatchObject({ tier_id: null, tier_name: null, rate: 10, amount: 100 });
+    expect(breakdown.total).toBe(1150);
+  });
+
+  test('reads slabs and tiers once until the cache is invalidated', async () => {
+    await pricingService.calculateQuote({ pricePerUnit: 100, quantity: 10 });
+    await pricingService.calculateQuote({ pricePerUnit: 200, quantity: 10 });
+    expect(databaseService.getGstSlabs).toHaveBeenCalledTimes(1);
+
+    pricingService.invalidateCache();
+    await pricingService.calculateQuote({ pricePerUnit: 100, quantity: 10 });
+    expect(databaseService.getGstSlabs).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('pricingService.calculateQuote with sizes priced separately', () => {
+  const sizeBreakdown = [
+    { size: 'M', color: null, quantity: 100 },
+    { size: '4XL', color: null, quantity: 10, price_per_unit: 1100 }
+  ];
+
+  test('taxes each size line at the slab for its own unit price', async () => {
+    const breakdown = await pricingService.calculateQuote({ pricePerUnit: 450, quantity: 110, sizeBreakdown, productCategory: 'tee' });
+
+    expect(breakdown.size_lines).toEqual([
+      { size: 'M', color: null, quantity: 100, price_per_unit: 450, amount: 45000, gst_slab_id: 'slab-6109-low', gst_rate: 5, gst_amount: 2250 },
+      { size: '4XL', color: null, quantity: 10, price_per_unit: 1100, amount: 11000, gst_slab_id: 'slab-6109-high', gst_rate: 12, gst_amount: 1320 }
+    ]);
+    expect(breakdown).toMatchObject({
+      subtotal: 56000,
+      gst: { slab_id: null, hsn_code: null, rate: null, amount: 3570 },
+      platform_fee: { tier_id: 'tier-standard', amount: 5600 },
+      total: 65170
+    });
+  });
+
+  test('reports the slab and rate when every size falls in the same slab', async () => {
+    const breakdown = await pricingService.calculateQuote({
+      pricePerUnit: 450,
+      quantity: 110,
+      sizeBreakdown: [sizeBreakdown[0], { ...sizeBreakdown[1], price_per_unit: 520 }],
+      productCategory: 'tee'
+    });
+
+    expect(breakdown.gst).toMatchObject({ slab_id: 'slab-6109-low', hsn_code: '6109', rate: 5, amount: 2510 });
+  });
+
+  test('ignores a breakdown without per-size prices', async () => {
+    const breakdown = await pricingService.calculateQuote({
+      pricePerUnit: 450,
+      quantity: 110,
+      sizeBreakdown: [sizeBreakdown[0], { size: '4XL', color: null, quantity: 10 }],
+      productCategory: 'tee'
+    });
+
+    expect(breakdown).not.toHaveProperty('size_lines');
+    expect(breakdown.subtotal).toBe(49500);
+  });
+});
@@ -0,0 +1,48 @@
+const { parseDeliveryDays, getDueDate } = require('../../src/utils/deliveryTime');
+
+describe('parseDeliveryDays', () => {
+  test.each([
+    ['15 days', 15],
+    ['1 day', 1],
+    ['21', 21],
+    ['2 weeks', 14],
+    ['3 wks', 21],
+    ['1 month', 30],
+    [' 10 Days ', 10],
+    ['2-3 weeks', 21],
+    ['10 to 15 days', 15],
+    ['20 - 12 days', 20]
+  ])('reads "%s" as %d days', (deliveryTime, days) => {
+    expect(parseDeliveryDays(deliveryTime)).toBe(days);
+  });
+
+  test.each([
+    'ASAP',
+    'about 2 weeks',
+    '2 weeks after approval',
+    '1.5 months',
+    '15 hours',
+    '1000 days',
+    '0 days',
+    '',
+    null,
+    undefined,
+    15
+  ])('returns null for %p', (deliveryTime) => {
+    expect(parseDeliveryDays(deliveryTime)).toBeNull();
+  });
+});
+
+describe('getDueDate', () => {
+  const confirmedAt = new Date('2026-03-25T10:00:00Z');
+
+  test('adds the quoted days to the confirmation time', () => {
+    expect(getDueDate('10 days', confirmedAt)).toBe('2026-04-04T10:00:00.000Z');
+    expect(getDueDate('2-3 weeks', confirmedAt)).toBe('2026-04-15T10:00:00.000Z');
+  });
+
+  test('returns null when the delivery time is not understood', () => {
+    expect(getDueDate('ASAP', confirmedAt)).toBeNull();
+    expect(getDueDate(null, confirmedAt)).toBeNull();
+  });
+});
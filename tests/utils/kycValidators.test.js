@@ -0,0 +1,75 @@
+const {
+  computeGstinCheckChar,
+  validateGSTIN,
+  validatePAN
+} = require('../../src/utils/kycValidators');
+
+// Registered GSTINs with correct check characters
+const VALID_GSTINS = [
+  '27AAPFU0939F1ZV',
+  '29AAGCB7383J1Z4',
+  '24AAACC1206D1ZM',
+  '27AAACR5055K1Z7'
+];
+
+describe('computeGstinCheckChar', () => {
+  test.each(VALID_GSTINS)('computes the check character of %s', (gstin) => {
+    expect(computeGstinCheckChar(gstin.slice(0, 14))).toBe(gstin[14]);
+  });
+
+  test('changes when a character of the body changes', () => {
+    expect(computeGstinCheckChar('27AAPFU0939F1Z')).not.toBe(computeGstinCheckChar('27AAPFU0939G1Z'));
+  });
+});
+
+describe('validateGSTIN', () => {
+  test.each(VALID_GSTINS)('accepts %s and extracts its PAN', (gstin) => {
+    expect(validateGSTIN(gstin)).toEqual({ valid: true, value: gstin, pan: gstin.slice(2, 12) });
+  });
+
+  test('normalises case and whitespace', () => {
+    expect(validateGSTIN(' 27aapfu0939f1zv ')).toMatchObject({ valid: true, value: '27AAPFU0939F1ZV' });
+  });
+
+  test('rejects a tampered check character', () => {
+    expect(validateGSTIN('27AAPFU0939F1ZW')).toMatchObject({ valid: false, error: 'GSTIN check digit does not match' });
+  });
+
+  test('rejects a tampered PAN digit', () => {
+    expect(validateGSTIN('27AAPFU0938F1ZV')).toMatchObject({ valid: false, error: 'GSTIN check digit does not match' });
+  });
+
+  test('rejects a swapped state code', () => {
+    expect(validateGSTIN('29AAPFU0939F1ZV')).toMatchObject({ valid: false, error: 'GSTIN check digit does not match' });
+  });
+
+  test('rejects an unknown state code', () => {
+    expect(validateGSTIN('45AAPFU0939F1ZV')).toMatchObject({ valid: false, error: 'GSTIN has an invalid state code' });
+  });
+
+  test('rejects an embedded PAN with an invalid holder type', () => {
+    expect(validateGSTIN('27AAPXU0939F1ZV')).toMatchObject({ valid: false, error: 'GSTIN does not contain a valid PAN' });
+  });
+
+  test.each(['', '27AAPFU0939F1Z', '27AAPFU0939F1ZVX', '27AAPFU0939F1XV'])('rejects malformed value "%s"', (gstin) => {
+    expect(validateGSTIN(gstin)).toMatchObject({ valid: false, error: expect.stringMatching(/^GSTIN must be 15 characters/) });
+  });
+});
+
+describe('validatePAN', () => {
+  test.each(['AAPFU0939F', 'ABCPE1234F', 'AAACR5055K'])('accepts %s', (pan) => {
+    expect(validatePAN(pan)).toEqual({ valid: true, value: pan });
+  });
+
+  test('normalises case and whitespace', () => {
+    expect(validatePAN('abcpe 1234f')).toEqual({ valid: true, value: 'ABCPE1234F' });
+  });
+
+  test('rejects an invalid holder type', () => {
+    expect(validatePAN('ABCXE1234F')).toMatchObject({ valid: false, error: 'PAN has an invalid holder type (4th character)' });
+  });
+
+  test.each(['ABCPE1234', 'ABCPE12345', '1BCPE1234F', 'ABCPE1234F1'])('rejects malformed value %s', (pan) => {
+    expect(validatePAN(pan)).toMatchObject({ valid: false, error: expect.stringMatching(/^PAN must be/) });
+  });
+});
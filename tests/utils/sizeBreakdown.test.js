@@ -0,0 +1,134 @@
+const {
+  sortSizes,
+  normalizeSizeBreakdown,
+  summarizeSizeBreakdown,
+  getBreakdownTotal,
+  hasSizePrices,
+  reconcileQuantity,
+  priceSizeBreakdown,
+  getPricedTotal
+} = require('../../src/utils/sizeBreakdown');
+
+const ROWS = [
+  { size: 'L', color: 'Black', quantity: 40 },
+  { size: 'S', color: 'Black', quantity: 20 },
+  { size: 'M', color: 'White', quantity: 30 },
+  { size: 'S', color: 'White', quantity: 10 }
+];
+
+describe('sortSizes', () => {
+  test('orders garment sizes, then numeric sizes, then other labels as given', () => {
+    expect(sortSizes(['Free', 'XL', '32', 's', 'One', '28', 'XS', 'M'])).toEqual(['XS', 's', 'M', 'XL', '28', '32', 'Free', 'One']);
+  });
+});
+
+describe('normalizeSizeBreakdown', () => {
+  test('trims labels and drops empty colours', () => {
+    expect(normalizeSizeBreakdown([
+      { size: ' M ', color: '', quantity: '25' },
+      { size: 32, quantity: 10 }
+    ])).toEqual({
+      valid: true,
+      rows: [
+        { size: 'M', color: null, quantity: 25 },
+        { size: '32', color: null, quantity: 10 }
+      ]
+    });
+  });
+
+  test('keeps per-size prices only when allowed', () => {
+    const rows = [{ size: 'XL', color: null, quantity: 10, price_per_unit: '520.456' }];
+
+    expect(normalizeSizeBreakdown(rows).rows[0]).not.toHaveProperty('price_per_unit');
+    expect(normalizeSizeBreakdown(rows, { allowPrices: true }).rows[0].price_per_unit).toBe(520.46);
+  });
+
+  test.each([
+    [null, 'Size breakdown must be a list of { size, color, quantity } rows'],
+    [['M'], 'Row 1 must be an object with size and quantity'],
+    [[{ size: '', quantity: 5 }], 'Row 1: size is required (up to 20 characters)'],
+    [[{ size: 'M', color: 42, quantity: 5 }], 'Row 1: color must be text up to 50 characters'],
+    [[{ size: 'M', quantity: 0 }], 'Row 1: quantity must be a whole number greater than 0'],
+    [[{ size: 'M', quantity: 2.5 }], 'Row 1: quantity must be a whole number greater than 0'],
+    [[{ size: 'M', color: 'Red', quantity: 5 }, { size: 'm', color: 'red', quantity: 5 }], 'Row 2: size m in red is listed twice'],
+    [[{ size: 'M', color: 'Red', quantity: 5 }, { size: 'L', quantity: 5 }], 'Give a color on every row, or on none when one colour is ordered']
+  ])('rejects %j', (value, error) => {
+    expect(normalizeSizeBreakdown(value)).toEqual({ valid: false, error });
+  });
+
+  test('rejects a per-size price that is not positive', () => {
+    expect(normalizeSizeBreakdown([{ size: 'M', quantity: 5, price_per_unit: 0 }], { allowPrices: true })).toEqual({
+      valid: false,
+      error: 'Row 1: price per unit must be greater than 0'
+    });
+  });
+
+  test('rejects more than 200 rows', () => {
+    const rows = Array.from({ length: 201 }, (_, index) => ({ size: String(index), quantity: 1 }));
+    expect(normalizeSizeBreakdown(rows)).toEqual({ valid: false, error: 'Size breakdown can have at most 200 rows' });
+  });
+});
+
+describe('summarizeSizeBreakdown', () => {
+  test('lays the rows out as a colour × size grid with totals', () => {
+    const summary = summarizeSizeBreakdown(ROWS);
+
+    expect(summary.sizes).toEqual(['S', 'M', 'L']);
+    expect(summary.colors).toEqual(['Black', 'White']);
+    expect(summary.quantityOf('White', 'S')).toBe(10);
+    expect(summary.quantityOf('White', 'L')).toBe(0);
+    expect(summary.sizeTotals).toEqual({ S: 30, M: 30, L: 40 });
+    expect(summary.colorTotals).toEqual({ Black: 60, White: 40 });
+    expect(summary.total).toBe(100);
+  });
+
+  test('has a single null colour when no colours are given', () => {
+    const summary = summarizeSizeBreakdown([{ size: 'M', color: null, quantity: 5 }]);
+
+    expect(summary.colors).toEqual([null]);
+    expect(summary.quantityOf(null, 'M')).toBe(5);
+  });
+});
+
+describe('getBreakdownTotal and reconcileQuantity', () => {
+  test('totals the rows', () => {
+    expect(getBreakdownTotal(ROWS)).toBe(100);
+    expect(getBreakdownTotal([])).toBe(0);
+  });
+
+  test('takes a missing quantity from the breakdown', () => {
+    expect(reconcileQuantity(undefined, ROWS)).toEqual({ quantity: 100 });
+    expect(reconcileQuantity(null, ROWS)).toEqual({ quantity: 100 });
+  });
+
+  test('accepts a quantity equal to the total and rejects any other', () => {
+    expect(reconcileQuantity(100, ROWS)).toEqual({ quantity: 100 });
+    expect(reconcileQuantity(90, ROWS)).toEqual({ error: 'Quantity (90) must equal the size breakdown total (100)' });
+  });
+
+  test('uses the quantity as given without a breakdown', () => {
+    expect(reconcileQuantity(75, [])).toEqual({ quantity: 75 });
+    expect(reconcileQuantity(undefined, [])).toEqual({ quantity: null });
+  });
+});
+
+describe('priceSizeBreakdown and getPricedTotal', () => {
+  const rows = [
+    { size: 'M', color: null, quantity: 3 },
+    { size: 'XXL', color: null, quantity: 7, price_per_unit: 333.33 }
+  ];
+
+  test('prices rows at their own price or the base price', () => {
+    expect(hasSizePrices(rows)).toBe(true);
+    expect(hasSizePrices(ROWS)).toBe(false);
+
+    expect(priceSizeBreakdown(rows, 299.999)).toEqual([
+      { size: 'M', color: null, quantity: 3, price_per_unit: 300, amount: 900 },
+      { size: 'XXL', color: null, quantity: 7, price_per_unit: 333.33, amount: 2333.31 }
+    ]);
+  });
+
+  test('totals the rounded line amounts', () => {
+    expect(getPricedTotal(rows, 299.999)).toBe(3233.31);
+  });
+});
@@ -0,0 +1,71 @@
+const { isValidTimeZone, getPeriodBounds } = require('../../src/utils/timezone');
+
+const toIso = (bounds) => Object.fromEntries(Object.entries(bounds).map(([key, date]) => [key, date.toISOString()]));
+
+describe('isValidTimeZone', () => {
+  test.each(['Asia/Kolkata', 'America/New_York', 'UTC'])('accepts %s', (timeZone) => {
+    expect(isValidTimeZone(timeZone)).toBe(true);
+  });
+
+  test.each(['Asia/Bangalore', 'IST+5:30', '', null, undefined, 330])('rejects %p', (timeZone) => {
+    expect(isValidTimeZone(timeZone)).toBe(false);
+  });
+});
+
+describe('getPeriodBounds', () => {
+  test('uses UTC midnights in UTC', () => {
+    expect(toIso(getPeriodBounds('UTC', new Date('2026-03-31T20:00:00Z')))).toEqual({
+      dayStart: '2026-03-31T00:00:00.000Z',
+      dayEnd: '2026-04-01T00:00:00.000Z',
+      monthStart: '2026-03-01T00:00:00.000Z',
+      monthEnd: '2026-04-01T00:00:00.000Z'
+    });
+  });
+
+  test('uses the local day and month when it is already tomorrow in the time zone', () => {
+    // 20:00 UTC on 31 March is 01:30 on 1 April in India
+    expect(toIso(getPeriodBounds('Asia/Kolkata', new Date('2026-03-31T20:00:00Z')))).toEqual({
+      dayStart: '2026-03-31T18:30:00.000Z',
+      dayEnd: '2026-04-01T18:30:00.000Z',
+      monthStart: '2026-03-31T18:30:00.000Z',
+      monthEnd: '2026-04-30T18:30:00.000Z'
+    });
+  });
+
+  test('rolls the month over into the next year', () => {
+    expect(toIso(getPeriodBounds('Asia/Kolkata', new Date('2026-12-31T20:00:00Z')))).toMatchObject({
+      monthStart: '2026-12-31T18:30:00.000Z',
+      monthEnd: '2027-01-31T18:30:00.000Z'
+    });
+  });
+
+  test('has a 23-hour day when clocks go forward', () => {
+    const bounds = getPeriodBounds('America/New_York', new Date('2026-03-08T12:00:00Z'));
+
+    expect(toIso(bounds)).toEqual({
+      dayStart: '2026-03-08T05:00:00.000Z',
+      dayEnd: '2026-03-09T04:00:00.000Z',
+      monthStart: '2026-03-01T05:00:00.000Z',
+      monthEnd: '2026-04-01T04:00:00.000Z'
+    });
+    expect(bounds.dayEnd - bounds.dayStart).toBe(23 * 60 * 60 * 1000);
+  });
+
+  test('has a 25-hour day when clocks go back', () => {
+    const bounds = getPeriodBounds('America/New_York', new Date('2026-11-01T15:00:00Z'));
+
+    expect(toIso(bounds)).toMatchObject({
+      dayStart: '2026-11-01T04:00:00.000Z',
+      dayEnd: '2026-11-02T05:00:00.000Z'
+    });
+    expect(bounds.dayEnd - bounds.dayStart).toBe(25 * 60 * 60 * 1000);
+  });
+
+  test('contains the instant it was asked about', () => {
+    const now = new Date('2026-07-15T23:59:59Z');
+    const { dayStart, dayEnd, monthStart, monthEnd } = getPeriodBounds('Asia/Kolkata', now);
+
+    expect(dayStart <= now && now < dayEnd).toBe(true);
+    expect(monthStart <= now && now < monthEnd).toBe(true);
+  });
+});